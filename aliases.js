@@ -0,0 +1,54 @@
+/**
+ * Common English names and abbreviations that differ from the names in countries.js, used by
+ * searchCountries so that e.g. "holland" or "ivory coast" find the right entry. Names that
+ * the formal name already matches by prefix or word (e.g. "Tanzania") are not repeated
+ * @type {Object<string, Array<string>>}
+ */
+module.exports = {
+  AE: ["UAE", "Emirates"],
+  AG: ["Antigua"],
+  BA: ["Bosnia", "BiH"],
+  BL: ["St Barthélemy", "St Barts", "Saint Barts"],
+  BN: ["Brunei"],
+  BQ: ["Caribbean Netherlands"],
+  BS: ["The Bahamas"],
+  CD: ["DR Congo", "DRC", "Democratic Republic of the Congo", "Congo-Kinshasa", "Zaire"],
+  CG: ["Republic of the Congo", "Congo-Brazzaville"],
+  CI: ["Ivory Coast"],
+  CN: ["PRC", "Mainland China"],
+  CV: ["Cabo Verde"],
+  CZ: ["Czechia"],
+  FK: ["Falklands"],
+  GB: ["UK", "Great Britain", "Britain", "England", "Scotland", "Wales", "Northern Ireland"],
+  GM: ["The Gambia"],
+  IO: ["Chagos Islands", "BIOT"],
+  IR: ["Persia"],
+  KG: ["Kyrgyz Republic"],
+  KN: ["St Kitts and Nevis", "Saint Kitts", "Nevis"],
+  KP: ["North Korea", "DPRK"],
+  KR: ["South Korea", "Korea"],
+  LA: ["Laos"],
+  LC: ["St Lucia"],
+  LY: ["Libya"],
+  MF: ["St Martin"],
+  MK: ["North Macedonia", "Macedonia"],
+  MM: ["Burma"],
+  MO: ["Macau"],
+  NL: ["Holland", "The Netherlands"],
+  PM: ["St Pierre and Miquelon"],
+  PS: ["Palestine", "State of Palestine", "West Bank", "Gaza"],
+  RU: ["Russia"],
+  SA: ["KSA"],
+  SH: ["St Helena"],
+  SX: ["St Maarten"],
+  SY: ["Syria"],
+  SZ: ["Eswatini"],
+  TL: ["East Timor"],
+  TT: ["Trinidad", "Tobago"],
+  UM: ["US Minor Outlying Islands"],
+  US: ["United States of America", "USA", "America"],
+  VA: ["Vatican", "Vatican City"],
+  VC: ["St Vincent and the Grenadines", "St Vincent"],
+  VG: ["British Virgin Islands", "BVI"],
+  VI: ["US Virgin Islands", "USVI"]
+};
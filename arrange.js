@@ -0,0 +1,125 @@
+const { getGroupMemberCodes } = require('./groups');
+
+/**
+ * Text of the disabled option rendered between the priority countries and the rest of the list
+ */
+const PRIORITY_SEPARATOR = '──────────';
+
+const GROUP_BY_FIELDS = ['region'];
+
+const DISPLAY_MODES = ['name', 'dialCode'];
+
+/**
+ * Converts a list of country codes option to upper case, checking its type
+ * @param {Array<string>} [codes] - Country codes
+ * @param {string} optionName - Name of the option, used in the error message
+ * @returns {Array<string>|undefined} Upper-case codes, or undefined if the option is not set
+ */
+function toCodeList(codes, optionName) {
+  if (codes === undefined || codes === null) {
+    return undefined;
+  }
+  if (!Array.isArray(codes) || codes.some(code => typeof code !== 'string')) {
+    throw new Error(`${optionName} must be an array of country codes`);
+  }
+  return codes.map(code => code.toUpperCase());
+}
+
+/**
+ * Filters, sorts and groups countries for a select dropdown
+ * @param {Array<Object>} countries - Array of country objects
+ * @param {Object} [options] - Arrangement options
+ * @param {Array<string>} [options.priorityCodes] - Country codes to pin at the top, in this order.
+ *   They are left out of the rest of the list
+ * @param {Array<string>} [options.include] - Only keep these country codes
+ * @param {Array<string>} [options.exclude] - Leave out these country codes
+ * @param {string} [options.countryGroup] - Only keep the current members of this group, e.g. 'EU'
+ *   (see getCountriesInGroup)
+ * @param {string} [options.groupBy] - 'region' to group the countries by region. The countries
+ *   need the region field
+ * @param {Function} [options.sort] - Compare function for the countries, as for Array.prototype.sort.
+ *   Countries keep their input order when it is not set; priority countries are never re-sorted
+ * @returns {{priority: Array<Object>, groups: Array<{label: string|null, countries: Array<Object>}>}}
+ *   The priority countries and the remaining countries in groups. Without groupBy there is a
+ *   single group with a null label
+ */
+function arrangeCountries(countries, options = {}) {
+  if (!Array.isArray(countries)) {
+    throw new Error('Countries must be an array');
+  }
+
+  const { groupBy, sort } = options;
+  const priorityCodes = toCodeList(options.priorityCodes, 'priorityCodes') || [];
+  const include = toCodeList(options.include, 'include');
+  const exclude = toCodeList(options.exclude, 'exclude') || [];
+  const members = options.countryGroup === undefined ? undefined : getGroupMemberCodes(options.countryGroup);
+
+  if (groupBy !== undefined && !GROUP_BY_FIELDS.includes(groupBy)) {
+    throw new Error(`Unknown groupBy value: ${groupBy}`);
+  }
+  if (sort !== undefined && typeof sort !== 'function') {
+    throw new Error('sort must be a compare function');
+  }
+
+  const filtered = countries.filter(({ code }) =>
+    (!include || include.includes(code)) && (!members || members.has(code)) && !exclude.includes(code));
+
+  const priority = priorityCodes
+    .map(code => filtered.find(country => country.code === code))
+    .filter(Boolean);
+  const rest = filtered.filter(({ code }) => !priorityCodes.includes(code));
+  const sorted = sort ? rest.slice().sort(sort) : rest;
+
+  if (!groupBy) {
+    return { priority, groups: [{ label: null, countries: sorted }] };
+  }
+
+  const groups = new Map();
+  sorted.forEach(country => {
+    const label = country[groupBy];
+    if (typeof label !== 'string') {
+      throw new Error(`Grouping by ${groupBy} needs the ${groupBy} field on every country`);
+    }
+    if (!groups.has(label)) {
+      groups.set(label, []);
+    }
+    groups.get(label).push(country);
+  });
+
+  return {
+    priority,
+    groups: Array.from(groups.keys())
+      .sort((a, b) => a.localeCompare(b))
+      .map(label => ({ label, countries: groups.get(label) }))
+  };
+}
+
+/**
+ * Checks the display option of the select generators and returns the countries that can be
+ * shown that way. Countries without a calling code are left out of the dial code display
+ * @param {Array<Object>} countries - Array of country objects
+ * @param {string} [display='name'] - 'name' for options like "🇮🇳 India", or 'dialCode' for phone
+ *   prefix options like "🇮🇳 +91". The dial code display needs the dialCode field
+ * @returns {Array<Object>} Countries to list
+ */
+function getDisplayCountries(countries, display = 'name') {
+  if (!DISPLAY_MODES.includes(display)) {
+    throw new Error(`Unknown display mode: ${display}`);
+  }
+  if (display === 'name') {
+    return countries;
+  }
+
+  return countries.filter(country => {
+    if (!('dialCode' in country)) {
+      throw new Error('The dialCode display needs the dialCode field on every country');
+    }
+    return Boolean(country.dialCode);
+  });
+}
+
+module.exports = {
+  PRIORITY_SEPARATOR,
+  arrangeCountries,
+  getDisplayCountries
+};
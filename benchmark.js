@@ -0,0 +1,106 @@
+const countries = require('./countries');
+const userAssignedCountries = require('./user-assigned');
+const { getFlagEmoji, getCountrySelectHTML } = require('./utils');
+const { localizeName, sortCountriesByName } = require('./i18n');
+const { getAllCountries, getCountry, getCountrySelect } = require('./index');
+
+/**
+ * getAllCountries() as it was before the country store: the list is mapped and every flag
+ * emoji computed on each call
+ * @param {Object} [options] - Options of getAllCountries() without fields
+ * @returns {Array<Object>} Array of country objects
+ */
+function legacyGetAllCountries(options = {}) {
+  const fields = ['name', 'code', 'flag'];
+  const { locale, includeUserAssigned = false } = options;
+
+  let source = includeUserAssigned
+    ? sortCountriesByName(countries.concat(userAssignedCountries), 'en')
+    : countries;
+
+  if (locale) {
+    source = sortCountriesByName(
+      source.map(country => ({ ...country, name: localizeName(country.code, locale, country.name) })),
+      locale
+    );
+  }
+
+  return source.map(country => {
+    const result = {};
+    fields.forEach(field => {
+      result[field] = field === 'flag' ? getFlagEmoji(country.code) : country[field];
+    });
+    return result;
+  });
+}
+
+/**
+ * getCountry() as it was before the country store: a linear search that copies the record
+ * @param {string} input - Country code or name
+ * @returns {Object|null} Country record
+ */
+function legacyGetCountry(input) {
+  let country;
+  if (/^\d{3}$/.test(input)) {
+    country = countries.find(entry => entry.numeric === input);
+  } else if (/^[A-Z]{2}$/.test(input)) {
+    country = countries.find(entry => entry.code === input);
+  } else if (/^[A-Z]{3}$/.test(input)) {
+    country = countries.find(entry => entry.alpha3 === input);
+  } else {
+    country = countries.find(entry => entry.name === input);
+  }
+  if (!country) {
+    return null;
+  }
+
+  const { name, code, ...rest } = country;
+  return { name, code, flag: getFlagEmoji(code), ...rest };
+}
+
+/**
+ * Runs a function repeatedly and measures its speed
+ * @param {Function} fn - Function to measure
+ * @param {number} iterations - Number of calls
+ * @returns {number} Calls per second
+ */
+function measure(fn, iterations) {
+  // Warm up, so that both versions are measured after optimization and with filled caches
+  for (let i = 0; i < Math.ceil(iterations / 10); i++) {
+    fn();
+  }
+
+  const start = process.hrtime();
+  for (let i = 0; i < iterations; i++) {
+    fn();
+  }
+  const [seconds, nanoseconds] = process.hrtime(start);
+  return iterations / (seconds + nanoseconds / 1e9);
+}
+
+const cases = [
+  { name: 'getAllCountries()', iterations: 2000, before: () => legacyGetAllCountries(), after: () => getAllCountries() },
+  {
+    name: "getAllCountries({ locale: 'de' })",
+    iterations: 100,
+    before: () => legacyGetAllCountries({ locale: 'de' }),
+    after: () => getAllCountries({ locale: 'de' })
+  },
+  { name: "getCountry('ZWE')", iterations: 100000, before: () => legacyGetCountry('ZWE'), after: () => getCountry('ZWE') },
+  { name: "getCountry('Zimbabwe')", iterations: 100000, before: () => legacyGetCountry('Zimbabwe'), after: () => getCountry('Zimbabwe') },
+  {
+    name: "getCountrySelect({ selectedCode: 'DE', useImageFlags: false })",
+    iterations: 500,
+    before: () => getCountrySelectHTML(legacyGetAllCountries(), { selectedCode: 'DE', useImageFlags: false }),
+    after: () => getCountrySelect({ selectedCode: 'DE', useImageFlags: false })
+  }
+];
+
+const format = value => Math.round(value).toLocaleString('en-US');
+
+console.log('Calls per second, before and after the country store:\n');
+cases.forEach(({ name, iterations, before, after }) => {
+  const beforeRate = measure(before, iterations);
+  const afterRate = measure(after, iterations);
+  console.log(`${name}\n  before: ${format(beforeRate)}/s  after: ${format(afterRate)}/s  (${(afterRate / beforeRate).toFixed(1)}x)`);
+});
@@ -0,0 +1,78 @@
+const path = require('path');
+const esbuild = require('esbuild');
+
+/**
+ * File name of the browser build
+ */
+const BROWSER_BUILD_FILE = 'country-flags-util.min.js';
+
+/**
+ * File name of the subdivision data of the browser build, which getSubdivisions needs
+ */
+const SUBDIVISIONS_BUILD_FILE = 'country-flags-util.subdivisions.min.js';
+
+/**
+ * Options shared by both browser builds
+ */
+const BUILD_OPTIONS = {
+  bundle: true,
+  minify: true,
+  format: 'iife',
+  platform: 'browser',
+  target: 'es2018',
+  logLevel: 'warning'
+};
+
+/**
+ * Replaces iso-3166-2.js with iso-3166-2.browser.js, so that the main build leaves out the
+ * subdivision data, which is most of its size
+ */
+const subdivisionDataPlugin = {
+  name: 'subdivision-data',
+  setup(build) {
+    build.onResolve({ filter: /^\.\/iso-3166-2$/ }, () => ({ path: path.join(__dirname, 'iso-3166-2.browser.js') }));
+  }
+};
+
+/**
+ * Bundles the package into minified scripts for <script> tags. The main build defines the
+ * CountryFlagsUtil global with the functions of core.js; svg.js is replaced by svg.browser.js
+ * through the "browser" field. The subdivision data is a separate script, which defines the
+ * CountryFlagsUtilSubdivisions global
+ * @param {string} [outdir] - Directory to write the builds to (default: dist/)
+ * @returns {Promise<string>} Path of the main build
+ */
+function buildBrowserBundle(outdir = path.join(__dirname, 'dist')) {
+  const outfile = path.join(outdir, BROWSER_BUILD_FILE);
+
+  return Promise.all([
+    esbuild.build({
+      ...BUILD_OPTIONS,
+      entryPoints: [path.join(__dirname, 'core.js')],
+      outfile,
+      globalName: 'CountryFlagsUtil',
+      plugins: [subdivisionDataPlugin]
+    }),
+    esbuild.build({
+      ...BUILD_OPTIONS,
+      entryPoints: [path.join(__dirname, 'iso-3166-2.js')],
+      outfile: path.join(outdir, SUBDIVISIONS_BUILD_FILE),
+      globalName: 'CountryFlagsUtilSubdivisions'
+    })
+  ]).then(() => outfile);
+}
+
+if (require.main === module) {
+  buildBrowserBundle()
+    .then(outfile => console.log(`Wrote ${path.relative(process.cwd(), outfile)}`))
+    .catch(error => {
+      console.error(error);
+      process.exitCode = 1;
+    });
+}
+
+module.exports = {
+  BROWSER_BUILD_FILE,
+  SUBDIVISIONS_BUILD_FILE,
+  buildBrowserBundle
+};
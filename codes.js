@@ -0,0 +1,213 @@
+const countries = require('./countries');
+const userAssignedCountries = require('./user-assigned');
+
+/**
+ * Codes ISO 3166-1 leaves to users (AA, QM-QZ, XA-XZ, ZZ)
+ */
+const USER_ASSIGNED_PATTERN = /^(AA|Q[M-Z]|X[A-Z]|ZZ)$/;
+
+/**
+ * Codes reserved by the ISO 3166 Maintenance Agency, grouped by kind of reservation. EL, which the
+ * European Union uses for Greece, is counted as exceptionally reserved like the other CODE_ALIASES
+ */
+const RESERVED_CODES = {
+  exceptional: ['AC', 'CP', 'CQ', 'DG', 'EA', 'EL', 'EU', 'EZ', 'FX', 'IC', 'SU', 'TA', 'UK', 'UN'],
+  transitional: ['AN', 'BU', 'CS', 'NT', 'SF', 'TP', 'YU', 'ZR'],
+  indeterminate: ['DY', 'EW', 'FL', 'JA', 'LF', 'PI', 'RA', 'RB', 'RC', 'RH', 'RL', 'RM', 'RN', 'RP', 'WG', 'WL', 'WV', 'YV']
+};
+
+/**
+ * Exceptionally reserved and other non-standard codes that stand for part or all of a current country
+ */
+const CODE_ALIASES = {
+  AC: 'SH', // Ascension Island
+  CP: 'FR', // Clipperton Island
+  CQ: 'GG', // Sark
+  DG: 'IO', // Diego Garcia
+  EA: 'ES', // Ceuta and Melilla
+  EL: 'GR', // Greece, as used by the European Union
+  FX: 'FR', // France, Metropolitan
+  IC: 'ES', // Canary Islands
+  TA: 'SH', // Tristan da Cunha
+  UK: 'GB' // United Kingdom
+};
+
+/**
+ * Formerly used codes (ISO 3166-3) with the current codes that replaced them
+ */
+const FORMER_CODES = {
+  AN: { name: 'Netherlands Antilles', successors: ['BQ', 'CW', 'SX'] },
+  BU: { name: 'Burma', successors: ['MM'] },
+  CS: { name: 'Serbia and Montenegro', successors: ['RS', 'ME'] },
+  DD: { name: 'German Democratic Republic', successors: ['DE'] },
+  DY: { name: 'Dahomey', successors: ['BJ'] },
+  HV: { name: 'Upper Volta', successors: ['BF'] },
+  NH: { name: 'New Hebrides', successors: ['VU'] },
+  NT: { name: 'Neutral Zone', successors: ['IQ', 'SA'] },
+  RH: { name: 'Southern Rhodesia', successors: ['ZW'] },
+  SF: { name: 'Finland', successors: ['FI'] },
+  SU: { name: 'USSR', successors: ['AM', 'AZ', 'BY', 'EE', 'GE', 'KG', 'KZ', 'LT', 'LV', 'MD', 'RU', 'TJ', 'TM', 'UA', 'UZ'] },
+  TP: { name: 'East Timor', successors: ['TL'] },
+  VD: { name: 'Viet-Nam, Democratic Republic of', successors: ['VN'] },
+  YD: { name: 'Yemen, Democratic', successors: ['YE'] },
+  YU: { name: 'Yugoslavia', successors: ['RS', 'ME'] },
+  ZR: { name: 'Zaire', successors: ['CD'] }
+};
+
+const assignedCodes = new Set(countries.map(country => country.code));
+const userAssignedCodes = new Set(userAssignedCountries.map(country => country.code));
+
+/**
+ * Error thrown by the strict flag helpers for codes that fail validation
+ */
+class InvalidCountryCodeError extends Error {
+  /**
+   * @param {*} countryCode - The rejected code
+   * @param {string} reason - Machine-readable reason (see validateCountryCode)
+   * @param {string} message - Human-readable explanation
+   */
+  constructor(countryCode, reason, message) {
+    super(message);
+    this.name = 'InvalidCountryCodeError';
+    this.countryCode = countryCode;
+    this.reason = reason;
+  }
+}
+
+/**
+ * Gets the kind of reservation for a code
+ * @param {string} code - Upper-case 2-letter code
+ * @returns {string|null} 'exceptional', 'transitional', 'indeterminate' or null if not reserved
+ */
+function getReservation(code) {
+  return Object.keys(RESERVED_CODES).find(kind => RESERVED_CODES[kind].includes(code)) || null;
+}
+
+/**
+ * Validates a 2-letter country code and explains why it was rejected
+ * @param {string} code - The code to validate (case-insensitive, surrounding whitespace is ignored)
+ * @param {Object} [options] - Validation options
+ * @param {boolean} [options.allowUserAssigned=false] - Accept user-assigned codes (AA, QM-QZ, XA-XZ, ZZ)
+ * @param {boolean} [options.allowReserved=false] - Accept codes reserved by ISO 3166 (e.g. UK, EU, YU)
+ * @param {boolean} [options.includeUserAssigned=false] - Accept the widely used non-ISO entries (XK, EU)
+ * @returns {{valid: boolean, code: string|null, status: string|null, reason: string|null, message: string|null}}
+ *   Validation result. `status` is 'assigned', 'user-assigned', 'reserved' or 'unassigned' for
+ *   well-formed codes. `reason` is null for valid codes, otherwise one of 'not-a-string',
+ *   'invalid-length', 'non-letter', 'user-assigned', 'reserved' or 'unassigned'
+ */
+function validateCountryCode(code, options = {}) {
+  const { allowUserAssigned = false, allowReserved = false, includeUserAssigned = false } = options;
+  const reject = (reason, message, status = null, normalized = null) =>
+    ({ valid: false, code: normalized, status, reason, message });
+
+  if (typeof code !== 'string') {
+    return reject('not-a-string', 'Country code must be a string');
+  }
+  const value = code.trim();
+  if (value.length !== 2) {
+    return reject('invalid-length', `Country code must be exactly 2 characters, got ${value.length}`);
+  }
+  if (!/^[A-Za-z]{2}$/.test(value)) {
+    return reject('non-letter', `Country code must contain only the letters A-Z, got "${value}"`);
+  }
+
+  const normalized = value.toUpperCase();
+
+  if (assignedCodes.has(normalized)) {
+    return { valid: true, code: normalized, status: 'assigned', reason: null, message: null };
+  }
+  if (USER_ASSIGNED_PATTERN.test(normalized)) {
+    return allowUserAssigned || (includeUserAssigned && userAssignedCodes.has(normalized))
+      ? { valid: true, code: normalized, status: 'user-assigned', reason: null, message: null }
+      : reject('user-assigned', `"${normalized}" is a user-assigned code, not a country`, 'user-assigned', normalized);
+  }
+
+  const reservation = getReservation(normalized);
+  if (reservation) {
+    return allowReserved || (includeUserAssigned && userAssignedCodes.has(normalized))
+      ? { valid: true, code: normalized, status: 'reserved', reason: null, message: null }
+      : reject('reserved', `"${normalized}" is ${reservation}ly reserved by ISO 3166, not an assigned country`, 'reserved', normalized);
+  }
+
+  return reject('unassigned', `"${normalized}" is not an assigned ISO 3166-1 country code`, 'unassigned', normalized);
+}
+
+/**
+ * Checks whether a string is a valid 2-letter country code
+ * @param {string} code - The code to check (case-insensitive)
+ * @param {Object} [options] - Validation options (see validateCountryCode)
+ * @returns {boolean} True if the code is valid
+ */
+function isValidCountryCode(code, options = {}) {
+  return validateCountryCode(code, options).valid;
+}
+
+/**
+ * Validates a code for the strict mode of the flag helpers
+ * @param {string} code - The code to validate
+ * @param {Object} options - Strict mode options
+ * @param {boolean} [options.throwOnInvalid=true] - Throw an InvalidCountryCodeError instead of returning null
+ * @returns {string|null} The upper-case code, or null if invalid and throwOnInvalid is false
+ */
+function assertCountryCode(code, options) {
+  const { throwOnInvalid = true } = options;
+  const result = validateCountryCode(code, options);
+
+  if (result.valid) {
+    return result.code;
+  }
+  if (throwOnInvalid) {
+    throw new InvalidCountryCodeError(code, result.reason, result.message);
+  }
+  return null;
+}
+
+/**
+ * Maps legacy, exceptional and formerly used codes to current alpha-2 codes
+ * @param {string} code - The code to normalize (case-insensitive, surrounding whitespace is ignored)
+ * @param {Object} [options] - Normalization options
+ * @param {boolean} [options.includeUserAssigned=false] - Treat the widely used non-ISO entries (XK, EU) as current
+ * @returns {{input: *, code: string|null, status: string, name: string|null, successors: Array<string>}}
+ *   Result with the current code, or null when there is no single current code. `status` is
+ *   'assigned' for current codes, 'user-assigned' for XK and EU (when included), 'alias' for
+ *   exceptional codes such as UK and EL, 'replaced' for former codes with one successor (e.g. BU),
+ *   'dissolved' for former codes with several successors (e.g. YU), or 'unknown'. `name` is the
+ *   historical name of former codes
+ */
+function normalizeCountryCode(code, options = {}) {
+  const { includeUserAssigned = false } = options;
+  const result = (status, current, name = null, successors = []) =>
+    ({ input: code, code: current, status, name, successors });
+
+  if (typeof code !== 'string' || !/^[A-Za-z]{2}$/.test(code.trim())) {
+    return result('unknown', null);
+  }
+
+  const normalized = code.trim().toUpperCase();
+
+  if (assignedCodes.has(normalized)) {
+    return result('assigned', normalized);
+  }
+  if (includeUserAssigned && userAssignedCodes.has(normalized)) {
+    return result('user-assigned', normalized);
+  }
+  if (CODE_ALIASES[normalized]) {
+    return result('alias', CODE_ALIASES[normalized]);
+  }
+  if (FORMER_CODES[normalized]) {
+    const { name, successors } = FORMER_CODES[normalized];
+    return successors.length === 1
+      ? result('replaced', successors[0], name, successors)
+      : result('dissolved', null, name, successors);
+  }
+
+  return result('unknown', null);
+}
+
+module.exports = {
+  InvalidCountryCodeError,
+  validateCountryCode,
+  isValidCountryCode,
+  normalizeCountryCode,
+  assertCountryCode
+};
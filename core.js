@@ -0,0 +1,192 @@
+// The functions of the package without the framework code generators, which index.js adds. The
+// browser build is bundled from this module, as a page has no use for the generators
+
+const { getFlagEmoji, getFlagImageUrl, getFlagSrcSet, getCountrySelectHTML } = require('./utils');
+const { createFlagProvider } = require('./providers');
+const { getCountry, getCountries, getCountryName } = require('./lookup');
+const { getCountryRecords, getCountryList } = require('./store');
+const { searchCountries } = require('./search');
+const { arrangeCountries } = require('./arrange');
+const {
+  COUNTRY_GROUPS_VERSION,
+  getGroupMemberCodes,
+  isInGroup,
+  getGroupsForCountry,
+  registerCountryGroup
+} = require('./groups');
+const { getCountryByDialCode } = require('./dial');
+const { getSubdivisions } = require('./subdivisions');
+const {
+  TIMEZONES_VERSION,
+  getCountryCodeByTimezone,
+  getTimezonesForCountry,
+  detectCountryCode
+} = require('./timezones');
+const { getCodeFromFlagEmoji, findFlagsInText } = require('./emoji');
+const { getFlagSvg } = require('./svg');
+const { defineCountrySelect } = require('./web-component');
+const {
+  InvalidCountryCodeError,
+  validateCountryCode,
+  isValidCountryCode,
+  normalizeCountryCode
+} = require('./codes');
+
+/**
+ * Fields that can be requested from getAllCountries()
+ */
+const COUNTRY_FIELDS = ['name', 'code', 'flag', 'alpha3', 'numeric', 'continent', 'region', 'subregion', 'capital', 'tld', 'dialCode'];
+
+/**
+ * Fields returned by getAllCountries() when none are requested
+ */
+const DEFAULT_FIELDS = ['name', 'code', 'flag'];
+
+/**
+ * Returns an array of all countries with name, code and flag emoji
+ * @param {Object} [options] - Configuration options
+ * @param {Array<string>|string} [options.fields] - Fields to include in each country object,
+ *   or 'all' for the full record (default: name, code and flag)
+ * @param {string} [options.locale] - Locale for country names (e.g. "de"); the list is
+ *   then sorted using that locale's collation rules
+ * @param {boolean} [options.includeUserAssigned=false] - Include the widely used non-ISO
+ *   entries (XK for Kosovo, EU for the European Union)
+ * @returns {Array<Object>} Array of country objects. Each list is built once and then returned
+ *   from a cache, so the array and the objects are frozen; copy them to make changes
+ */
+function getAllCountries(options = {}) {
+  return getCountryList(resolveFields(options.fields), options);
+}
+
+/**
+ * Returns the countries that are members of a group, such as the European Union
+ * @param {string} group - Group ID: 'EU', 'EEA', 'SCHENGEN', 'EUROZONE', 'G20', 'COMMONWEALTH'
+ *   or a group added with registerCountryGroup (case-insensitive)
+ * @param {Object} [options] - The options of getAllCountries, and:
+ * @param {Date|string} [options.date] - Date of the membership, e.g. "2019-06-30"; today when omitted
+ * @returns {Array<Object>} Country objects of the members, in the order of getAllCountries. The EU
+ *   itself, a G20 member, is only listed with includeUserAssigned
+ */
+function getCountriesInGroup(group, options = {}) {
+  const members = getGroupMemberCodes(group, options);
+  // The records are in the same order as the list, and have the code even when fields leave it out
+  const records = getCountryRecords(options);
+  return getAllCountries(options).filter((country, index) => members.has(records[index].code));
+}
+
+/**
+ * Finds the country of an IANA timezone, such as the one reported by
+ * Intl.DateTimeFormat().resolvedOptions().timeZone
+ * @param {string} timeZone - Zone name, e.g. "Asia/Kolkata", or an older or alternative name linked to
+ *   it, e.g. "Asia/Calcutta" or "US/Eastern" (case-insensitive)
+ * @returns {Object|null} The full country record, or null for unknown names and zones of no country (e.g. "UTC")
+ */
+function getCountryByTimezone(timeZone) {
+  const code = getCountryCodeByTimezone(timeZone);
+  return code ? getCountry(code) : null;
+}
+
+/**
+ * Validates the requested field list for getAllCountries()
+ * @param {Array<string>|string} [fields] - Requested fields
+ * @returns {Array<string>} Field names to include
+ */
+function resolveFields(fields) {
+  if (!fields) {
+    return DEFAULT_FIELDS;
+  }
+  if (fields === 'all') {
+    return COUNTRY_FIELDS;
+  }
+  if (!Array.isArray(fields)) {
+    throw new Error('Fields must be an array of field names or \'all\'');
+  }
+
+  const unknown = fields.filter(field => !COUNTRY_FIELDS.includes(field));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown country field(s): ${unknown.join(', ')}`);
+  }
+  return fields;
+}
+
+/**
+ * Generates HTML for a select dropdown with country flags and names
+ * @param {Object} [options] - Configuration options
+ * @param {string} [options.id] - HTML id attribute for the select element
+ * @param {string} [options.name] - HTML name attribute for the select element
+ * @param {string} [options.className] - HTML class attribute for the select element
+ * @param {string} [options.selectedCode] - Country code to be selected by default, or 'auto' to select the
+ *   country of the user's timezone with a script
+ * @param {string} [options.fallbackCode] - With selectedCode 'auto', the country selected when the timezone
+ *   matches no listed country
+ * @param {boolean} [options.useImageFlags=true] - Whether to add the flag image URLs to the options as data-flag-src
+ *   and data-flag-srcset attributes. The option labels use the emoji flag, as options can only contain text
+ * @param {number} [options.flagWidth=40] - Width of flag images in pixels
+ * @param {string} [options.flagSource='cdn'] - 'cdn', 'svg' (inline data URI) or 'local' (bundled SVGs under flagPath)
+ * @param {string|Object|Function} [options.flagProvider='flagcdn'] - Flag image provider when flagSource is 'cdn'
+ * @param {string} [options.flagFormat='png'] - Image format when flagSource is 'cdn'
+ * @param {string} [options.flagPath='/flags'] - URL path of the flag SVGs when flagSource is 'local'
+ * @param {string} [options.selectedLocale] - Locale for country names and sort order (e.g. "de")
+ * @param {boolean} [options.includeUserAssigned=false] - Include the widely used non-ISO entries (XK, EU)
+ * @param {Object<string, string|number|boolean>} [options.attributes] - Extra data-* and aria-* attributes for the select element
+ * @param {Array<string>} [options.priorityCodes] - Country codes to pin at the top, followed by a separator
+ * @param {Array<string>} [options.include] - Only list these country codes
+ * @param {Array<string>} [options.exclude] - Leave out these country codes
+ * @param {string} [options.countryGroup] - Only list the current members of this group, e.g. 'EU' (see getCountriesInGroup)
+ * @param {string} [options.groupBy] - 'region' to render the countries in <optgroup> elements by region
+ * @param {Function} [options.sort] - Compare function for the countries, e.g. (a, b) => a.code.localeCompare(b.code)
+ * @param {string} [options.placeholder] - Text of an empty first option, selected when selectedCode is not set
+ * @param {boolean} [options.disabled=false] - Whether the select element is disabled
+ * @param {boolean} [options.required=false] - Whether the select element is required
+ * @param {string} [options.display='name'] - 'name' to show country names, or 'dialCode' to show calling codes
+ *   (e.g. "🇮🇳 +91") for a phone prefix select
+ * @param {boolean|Object} [options.subdivisionSelect] - Cascading mode: true, or the options of a second select
+ *   listing the subdivisions of the selected country, refilled by a script when the country changes. The
+ *   script holds the subdivisions of every listed country: about 5,000 (120 KB) without include or countryGroup
+ * @returns {string} HTML string for the country select dropdown
+ */
+function getCountrySelect(options = {}) {
+  const extraFields = [options.groupBy, options.display === 'dialCode' ? 'dialCode' : undefined].filter(Boolean);
+  const countryList = getAllCountries({
+    fields: extraFields.length > 0 ? DEFAULT_FIELDS.concat(extraFields) : undefined,
+    locale: options.selectedLocale,
+    includeUserAssigned: options.includeUserAssigned
+  });
+
+  return getCountrySelectHTML(countryList, options);
+}
+
+// Make sure all utilities are explicitly exported
+module.exports = {
+  COUNTRY_FIELDS,
+  getAllCountries,
+  getCountry,
+  getCountries,
+  searchCountries,
+  getCountryByDialCode,
+  getCountryName,
+  getCountriesInGroup,
+  isInGroup,
+  getGroupsForCountry,
+  registerCountryGroup,
+  COUNTRY_GROUPS_VERSION,
+  getSubdivisions,
+  getCountryByTimezone,
+  getTimezonesForCountry,
+  detectCountryCode,
+  TIMEZONES_VERSION,
+  getFlagEmoji,
+  getCodeFromFlagEmoji,
+  findFlagsInText,
+  getFlagImageUrl,
+  getFlagSrcSet,
+  createFlagProvider,
+  getFlagSvg,
+  isValidCountryCode,
+  validateCountryCode,
+  normalizeCountryCode,
+  InvalidCountryCodeError,
+  getCountrySelect,
+  arrangeCountries,
+  defineCountrySelect
+};
@@ -1,251 +1,272 @@
 /**
- * List of countries with their ISO codes
+ * @typedef {Object} CountryRecord
+ * @property {string} name - English short name
+ * @property {string} code - ISO 3166-1 alpha-2 code
+ * @property {string} alpha3 - ISO 3166-1 alpha-3 code
+ * @property {string} numeric - ISO 3166-1 numeric code (zero-padded, e.g. "004")
+ * @property {string} continent - Continent name
+ * @property {string} region - Region name (e.g. "Americas")
+ * @property {string|null} subregion - Subregion name (e.g. "Caribbean")
+ * @property {string|null} capital - Capital city
+ * @property {string|null} tld - Country code top-level domain (e.g. ".in")
+ * @property {string|null} dialCode - International calling code (e.g. "+91"). Some codes are shared,
+ *   such as +1 by the NANP countries; dial-prefixes.js has the longer prefixes that tell them apart
+ */
+
+/**
+ * List of countries with their ISO 3166-1 codes and geographic data
+ * @type {Array<CountryRecord>}
  */
 const countries = [
-  { name: "Afghanistan", code: "AF" },
-  { name: "Åland Islands", code: "AX" },
-  { name: "Albania", code: "AL" },
-  { name: "Algeria", code: "DZ" },
-  { name: "American Samoa", code: "AS" },
-  { name: "Andorra", code: "AD" },
-  { name: "Angola", code: "AO" },
-  { name: "Anguilla", code: "AI" },
-  { name: "Antarctica", code: "AQ" },
-  { name: "Antigua and Barbuda", code: "AG" },
-  { name: "Argentina", code: "AR" },
-  { name: "Armenia", code: "AM" },
-  { name: "Aruba", code: "AW" },
-  { name: "Australia", code: "AU" },
-  { name: "Austria", code: "AT" },
-  { name: "Azerbaijan", code: "AZ" },
-  { name: "Bahamas", code: "BS" },
-  { name: "Bahrain", code: "BH" },
-  { name: "Bangladesh", code: "BD" },
-  { name: "Barbados", code: "BB" },
-  { name: "Belarus", code: "BY" },
-  { name: "Belgium", code: "BE" },
-  { name: "Belize", code: "BZ" },
-  { name: "Benin", code: "BJ" },
-  { name: "Bermuda", code: "BM" },
-  { name: "Bhutan", code: "BT" },
-  { name: "Bolivia", code: "BO" },
-  { name: "Bosnia and Herzegovina", code: "BA" },
-  { name: "Botswana", code: "BW" },
-  { name: "Bouvet Island", code: "BV" },
-  { name: "Brazil", code: "BR" },
-  { name: "British Indian Ocean Territory", code: "IO" },
-  { name: "Brunei Darussalam", code: "BN" },
-  { name: "Bulgaria", code: "BG" },
-  { name: "Burkina Faso", code: "BF" },
-  { name: "Burundi", code: "BI" },
-  { name: "Cambodia", code: "KH" },
-  { name: "Cameroon", code: "CM" },
-  { name: "Canada", code: "CA" },
-  { name: "Cape Verde", code: "CV" },
-  { name: "Cayman Islands", code: "KY" },
-  { name: "Central African Republic", code: "CF" },
-  { name: "Chad", code: "TD" },
-  { name: "Chile", code: "CL" },
-  { name: "China", code: "CN" },
-  { name: "Christmas Island", code: "CX" },
-  { name: "Cocos (Keeling) Islands", code: "CC" },
-  { name: "Colombia", code: "CO" },
-  { name: "Comoros", code: "KM" },
-  { name: "Congo", code: "CG" },
-  { name: "Congo, The Democratic Republic of the", code: "CD" },
-  { name: "Cook Islands", code: "CK" },
-  { name: "Costa Rica", code: "CR" },
-  { name: "Côte d'Ivoire", code: "CI" },
-  { name: "Croatia", code: "HR" },
-  { name: "Cuba", code: "CU" },
-  { name: "Cyprus", code: "CY" },
-  { name: "Czech Republic", code: "CZ" },
-  { name: "Denmark", code: "DK" },
-  { name: "Djibouti", code: "DJ" },
-  { name: "Dominica", code: "DM" },
-  { name: "Dominican Republic", code: "DO" },
-  { name: "Ecuador", code: "EC" },
-  { name: "Egypt", code: "EG" },
-  { name: "El Salvador", code: "SV" },
-  { name: "Equatorial Guinea", code: "GQ" },
-  { name: "Eritrea", code: "ER" },
-  { name: "Estonia", code: "EE" },
-  { name: "Ethiopia", code: "ET" },
-  { name: "Falkland Islands (Malvinas)", code: "FK" },
-  { name: "Faroe Islands", code: "FO" },
-  { name: "Fiji", code: "FJ" },
-  { name: "Finland", code: "FI" },
-  { name: "France", code: "FR" },
-  { name: "French Guiana", code: "GF" },
-  { name: "French Polynesia", code: "PF" },
-  { name: "French Southern Territories", code: "TF" },
-  { name: "Gabon", code: "GA" },
-  { name: "Gambia", code: "GM" },
-  { name: "Georgia", code: "GE" },
-  { name: "Germany", code: "DE" },
-  { name: "Ghana", code: "GH" },
-  { name: "Gibraltar", code: "GI" },
-  { name: "Greece", code: "GR" },
-  { name: "Greenland", code: "GL" },
-  { name: "Grenada", code: "GD" },
-  { name: "Guadeloupe", code: "GP" },
-  { name: "Guam", code: "GU" },
-  { name: "Guatemala", code: "GT" },
-  { name: "Guernsey", code: "GG" },
-  { name: "Guinea", code: "GN" },
-  { name: "Guinea-Bissau", code: "GW" },
-  { name: "Guyana", code: "GY" },
-  { name: "Haiti", code: "HT" },
-  { name: "Heard Island and McDonald Islands", code: "HM" },
-  { name: "Holy See (Vatican City State)", code: "VA" },
-  { name: "Honduras", code: "HN" },
-  { name: "Hong Kong", code: "HK" },
-  { name: "Hungary", code: "HU" },
-  { name: "Iceland", code: "IS" },
-  { name: "India", code: "IN" },
-  { name: "Indonesia", code: "ID" },
-  { name: "Iran, Islamic Republic of", code: "IR" },
-  { name: "Iraq", code: "IQ" },
-  { name: "Ireland", code: "IE" },
-  { name: "Isle of Man", code: "IM" },
-  { name: "Israel", code: "IL" },
-  { name: "Italy", code: "IT" },
-  { name: "Jamaica", code: "JM" },
-  { name: "Japan", code: "JP" },
-  { name: "Jersey", code: "JE" },
-  { name: "Jordan", code: "JO" },
-  { name: "Kazakhstan", code: "KZ" },
-  { name: "Kenya", code: "KE" },
-  { name: "Kiribati", code: "KI" },
-  { name: "Korea, Democratic People's Republic of", code: "KP" },
-  { name: "Korea, Republic of", code: "KR" },
-  { name: "Kuwait", code: "KW" },
-  { name: "Kyrgyzstan", code: "KG" },
-  { name: "Lao People's Democratic Republic", code: "LA" },
-  { name: "Latvia", code: "LV" },
-  { name: "Lebanon", code: "LB" },
-  { name: "Lesotho", code: "LS" },
-  { name: "Liberia", code: "LR" },
-  { name: "Libyan Arab Jamahiriya", code: "LY" },
-  { name: "Liechtenstein", code: "LI" },
-  { name: "Lithuania", code: "LT" },
-  { name: "Luxembourg", code: "LU" },
-  { name: "Macao", code: "MO" },
-  { name: "Macedonia, The Former Yugoslav Republic of", code: "MK" },
-  { name: "Madagascar", code: "MG" },
-  { name: "Malawi", code: "MW" },
-  { name: "Malaysia", code: "MY" },
-  { name: "Maldives", code: "MV" },
-  { name: "Mali", code: "ML" },
-  { name: "Malta", code: "MT" },
-  { name: "Marshall Islands", code: "MH" },
-  { name: "Martinique", code: "MQ" },
-  { name: "Mauritania", code: "MR" },
-  { name: "Mauritius", code: "MU" },
-  { name: "Mayotte", code: "YT" },
-  { name: "Mexico", code: "MX" },
-  { name: "Micronesia, Federated States of", code: "FM" },
-  { name: "Moldova, Republic of", code: "MD" },
-  { name: "Monaco", code: "MC" },
-  { name: "Mongolia", code: "MN" },
-  { name: "Montenegro", code: "ME" },
-  { name: "Montserrat", code: "MS" },
-  { name: "Morocco", code: "MA" },
-  { name: "Mozambique", code: "MZ" },
-  { name: "Myanmar", code: "MM" },
-  { name: "Namibia", code: "NA" },
-  { name: "Nauru", code: "NR" },
-  { name: "Nepal", code: "NP" },
-  { name: "Netherlands", code: "NL" },
-  { name: "New Caledonia", code: "NC" },
-  { name: "New Zealand", code: "NZ" },
-  { name: "Nicaragua", code: "NI" },
-  { name: "Niger", code: "NE" },
-  { name: "Nigeria", code: "NG" },
-  { name: "Niue", code: "NU" },
-  { name: "Norfolk Island", code: "NF" },
-  { name: "Northern Mariana Islands", code: "MP" },
-  { name: "Norway", code: "NO" },
-  { name: "Oman", code: "OM" },
-  { name: "Pakistan", code: "PK" },
-  { name: "Palau", code: "PW" },
-  { name: "Palestinian Territory, Occupied", code: "PS" },
-  { name: "Panama", code: "PA" },
-  { name: "Papua New Guinea", code: "PG" },
-  { name: "Paraguay", code: "PY" },
-  { name: "Peru", code: "PE" },
-  { name: "Philippines", code: "PH" },
-  { name: "Pitcairn", code: "PN" },
-  { name: "Poland", code: "PL" },
-  { name: "Portugal", code: "PT" },
-  { name: "Puerto Rico", code: "PR" },
-  { name: "Qatar", code: "QA" },
-  { name: "Réunion", code: "RE" },
-  { name: "Romania", code: "RO" },
-  { name: "Russian Federation", code: "RU" },
-  { name: "Rwanda", code: "RW" },
-  { name: "Saint Helena", code: "SH" },
-  { name: "Saint Kitts and Nevis", code: "KN" },
-  { name: "Saint Lucia", code: "LC" },
-  { name: "Saint Pierre and Miquelon", code: "PM" },
-  { name: "Saint Vincent and the Grenadines", code: "VC" },
-  { name: "Samoa", code: "WS" },
-  { name: "San Marino", code: "SM" },
-  { name: "Sao Tome and Principe", code: "ST" },
-  { name: "Saudi Arabia", code: "SA" },
-  { name: "Senegal", code: "SN" },
-  { name: "Serbia", code: "RS" },
-  { name: "Seychelles", code: "SC" },
-  { name: "Sierra Leone", code: "SL" },
-  { name: "Singapore", code: "SG" },
-  { name: "Slovakia", code: "SK" },
-  { name: "Slovenia", code: "SI" },
-  { name: "Solomon Islands", code: "SB" },
-  { name: "Somalia", code: "SO" },
-  { name: "South Africa", code: "ZA" },
-  { name: "South Georgia and the South Sandwich Islands", code: "GS" },
-  { name: "South Sudan", code: "SS" },
-  { name: "Spain", code: "ES" },
-  { name: "Sri Lanka", code: "LK" },
-  { name: "Sudan", code: "SD" },
-  { name: "Suriname", code: "SR" },
-  { name: "Svalbard and Jan Mayen", code: "SJ" },
-  { name: "Swaziland", code: "SZ" },
-  { name: "Sweden", code: "SE" },
-  { name: "Switzerland", code: "CH" },
-  { name: "Syrian Arab Republic", code: "SY" },
-  { name: "Taiwan", code: "TW" },
-  { name: "Tajikistan", code: "TJ" },
-  { name: "Tanzania, United Republic of", code: "TZ" },
-  { name: "Thailand", code: "TH" },
-  { name: "Timor-Leste", code: "TL" },
-  { name: "Togo", code: "TG" },
-  { name: "Tokelau", code: "TK" },
-  { name: "Tonga", code: "TO" },
-  { name: "Trinidad and Tobago", code: "TT" },
-  { name: "Tunisia", code: "TN" },
-  { name: "Turkey", code: "TR" },
-  { name: "Turkmenistan", code: "TM" },
-  { name: "Turks and Caicos Islands", code: "TC" },
-  { name: "Tuvalu", code: "TV" },
-  { name: "Uganda", code: "UG" },
-  { name: "Ukraine", code: "UA" },
-  { name: "United Arab Emirates", code: "AE" },
-  { name: "United Kingdom", code: "GB" },
-  { name: "United States", code: "US" },
-  { name: "United States Minor Outlying Islands", code: "UM" },
-  { name: "Uruguay", code: "UY" },
-  { name: "Uzbekistan", code: "UZ" },
-  { name: "Vanuatu", code: "VU" },
-  { name: "Venezuela", code: "VE" },
-  { name: "Vietnam", code: "VN" },
-  { name: "Virgin Islands, British", code: "VG" },
-  { name: "Virgin Islands, U.S.", code: "VI" },
-  { name: "Wallis and Futuna", code: "WF" },
-  { name: "Western Sahara", code: "EH" },
-  { name: "Yemen", code: "YE" },
-  { name: "Zambia", code: "ZM" },
-  { name: "Zimbabwe", code: "ZW" }
+  { name: "Afghanistan", code: "AF", alpha3: "AFG", numeric: "004", continent: "Asia", region: "Asia", subregion: "Southern Asia", capital: "Kabul", tld: ".af", dialCode: "+93" },
+  { name: "Åland Islands", code: "AX", alpha3: "ALA", numeric: "248", continent: "Europe", region: "Europe", subregion: "Northern Europe", capital: "Mariehamn", tld: ".ax", dialCode: "+358" },
+  { name: "Albania", code: "AL", alpha3: "ALB", numeric: "008", continent: "Europe", region: "Europe", subregion: "Southeast Europe", capital: "Tirana", tld: ".al", dialCode: "+355" },
+  { name: "Algeria", code: "DZ", alpha3: "DZA", numeric: "012", continent: "Africa", region: "Africa", subregion: "Northern Africa", capital: "Algiers", tld: ".dz", dialCode: "+213" },
+  { name: "American Samoa", code: "AS", alpha3: "ASM", numeric: "016", continent: "Oceania", region: "Oceania", subregion: "Polynesia", capital: "Pago Pago", tld: ".as", dialCode: "+1" },
+  { name: "Andorra", code: "AD", alpha3: "AND", numeric: "020", continent: "Europe", region: "Europe", subregion: "Southern Europe", capital: "Andorra la Vella", tld: ".ad", dialCode: "+376" },
+  { name: "Angola", code: "AO", alpha3: "AGO", numeric: "024", continent: "Africa", region: "Africa", subregion: "Middle Africa", capital: "Luanda", tld: ".ao", dialCode: "+244" },
+  { name: "Anguilla", code: "AI", alpha3: "AIA", numeric: "660", continent: "North America", region: "Americas", subregion: "Caribbean", capital: "The Valley", tld: ".ai", dialCode: "+1" },
+  { name: "Antarctica", code: "AQ", alpha3: "ATA", numeric: "010", continent: "Antarctica", region: "Antarctic", subregion: null, capital: null, tld: ".aq", dialCode: null },
+  { name: "Antigua and Barbuda", code: "AG", alpha3: "ATG", numeric: "028", continent: "North America", region: "Americas", subregion: "Caribbean", capital: "Saint John's", tld: ".ag", dialCode: "+1" },
+  { name: "Argentina", code: "AR", alpha3: "ARG", numeric: "032", continent: "South America", region: "Americas", subregion: "South America", capital: "Buenos Aires", tld: ".ar", dialCode: "+54" },
+  { name: "Armenia", code: "AM", alpha3: "ARM", numeric: "051", continent: "Asia", region: "Asia", subregion: "Western Asia", capital: "Yerevan", tld: ".am", dialCode: "+374" },
+  { name: "Aruba", code: "AW", alpha3: "ABW", numeric: "533", continent: "North America", region: "Americas", subregion: "Caribbean", capital: "Oranjestad", tld: ".aw", dialCode: "+297" },
+  { name: "Australia", code: "AU", alpha3: "AUS", numeric: "036", continent: "Oceania", region: "Oceania", subregion: "Australia and New Zealand", capital: "Canberra", tld: ".au", dialCode: "+61" },
+  { name: "Austria", code: "AT", alpha3: "AUT", numeric: "040", continent: "Europe", region: "Europe", subregion: "Central Europe", capital: "Vienna", tld: ".at", dialCode: "+43" },
+  { name: "Azerbaijan", code: "AZ", alpha3: "AZE", numeric: "031", continent: "Asia", region: "Asia", subregion: "Western Asia", capital: "Baku", tld: ".az", dialCode: "+994" },
+  { name: "Bahamas", code: "BS", alpha3: "BHS", numeric: "044", continent: "North America", region: "Americas", subregion: "Caribbean", capital: "Nassau", tld: ".bs", dialCode: "+1" },
+  { name: "Bahrain", code: "BH", alpha3: "BHR", numeric: "048", continent: "Asia", region: "Asia", subregion: "Western Asia", capital: "Manama", tld: ".bh", dialCode: "+973" },
+  { name: "Bangladesh", code: "BD", alpha3: "BGD", numeric: "050", continent: "Asia", region: "Asia", subregion: "Southern Asia", capital: "Dhaka", tld: ".bd", dialCode: "+880" },
+  { name: "Barbados", code: "BB", alpha3: "BRB", numeric: "052", continent: "North America", region: "Americas", subregion: "Caribbean", capital: "Bridgetown", tld: ".bb", dialCode: "+1" },
+  { name: "Belarus", code: "BY", alpha3: "BLR", numeric: "112", continent: "Europe", region: "Europe", subregion: "Eastern Europe", capital: "Minsk", tld: ".by", dialCode: "+375" },
+  { name: "Belgium", code: "BE", alpha3: "BEL", numeric: "056", continent: "Europe", region: "Europe", subregion: "Western Europe", capital: "Brussels", tld: ".be", dialCode: "+32" },
+  { name: "Belize", code: "BZ", alpha3: "BLZ", numeric: "084", continent: "North America", region: "Americas", subregion: "Central America", capital: "Belmopan", tld: ".bz", dialCode: "+501" },
+  { name: "Benin", code: "BJ", alpha3: "BEN", numeric: "204", continent: "Africa", region: "Africa", subregion: "Western Africa", capital: "Porto-Novo", tld: ".bj", dialCode: "+229" },
+  { name: "Bermuda", code: "BM", alpha3: "BMU", numeric: "060", continent: "North America", region: "Americas", subregion: "North America", capital: "Hamilton", tld: ".bm", dialCode: "+1" },
+  { name: "Bhutan", code: "BT", alpha3: "BTN", numeric: "064", continent: "Asia", region: "Asia", subregion: "Southern Asia", capital: "Thimphu", tld: ".bt", dialCode: "+975" },
+  { name: "Bolivia", code: "BO", alpha3: "BOL", numeric: "068", continent: "South America", region: "Americas", subregion: "South America", capital: "Sucre", tld: ".bo", dialCode: "+591" },
+  { name: "Bonaire, Sint Eustatius and Saba", code: "BQ", alpha3: "BES", numeric: "535", continent: "North America", region: "Americas", subregion: "Caribbean", capital: "Kralendijk", tld: ".bq", dialCode: "+599" },
+  { name: "Bosnia and Herzegovina", code: "BA", alpha3: "BIH", numeric: "070", continent: "Europe", region: "Europe", subregion: "Southeast Europe", capital: "Sarajevo", tld: ".ba", dialCode: "+387" },
+  { name: "Botswana", code: "BW", alpha3: "BWA", numeric: "072", continent: "Africa", region: "Africa", subregion: "Southern Africa", capital: "Gaborone", tld: ".bw", dialCode: "+267" },
+  { name: "Bouvet Island", code: "BV", alpha3: "BVT", numeric: "074", continent: "Antarctica", region: "Antarctic", subregion: null, capital: null, tld: ".bv", dialCode: "+47" },
+  { name: "Brazil", code: "BR", alpha3: "BRA", numeric: "076", continent: "South America", region: "Americas", subregion: "South America", capital: "Brasília", tld: ".br", dialCode: "+55" },
+  { name: "British Indian Ocean Territory", code: "IO", alpha3: "IOT", numeric: "086", continent: "Africa", region: "Africa", subregion: "Eastern Africa", capital: "Diego Garcia", tld: ".io", dialCode: "+246" },
+  { name: "Brunei Darussalam", code: "BN", alpha3: "BRN", numeric: "096", continent: "Asia", region: "Asia", subregion: "South-Eastern Asia", capital: "Bandar Seri Begawan", tld: ".bn", dialCode: "+673" },
+  { name: "Bulgaria", code: "BG", alpha3: "BGR", numeric: "100", continent: "Europe", region: "Europe", subregion: "Southeast Europe", capital: "Sofia", tld: ".bg", dialCode: "+359" },
+  { name: "Burkina Faso", code: "BF", alpha3: "BFA", numeric: "854", continent: "Africa", region: "Africa", subregion: "Western Africa", capital: "Ouagadougou", tld: ".bf", dialCode: "+226" },
+  { name: "Burundi", code: "BI", alpha3: "BDI", numeric: "108", continent: "Africa", region: "Africa", subregion: "Eastern Africa", capital: "Gitega", tld: ".bi", dialCode: "+257" },
+  { name: "Cambodia", code: "KH", alpha3: "KHM", numeric: "116", continent: "Asia", region: "Asia", subregion: "South-Eastern Asia", capital: "Phnom Penh", tld: ".kh", dialCode: "+855" },
+  { name: "Cameroon", code: "CM", alpha3: "CMR", numeric: "120", continent: "Africa", region: "Africa", subregion: "Middle Africa", capital: "Yaoundé", tld: ".cm", dialCode: "+237" },
+  { name: "Canada", code: "CA", alpha3: "CAN", numeric: "124", continent: "North America", region: "Americas", subregion: "North America", capital: "Ottawa", tld: ".ca", dialCode: "+1" },
+  { name: "Cape Verde", code: "CV", alpha3: "CPV", numeric: "132", continent: "Africa", region: "Africa", subregion: "Western Africa", capital: "Praia", tld: ".cv", dialCode: "+238" },
+  { name: "Cayman Islands", code: "KY", alpha3: "CYM", numeric: "136", continent: "North America", region: "Americas", subregion: "Caribbean", capital: "George Town", tld: ".ky", dialCode: "+1" },
+  { name: "Central African Republic", code: "CF", alpha3: "CAF", numeric: "140", continent: "Africa", region: "Africa", subregion: "Middle Africa", capital: "Bangui", tld: ".cf", dialCode: "+236" },
+  { name: "Chad", code: "TD", alpha3: "TCD", numeric: "148", continent: "Africa", region: "Africa", subregion: "Middle Africa", capital: "N'Djamena", tld: ".td", dialCode: "+235" },
+  { name: "Chile", code: "CL", alpha3: "CHL", numeric: "152", continent: "South America", region: "Americas", subregion: "South America", capital: "Santiago", tld: ".cl", dialCode: "+56" },
+  { name: "China", code: "CN", alpha3: "CHN", numeric: "156", continent: "Asia", region: "Asia", subregion: "Eastern Asia", capital: "Beijing", tld: ".cn", dialCode: "+86" },
+  { name: "Christmas Island", code: "CX", alpha3: "CXR", numeric: "162", continent: "Oceania", region: "Oceania", subregion: "Australia and New Zealand", capital: "Flying Fish Cove", tld: ".cx", dialCode: "+61" },
+  { name: "Cocos (Keeling) Islands", code: "CC", alpha3: "CCK", numeric: "166", continent: "Oceania", region: "Oceania", subregion: "Australia and New Zealand", capital: "West Island", tld: ".cc", dialCode: "+61" },
+  { name: "Colombia", code: "CO", alpha3: "COL", numeric: "170", continent: "South America", region: "Americas", subregion: "South America", capital: "Bogotá", tld: ".co", dialCode: "+57" },
+  { name: "Comoros", code: "KM", alpha3: "COM", numeric: "174", continent: "Africa", region: "Africa", subregion: "Eastern Africa", capital: "Moroni", tld: ".km", dialCode: "+269" },
+  { name: "Congo", code: "CG", alpha3: "COG", numeric: "178", continent: "Africa", region: "Africa", subregion: "Middle Africa", capital: "Brazzaville", tld: ".cg", dialCode: "+242" },
+  { name: "Congo, The Democratic Republic of the", code: "CD", alpha3: "COD", numeric: "180", continent: "Africa", region: "Africa", subregion: "Middle Africa", capital: "Kinshasa", tld: ".cd", dialCode: "+243" },
+  { name: "Cook Islands", code: "CK", alpha3: "COK", numeric: "184", continent: "Oceania", region: "Oceania", subregion: "Polynesia", capital: "Avarua", tld: ".ck", dialCode: "+682" },
+  { name: "Costa Rica", code: "CR", alpha3: "CRI", numeric: "188", continent: "North America", region: "Americas", subregion: "Central America", capital: "San José", tld: ".cr", dialCode: "+506" },
+  { name: "Côte d'Ivoire", code: "CI", alpha3: "CIV", numeric: "384", continent: "Africa", region: "Africa", subregion: "Western Africa", capital: "Yamoussoukro", tld: ".ci", dialCode: "+225" },
+  { name: "Croatia", code: "HR", alpha3: "HRV", numeric: "191", continent: "Europe", region: "Europe", subregion: "Southeast Europe", capital: "Zagreb", tld: ".hr", dialCode: "+385" },
+  { name: "Cuba", code: "CU", alpha3: "CUB", numeric: "192", continent: "North America", region: "Americas", subregion: "Caribbean", capital: "Havana", tld: ".cu", dialCode: "+53" },
+  { name: "Curaçao", code: "CW", alpha3: "CUW", numeric: "531", continent: "North America", region: "Americas", subregion: "Caribbean", capital: "Willemstad", tld: ".cw", dialCode: "+599" },
+  { name: "Cyprus", code: "CY", alpha3: "CYP", numeric: "196", continent: "Europe", region: "Europe", subregion: "Southern Europe", capital: "Nicosia", tld: ".cy", dialCode: "+357" },
+  { name: "Czech Republic", code: "CZ", alpha3: "CZE", numeric: "203", continent: "Europe", region: "Europe", subregion: "Central Europe", capital: "Prague", tld: ".cz", dialCode: "+420" },
+  { name: "Denmark", code: "DK", alpha3: "DNK", numeric: "208", continent: "Europe", region: "Europe", subregion: "Northern Europe", capital: "Copenhagen", tld: ".dk", dialCode: "+45" },
+  { name: "Djibouti", code: "DJ", alpha3: "DJI", numeric: "262", continent: "Africa", region: "Africa", subregion: "Eastern Africa", capital: "Djibouti", tld: ".dj", dialCode: "+253" },
+  { name: "Dominica", code: "DM", alpha3: "DMA", numeric: "212", continent: "North America", region: "Americas", subregion: "Caribbean", capital: "Roseau", tld: ".dm", dialCode: "+1" },
+  { name: "Dominican Republic", code: "DO", alpha3: "DOM", numeric: "214", continent: "North America", region: "Americas", subregion: "Caribbean", capital: "Santo Domingo", tld: ".do", dialCode: "+1" },
+  { name: "Ecuador", code: "EC", alpha3: "ECU", numeric: "218", continent: "South America", region: "Americas", subregion: "South America", capital: "Quito", tld: ".ec", dialCode: "+593" },
+  { name: "Egypt", code: "EG", alpha3: "EGY", numeric: "818", continent: "Africa", region: "Africa", subregion: "Northern Africa", capital: "Cairo", tld: ".eg", dialCode: "+20" },
+  { name: "El Salvador", code: "SV", alpha3: "SLV", numeric: "222", continent: "North America", region: "Americas", subregion: "Central America", capital: "San Salvador", tld: ".sv", dialCode: "+503" },
+  { name: "Equatorial Guinea", code: "GQ", alpha3: "GNQ", numeric: "226", continent: "Africa", region: "Africa", subregion: "Middle Africa", capital: "Malabo", tld: ".gq", dialCode: "+240" },
+  { name: "Eritrea", code: "ER", alpha3: "ERI", numeric: "232", continent: "Africa", region: "Africa", subregion: "Eastern Africa", capital: "Asmara", tld: ".er", dialCode: "+291" },
+  { name: "Estonia", code: "EE", alpha3: "EST", numeric: "233", continent: "Europe", region: "Europe", subregion: "Northern Europe", capital: "Tallinn", tld: ".ee", dialCode: "+372" },
+  { name: "Ethiopia", code: "ET", alpha3: "ETH", numeric: "231", continent: "Africa", region: "Africa", subregion: "Eastern Africa", capital: "Addis Ababa", tld: ".et", dialCode: "+251" },
+  { name: "Falkland Islands (Malvinas)", code: "FK", alpha3: "FLK", numeric: "238", continent: "South America", region: "Americas", subregion: "South America", capital: "Stanley", tld: ".fk", dialCode: "+500" },
+  { name: "Faroe Islands", code: "FO", alpha3: "FRO", numeric: "234", continent: "Europe", region: "Europe", subregion: "Northern Europe", capital: "Tórshavn", tld: ".fo", dialCode: "+298" },
+  { name: "Fiji", code: "FJ", alpha3: "FJI", numeric: "242", continent: "Oceania", region: "Oceania", subregion: "Melanesia", capital: "Suva", tld: ".fj", dialCode: "+679" },
+  { name: "Finland", code: "FI", alpha3: "FIN", numeric: "246", continent: "Europe", region: "Europe", subregion: "Northern Europe", capital: "Helsinki", tld: ".fi", dialCode: "+358" },
+  { name: "France", code: "FR", alpha3: "FRA", numeric: "250", continent: "Europe", region: "Europe", subregion: "Western Europe", capital: "Paris", tld: ".fr", dialCode: "+33" },
+  { name: "French Guiana", code: "GF", alpha3: "GUF", numeric: "254", continent: "South America", region: "Americas", subregion: "South America", capital: "Cayenne", tld: ".gf", dialCode: "+594" },
+  { name: "French Polynesia", code: "PF", alpha3: "PYF", numeric: "258", continent: "Oceania", region: "Oceania", subregion: "Polynesia", capital: "Papeetē", tld: ".pf", dialCode: "+689" },
+  { name: "French Southern Territories", code: "TF", alpha3: "ATF", numeric: "260", continent: "Antarctica", region: "Antarctic", subregion: null, capital: "Port-aux-Français", tld: ".tf", dialCode: "+262" },
+  { name: "Gabon", code: "GA", alpha3: "GAB", numeric: "266", continent: "Africa", region: "Africa", subregion: "Middle Africa", capital: "Libreville", tld: ".ga", dialCode: "+241" },
+  { name: "Gambia", code: "GM", alpha3: "GMB", numeric: "270", continent: "Africa", region: "Africa", subregion: "Western Africa", capital: "Banjul", tld: ".gm", dialCode: "+220" },
+  { name: "Georgia", code: "GE", alpha3: "GEO", numeric: "268", continent: "Asia", region: "Asia", subregion: "Western Asia", capital: "Tbilisi", tld: ".ge", dialCode: "+995" },
+  { name: "Germany", code: "DE", alpha3: "DEU", numeric: "276", continent: "Europe", region: "Europe", subregion: "Western Europe", capital: "Berlin", tld: ".de", dialCode: "+49" },
+  { name: "Ghana", code: "GH", alpha3: "GHA", numeric: "288", continent: "Africa", region: "Africa", subregion: "Western Africa", capital: "Accra", tld: ".gh", dialCode: "+233" },
+  { name: "Gibraltar", code: "GI", alpha3: "GIB", numeric: "292", continent: "Europe", region: "Europe", subregion: "Southern Europe", capital: "Gibraltar", tld: ".gi", dialCode: "+350" },
+  { name: "Greece", code: "GR", alpha3: "GRC", numeric: "300", continent: "Europe", region: "Europe", subregion: "Southern Europe", capital: "Athens", tld: ".gr", dialCode: "+30" },
+  { name: "Greenland", code: "GL", alpha3: "GRL", numeric: "304", continent: "North America", region: "Americas", subregion: "North America", capital: "Nuuk", tld: ".gl", dialCode: "+299" },
+  { name: "Grenada", code: "GD", alpha3: "GRD", numeric: "308", continent: "North America", region: "Americas", subregion: "Caribbean", capital: "St. George's", tld: ".gd", dialCode: "+1" },
+  { name: "Guadeloupe", code: "GP", alpha3: "GLP", numeric: "312", continent: "North America", region: "Americas", subregion: "Caribbean", capital: "Basse-Terre", tld: ".gp", dialCode: "+590" },
+  { name: "Guam", code: "GU", alpha3: "GUM", numeric: "316", continent: "Oceania", region: "Oceania", subregion: "Micronesia", capital: "Hagåtña", tld: ".gu", dialCode: "+1" },
+  { name: "Guatemala", code: "GT", alpha3: "GTM", numeric: "320", continent: "North America", region: "Americas", subregion: "Central America", capital: "Guatemala City", tld: ".gt", dialCode: "+502" },
+  { name: "Guernsey", code: "GG", alpha3: "GGY", numeric: "831", continent: "Europe", region: "Europe", subregion: "Northern Europe", capital: "St. Peter Port", tld: ".gg", dialCode: "+44" },
+  { name: "Guinea", code: "GN", alpha3: "GIN", numeric: "324", continent: "Africa", region: "Africa", subregion: "Western Africa", capital: "Conakry", tld: ".gn", dialCode: "+224" },
+  { name: "Guinea-Bissau", code: "GW", alpha3: "GNB", numeric: "624", continent: "Africa", region: "Africa", subregion: "Western Africa", capital: "Bissau", tld: ".gw", dialCode: "+245" },
+  { name: "Guyana", code: "GY", alpha3: "GUY", numeric: "328", continent: "South America", region: "Americas", subregion: "South America", capital: "Georgetown", tld: ".gy", dialCode: "+592" },
+  { name: "Haiti", code: "HT", alpha3: "HTI", numeric: "332", continent: "North America", region: "Americas", subregion: "Caribbean", capital: "Port-au-Prince", tld: ".ht", dialCode: "+509" },
+  { name: "Heard Island and McDonald Islands", code: "HM", alpha3: "HMD", numeric: "334", continent: "Antarctica", region: "Antarctic", subregion: null, capital: null, tld: ".hm", dialCode: null },
+  { name: "Holy See (Vatican City State)", code: "VA", alpha3: "VAT", numeric: "336", continent: "Europe", region: "Europe", subregion: "Southern Europe", capital: "Vatican City", tld: ".va", dialCode: "+39" },
+  { name: "Honduras", code: "HN", alpha3: "HND", numeric: "340", continent: "North America", region: "Americas", subregion: "Central America", capital: "Tegucigalpa", tld: ".hn", dialCode: "+504" },
+  { name: "Hong Kong", code: "HK", alpha3: "HKG", numeric: "344", continent: "Asia", region: "Asia", subregion: "Eastern Asia", capital: "City of Victoria", tld: ".hk", dialCode: "+852" },
+  { name: "Hungary", code: "HU", alpha3: "HUN", numeric: "348", continent: "Europe", region: "Europe", subregion: "Central Europe", capital: "Budapest", tld: ".hu", dialCode: "+36" },
+  { name: "Iceland", code: "IS", alpha3: "ISL", numeric: "352", continent: "Europe", region: "Europe", subregion: "Northern Europe", capital: "Reykjavik", tld: ".is", dialCode: "+354" },
+  { name: "India", code: "IN", alpha3: "IND", numeric: "356", continent: "Asia", region: "Asia", subregion: "Southern Asia", capital: "New Delhi", tld: ".in", dialCode: "+91" },
+  { name: "Indonesia", code: "ID", alpha3: "IDN", numeric: "360", continent: "Asia", region: "Asia", subregion: "South-Eastern Asia", capital: "Jakarta", tld: ".id", dialCode: "+62" },
+  { name: "Iran, Islamic Republic of", code: "IR", alpha3: "IRN", numeric: "364", continent: "Asia", region: "Asia", subregion: "Southern Asia", capital: "Tehran", tld: ".ir", dialCode: "+98" },
+  { name: "Iraq", code: "IQ", alpha3: "IRQ", numeric: "368", continent: "Asia", region: "Asia", subregion: "Western Asia", capital: "Baghdad", tld: ".iq", dialCode: "+964" },
+  { name: "Ireland", code: "IE", alpha3: "IRL", numeric: "372", continent: "Europe", region: "Europe", subregion: "Northern Europe", capital: "Dublin", tld: ".ie", dialCode: "+353" },
+  { name: "Isle of Man", code: "IM", alpha3: "IMN", numeric: "833", continent: "Europe", region: "Europe", subregion: "Northern Europe", capital: "Douglas", tld: ".im", dialCode: "+44" },
+  { name: "Israel", code: "IL", alpha3: "ISR", numeric: "376", continent: "Asia", region: "Asia", subregion: "Western Asia", capital: "Jerusalem", tld: ".il", dialCode: "+972" },
+  { name: "Italy", code: "IT", alpha3: "ITA", numeric: "380", continent: "Europe", region: "Europe", subregion: "Southern Europe", capital: "Rome", tld: ".it", dialCode: "+39" },
+  { name: "Jamaica", code: "JM", alpha3: "JAM", numeric: "388", continent: "North America", region: "Americas", subregion: "Caribbean", capital: "Kingston", tld: ".jm", dialCode: "+1" },
+  { name: "Japan", code: "JP", alpha3: "JPN", numeric: "392", continent: "Asia", region: "Asia", subregion: "Eastern Asia", capital: "Tokyo", tld: ".jp", dialCode: "+81" },
+  { name: "Jersey", code: "JE", alpha3: "JEY", numeric: "832", continent: "Europe", region: "Europe", subregion: "Northern Europe", capital: "Saint Helier", tld: ".je", dialCode: "+44" },
+  { name: "Jordan", code: "JO", alpha3: "JOR", numeric: "400", continent: "Asia", region: "Asia", subregion: "Western Asia", capital: "Amman", tld: ".jo", dialCode: "+962" },
+  { name: "Kazakhstan", code: "KZ", alpha3: "KAZ", numeric: "398", continent: "Asia", region: "Asia", subregion: "Central Asia", capital: "Astana", tld: ".kz", dialCode: "+7" },
+  { name: "Kenya", code: "KE", alpha3: "KEN", numeric: "404", continent: "Africa", region: "Africa", subregion: "Eastern Africa", capital: "Nairobi", tld: ".ke", dialCode: "+254" },
+  { name: "Kiribati", code: "KI", alpha3: "KIR", numeric: "296", continent: "Oceania", region: "Oceania", subregion: "Micronesia", capital: "South Tarawa", tld: ".ki", dialCode: "+686" },
+  { name: "Korea, Democratic People's Republic of", code: "KP", alpha3: "PRK", numeric: "408", continent: "Asia", region: "Asia", subregion: "Eastern Asia", capital: "Pyongyang", tld: ".kp", dialCode: "+850" },
+  { name: "Korea, Republic of", code: "KR", alpha3: "KOR", numeric: "410", continent: "Asia", region: "Asia", subregion: "Eastern Asia", capital: "Seoul", tld: ".kr", dialCode: "+82" },
+  { name: "Kuwait", code: "KW", alpha3: "KWT", numeric: "414", continent: "Asia", region: "Asia", subregion: "Western Asia", capital: "Kuwait City", tld: ".kw", dialCode: "+965" },
+  { name: "Kyrgyzstan", code: "KG", alpha3: "KGZ", numeric: "417", continent: "Asia", region: "Asia", subregion: "Central Asia", capital: "Bishkek", tld: ".kg", dialCode: "+996" },
+  { name: "Lao People's Democratic Republic", code: "LA", alpha3: "LAO", numeric: "418", continent: "Asia", region: "Asia", subregion: "South-Eastern Asia", capital: "Vientiane", tld: ".la", dialCode: "+856" },
+  { name: "Latvia", code: "LV", alpha3: "LVA", numeric: "428", continent: "Europe", region: "Europe", subregion: "Northern Europe", capital: "Riga", tld: ".lv", dialCode: "+371" },
+  { name: "Lebanon", code: "LB", alpha3: "LBN", numeric: "422", continent: "Asia", region: "Asia", subregion: "Western Asia", capital: "Beirut", tld: ".lb", dialCode: "+961" },
+  { name: "Lesotho", code: "LS", alpha3: "LSO", numeric: "426", continent: "Africa", region: "Africa", subregion: "Southern Africa", capital: "Maseru", tld: ".ls", dialCode: "+266" },
+  { name: "Liberia", code: "LR", alpha3: "LBR", numeric: "430", continent: "Africa", region: "Africa", subregion: "Western Africa", capital: "Monrovia", tld: ".lr", dialCode: "+231" },
+  { name: "Libyan Arab Jamahiriya", code: "LY", alpha3: "LBY", numeric: "434", continent: "Africa", region: "Africa", subregion: "Northern Africa", capital: "Tripoli", tld: ".ly", dialCode: "+218" },
+  { name: "Liechtenstein", code: "LI", alpha3: "LIE", numeric: "438", continent: "Europe", region: "Europe", subregion: "Western Europe", capital: "Vaduz", tld: ".li", dialCode: "+423" },
+  { name: "Lithuania", code: "LT", alpha3: "LTU", numeric: "440", continent: "Europe", region: "Europe", subregion: "Northern Europe", capital: "Vilnius", tld: ".lt", dialCode: "+370" },
+  { name: "Luxembourg", code: "LU", alpha3: "LUX", numeric: "442", continent: "Europe", region: "Europe", subregion: "Western Europe", capital: "Luxembourg", tld: ".lu", dialCode: "+352" },
+  { name: "Macao", code: "MO", alpha3: "MAC", numeric: "446", continent: "Asia", region: "Asia", subregion: "Eastern Asia", capital: null, tld: ".mo", dialCode: "+853" },
+  { name: "Macedonia, The Former Yugoslav Republic of", code: "MK", alpha3: "MKD", numeric: "807", continent: "Europe", region: "Europe", subregion: "Southeast Europe", capital: "Skopje", tld: ".mk", dialCode: "+389" },
+  { name: "Madagascar", code: "MG", alpha3: "MDG", numeric: "450", continent: "Africa", region: "Africa", subregion: "Eastern Africa", capital: "Antananarivo", tld: ".mg", dialCode: "+261" },
+  { name: "Malawi", code: "MW", alpha3: "MWI", numeric: "454", continent: "Africa", region: "Africa", subregion: "Eastern Africa", capital: "Lilongwe", tld: ".mw", dialCode: "+265" },
+  { name: "Malaysia", code: "MY", alpha3: "MYS", numeric: "458", continent: "Asia", region: "Asia", subregion: "South-Eastern Asia", capital: "Kuala Lumpur", tld: ".my", dialCode: "+60" },
+  { name: "Maldives", code: "MV", alpha3: "MDV", numeric: "462", continent: "Asia", region: "Asia", subregion: "Southern Asia", capital: "Malé", tld: ".mv", dialCode: "+960" },
+  { name: "Mali", code: "ML", alpha3: "MLI", numeric: "466", continent: "Africa", region: "Africa", subregion: "Western Africa", capital: "Bamako", tld: ".ml", dialCode: "+223" },
+  { name: "Malta", code: "MT", alpha3: "MLT", numeric: "470", continent: "Europe", region: "Europe", subregion: "Southern Europe", capital: "Valletta", tld: ".mt", dialCode: "+356" },
+  { name: "Marshall Islands", code: "MH", alpha3: "MHL", numeric: "584", continent: "Oceania", region: "Oceania", subregion: "Micronesia", capital: "Majuro", tld: ".mh", dialCode: "+692" },
+  { name: "Martinique", code: "MQ", alpha3: "MTQ", numeric: "474", continent: "North America", region: "Americas", subregion: "Caribbean", capital: "Fort-de-France", tld: ".mq", dialCode: "+596" },
+  { name: "Mauritania", code: "MR", alpha3: "MRT", numeric: "478", continent: "Africa", region: "Africa", subregion: "Western Africa", capital: "Nouakchott", tld: ".mr", dialCode: "+222" },
+  { name: "Mauritius", code: "MU", alpha3: "MUS", numeric: "480", continent: "Africa", region: "Africa", subregion: "Eastern Africa", capital: "Port Louis", tld: ".mu", dialCode: "+230" },
+  { name: "Mayotte", code: "YT", alpha3: "MYT", numeric: "175", continent: "Africa", region: "Africa", subregion: "Eastern Africa", capital: "Mamoudzou", tld: ".yt", dialCode: "+262" },
+  { name: "Mexico", code: "MX", alpha3: "MEX", numeric: "484", continent: "North America", region: "Americas", subregion: "North America", capital: "Mexico City", tld: ".mx", dialCode: "+52" },
+  { name: "Micronesia, Federated States of", code: "FM", alpha3: "FSM", numeric: "583", continent: "Oceania", region: "Oceania", subregion: "Micronesia", capital: "Palikir", tld: ".fm", dialCode: "+691" },
+  { name: "Moldova, Republic of", code: "MD", alpha3: "MDA", numeric: "498", continent: "Europe", region: "Europe", subregion: "Eastern Europe", capital: "Chișinău", tld: ".md", dialCode: "+373" },
+  { name: "Monaco", code: "MC", alpha3: "MCO", numeric: "492", continent: "Europe", region: "Europe", subregion: "Western Europe", capital: "Monaco", tld: ".mc", dialCode: "+377" },
+  { name: "Mongolia", code: "MN", alpha3: "MNG", numeric: "496", continent: "Asia", region: "Asia", subregion: "Eastern Asia", capital: "Ulan Bator", tld: ".mn", dialCode: "+976" },
+  { name: "Montenegro", code: "ME", alpha3: "MNE", numeric: "499", continent: "Europe", region: "Europe", subregion: "Southeast Europe", capital: "Podgorica", tld: ".me", dialCode: "+382" },
+  { name: "Montserrat", code: "MS", alpha3: "MSR", numeric: "500", continent: "North America", region: "Americas", subregion: "Caribbean", capital: "Plymouth", tld: ".ms", dialCode: "+1" },
+  { name: "Morocco", code: "MA", alpha3: "MAR", numeric: "504", continent: "Africa", region: "Africa", subregion: "Northern Africa", capital: "Rabat", tld: ".ma", dialCode: "+212" },
+  { name: "Mozambique", code: "MZ", alpha3: "MOZ", numeric: "508", continent: "Africa", region: "Africa", subregion: "Eastern Africa", capital: "Maputo", tld: ".mz", dialCode: "+258" },
+  { name: "Myanmar", code: "MM", alpha3: "MMR", numeric: "104", continent: "Asia", region: "Asia", subregion: "South-Eastern Asia", capital: "Naypyidaw", tld: ".mm", dialCode: "+95" },
+  { name: "Namibia", code: "NA", alpha3: "NAM", numeric: "516", continent: "Africa", region: "Africa", subregion: "Southern Africa", capital: "Windhoek", tld: ".na", dialCode: "+264" },
+  { name: "Nauru", code: "NR", alpha3: "NRU", numeric: "520", continent: "Oceania", region: "Oceania", subregion: "Micronesia", capital: "Yaren", tld: ".nr", dialCode: "+674" },
+  { name: "Nepal", code: "NP", alpha3: "NPL", numeric: "524", continent: "Asia", region: "Asia", subregion: "Southern Asia", capital: "Kathmandu", tld: ".np", dialCode: "+977" },
+  { name: "Netherlands", code: "NL", alpha3: "NLD", numeric: "528", continent: "Europe", region: "Europe", subregion: "Western Europe", capital: "Amsterdam", tld: ".nl", dialCode: "+31" },
+  { name: "New Caledonia", code: "NC", alpha3: "NCL", numeric: "540", continent: "Oceania", region: "Oceania", subregion: "Melanesia", capital: "Nouméa", tld: ".nc", dialCode: "+687" },
+  { name: "New Zealand", code: "NZ", alpha3: "NZL", numeric: "554", continent: "Oceania", region: "Oceania", subregion: "Australia and New Zealand", capital: "Wellington", tld: ".nz", dialCode: "+64" },
+  { name: "Nicaragua", code: "NI", alpha3: "NIC", numeric: "558", continent: "North America", region: "Americas", subregion: "Central America", capital: "Managua", tld: ".ni", dialCode: "+505" },
+  { name: "Niger", code: "NE", alpha3: "NER", numeric: "562", continent: "Africa", region: "Africa", subregion: "Western Africa", capital: "Niamey", tld: ".ne", dialCode: "+227" },
+  { name: "Nigeria", code: "NG", alpha3: "NGA", numeric: "566", continent: "Africa", region: "Africa", subregion: "Western Africa", capital: "Abuja", tld: ".ng", dialCode: "+234" },
+  { name: "Niue", code: "NU", alpha3: "NIU", numeric: "570", continent: "Oceania", region: "Oceania", subregion: "Polynesia", capital: "Alofi", tld: ".nu", dialCode: "+683" },
+  { name: "Norfolk Island", code: "NF", alpha3: "NFK", numeric: "574", continent: "Oceania", region: "Oceania", subregion: "Australia and New Zealand", capital: "Kingston", tld: ".nf", dialCode: "+672" },
+  { name: "Northern Mariana Islands", code: "MP", alpha3: "MNP", numeric: "580", continent: "Oceania", region: "Oceania", subregion: "Micronesia", capital: "Saipan", tld: ".mp", dialCode: "+1" },
+  { name: "Norway", code: "NO", alpha3: "NOR", numeric: "578", continent: "Europe", region: "Europe", subregion: "Northern Europe", capital: "Oslo", tld: ".no", dialCode: "+47" },
+  { name: "Oman", code: "OM", alpha3: "OMN", numeric: "512", continent: "Asia", region: "Asia", subregion: "Western Asia", capital: "Muscat", tld: ".om", dialCode: "+968" },
+  { name: "Pakistan", code: "PK", alpha3: "PAK", numeric: "586", continent: "Asia", region: "Asia", subregion: "Southern Asia", capital: "Islamabad", tld: ".pk", dialCode: "+92" },
+  { name: "Palau", code: "PW", alpha3: "PLW", numeric: "585", continent: "Oceania", region: "Oceania", subregion: "Micronesia", capital: "Ngerulmud", tld: ".pw", dialCode: "+680" },
+  { name: "Palestinian Territory, Occupied", code: "PS", alpha3: "PSE", numeric: "275", continent: "Asia", region: "Asia", subregion: "Western Asia", capital: "Ramallah", tld: ".ps", dialCode: "+970" },
+  { name: "Panama", code: "PA", alpha3: "PAN", numeric: "591", continent: "North America", region: "Americas", subregion: "Central America", capital: "Panama City", tld: ".pa", dialCode: "+507" },
+  { name: "Papua New Guinea", code: "PG", alpha3: "PNG", numeric: "598", continent: "Oceania", region: "Oceania", subregion: "Melanesia", capital: "Port Moresby", tld: ".pg", dialCode: "+675" },
+  { name: "Paraguay", code: "PY", alpha3: "PRY", numeric: "600", continent: "South America", region: "Americas", subregion: "South America", capital: "Asunción", tld: ".py", dialCode: "+595" },
+  { name: "Peru", code: "PE", alpha3: "PER", numeric: "604", continent: "South America", region: "Americas", subregion: "South America", capital: "Lima", tld: ".pe", dialCode: "+51" },
+  { name: "Philippines", code: "PH", alpha3: "PHL", numeric: "608", continent: "Asia", region: "Asia", subregion: "South-Eastern Asia", capital: "Manila", tld: ".ph", dialCode: "+63" },
+  { name: "Pitcairn", code: "PN", alpha3: "PCN", numeric: "612", continent: "Oceania", region: "Oceania", subregion: "Polynesia", capital: "Adamstown", tld: ".pn", dialCode: "+64" },
+  { name: "Poland", code: "PL", alpha3: "POL", numeric: "616", continent: "Europe", region: "Europe", subregion: "Central Europe", capital: "Warsaw", tld: ".pl", dialCode: "+48" },
+  { name: "Portugal", code: "PT", alpha3: "PRT", numeric: "620", continent: "Europe", region: "Europe", subregion: "Southern Europe", capital: "Lisbon", tld: ".pt", dialCode: "+351" },
+  { name: "Puerto Rico", code: "PR", alpha3: "PRI", numeric: "630", continent: "North America", region: "Americas", subregion: "Caribbean", capital: "San Juan", tld: ".pr", dialCode: "+1" },
+  { name: "Qatar", code: "QA", alpha3: "QAT", numeric: "634", continent: "Asia", region: "Asia", subregion: "Western Asia", capital: "Doha", tld: ".qa", dialCode: "+974" },
+  { name: "Réunion", code: "RE", alpha3: "REU", numeric: "638", continent: "Africa", region: "Africa", subregion: "Eastern Africa", capital: "Saint-Denis", tld: ".re", dialCode: "+262" },
+  { name: "Romania", code: "RO", alpha3: "ROU", numeric: "642", continent: "Europe", region: "Europe", subregion: "Southeast Europe", capital: "Bucharest", tld: ".ro", dialCode: "+40" },
+  { name: "Russian Federation", code: "RU", alpha3: "RUS", numeric: "643", continent: "Europe", region: "Europe", subregion: "Eastern Europe", capital: "Moscow", tld: ".ru", dialCode: "+7" },
+  { name: "Rwanda", code: "RW", alpha3: "RWA", numeric: "646", continent: "Africa", region: "Africa", subregion: "Eastern Africa", capital: "Kigali", tld: ".rw", dialCode: "+250" },
+  { name: "Saint Barthélemy", code: "BL", alpha3: "BLM", numeric: "652", continent: "North America", region: "Americas", subregion: "Caribbean", capital: "Gustavia", tld: ".bl", dialCode: "+590" },
+  { name: "Saint Helena", code: "SH", alpha3: "SHN", numeric: "654", continent: "Africa", region: "Africa", subregion: "Western Africa", capital: "Jamestown", tld: ".sh", dialCode: "+290" },
+  { name: "Saint Kitts and Nevis", code: "KN", alpha3: "KNA", numeric: "659", continent: "North America", region: "Americas", subregion: "Caribbean", capital: "Basseterre", tld: ".kn", dialCode: "+1" },
+  { name: "Saint Lucia", code: "LC", alpha3: "LCA", numeric: "662", continent: "North America", region: "Americas", subregion: "Caribbean", capital: "Castries", tld: ".lc", dialCode: "+1" },
+  { name: "Saint Martin (French Part)", code: "MF", alpha3: "MAF", numeric: "663", continent: "North America", region: "Americas", subregion: "Caribbean", capital: "Marigot", tld: ".fr", dialCode: "+590" },
+  { name: "Saint Pierre and Miquelon", code: "PM", alpha3: "SPM", numeric: "666", continent: "North America", region: "Americas", subregion: "North America", capital: "Saint-Pierre", tld: ".pm", dialCode: "+508" },
+  { name: "Saint Vincent and the Grenadines", code: "VC", alpha3: "VCT", numeric: "670", continent: "North America", region: "Americas", subregion: "Caribbean", capital: "Kingstown", tld: ".vc", dialCode: "+1" },
+  { name: "Samoa", code: "WS", alpha3: "WSM", numeric: "882", continent: "Oceania", region: "Oceania", subregion: "Polynesia", capital: "Apia", tld: ".ws", dialCode: "+685" },
+  { name: "San Marino", code: "SM", alpha3: "SMR", numeric: "674", continent: "Europe", region: "Europe", subregion: "Southern Europe", capital: "City of San Marino", tld: ".sm", dialCode: "+378" },
+  { name: "Sao Tome and Principe", code: "ST", alpha3: "STP", numeric: "678", continent: "Africa", region: "Africa", subregion: "Middle Africa", capital: "São Tomé", tld: ".st", dialCode: "+239" },
+  { name: "Saudi Arabia", code: "SA", alpha3: "SAU", numeric: "682", continent: "Asia", region: "Asia", subregion: "Western Asia", capital: "Riyadh", tld: ".sa", dialCode: "+966" },
+  { name: "Senegal", code: "SN", alpha3: "SEN", numeric: "686", continent: "Africa", region: "Africa", subregion: "Western Africa", capital: "Dakar", tld: ".sn", dialCode: "+221" },
+  { name: "Serbia", code: "RS", alpha3: "SRB", numeric: "688", continent: "Europe", region: "Europe", subregion: "Southeast Europe", capital: "Belgrade", tld: ".rs", dialCode: "+381" },
+  { name: "Seychelles", code: "SC", alpha3: "SYC", numeric: "690", continent: "Africa", region: "Africa", subregion: "Eastern Africa", capital: "Victoria", tld: ".sc", dialCode: "+248" },
+  { name: "Sierra Leone", code: "SL", alpha3: "SLE", numeric: "694", continent: "Africa", region: "Africa", subregion: "Western Africa", capital: "Freetown", tld: ".sl", dialCode: "+232" },
+  { name: "Singapore", code: "SG", alpha3: "SGP", numeric: "702", continent: "Asia", region: "Asia", subregion: "South-Eastern Asia", capital: "Singapore", tld: ".sg", dialCode: "+65" },
+  { name: "Sint Maarten (Dutch Part)", code: "SX", alpha3: "SXM", numeric: "534", continent: "North America", region: "Americas", subregion: "Caribbean", capital: "Philipsburg", tld: ".sx", dialCode: "+1" },
+  { name: "Slovakia", code: "SK", alpha3: "SVK", numeric: "703", continent: "Europe", region: "Europe", subregion: "Central Europe", capital: "Bratislava", tld: ".sk", dialCode: "+421" },
+  { name: "Slovenia", code: "SI", alpha3: "SVN", numeric: "705", continent: "Europe", region: "Europe", subregion: "Central Europe", capital: "Ljubljana", tld: ".si", dialCode: "+386" },
+  { name: "Solomon Islands", code: "SB", alpha3: "SLB", numeric: "090", continent: "Oceania", region: "Oceania", subregion: "Melanesia", capital: "Honiara", tld: ".sb", dialCode: "+677" },
+  { name: "Somalia", code: "SO", alpha3: "SOM", numeric: "706", continent: "Africa", region: "Africa", subregion: "Eastern Africa", capital: "Mogadishu", tld: ".so", dialCode: "+252" },
+  { name: "South Africa", code: "ZA", alpha3: "ZAF", numeric: "710", continent: "Africa", region: "Africa", subregion: "Southern Africa", capital: "Pretoria", tld: ".za", dialCode: "+27" },
+  { name: "South Georgia and the South Sandwich Islands", code: "GS", alpha3: "SGS", numeric: "239", continent: "Antarctica", region: "Antarctic", subregion: null, capital: "King Edward Point", tld: ".gs", dialCode: "+500" },
+  { name: "South Sudan", code: "SS", alpha3: "SSD", numeric: "728", continent: "Africa", region: "Africa", subregion: "Middle Africa", capital: "Juba", tld: ".ss", dialCode: "+211" },
+  { name: "Spain", code: "ES", alpha3: "ESP", numeric: "724", continent: "Europe", region: "Europe", subregion: "Southern Europe", capital: "Madrid", tld: ".es", dialCode: "+34" },
+  { name: "Sri Lanka", code: "LK", alpha3: "LKA", numeric: "144", continent: "Asia", region: "Asia", subregion: "Southern Asia", capital: "Colombo", tld: ".lk", dialCode: "+94" },
+  { name: "Sudan", code: "SD", alpha3: "SDN", numeric: "729", continent: "Africa", region: "Africa", subregion: "Northern Africa", capital: "Khartoum", tld: ".sd", dialCode: "+249" },
+  { name: "Suriname", code: "SR", alpha3: "SUR", numeric: "740", continent: "South America", region: "Americas", subregion: "South America", capital: "Paramaribo", tld: ".sr", dialCode: "+597" },
+  { name: "Svalbard and Jan Mayen", code: "SJ", alpha3: "SJM", numeric: "744", continent: "Europe", region: "Europe", subregion: "Northern Europe", capital: "Longyearbyen", tld: ".sj", dialCode: "+47" },
+  { name: "Swaziland", code: "SZ", alpha3: "SWZ", numeric: "748", continent: "Africa", region: "Africa", subregion: "Southern Africa", capital: "Lobamba", tld: ".sz", dialCode: "+268" },
+  { name: "Sweden", code: "SE", alpha3: "SWE", numeric: "752", continent: "Europe", region: "Europe", subregion: "Northern Europe", capital: "Stockholm", tld: ".se", dialCode: "+46" },
+  { name: "Switzerland", code: "CH", alpha3: "CHE", numeric: "756", continent: "Europe", region: "Europe", subregion: "Western Europe", capital: "Bern", tld: ".ch", dialCode: "+41" },
+  { name: "Syrian Arab Republic", code: "SY", alpha3: "SYR", numeric: "760", continent: "Asia", region: "Asia", subregion: "Western Asia", capital: "Damascus", tld: ".sy", dialCode: "+963" },
+  { name: "Taiwan", code: "TW", alpha3: "TWN", numeric: "158", continent: "Asia", region: "Asia", subregion: "Eastern Asia", capital: "Taipei", tld: ".tw", dialCode: "+886" },
+  { name: "Tajikistan", code: "TJ", alpha3: "TJK", numeric: "762", continent: "Asia", region: "Asia", subregion: "Central Asia", capital: "Dushanbe", tld: ".tj", dialCode: "+992" },
+  { name: "Tanzania, United Republic of", code: "TZ", alpha3: "TZA", numeric: "834", continent: "Africa", region: "Africa", subregion: "Eastern Africa", capital: "Dodoma", tld: ".tz", dialCode: "+255" },
+  { name: "Thailand", code: "TH", alpha3: "THA", numeric: "764", continent: "Asia", region: "Asia", subregion: "South-Eastern Asia", capital: "Bangkok", tld: ".th", dialCode: "+66" },
+  { name: "Timor-Leste", code: "TL", alpha3: "TLS", numeric: "626", continent: "Asia", region: "Asia", subregion: "South-Eastern Asia", capital: "Dili", tld: ".tl", dialCode: "+670" },
+  { name: "Togo", code: "TG", alpha3: "TGO", numeric: "768", continent: "Africa", region: "Africa", subregion: "Western Africa", capital: "Lomé", tld: ".tg", dialCode: "+228" },
+  { name: "Tokelau", code: "TK", alpha3: "TKL", numeric: "772", continent: "Oceania", region: "Oceania", subregion: "Polynesia", capital: "Fakaofo", tld: ".tk", dialCode: "+690" },
+  { name: "Tonga", code: "TO", alpha3: "TON", numeric: "776", continent: "Oceania", region: "Oceania", subregion: "Polynesia", capital: "Nuku'alofa", tld: ".to", dialCode: "+676" },
+  { name: "Trinidad and Tobago", code: "TT", alpha3: "TTO", numeric: "780", continent: "North America", region: "Americas", subregion: "Caribbean", capital: "Port of Spain", tld: ".tt", dialCode: "+1" },
+  { name: "Tunisia", code: "TN", alpha3: "TUN", numeric: "788", continent: "Africa", region: "Africa", subregion: "Northern Africa", capital: "Tunis", tld: ".tn", dialCode: "+216" },
+  { name: "Turkey", code: "TR", alpha3: "TUR", numeric: "792", continent: "Asia", region: "Asia", subregion: "Western Asia", capital: "Ankara", tld: ".tr", dialCode: "+90" },
+  { name: "Turkmenistan", code: "TM", alpha3: "TKM", numeric: "795", continent: "Asia", region: "Asia", subregion: "Central Asia", capital: "Ashgabat", tld: ".tm", dialCode: "+993" },
+  { name: "Turks and Caicos Islands", code: "TC", alpha3: "TCA", numeric: "796", continent: "North America", region: "Americas", subregion: "Caribbean", capital: "Cockburn Town", tld: ".tc", dialCode: "+1" },
+  { name: "Tuvalu", code: "TV", alpha3: "TUV", numeric: "798", continent: "Oceania", region: "Oceania", subregion: "Polynesia", capital: "Funafuti", tld: ".tv", dialCode: "+688" },
+  { name: "Uganda", code: "UG", alpha3: "UGA", numeric: "800", continent: "Africa", region: "Africa", subregion: "Eastern Africa", capital: "Kampala", tld: ".ug", dialCode: "+256" },
+  { name: "Ukraine", code: "UA", alpha3: "UKR", numeric: "804", continent: "Europe", region: "Europe", subregion: "Eastern Europe", capital: "Kyiv", tld: ".ua", dialCode: "+380" },
+  { name: "United Arab Emirates", code: "AE", alpha3: "ARE", numeric: "784", continent: "Asia", region: "Asia", subregion: "Western Asia", capital: "Abu Dhabi", tld: ".ae", dialCode: "+971" },
+  { name: "United Kingdom", code: "GB", alpha3: "GBR", numeric: "826", continent: "Europe", region: "Europe", subregion: "Northern Europe", capital: "London", tld: ".uk", dialCode: "+44" },
+  { name: "United States", code: "US", alpha3: "USA", numeric: "840", continent: "North America", region: "Americas", subregion: "North America", capital: "Washington D.C.", tld: ".us", dialCode: "+1" },
+  { name: "United States Minor Outlying Islands", code: "UM", alpha3: "UMI", numeric: "581", continent: "North America", region: "Americas", subregion: "North America", capital: null, tld: ".us", dialCode: "+1" },
+  { name: "Uruguay", code: "UY", alpha3: "URY", numeric: "858", continent: "South America", region: "Americas", subregion: "South America", capital: "Montevideo", tld: ".uy", dialCode: "+598" },
+  { name: "Uzbekistan", code: "UZ", alpha3: "UZB", numeric: "860", continent: "Asia", region: "Asia", subregion: "Central Asia", capital: "Tashkent", tld: ".uz", dialCode: "+998" },
+  { name: "Vanuatu", code: "VU", alpha3: "VUT", numeric: "548", continent: "Oceania", region: "Oceania", subregion: "Melanesia", capital: "Port Vila", tld: ".vu", dialCode: "+678" },
+  { name: "Venezuela", code: "VE", alpha3: "VEN", numeric: "862", continent: "South America", region: "Americas", subregion: "South America", capital: "Caracas", tld: ".ve", dialCode: "+58" },
+  { name: "Vietnam", code: "VN", alpha3: "VNM", numeric: "704", continent: "Asia", region: "Asia", subregion: "South-Eastern Asia", capital: "Hanoi", tld: ".vn", dialCode: "+84" },
+  { name: "Virgin Islands, British", code: "VG", alpha3: "VGB", numeric: "092", continent: "North America", region: "Americas", subregion: "Caribbean", capital: "Road Town", tld: ".vg", dialCode: "+1" },
+  { name: "Virgin Islands, U.S.", code: "VI", alpha3: "VIR", numeric: "850", continent: "North America", region: "Americas", subregion: "Caribbean", capital: "Charlotte Amalie", tld: ".vi", dialCode: "+1" },
+  { name: "Wallis and Futuna", code: "WF", alpha3: "WLF", numeric: "876", continent: "Oceania", region: "Oceania", subregion: "Polynesia", capital: "Mata-Utu", tld: ".wf", dialCode: "+681" },
+  { name: "Western Sahara", code: "EH", alpha3: "ESH", numeric: "732", continent: "Africa", region: "Africa", subregion: "Northern Africa", capital: "El Aaiún", tld: ".eh", dialCode: "+212" },
+  { name: "Yemen", code: "YE", alpha3: "YEM", numeric: "887", continent: "Asia", region: "Asia", subregion: "Western Asia", capital: "Sana'a", tld: ".ye", dialCode: "+967" },
+  { name: "Zambia", code: "ZM", alpha3: "ZMB", numeric: "894", continent: "Africa", region: "Africa", subregion: "Eastern Africa", capital: "Lusaka", tld: ".zm", dialCode: "+260" },
+  { name: "Zimbabwe", code: "ZW", alpha3: "ZWE", numeric: "716", continent: "Africa", region: "Africa", subregion: "Eastern Africa", capital: "Harare", tld: ".zw", dialCode: "+263" }
 ];
 
 module.exports = countries;
@@ -0,0 +1,51 @@
+/**
+ * Dialing prefixes longer than the country calling code, used to tell apart countries that
+ * share a calling code. Prefixes are digits without the "+", e.g. "1684" for American Samoa
+ * (+1 684). NANP members (+1) are listed with their area codes, and Saint Barthélemy and Saint
+ * Martin with the fixed-line ranges of +590 590 that are theirs (mobile +590 690 numbers are shared)
+ * @type {Object<string, Array<string>>}
+ */
+module.exports = {
+  AG: ["1268"],
+  AI: ["1264"],
+  AS: ["1684"],
+  AX: ["35818"],
+  BB: ["1246"],
+  BL: ["59059027", "59059029"],
+  BM: ["1441"],
+  BQ: ["5993", "5994", "5997"],
+  BS: ["1242"],
+  CA: ["1204", "1226", "1236", "1249", "1250", "1263", "1289", "1306", "1343", "1354", "1365", "1367", "1368", "1382", "1387", "1403", "1416", "1418", "1428", "1431", "1437", "1438", "1450", "1468", "1474", "1506", "1514", "1519", "1548", "1579", "1581", "1584", "1587", "1600", "1604", "1613", "1622", "1633", "1639", "1644", "1647", "1655", "1672", "1677", "1683", "1688", "1705", "1709", "1742", "1753", "1778", "1780", "1782", "1807", "1819", "1825", "1867", "1873", "1879", "1902", "1905", "1942"],
+  CC: ["6189162"],
+  CW: ["5999"],
+  CX: ["6189164"],
+  DM: ["1767"],
+  DO: ["1809", "1829", "1849"],
+  EH: ["2125288", "2125289"],
+  GD: ["1473"],
+  GG: ["441481"],
+  GU: ["1671"],
+  IM: ["441624"],
+  JE: ["441534"],
+  JM: ["1876"],
+  KN: ["1869"],
+  KY: ["1345"],
+  KZ: ["76", "77"],
+  LC: ["1758"],
+  MF: ["59059087"],
+  MP: ["1670"],
+  MS: ["1664"],
+  PR: ["1787", "1939"],
+  RU: ["73", "74", "75", "78", "79"],
+  SH: ["247"],
+  SJ: ["4779"],
+  SX: ["1721"],
+  TC: ["1649"],
+  TT: ["1868"],
+  US: ["1201", "1202", "1203", "1205", "1206", "1207", "1208", "1209", "1210", "1212", "1213", "1214", "1215", "1216", "1217", "1218", "1219", "1220", "1223", "1224", "1225", "1227", "1228", "1229", "1231", "1234", "1239", "1240", "1248", "1251", "1252", "1253", "1254", "1256", "1260", "1262", "1267", "1269", "1270", "1272", "1274", "1276", "1279", "1281", "1283", "1301", "1302", "1303", "1304", "1305", "1307", "1308", "1309", "1310", "1312", "1313", "1314", "1315", "1316", "1317", "1318", "1319", "1320", "1321", "1323", "1325", "1326", "1327", "1330", "1331", "1332", "1334", "1336", "1337", "1339", "1341", "1346", "1347", "1351", "1352", "1360", "1361", "1364", "1380", "1385", "1386", "1401", "1402", "1404", "1405", "1406", "1407", "1408", "1409", "1410", "1412", "1413", "1414", "1415", "1417", "1419", "1423", "1424", "1425", "1430", "1432", "1434", "1435", "1440", "1442", "1443", "1445", "1447", "1448", "1458", "1463", "1464", "1469", "1470", "1475", "1478", "1479", "1480", "1484", "1500", "1501", "1502", "1503", "1504", "1505", "1507", "1508", "1509", "1510", "1512", "1513", "1515", "1516", "1517", "1518", "1520", "1521", "1522", "1523", "1524", "1525", "1526", "1527", "1528", "1529", "1530", "1531", "1532", "1533", "1534", "1535", "1538", "1539", "1540", "1541", "1542", "1543", "1544", "1545", "1546", "1547", "1549", "1550", "1551", "1552", "1553", "1554", "1556", "1557", "1558", "1559", "1561", "1562", "1563", "1564", "1566", "1567", "1569", "1570", "1571", "1572", "1573", "1574", "1575", "1577", "1578", "1580", "1582", "1585", "1586", "1588", "1589", "1601", "1602", "1603", "1605", "1606", "1607", "1608", "1609", "1610", "1612", "1614", "1615", "1616", "1617", "1618", "1619", "1620", "1623", "1626", "1628", "1629", "1630", "1631", "1636", "1640", "1641", "1646", "1650", "1651", "1656", "1657", "1659", "1660", "1661", "1662", "1667", "1669", "1678", "1679", "1680", "1681", "1682", "1689", "1700", "1701", "1702", "1703", "1704", "1706", "1707", "1708", "1710", "1712", "1713", "1714", "1715", "1716", "1717", "1718", "1719", "1720", "1724", "1725", "1726", "1727", "1730", "1731", "1732", "1734", "1737", "1740", "1743", "1747", "1754", "1757", "1760", "1762", "1763", "1765", "1769", "1770", "1771", "1772", "1773", "1774", "1775", "1779", "1781", "1785", "1786", "1801", "1802", "1803", "1804", "1805", "1806", "1808", "1810", "1812", "1813", "1814", "1815", "1816", "1817", "1818", "1820", "1826", "1828", "1830", "1831", "1832", "1838", "1839", "1840", "1843", "1845", "1847", "1848", "1850", "1854", "1856", "1857", "1858", "1859", "1860", "1862", "1863", "1864", "1865", "1870", "1872", "1878", "1901", "1903", "1904", "1906", "1907", "1908", "1909", "1910", "1912", "1913", "1914", "1915", "1916", "1917", "1918", "1919", "1920", "1925", "1928", "1929", "1930", "1931", "1934", "1936", "1937", "1938", "1940", "1941", "1943", "1945", "1947", "1948", "1949", "1951", "1952", "1954", "1956", "1959", "1970", "1971", "1972", "1973", "1975", "1978", "1979", "1980", "1983", "1984", "1985", "1986", "1989"],
+  VA: ["379", "3906698"],
+  VC: ["1784"],
+  VG: ["1284"],
+  VI: ["1340"],
+  YT: ["262269", "262639"]
+};
@@ -0,0 +1,90 @@
+const countries = require('./countries');
+const userAssignedCountries = require('./user-assigned');
+const dialPrefixes = require('./dial-prefixes');
+const { getCountry } = require('./lookup');
+
+/**
+ * Country a number resolves to when several countries share its calling code and none of
+ * their longer prefixes match (e.g. +1 800 resolves to the United States). Bouvet Island (+47),
+ * the French Southern Territories (+262), Pitcairn (+64), South Georgia (+500) and the US Minor
+ * Outlying Islands (+1) have no numbering range of their own, so no number resolves to them
+ */
+const SHARED_CODE_OWNERS = {
+  1: 'US',
+  7: 'RU',
+  39: 'IT',
+  44: 'GB',
+  47: 'NO',
+  61: 'AU',
+  64: 'NZ',
+  212: 'MA',
+  262: 'RE',
+  358: 'FI',
+  500: 'FK',
+  590: 'GP',
+  599: 'CW'
+};
+
+const MAX_PREFIX_LENGTH = 8;
+
+let prefixIndex = null;
+
+/**
+ * Builds the map from dialing prefix digits to country code on first use
+ * @returns {Object<string, string>} Country code for each prefix
+ */
+function getPrefixIndex() {
+  if (!prefixIndex) {
+    prefixIndex = {};
+    countries.concat(userAssignedCountries).forEach(({ code, dialCode }) => {
+      if (dialCode) {
+        const digits = dialCode.slice(1);
+        prefixIndex[digits] = SHARED_CODE_OWNERS[digits] || code;
+      }
+    });
+    Object.keys(dialPrefixes).forEach(code => {
+      dialPrefixes[code].forEach(prefix => {
+        prefixIndex[prefix] = code;
+      });
+    });
+  }
+  return prefixIndex;
+}
+
+/**
+ * Finds the country of a phone number or dialing prefix by its longest matching prefix, so
+ * shared calling codes resolve by area code (e.g. "+1 684" is American Samoa and "+44 1481"
+ * is Guernsey)
+ * @param {string|number} input - Phone number or prefix, e.g. "+442079460000", "+1 (684) 633-1234"
+ *   or "0049 30 123456". Spaces, dashes and brackets are ignored, and a leading "00" is read as
+ *   the international call prefix
+ * @param {Object} [options] - Lookup options
+ * @param {boolean} [options.includeUserAssigned=false] - Also resolve the widely used non-ISO entries (XK)
+ * @returns {Object|null} The full country record, or null if no calling code matches
+ */
+function getCountryByDialCode(input, options = {}) {
+  const { includeUserAssigned = false } = options;
+
+  if (typeof input !== 'string' && typeof input !== 'number') {
+    return null;
+  }
+
+  const value = String(input).trim();
+  let digits = value.replace(/\D/g, '');
+  if (!value.startsWith('+') && digits.startsWith('00')) {
+    digits = digits.slice(2);
+  }
+
+  const index = getPrefixIndex();
+  for (let length = Math.min(digits.length, MAX_PREFIX_LENGTH); length > 0; length--) {
+    const code = index[digits.slice(0, length)];
+    if (code) {
+      return getCountry(code, { includeUserAssigned });
+    }
+  }
+  return null;
+}
+
+module.exports = {
+  getCountryByDialCode
+};
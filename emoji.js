@@ -0,0 +1,96 @@
+const { isValidCountryCode } = require('./codes');
+
+// Regional Indicator Symbols start at U+1F1E6 (A), which is 127397 above 'A'
+const REGIONAL_INDICATOR_OFFSET = 127397;
+
+// Tag characters start at U+E0000; the letter/digit tags mirror ASCII
+const TAG_OFFSET = 0xE0000;
+
+// A country flag is a pair of regional indicators; a subdivision flag is a black
+// flag (U+1F3F4) followed by tag characters and a cancel tag (U+E007F)
+const FLAG_PATTERN = /[\u{1F1E6}-\u{1F1FF}]{2}|\u{1F3F4}[\u{E0030}-\u{E0039}\u{E0061}-\u{E007A}]+\u{E007F}/u;
+
+// Subdivision flags recommended for general interchange by Unicode (England, Scotland, Wales)
+const RGI_SUBDIVISION_CODES = ['GB-ENG', 'GB-SCT', 'GB-WLS'];
+
+/**
+ * Decodes a single flag emoji sequence that is already known to match FLAG_PATTERN
+ * @param {string} sequence - The flag emoji
+ * @returns {{code: string, type: string}} The country or subdivision code and the flag type
+ */
+function decodeFlag(sequence) {
+  const codePoints = Array.from(sequence).map(char => char.codePointAt(0));
+
+  if (codePoints[0] === 0x1F3F4) {
+    const tags = codePoints
+      .slice(1, -1)
+      .map(codePoint => String.fromCharCode(codePoint - TAG_OFFSET))
+      .join('')
+      .toUpperCase();
+
+    return { code: `${tags.slice(0, 2)}-${tags.slice(2)}`, type: 'subdivision' };
+  }
+
+  return {
+    code: codePoints.map(codePoint => String.fromCharCode(codePoint - REGIONAL_INDICATOR_OFFSET)).join(''),
+    type: 'country'
+  };
+}
+
+/**
+ * Converts a flag emoji back to its country code
+ * @param {string} emoji - A single flag emoji (e.g. "🇮🇳" or the England flag)
+ * @returns {string|null} The 2-letter country code (e.g. "IN"), the subdivision code for
+ *   tag-sequence flags (e.g. "GB-ENG"), or null if the input is not exactly one flag emoji
+ */
+function getCodeFromFlagEmoji(emoji) {
+  if (!emoji || typeof emoji !== 'string') {
+    return null;
+  }
+
+  const value = emoji.trim();
+  const match = value.match(FLAG_PATTERN);
+  if (!match || match.index !== 0 || match[0].length !== value.length) {
+    return null;
+  }
+
+  return decodeFlag(match[0]).code;
+}
+
+/**
+ * Finds every flag emoji in a string
+ * @param {string} text - Text to scan
+ * @returns {Array<{emoji: string, code: string, type: string, start: number, end: number, assigned: boolean}>}
+ *   Flags in order of appearance. `start` and `end` are string indexes suitable for
+ *   `text.slice(start, end)`. `type` is 'country' or 'subdivision'. `assigned` tells whether
+ *   the code is an assigned ISO 3166-1 country, or for subdivision flags one of the flags
+ *   Unicode recommends for general use (England, Scotland and Wales)
+ */
+function findFlagsInText(text) {
+  if (typeof text !== 'string') {
+    return [];
+  }
+
+  const flags = [];
+  const pattern = new RegExp(FLAG_PATTERN.source, 'gu');
+  let match;
+
+  while ((match = pattern.exec(text)) !== null) {
+    const { code, type } = decodeFlag(match[0]);
+    flags.push({
+      emoji: match[0],
+      code,
+      type,
+      start: match.index,
+      end: match.index + match[0].length,
+      assigned: type === 'country' ? isValidCountryCode(code) : RGI_SUBDIVISION_CODES.includes(code)
+    });
+  }
+
+  return flags;
+}
+
+module.exports = {
+  getCodeFromFlagEmoji,
+  findFlagsInText
+};
@@ -0,0 +1,146 @@
+/**
+ * Escaping helpers for the markup and code produced by the select generators. Each helper
+ * targets one output context, so use the one that matches where the value ends up
+ */
+
+const HTML_ESCAPES = {
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  "'": '&#39;'
+};
+
+const JSX_TEXT_ESCAPES = {
+  ...HTML_ESCAPES,
+  '{': '&#123;',
+  '}': '&#125;'
+};
+
+const ANGULAR_ESCAPES = {
+  ...JSX_TEXT_ESCAPES,
+  '@': '&#64;'
+};
+
+const JS_STRING_ESCAPES = {
+  '\\': '\\\\',
+  "'": "\\'",
+  '"': '\\"',
+  '`': '\\`',
+  '\n': '\\n',
+  '\r': '\\r',
+  '\u2028': '\\u2028',
+  '\u2029': '\\u2029',
+  '<': '\\x3C'
+};
+
+/**
+ * Escapes a value for HTML text or a quoted HTML attribute value. JSX string attributes
+ * decode the same entities, so this is also used for those
+ * @param {*} value - The value to escape
+ * @returns {string} Escaped text
+ */
+function escapeHtml(value) {
+  return String(value).replace(/[&<>"']/g, char => HTML_ESCAPES[char]);
+}
+
+/**
+ * Escapes a value for JSX text, where braces would otherwise start an expression
+ * @param {*} value - The value to escape
+ * @returns {string} Escaped text
+ */
+function escapeJsxText(value) {
+  return String(value).replace(/[&<>"'{}]/g, char => JSX_TEXT_ESCAPES[char]);
+}
+
+/**
+ * Escapes a value for text or a static attribute value in an Angular template, where "{{"
+ * starts an interpolation and "@" and braces start control flow blocks
+ * @param {*} value - The value to escape
+ * @returns {string} Escaped text
+ */
+function escapeAngular(value) {
+  return String(value).replace(/[&<>"'{}@]/g, char => ANGULAR_ESCAPES[char]);
+}
+
+/**
+ * Escapes a value for text or a static attribute value in a Vue template, where "{{" starts
+ * an interpolation
+ * @param {*} value - The value to escape
+ * @returns {string} Escaped text
+ */
+function escapeVue(value) {
+  return String(value).replace(/[&<>"'{}]/g, char => JSX_TEXT_ESCAPES[char]);
+}
+
+/**
+ * Escapes a value for a quoted JavaScript string literal. "<" is escaped as well so the
+ * generated code can be placed inside a <script> element
+ * @param {*} value - The value to escape
+ * @returns {string} Escaped string contents, without the surrounding quotes
+ */
+function escapeJsString(value) {
+  return String(value).replace(/[\\'"`\n\r\u2028\u2029<]/g, char => JS_STRING_ESCAPES[char]);
+}
+
+/**
+ * Checks that a value can be used as an attribute or prop name in generated markup
+ * @param {string} name - The attribute name
+ * @returns {string} The attribute name
+ * @throws {Error} If the name contains characters that are not allowed in attribute names
+ */
+function assertAttributeName(name) {
+  if (!/^[A-Za-z_:][A-Za-z0-9_:.-]*$/.test(name)) {
+    throw new Error(`Invalid attribute name: ${JSON.stringify(name)}`);
+  }
+  return name;
+}
+
+/**
+ * Checks that a value is a plain reference to a function or property (e.g. "handleChange" or
+ * "form.country"), so it can be placed in generated code as an expression
+ * @param {string} value - The reference
+ * @param {string} label - What the reference is for, used in the error message
+ * @returns {string} The reference
+ * @throws {Error} If the value is not a dotted identifier
+ */
+function assertCodeReference(value, label) {
+  if (typeof value !== 'string' || !/^[A-Za-z_$][\w$]*(\.[A-Za-z_$][\w$]*)*$/.test(value)) {
+    throw new Error(`Invalid ${label}: ${JSON.stringify(value)}`);
+  }
+  return value;
+}
+
+/**
+ * Validates the extra attributes option of the generators. Only data-* and aria-* attributes
+ * are allowed, so the option cannot be used to add event handlers or override generated ones
+ * @param {Object<string, string|number|boolean>} [attributes] - Attribute names and values;
+ *   null and undefined values are left out
+ * @returns {Array<Array<string>>} [name, value] pairs with the values converted to strings
+ * @throws {Error} If an attribute is not a data-* or aria-* attribute
+ */
+function getExtraAttributes(attributes = {}) {
+  if (!attributes || typeof attributes !== 'object' || Array.isArray(attributes)) {
+    throw new Error('Attributes must be an object');
+  }
+
+  return Object.keys(attributes)
+    .filter(name => attributes[name] !== undefined && attributes[name] !== null)
+    .map(name => {
+      if (!/^(data|aria)-[a-z0-9][a-z0-9_.-]*$/.test(name)) {
+        throw new Error(`Only data-* and aria-* attributes are allowed: ${JSON.stringify(name)}`);
+      }
+      return [name, String(attributes[name])];
+    });
+}
+
+module.exports = {
+  escapeHtml,
+  escapeJsxText,
+  escapeAngular,
+  escapeVue,
+  escapeJsString,
+  assertAttributeName,
+  assertCodeReference,
+  getExtraAttributes
+};
@@ -0,0 +1,33 @@
+import type { AutoSelectOptions, ComponentGeneratorOptions, SelectCountry, SelectOptions } from '../index';
+
+export interface AngularSelectProps extends SelectOptions {
+  id?: string;
+  name?: string;
+  className?: string;
+  /** Expression bound with [(ngModel)] (default: 'selectedCountry') */
+  ngModel?: string;
+  /** Other attributes and bindings, such as '(change)' or '[disabled]', are added to the select element */
+  [prop: string]: unknown;
+}
+
+export interface AngularComponentOptions extends ComponentGeneratorOptions, AutoSelectOptions {
+  /** Generate a standalone component with signal inputs, a model and the built-in control flow (Angular 17.3+) */
+  standalone?: boolean;
+}
+
+export interface AngularComponentCode {
+  component: string;
+  /** NgModule declaring the component, or null for a standalone component */
+  module: string | null;
+  usage: string;
+}
+
+/**
+ * Generates HTML template code for an Angular country select
+ */
+export function getAngularCountrySelect(countries: readonly SelectCountry[], props?: AngularSelectProps): string;
+
+/**
+ * Generates a complete Angular component for country selection, implementing ControlValueAccessor
+ */
+export function getAngularCountryComponent(useImageFlags?: boolean, options?: AngularComponentOptions): AngularComponentCode;
@@ -1,9 +1,47 @@
+const { getFlagDataAttributes, getAllCountriesCall, getDetectCountryCall, indentCode } = require('../utils');
+const { PRIORITY_SEPARATOR, arrangeCountries, getDisplayCountries } = require('../arrange');
+const { escapeHtml, escapeAngular, assertCodeReference, getExtraAttributes } = require('../escape');
+
+/**
+ * Checks that a value can be used as an attribute name in an Angular template, including
+ * property, event and two-way bindings such as "[disabled]", "(change)" and "[(ngModel)]"
+ * @param {string} name - The attribute name
+ * @returns {boolean} Whether the name is a binding
+ * @throws {Error} If the name is not a valid attribute or binding name
+ */
+function checkTemplateAttributeName(name) {
+  const match = /^(\[\(|\[|\()?[A-Za-z_][\w.:-]*(\)\]|\]|\))?$/.exec(name);
+  const brackets = match ? `${match[1] || ''}${match[2] || ''}` : null;
+
+  if (!match || !['', '[]', '()', '[()]'].includes(brackets)) {
+    throw new Error(`Invalid attribute name: ${JSON.stringify(name)}`);
+  }
+  return brackets !== '';
+}
+
 /**
  * Generates HTML template code for an Angular country select component
  * @param {Array<{name: string, code: string, flag: string}>} countries - Array of country objects
  * @param {Object} [props] - Properties for the select element
- * @param {boolean} [props.useImageFlags=true] - Whether to use image flags instead of emoji flags
+ * @param {boolean} [props.useImageFlags=true] - Whether to add the flag image URLs to the options as data-flag-src
+ *   and data-flag-srcset attributes. The option labels use the emoji flag, as options can only contain text
  * @param {number} [props.flagWidth=40] - Width of flag images in pixels
+ * @param {string} [props.flagSource='cdn'] - 'cdn', 'svg' (inline data URI) or 'local' (bundled SVGs under flagPath)
+ * @param {string|Object|Function} [props.flagProvider='flagcdn'] - Flag image provider when flagSource is 'cdn'
+ * @param {string} [props.flagFormat='png'] - Image format when flagSource is 'cdn'
+ * @param {string} [props.flagPath='/flags'] - URL path of the flag SVGs when flagSource is 'local'
+ * @param {Object<string, string|number|boolean>} [props.attributes] - Extra data-* and aria-* attributes for the select element
+ * @param {Array<string>} [props.priorityCodes] - Country codes to pin at the top, followed by a separator
+ * @param {Array<string>} [props.include] - Only list these country codes
+ * @param {Array<string>} [props.exclude] - Leave out these country codes
+ * @param {string} [props.countryGroup] - Only list the current members of this group, e.g. 'EU'
+ * @param {string} [props.groupBy] - 'region' to render the countries in <optgroup> elements by region
+ * @param {Function} [props.sort] - Compare function for the countries (see arrangeCountries)
+ * @param {string} [props.placeholder] - Text of an empty first option, selected while the model is empty
+ * @param {boolean} [props.disabled=false] - Whether the select element is disabled
+ * @param {boolean} [props.required=false] - Whether the select element is required
+ * @param {string} [props.display='name'] - 'name' to show country names, or 'dialCode' to show calling
+ *   codes (e.g. "+91") for a phone prefix select. Option values are country codes either way
  * @returns {string} HTML template code for the Angular country select
  */
 function getAngularCountrySelect(countries, props = {}) {
@@ -18,8 +56,24 @@ function getAngularCountrySelect(countries, props = {}) {
     ngModel = 'selectedCountry',
     useImageFlags = true,
     flagWidth = 40,
+    flagSource = 'cdn',
+    flagProvider,
+    flagFormat,
+    flagPath,
+    attributes,
+    priorityCodes,
+    include,
+    exclude,
+    countryGroup,
+    groupBy,
+    sort,
+    placeholder,
+    disabled = false,
+    required = false,
+    display = 'name',
     ...otherProps
   } = props;
+  const { priority, groups } = arrangeCountries(getDisplayCountries(countries, display), { priorityCodes, include, exclude, countryGroup, groupBy, sort });
 
   const propsString = Object.entries({
     id,
@@ -28,114 +82,317 @@ function getAngularCountrySelect(countries, props = {}) {
     ...otherProps
   })
     .filter(([_, value]) => value !== '')
-    .map(([key, value]) => `${key}="${value}"`)
+    .concat(getExtraAttributes(attributes))
+    .map(([key, value]) => {
+      // Binding values are template expressions, everything else is static text
+      return checkTemplateAttributeName(key)
+        ? `${key}="${escapeHtml(value)}"`
+        : `${key}="${escapeAngular(value)}"`;
+    })
+    .concat(disabled ? ['disabled'] : [], required ? ['required'] : [])
     .join(' ');
 
-  const optionsCode = countries
-    .map(({ code, name, flag }) => {
-      if (useImageFlags) {
-        return `  <option [value]="${code}">
-    <img [src]="'https://flagcdn.com/w${flagWidth}/${code.toLowerCase()}.png'" 
-         [alt]="'${code}'" 
-         style="margin-right: 5px; width: ${flagWidth}px; vertical-align: middle;" /> ${name}
-  </option>`;
-      } else {
-        return `  <option [value]="${code}">${flag} ${name}</option>`;
-      }
-    })
-    .join('\n');
+  const renderOption = ({ code, name, flag, dialCode }) => {
+    // The calling code alone does not identify shared codes such as +1, so the name goes in the title
+    const label = display === 'dialCode' ? dialCode : name;
+    const title = display === 'dialCode' ? ` title="${escapeAngular(name)}"` : '';
+
+    const flagAttributes = useImageFlags
+      ? getFlagDataAttributes(code, { flagSource, flagWidth, flagProvider, flagFormat, flagPath })
+        .map(([key, value]) => ` ${key}="${escapeAngular(value)}"`)
+        .join('')
+      : '';
 
-  return `<select [(ngModel)]="${ngModel}" ${propsString}>
+    return `<option value="${escapeAngular(code)}"${title}${flagAttributes}>${escapeAngular(`${flag} ${label}`)}</option>`;
+  };
+
+  const optionBlocks = [];
+  if (placeholder) {
+    optionBlocks.push(`<option value="" disabled>${escapeAngular(placeholder)}</option>`);
+  }
+  if (priority.length > 0) {
+    optionBlocks.push(...priority.map(renderOption), `<option value="" disabled>${PRIORITY_SEPARATOR}</option>`);
+  }
+  groups.forEach(group => {
+    if (group.label === null) {
+      optionBlocks.push(...group.countries.map(renderOption));
+    } else {
+      optionBlocks.push(`<optgroup label="${escapeAngular(group.label)}">
+${indentCode(group.countries.map(renderOption).join('\n'), 2)}
+</optgroup>`);
+    }
+  });
+  const optionsCode = indentCode(optionBlocks.join('\n'), 2);
+
+  return `<select [(ngModel)]="${assertCodeReference(ngModel, 'ngModel expression')}" ${propsString}>
 ${optionsCode}
 </select>`;
 }
 
 /**
- * Generates a complete Angular component for country selection
- * @param {boolean} [useImageFlags=true] - Whether to use image flags instead of emoji flags
- * @returns {Object} Object containing component, module, and usage code as strings
+ * Builds the template of the generated Angular components. Options can only contain text, so the
+ * flag image of the selected country is shown next to the select
+ * @param {boolean} useImageFlags - Whether to include the flag image
+ * @param {boolean} standalone - Whether to use signals and the built-in control flow
+ * @returns {string} Template code
  */
-function getAngularCountryComponent(useImageFlags = true) {
-  const templateCode = useImageFlags ? 
-    `<select 
-      [id]="id"
-      [name]="name"
-      [ngClass]="className"
-      [(ngModel)]="selectedCountry"
-      (ngModelChange)="onCountryChange($event)"
+function getAngularComponentTemplate(useImageFlags, standalone) {
+  if (standalone) {
+    const flagCode = useImageFlags
+      ? `@if (useImageFlags() && selectedCountry()) {
+      <img [src]="getFlagImageUrl(selectedCountry())" [attr.srcset]="getFlagSrcSet(selectedCountry())"
+           [attr.sizes]="flagWidth() + 'px'" alt=""
+           [style.width.px]="flagWidth()" style="margin-right: 5px; vertical-align: middle;" />
+    }
+    `
+      : '';
+
+    return `${flagCode}<select
+      [id]="id()"
+      [name]="name()"
+      [class]="className()"
+      [disabled]="isDisabled()"
+      (change)="selectCountry($any($event.target).value)"
+      (blur)="onTouched()"
     >
-      <option *ngFor="let country of countries" [value]="country.code">
-        <ng-container *ngIf="useImageFlags; else emojiFlag">
-          <img [src]="getFlagImageUrl(country.code)" [alt]="country.code" 
-               [style.width.px]="flagWidth" style="margin-right: 5px; vertical-align: middle;" />
-        </ng-container>
-        <ng-template #emojiFlag>{{country.flag}}</ng-template>
-        {{country.name}}
-      </option>
-    </select>` :
-    `<select 
+      <option value="" [selected]="!selectedCountry()">{{ placeholder() }}</option>
+      @for (country of countries; track country.code) {
+        <option [value]="country.code" [selected]="country.code === selectedCountry()">{{ country.flag }} {{ country.name }}</option>
+      }
+    </select>`;
+  }
+
+  const flagCode = useImageFlags
+    ? `<img *ngIf="useImageFlags && selectedCountry" [src]="getFlagImageUrl(selectedCountry)"
+         [attr.srcset]="getFlagSrcSet(selectedCountry)" [attr.sizes]="flagWidth + 'px'" alt=""
+         [style.width.px]="flagWidth" style="margin-right: 5px; vertical-align: middle;" />
+    `
+    : '';
+
+  return `${flagCode}<select
       [id]="id"
       [name]="name"
       [ngClass]="className"
-      [(ngModel)]="selectedCountry"
-      (ngModelChange)="onCountryChange($event)"
+      [disabled]="disabled"
+      (change)="selectCountry($any($event.target).value)"
+      (blur)="onTouched()"
     >
-      <option *ngFor="let country of countries" [value]="country.code">
-        {{ country.flag }} {{ country.name }}
-      </option>
+      <option value="" [selected]="!selectedCountry">{{ placeholder }}</option>
+      <option *ngFor="let country of countries" [value]="country.code" [selected]="country.code === selectedCountry">{{ country.flag }} {{ country.name }}</option>
     </select>`;
+}
+
+/**
+ * Generates a complete Angular component for country selection. The component implements
+ * ControlValueAccessor, so it works with ngModel, formControl and formControlName, and supports
+ * [(selectedCountry)] two-way binding
+ * @param {boolean} [useImageFlags=true] - Whether to show the flag image of the selected country next to the select
+ * @param {Object} [options] - Generation options
+ * @param {Array<string>|string} [options.fields] - Country fields to load, or 'all' for the full record
+ * @param {boolean} [options.includeUserAssigned=false] - Include the widely used non-ISO entries (XK, EU)
+ * @param {string} [options.countryGroup] - Only list the current members of this group, e.g. 'EU'. The
+ *   members are written into the generated code
+ * @param {boolean} [options.standalone=false] - Generate a standalone component with signal inputs, a model
+ *   and the built-in control flow (Angular 17.3+) instead of a component declared in an NgModule
+ * @param {string} [options.selectedCode] - 'auto' to select the country of the user's timezone (see
+ *   detectCountryCode) after the view is initialized when no value is bound, emitting it as a change
+ * @param {string} [options.fallbackCode] - With selectedCode 'auto', the country selected when the timezone
+ *   matches no listed country
+ * @returns {{component: string, module: string|null, usage: string}} Component, module (null for a
+ *   standalone component) and usage code as strings
+ */
+function getAngularCountryComponent(useImageFlags = true, options = {}) {
+  const { fields, includeUserAssigned, countryGroup, standalone = false } = options;
+  const detectCall = getDetectCountryCall(options, 'this.countries');
+  const detectImport = detectCall ? ', detectCountryCode' : '';
+  // Adds the detection of selectedCode 'auto' to the component class
+  const getAutoSelectCode = (selectedCountry) => (detectCall ? `
+
+  ngAfterViewInit(): void {
+    // Select the country of the user's timezone, or the fallback, when no value is bound. This waits
+    // for ngModel, which writes its value in a microtask
+    Promise.resolve().then(() => {
+      if (!${selectedCountry}) {
+        const code = ${detectCall};
+        if (code) {
+          this.selectCountry(code);
+        }
+      }
+    });
+  }` : '');
+  const template = getAngularComponentTemplate(useImageFlags, standalone);
+  const countriesCode = getAllCountriesCall({ fields, includeUserAssigned }, countryGroup);
+  const accessorProvider = `providers: [
+    {
+      provide: NG_VALUE_ACCESSOR,
+      useExisting: forwardRef(() => CountrySelectComponent),
+      multi: true
+    }
+  ]`;
+
+  const usageCode = `<!-- Two-way binding -->
+<app-country-select
+  id="my-countries"
+  name="my-country"
+  className="country-dropdown"
+  [(selectedCountry)]="selectedCountryCode"
+  [useImageFlags]="true"
+  [flagWidth]="20"
+  (countryChange)="onCountrySelected($event)"
+></app-country-select>
+
+<!-- Reactive forms -->
+<form [formGroup]="addressForm">
+  <app-country-select formControlName="country"></app-country-select>
+</form>
+
+<!-- Template-driven forms -->
+<app-country-select name="country" [(ngModel)]="address.country"></app-country-select>`;
+
+  if (standalone) {
+    const componentCode = `import { ${detectCall ? 'AfterViewInit, ' : ''}Component, computed, forwardRef, input, model, output, signal } from '@angular/core';
+import { ControlValueAccessor, NG_VALUE_ACCESSOR } from '@angular/forms';
+import { getAllCountries, getFlagImageUrl, getFlagSrcSet${detectImport} } from 'country-flags-util';
+
+@Component({
+  selector: 'app-country-select',
+  standalone: true,
+  template: \`${template}\`,
+  ${accessorProvider}
+})
+export class CountrySelectComponent implements ControlValueAccessor${detectCall ? ', AfterViewInit' : ''} {
+  readonly id = input('country-select');
+  readonly name = input('country');
+  readonly className = input('');
+  readonly placeholder = input('Select a country');
+  readonly useImageFlags = input(${useImageFlags});
+  readonly flagWidth = input(40);
+  readonly disabled = input(false);
+
+  // Selected country code, for [(selectedCountry)] two-way binding
+  readonly selectedCountry = model('');
+  readonly countryChange = output<string>();
+
+  readonly countries = ${countriesCode};
+
+  // Disabled through the disabled input or by the form control
+  private readonly formDisabled = signal(false);
+  readonly isDisabled = computed(() => this.disabled() || this.formDisabled());
+
+  private onChange: (value: string) => void = () => {};
+  onTouched: () => void = () => {};
+
+  getFlagImageUrl(code: string): string {
+    return getFlagImageUrl(code, this.flagWidth());
+  }
+
+  getFlagSrcSet(code: string): string {
+    return getFlagSrcSet(code, { width: this.flagWidth() }).srcset;
+  }
+
+  selectCountry(countryCode: string): void {
+    this.selectedCountry.set(countryCode);
+    this.onChange(countryCode);
+    this.countryChange.emit(countryCode);
+  }
+
+  writeValue(value: string | null): void {
+    this.selectedCountry.set(value || '');
+  }
 
-  const componentCode = `import { Component, Input, Output, EventEmitter } from '@angular/core';
-import { getAllCountries, getFlagImageUrl } from 'country-flags-util';
+  registerOnChange(fn: (value: string) => void): void {
+    this.onChange = fn;
+  }
+
+  registerOnTouched(fn: () => void): void {
+    this.onTouched = fn;
+  }
+
+  setDisabledState(isDisabled: boolean): void {
+    this.formDisabled.set(isDisabled);
+  }${getAutoSelectCode('this.selectedCountry()')}
+}`;
+
+    return {
+      component: componentCode,
+      module: null,
+      usage: usageCode
+    };
+  }
+
+  const componentCode = `import { ${detectCall ? 'AfterViewInit, ' : ''}Component, EventEmitter, Input, Output, forwardRef } from '@angular/core';
+import { ControlValueAccessor, NG_VALUE_ACCESSOR } from '@angular/forms';
+import { getAllCountries, getFlagImageUrl, getFlagSrcSet${detectImport} } from 'country-flags-util';
 
 @Component({
   selector: 'app-country-select',
-  template: \`${templateCode}\`,
-  styles: []
+  // Components are standalone by default since Angular 19
+  standalone: false,
+  template: \`${template}\`,
+  ${accessorProvider}
 })
-export class CountrySelectComponent {
+export class CountrySelectComponent implements ControlValueAccessor${detectCall ? ', AfterViewInit' : ''} {
   @Input() id = 'country-select';
   @Input() name = 'country';
   @Input() className = '';
+  @Input() placeholder = 'Select a country';
   @Input() selectedCountry = '';
   @Input() useImageFlags = ${useImageFlags};
   @Input() flagWidth = 40;
+  @Input() disabled = false;
   
+  // Emitted with the selected code, for [(selectedCountry)] two-way binding
+  @Output() selectedCountryChange = new EventEmitter<string>();
   @Output() countryChange = new EventEmitter<string>();
   
-  countries = getAllCountries();
+  countries = ${countriesCode};
+  
+  private onChange: (value: string) => void = () => {};
+  onTouched: () => void = () => {};
   
   getFlagImageUrl(code: string): string {
     return getFlagImageUrl(code, this.flagWidth);
   }
   
-  onCountryChange(countryCode: string): void {
+  getFlagSrcSet(code: string): string {
+    return getFlagSrcSet(code, { width: this.flagWidth }).srcset;
+  }
+  
+  selectCountry(countryCode: string): void {
+    this.selectedCountry = countryCode;
+    this.onChange(countryCode);
+    this.selectedCountryChange.emit(countryCode);
     this.countryChange.emit(countryCode);
   }
+  
+  writeValue(value: string | null): void {
+    this.selectedCountry = value || '';
+  }
+  
+  registerOnChange(fn: (value: string) => void): void {
+    this.onChange = fn;
+  }
+  
+  registerOnTouched(fn: () => void): void {
+    this.onTouched = fn;
+  }
+  
+  setDisabledState(isDisabled: boolean): void {
+    this.disabled = isDisabled;
+  }${getAutoSelectCode('this.selectedCountry')}
 }`;
 
   const moduleCode = `import { NgModule } from '@angular/core';
 import { CommonModule } from '@angular/common';
-import { FormsModule } from '@angular/forms';
 import { CountrySelectComponent } from './country-select.component';
 
 @NgModule({
   declarations: [CountrySelectComponent],
-  imports: [CommonModule, FormsModule],
+  imports: [CommonModule],
   exports: [CountrySelectComponent]
 })
 export class CountrySelectModule { }`;
 
-  const usageCode = `<app-country-select
-  id="my-countries"
-  name="my-country"
-  className="country-dropdown"
-  [(selectedCountry)]="selectedCountryCode"
-  [useImageFlags]="true"
-  [flagWidth]="20"
-  (countryChange)="onCountrySelected($event)"
-></app-country-select>`;
-
   return {
     component: componentCode,
     module: moduleCode,
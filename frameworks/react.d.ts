@@ -0,0 +1,31 @@
+import type { AutoSelectOptions, ComponentGeneratorOptions, CountryCodeInput, SelectCountry, SelectOptions, SubdivisionSelectOptions } from '../index';
+
+export interface ReactSelectProps extends SelectOptions {
+  id?: string;
+  name?: string;
+  className?: string;
+  /** Country code selected by default */
+  defaultValue?: CountryCodeInput | '';
+  /** Reference to the change handler (default: 'handleChange') */
+  onChange?: string;
+  /** Other props are added to the select element. on* props must be plain references such as handleBlur */
+  [prop: string]: unknown;
+}
+
+export interface ReactComponentOptions extends ComponentGeneratorOptions, AutoSelectOptions {
+  /** Generate a TSX component with typed props */
+  typescript?: boolean;
+  /** Cascading mode: true, or the options of a select listing the subdivisions of the selected country */
+  subdivisionSelect?: boolean | SubdivisionSelectOptions;
+}
+
+/**
+ * Generates JSX code for a React country select
+ */
+export function getReactCountrySelect(countries: readonly SelectCountry[], props?: ReactSelectProps): string;
+
+/**
+ * Generates a complete React component for country selection: an accessible combobox with a
+ * search-as-you-type filter and keyboard navigation
+ */
+export function getReactCountryComponent(componentName?: string, options?: ReactComponentOptions): string;
@@ -1,9 +1,38 @@
+const {
+  getFlagDataAttributes,
+  getAllCountriesCall,
+  getSubdivisionSelectOptions,
+  getDetectCountryCall,
+  getCountryInterfaceCode,
+  indentCode,
+  toCodeLiteral
+} = require('../utils');
+const { PRIORITY_SEPARATOR, arrangeCountries, getDisplayCountries } = require('../arrange');
+const { escapeHtml, escapeJsxText, assertAttributeName, assertCodeReference, getExtraAttributes } = require('../escape');
+
 /**
  * Generates JSX code for a React country select component
  * @param {Array<{name: string, code: string, flag: string}>} countries - Array of country objects
  * @param {Object} [props] - React props for the select element
- * @param {boolean} [props.useImageFlags=true] - Whether to use image flags instead of emoji flags
+ * @param {boolean} [props.useImageFlags=true] - Whether to add the flag image URLs to the options as data-flag-src
+ *   and data-flag-srcset attributes. The option labels use the emoji flag, as options can only contain text
  * @param {number} [props.flagWidth=40] - Width of flag images in pixels
+ * @param {string} [props.flagSource='cdn'] - 'cdn', 'svg' (inline data URI) or 'local' (bundled SVGs under flagPath)
+ * @param {string|Object|Function} [props.flagProvider='flagcdn'] - Flag image provider when flagSource is 'cdn'
+ * @param {string} [props.flagFormat='png'] - Image format when flagSource is 'cdn'
+ * @param {string} [props.flagPath='/flags'] - URL path of the flag SVGs when flagSource is 'local'
+ * @param {Object<string, string|number|boolean>} [props.attributes] - Extra data-* and aria-* attributes for the select element
+ * @param {Array<string>} [props.priorityCodes] - Country codes to pin at the top, followed by a separator
+ * @param {Array<string>} [props.include] - Only list these country codes
+ * @param {Array<string>} [props.exclude] - Leave out these country codes
+ * @param {string} [props.countryGroup] - Only list the current members of this group, e.g. 'EU'
+ * @param {string} [props.groupBy] - 'region' to render the countries in <optgroup> elements by region
+ * @param {Function} [props.sort] - Compare function for the countries (see arrangeCountries)
+ * @param {string} [props.placeholder] - Text of an empty first option, selected when defaultValue is not set
+ * @param {boolean} [props.disabled=false] - Whether the select element is disabled
+ * @param {boolean} [props.required=false] - Whether the select element is required
+ * @param {string} [props.display='name'] - 'name' to show country names, or 'dialCode' to show calling
+ *   codes (e.g. "+91") for a phone prefix select. Option values are country codes either way
  * @returns {string} JSX code string for the country select component
  */
 function getReactCountrySelect(countries, props = {}) {
@@ -19,8 +48,24 @@ function getReactCountrySelect(countries, props = {}) {
     onChange = 'handleChange',
     useImageFlags = true,
     flagWidth = 40,
+    flagSource = 'cdn',
+    flagProvider,
+    flagFormat,
+    flagPath,
+    attributes,
+    priorityCodes,
+    include,
+    exclude,
+    countryGroup,
+    groupBy,
+    sort,
+    placeholder,
+    disabled = false,
+    required = false,
+    display = 'name',
     ...otherProps
   } = props;
+  const { priority, groups } = arrangeCountries(getDisplayCountries(countries, display), { priorityCodes, include, exclude, countryGroup, groupBy, sort });
 
   const propsString = Object.entries({
     id,
@@ -30,90 +75,270 @@ function getReactCountrySelect(countries, props = {}) {
     onChange,
     ...otherProps
   })
-    .filter(([_, value]) => value !== '')
+    // An empty defaultValue is kept with a placeholder, as the disabled placeholder is not selected otherwise
+    .filter(([key, value]) => value !== '' || (key === 'defaultValue' && placeholder))
+    .concat(getExtraAttributes(attributes))
     .map(([key, value]) => {
+      assertAttributeName(key);
       // Check if it's an event handler or a string value
       return key.startsWith('on')
-        ? `${key}={${value}}`
-        : `${key}="${value}"`;
+        ? `${key}={${assertCodeReference(value, `${key} handler`)}}`
+        : `${key}="${escapeHtml(value)}"`;
     })
+    .concat(disabled ? ['disabled'] : [], required ? ['required'] : [])
     .join(' ');
 
-  const optionsCode = countries
-    .map(({ code, name, flag }) => {
-      if (useImageFlags) {
-        return `  <option key="${code}" value="${code}" style={{ display: 'flex', alignItems: 'center', padding: '8px' }}>
-    <>
-      <img 
-        src={getFlagImageUrl("${code}", ${flagWidth})} 
-        alt="${code}" 
-        style={{ marginRight: '5px', width: '${flagWidth}px', verticalAlign: 'middle' }} 
-      />
-      {' ${name}'}
-    </>
-  </option>`;
-      } else {
-        return `  <option key="${code}" value="${code}">${flag} ${name}</option>`;
-      }
-    })
-    .join('\n');
+  const renderOption = ({ code, name, flag, dialCode }) => {
+    // The calling code alone does not identify shared codes such as +1, so the name goes in the title
+    const label = display === 'dialCode' ? dialCode : name;
+    const title = display === 'dialCode' ? ` title="${escapeHtml(name)}"` : '';
+
+    const flagAttributes = useImageFlags
+      ? getFlagDataAttributes(code, { flagSource, flagWidth, flagProvider, flagFormat, flagPath })
+        .map(([key, value]) => ` ${key}="${escapeHtml(value)}"`)
+        .join('')
+      : '';
+
+    return `<option key="${escapeHtml(code)}" value="${escapeHtml(code)}"${title}${flagAttributes}>${escapeJsxText(`${flag} ${label}`)}</option>`;
+  };
 
-  return `// Don't forget to import getFlagImageUrl if using image flags
-import { getFlagImageUrl } from 'country-flags-util';
+  const optionBlocks = [];
+  if (placeholder) {
+    optionBlocks.push(`<option key="placeholder" value="" disabled>${escapeJsxText(placeholder)}</option>`);
+  }
+  if (priority.length > 0) {
+    optionBlocks.push(...priority.map(renderOption), `<option key="separator" value="" disabled>${PRIORITY_SEPARATOR}</option>`);
+  }
+  groups.forEach(group => {
+    if (group.label === null) {
+      optionBlocks.push(...group.countries.map(renderOption));
+    } else {
+      optionBlocks.push(`<optgroup key="${escapeHtml(group.label)}" label="${escapeHtml(group.label)}">
+${indentCode(group.countries.map(renderOption).join('\n'), 2)}
+</optgroup>`);
+    }
+  });
+  const optionsCode = indentCode(optionBlocks.join('\n'), 2);
 
-<select ${propsString} style={{ padding: '8px' }}>
+  return `<select ${propsString} style={{ padding: '8px' }}>
 ${optionsCode}
 </select>`;
 }
 
 /**
- * Generates a complete React component for country selection
+ * Generates a complete React component for country selection: an accessible combobox with a
+ * search-as-you-type filter and keyboard navigation, following the WAI-ARIA combobox pattern
  * @param {string} [componentName='CountrySelect'] - Name of the component
+ * @param {Object} [options] - Generation options
+ * @param {Array<string>|string} [options.fields] - Country fields to load, or 'all' for the full record
+ * @param {boolean} [options.includeUserAssigned=false] - Include the widely used non-ISO entries (XK, EU)
+ * @param {string} [options.countryGroup] - Only list the current members of this group, e.g. 'EU'. The
+ *   members are written into the generated code
+ * @param {boolean} [options.typescript=false] - Generate a TSX component with typed props
+ * @param {boolean|Object} [options.subdivisionSelect] - Cascading mode: true, or the options of a select
+ *   listing the subdivisions of the selected country (see getSubdivisionSelectOptions). Its name,
+ *   placeholder and selectedCode become the defaults of the subdivisionName, subdivisionPlaceholder and
+ *   defaultSubdivision props, and its ID is the component ID followed by "-subdivision"
+ * @param {string} [options.selectedCode] - 'auto' to select the country of the user's timezone (see
+ *   detectCountryCode) after the first render when defaultValue is not set, calling onChange with it
+ * @param {string} [options.fallbackCode] - With selectedCode 'auto', the country selected when the timezone
+ *   matches no listed country
  * @returns {string} React component code as a string
  */
-function getReactCountryComponent(componentName = 'CountrySelect') {
+function getReactCountryComponent(componentName = 'CountrySelect', options = {}) {
+  const { fields, includeUserAssigned, countryGroup, typescript = false } = options;
+  const subdivisionSelect = getSubdivisionSelectOptions(options.subdivisionSelect);
+  const detectCall = getDetectCountryCall(options);
+  // Adds a type annotation when generating TypeScript
+  const ts = (code) => (typescript ? code : '');
+  // Adds the code of the cascading mode when it is on
+  const cascading = (code) => (subdivisionSelect ? code : '');
+
+  if (typeof componentName !== 'string' || !/^[A-Z][\w$]*$/.test(componentName)) {
+    throw new Error(`Invalid component name: ${JSON.stringify(componentName)}`);
+  }
+
+  const typesCode = typescript ? `
+${getCountryInterfaceCode()}
+
+export interface ${componentName}Props {
+  id?: string;
+  name?: string;
+  className?: string;
+  defaultValue?: string;
+  placeholder?: string;
+  ariaLabel?: string;
+  onChange?: (value: string) => void;
+  useImageFlags?: boolean;
+  flagWidth?: number;
+  style?: React.CSSProperties;${cascading(`
+  subdivisionName?: string;
+  defaultSubdivision?: string;
+  subdivisionPlaceholder?: string;
+  onSubdivisionChange?: (value: string) => void;`)}
+}
+` : '';
+
   return `import React, { useState, useRef, useEffect } from 'react';
-import { getAllCountries, getFlagImageUrl } from 'country-flags-util';
+import { getAllCountries, getFlagSrcSet${cascading(', getSubdivisions')}${detectCall ? ', detectCountryCode' : ''} } from 'country-flags-util';
+${typesCode}
+const countries${ts(': readonly Country[]')} = ${getAllCountriesCall({ fields, includeUserAssigned }, countryGroup)};
+
+// Lower-case text without diacritics, so "aland" finds "Åland Islands"
+const normalize = (text${ts(': string')}) => text.normalize('NFD').replace(/[\\u0300-\\u036f]/g, '').toLowerCase();
 
-const ${componentName} = ({ 
-  id = 'country-select', 
-  name = 'country', 
-  className = '', 
-  defaultValue = '', 
+const ${componentName} = ({
+  id = 'country-select',
+  name = 'country',
+  className = '',
+  defaultValue = '',
   placeholder = 'Select a country',
+  ariaLabel = 'Country',
   onChange = (value) => console.log(value),
   useImageFlags = true,
-  flagWidth = 40,
-  ...props 
-}) => {
-  const countries = getAllCountries();
-  
+  flagWidth = 40,${subdivisionSelect ? `
+  subdivisionName = ${toCodeLiteral(subdivisionSelect.name)},
+  defaultSubdivision = ${toCodeLiteral(subdivisionSelect.selectedCode)},
+  subdivisionPlaceholder = ${toCodeLiteral(subdivisionSelect.placeholder)},
+  onSubdivisionChange = () => {},` : ''}
+  ...props
+}${ts(`: ${componentName}Props`)}) => {
   // State to track selected country
-  const [selectedCountry, setSelectedCountry] = useState(defaultValue);
+  const [selectedCountry, setSelectedCountry] = useState(defaultValue);${cascading(`
+  // State to track the selected subdivision of the selected country
+  const [selectedSubdivision, setSelectedSubdivision] = useState(defaultSubdivision);`)}
   // State to control dropdown open/closed
   const [isOpen, setIsOpen] = useState(false);
+  // Text typed in the combobox to filter the list
+  const [query, setQuery] = useState('');
+  // Index of the highlighted option in the filtered list
+  const [activeIndex, setActiveIndex] = useState(-1);
   // Reference to the dropdown container for click outside detection
-  const dropdownRef = useRef(null);
-  
+  const dropdownRef = useRef${ts('<HTMLDivElement>')}(null);
+  // Reference to the combobox input, which keeps the focus
+  const inputRef = useRef${ts('<HTMLInputElement>')}(null);
+
+  const listboxId = \`\${id}-listbox\`;
+  const getOptionId = (code${ts(': string')}) => \`\${id}-option-\${code}\`;
+
   // Find the selected country object
-  const selectedCountryObj = countries.find(country => country.code === selectedCountry) || 
-    (defaultValue ? countries.find(country => country.code === defaultValue) : null);
-  
-  // Handle country selection
-  const handleCountrySelect = (code) => {
-    setSelectedCountry(code);
+  const selectedCountryObj = countries.find(country => country.code === selectedCountry) || null;
+  const filteredCountries = query.trim()
+    ? countries.filter(country =>
+      normalize(country.name).includes(normalize(query.trim())) ||
+      country.code.toLowerCase() === query.trim().toLowerCase())
+    : countries;
+  const activeCountry = isOpen ? filteredCountries[activeIndex] : undefined;${cascading(`
+  // Subdivisions (states, provinces, ...) of the selected country
+  const subdivisions = getSubdivisions(selectedCountry);`)}
+
+  // Open the list with the selected country highlighted
+  const openList = () => {
+    setIsOpen(true);
+    setActiveIndex(Math.max(0, countries.findIndex(country => country.code === selectedCountry)));
+  };
+
+  // Close the list and clear the search text
+  const closeList = () => {
     setIsOpen(false);
+    setQuery('');
+    setActiveIndex(-1);
+  };
+
+  // Handle country selection
+  const handleCountrySelect = (code${ts(': string')}) => {
+    setSelectedCountry(code);${cascading(`
+    // A subdivision of the previous country no longer applies
+    if (code !== selectedCountry && selectedSubdivision) {
+      setSelectedSubdivision('');
+      onSubdivisionChange('');
+    }`)}
+    closeList();
     onChange(code);
   };
-  
+
+  // Filter the list while typing, highlighting the first match
+  const handleInput = (event${ts(': React.ChangeEvent<HTMLInputElement>')}) => {
+    setQuery(event.target.value);
+    setIsOpen(true);
+    setActiveIndex(0);
+  };
+
+  // Keyboard navigation following the WAI-ARIA combobox pattern
+  const handleKeyDown = (event${ts(': React.KeyboardEvent<HTMLInputElement>')}) => {
+    const lastIndex = filteredCountries.length - 1;
+
+    switch (event.key) {
+      case 'ArrowDown':
+        event.preventDefault();
+        if (!isOpen) {
+          openList();
+        } else {
+          setActiveIndex(Math.min(activeIndex + 1, lastIndex));
+        }
+        break;
+      case 'ArrowUp':
+        event.preventDefault();
+        if (!isOpen) {
+          openList();
+        } else {
+          setActiveIndex(Math.max(activeIndex - 1, 0));
+        }
+        break;
+      case 'Home':
+      case 'End':
+        if (isOpen) {
+          event.preventDefault();
+          setActiveIndex(event.key === 'Home' ? 0 : lastIndex);
+        }
+        break;
+      case 'Enter':
+        if (isOpen && activeCountry) {
+          event.preventDefault();
+          handleCountrySelect(activeCountry.code);
+        }
+        break;
+      case 'Escape':
+        if (isOpen) {
+          event.preventDefault();
+          closeList();
+        }
+        break;
+      case 'Tab':
+        closeList();
+        break;
+      default:
+        break;
+    }
+  };
+
+  // Keep the highlighted option visible
+  useEffect(() => {
+    const option = activeCountry && document.getElementById(getOptionId(activeCountry.code));
+    if (option && option.scrollIntoView) {
+      option.scrollIntoView({ block: 'nearest' });
+    }
+  }, [activeCountry]);${detectCall ? `
+
+  // Select the country of the user's timezone, or the fallback, unless defaultValue is set. This
+  // runs after the first render, so that server-rendered markup matches
+  useEffect(() => {
+    if (!defaultValue) {
+      const code = ${detectCall};
+      if (code) {
+        handleCountrySelect(code);
+      }
+    }
+  }, []);` : ''}
+
   // Close dropdown when clicking outside
   useEffect(() => {
-    const handleClickOutside = (event) => {
-      if (dropdownRef.current && !dropdownRef.current.contains(event.target)) {
-        setIsOpen(false);
+    const handleClickOutside = (event${ts(': MouseEvent')}) => {
+      if (dropdownRef.current && !dropdownRef.current.contains(event.target${ts(' as Node')})) {
+        closeList();
       }
     };
-    
+
     document.addEventListener('mousedown', handleClickOutside);
     return () => {
       document.removeEventListener('mousedown', handleClickOutside);
@@ -121,17 +346,16 @@ const ${componentName} = ({
   }, []);
 
   // Container styles
-  const containerStyle = {
+  const containerStyle${ts(': React.CSSProperties')} = {
     position: 'relative',
     width: '100%',
     maxWidth: '400px',
     ...(props.style || {})
   };
-  
-  // Button styles
-  const buttonStyle = {
+
+  // Combobox styles
+  const fieldStyle${ts(': React.CSSProperties')} = {
     display: 'flex',
-    justifyContent: 'space-between',
     alignItems: 'center',
     width: '100%',
     padding: '10px 15px',
@@ -139,14 +363,16 @@ const ${componentName} = ({
     borderRadius: '4px',
     border: '1px solid #ccc',
     backgroundColor: '#fff',
-    cursor: 'pointer'
+    boxSizing: 'border-box'
   };
-  
+
   // Dropdown menu styles
-  const dropdownStyle = {
+  const dropdownStyle${ts(': React.CSSProperties')} = {
     position: 'absolute',
     zIndex: 10,
-    marginTop: '4px',
+    margin: '4px 0 0',
+    padding: 0,
+    listStyle: 'none',
     width: '100%',
     maxHeight: '300px',
     overflowY: 'auto',
@@ -155,76 +381,128 @@ const ${componentName} = ({
     boxShadow: '0 2px 10px rgba(0, 0, 0, 0.1)',
     border: '1px solid #ccc'
   };
-  
+
+  // Flag image sources, with a srcset for high-density screens
+  const getFlagImageProps = (code${ts(': string')}) => {
+    const { src, srcset, sizes } = getFlagSrcSet(code, { width: flagWidth });
+    return { src, srcSet: srcset, sizes };
+  };
+
   // Flag image styles
-  const flagStyle = {
+  const flagStyle${ts(': React.CSSProperties')} = {
     marginRight: '8px',
     width: \`\${flagWidth}px\`,
     height: 'auto',
     verticalAlign: 'middle'
   };
-  
+
   return (
     <div id={id} ref={dropdownRef} className={className} style={containerStyle}>
-      <button
-        type="button"
-        onClick={() => setIsOpen(!isOpen)}
-        style={buttonStyle}
-        aria-haspopup="listbox"
-        aria-expanded={isOpen}
-      >
-        {selectedCountryObj ? (
-          <div style={{ display: 'flex', alignItems: 'center' }}>
-            {useImageFlags && (
-              <img 
-                src={getFlagImageUrl(selectedCountryObj.code, flagWidth)} 
-                alt={\`\${selectedCountryObj.code} flag\`}
-                style={flagStyle}
-              />
-            )}
-            {!useImageFlags && selectedCountryObj.flag && (
-              <span style={{ marginRight: '8px' }}>{selectedCountryObj.flag}</span>
-            )}
-            <span>{selectedCountryObj.name}</span>
-          </div>
+      <div style={fieldStyle}>
+        {selectedCountryObj && !isOpen && (useImageFlags ? (
+          <img
+            {...getFlagImageProps(selectedCountryObj.code)}
+            alt=""
+            style={flagStyle}
+          />
         ) : (
-          <span>{placeholder}</span>
-        )}
-        <span style={{ marginLeft: '8px' }}>▼</span>
-      </button>
-      
+          <span style={{ marginRight: '8px' }} aria-hidden="true">{selectedCountryObj.flag}</span>
+        ))}
+        <input
+          ref={inputRef}
+          type="text"
+          role="combobox"
+          aria-label={ariaLabel}
+          aria-autocomplete="list"
+          aria-expanded={isOpen}
+          aria-controls={listboxId}
+          aria-activedescendant={activeCountry ? getOptionId(activeCountry.code) : undefined}
+          autoComplete="off"
+          placeholder={placeholder}
+          value={isOpen ? query : (selectedCountryObj ? selectedCountryObj.name : '')}
+          onChange={handleInput}
+          onKeyDown={handleKeyDown}
+          // Select the shown name, so typing replaces it
+          onFocus={(event) => event.target.select()}
+          onClick={() => (isOpen ? closeList() : openList())}
+          style={{ flex: 1, minWidth: 0, border: 'none', outline: 'none', font: 'inherit', background: 'transparent' }}
+        />
+        <button
+          type="button"
+          tabIndex={-1}
+          aria-label={isOpen ? 'Close countries' : 'Show countries'}
+          onClick={() => {
+            if (isOpen) {
+              closeList();
+            } else {
+              openList();
+            }
+            inputRef.current${ts('?')}.focus();
+          }}
+          style={{ marginLeft: '8px', border: 'none', background: 'transparent', cursor: 'pointer' }}
+        >
+          ▼
+        </button>
+      </div>
+
       {isOpen && (
-        <div style={dropdownStyle} role="listbox">
-          {countries.map(({ code, name, flag }) => (
-            <div
+        <ul id={listboxId} role="listbox" aria-label={ariaLabel} style={dropdownStyle}>
+          {filteredCountries.map(({ code, name, flag }, index) => (
+            <li
               key={code}
+              id={getOptionId(code)}
               role="option"
               aria-selected={code === selectedCountry}
               style={{
                 padding: '10px 15px',
                 cursor: 'pointer',
-                backgroundColor: code === selectedCountry ? '#f0f0f0' : 'transparent',
+                backgroundColor: index === activeIndex ? '#e8f0fe' : (code === selectedCountry ? '#f0f0f0' : 'transparent'),
                 display: 'flex',
                 alignItems: 'center'
               }}
+              // Keep the focus in the combobox
+              onMouseDown={(event) => event.preventDefault()}
+              onMouseEnter={() => setActiveIndex(index)}
               onClick={() => handleCountrySelect(code)}
             >
               {useImageFlags ? (
-                <img 
-                  src={getFlagImageUrl(code, flagWidth)} 
-                  alt={\`\${code} flag\`}
-                  style={flagStyle} 
+                <img
+                  {...getFlagImageProps(code)}
+                  alt=""
+                  style={flagStyle}
                 />
               ) : (
-                <span style={{ marginRight: '8px' }}>{flag}</span>
+                <span style={{ marginRight: '8px' }} aria-hidden="true">{flag}</span>
               )}
               <span>{name}</span>
-            </div>
+            </li>
           ))}
-        </div>
+          {filteredCountries.length === 0 && (
+            <li role="option" aria-disabled="true" aria-selected="false" style={{ padding: '10px 15px' }}>No countries found</li>
+          )}
+        </ul>
       )}
-      
-      {/* Hidden native select for form submission if needed */}
+
+${subdivisionSelect ? `      <select
+        id={\`\${id}-subdivision\`}
+        name={subdivisionName}${subdivisionSelect.className ? `
+        className="${escapeHtml(subdivisionSelect.className)}"` : ''}
+        aria-label="${escapeHtml(subdivisionSelect.ariaLabel)}"
+        value={selectedSubdivision}
+        disabled={subdivisions.length === 0}
+        onChange={(event) => {
+          setSelectedSubdivision(event.target.value);
+          onSubdivisionChange(event.target.value);
+        }}
+        style={{ ...fieldStyle, marginTop: '8px' }}
+      >
+        <option value="">{subdivisionPlaceholder}</option>
+        {subdivisions.map(subdivision => (
+          <option key={subdivision.code} value={subdivision.code}>{subdivision.name}</option>
+        ))}
+      </select>
+
+` : ''}      {/* Hidden input for form submission */}
       <input type="hidden" name={name} value={selectedCountry || ''} />
     </div>
   );
@@ -0,0 +1,11 @@
+import type { AutoSelectOptions, ComponentGeneratorOptions } from '../index';
+
+export interface SolidComponentOptions extends ComponentGeneratorOptions, AutoSelectOptions {
+  /** Generate a TSX component with typed props */
+  typescript?: boolean;
+}
+
+/**
+ * Generates a complete SolidJS component for country selection, with a searchable dropdown
+ */
+export function getSolidCountryComponent(componentName?: string, options?: SolidComponentOptions): string;
@@ -0,0 +1,11 @@
+import type { AutoSelectOptions, ComponentGeneratorOptions } from '../index';
+
+export interface SvelteComponentOptions extends ComponentGeneratorOptions, AutoSelectOptions {
+  /** Generate a TypeScript script block with typed props */
+  typescript?: boolean;
+}
+
+/**
+ * Generates a complete Svelte 5 component for country selection, with a searchable dropdown
+ */
+export function getSvelteCountryComponent(options?: SvelteComponentOptions): string;
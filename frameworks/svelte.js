@@ -0,0 +1,252 @@
+const { getAllCountriesCall, getCountryInterfaceCode, getDetectCountryCall, indentCode } = require('../utils');
+
+/**
+ * Generates a complete Svelte 5 component for country selection, with a searchable dropdown.
+ * The selected country code can be bound with bind:value
+ * @param {Object} [options] - Generation options
+ * @param {Array<string>|string} [options.fields] - Country fields to load, or 'all' for the full record
+ * @param {boolean} [options.includeUserAssigned=false] - Include the widely used non-ISO entries (XK, EU)
+ * @param {string} [options.countryGroup] - Only list the current members of this group, e.g. 'EU'. The
+ *   members are written into the generated code
+ * @param {boolean} [options.typescript=false] - Generate a TypeScript script block with typed props
+ * @param {string} [options.selectedCode] - 'auto' to select the country of the user's timezone (see
+ *   detectCountryCode) on mount when value is empty, calling onchange with it
+ * @param {string} [options.fallbackCode] - With selectedCode 'auto', the country selected when the timezone
+ *   matches no listed country
+ * @returns {string} Svelte component code as a string
+ */
+function getSvelteCountryComponent(options = {}) {
+  const { fields, includeUserAssigned, countryGroup, typescript = false } = options;
+  const detectCall = getDetectCountryCall(options);
+  // Adds a type annotation when generating TypeScript
+  const ts = (code) => (typescript ? code : '');
+
+  const typesCode = typescript ? `
+${indentCode(getCountryInterfaceCode(), 2)}
+
+  interface Props {
+    value?: string;
+    id?: string;
+    name?: string;
+    className?: string;
+    placeholder?: string;
+    searchPlaceholder?: string;
+    onchange?: (code: string) => void;
+    useImageFlags?: boolean;
+    flagWidth?: number;
+  }
+` : '';
+
+  return `<script${ts(' lang="ts"')}>
+${detectCall ? "  import { onMount } from 'svelte';\n" : ''}  import { getAllCountries, getFlagSrcSet${detectCall ? ', detectCountryCode' : ''} } from 'country-flags-util';
+${typesCode}
+  let {
+    value = $bindable(''),
+    id = 'country-select',
+    name = 'country',
+    className = '',
+    placeholder = 'Select a country',
+    searchPlaceholder = 'Search countries',
+    onchange = (code) => {},
+    useImageFlags = true,
+    flagWidth = 40
+  }${ts(': Props')} = $props();
+
+  const countries${ts(': readonly Country[]')} = ${getAllCountriesCall({ fields, includeUserAssigned }, countryGroup)};
+
+  // Whether the dropdown is open
+  let isOpen = $state(false);
+  // Text typed in the search box
+  let query = $state('');
+  // Reference to the dropdown container for click outside detection
+  let dropdown${ts(': HTMLDivElement | undefined')};
+
+  // Lower-case text without diacritics, so "aland" finds "Åland Islands"
+  const normalize = (text${ts(': string')}) => text.normalize('NFD').replace(/[\\u0300-\\u036f]/g, '').toLowerCase();
+
+  const selectedCountry = $derived(countries.find(country => country.code === value) || null);
+  const filteredCountries = $derived(
+    query.trim()
+      ? countries.filter(country =>
+        normalize(country.name).includes(normalize(query.trim())) ||
+        country.code.toLowerCase() === query.trim().toLowerCase())
+      : countries
+  );
+
+  // Flag image sources, with a srcset for high-density screens
+  const getFlagImageProps = (code${ts(': string')}) => getFlagSrcSet(code, { width: flagWidth });
+
+  // Handle country selection
+  function selectCountry(code${ts(': string')}) {
+    value = code;
+    isOpen = false;
+    query = '';
+    onchange(code);
+  }
+
+  // Close dropdown when clicking outside
+  function handleClickOutside(event${ts(': MouseEvent')}) {
+    if (dropdown && !dropdown.contains(event.target${ts(' as Node')})) {
+      isOpen = false;
+    }
+  }${detectCall ? `
+
+  // Select the country of the user's timezone, or the fallback, when value is empty
+  onMount(() => {
+    if (!value) {
+      const code = ${detectCall};
+      if (code) {
+        selectCountry(code);
+      }
+    }
+  });` : ''}
+</script>
+
+<svelte:document onmousedown={handleClickOutside} />
+
+<div {id} bind:this={dropdown} class="country-select {className}">
+  <button
+    type="button"
+    class="country-select__button"
+    aria-haspopup="listbox"
+    aria-expanded={isOpen}
+    onclick={() => (isOpen = !isOpen)}
+  >
+    {#if selectedCountry}
+      <span class="country-select__value">
+        {#if useImageFlags}
+          <img
+            {...getFlagImageProps(selectedCountry.code)}
+            alt="{selectedCountry.code} flag"
+            style:width="{flagWidth}px"
+            class="country-select__flag"
+          />
+        {:else}
+          <span class="country-select__flag">{selectedCountry.flag}</span>
+        {/if}
+        <span>{selectedCountry.name}</span>
+      </span>
+    {:else}
+      <span>{placeholder}</span>
+    {/if}
+    <span class="country-select__arrow">▼</span>
+  </button>
+
+  {#if isOpen}
+    <div class="country-select__dropdown">
+      <input
+        type="search"
+        class="country-select__search"
+        placeholder={searchPlaceholder}
+        aria-label={searchPlaceholder}
+        bind:value={query}
+      />
+      <div role="listbox">
+        {#each filteredCountries as country (country.code)}
+          <div
+            role="option"
+            tabindex="-1"
+            aria-selected={country.code === value}
+            class="country-select__option"
+            class:country-select__option--selected={country.code === value}
+            onclick={() => selectCountry(country.code)}
+            onkeydown={(event) => event.key === 'Enter' && selectCountry(country.code)}
+          >
+            {#if useImageFlags}
+              <img
+                {...getFlagImageProps(country.code)}
+                alt="{country.code} flag"
+                style:width="{flagWidth}px"
+                class="country-select__flag"
+              />
+            {:else}
+              <span class="country-select__flag">{country.flag}</span>
+            {/if}
+            <span>{country.name}</span>
+          </div>
+        {:else}
+          <div class="country-select__empty">No countries found</div>
+        {/each}
+      </div>
+    </div>
+  {/if}
+
+  <!-- Hidden input for form submission if needed -->
+  <input type="hidden" {name} value={value || ''} />
+</div>
+
+<style>
+  .country-select {
+    position: relative;
+    width: 100%;
+    max-width: 400px;
+  }
+
+  .country-select__button {
+    display: flex;
+    justify-content: space-between;
+    align-items: center;
+    width: 100%;
+    padding: 10px 15px;
+    font-size: 16px;
+    border-radius: 4px;
+    border: 1px solid #ccc;
+    background-color: #fff;
+    cursor: pointer;
+  }
+
+  .country-select__value,
+  .country-select__option {
+    display: flex;
+    align-items: center;
+  }
+
+  .country-select__arrow {
+    margin-left: 8px;
+  }
+
+  .country-select__dropdown {
+    position: absolute;
+    z-index: 10;
+    margin-top: 4px;
+    width: 100%;
+    max-height: 300px;
+    overflow-y: auto;
+    background-color: #fff;
+    border-radius: 4px;
+    box-shadow: 0 2px 10px rgba(0, 0, 0, 0.1);
+    border: 1px solid #ccc;
+  }
+
+  .country-select__search {
+    box-sizing: border-box;
+    width: 100%;
+    padding: 8px 15px;
+    border: none;
+    border-bottom: 1px solid #eee;
+  }
+
+  .country-select__option,
+  .country-select__empty {
+    padding: 10px 15px;
+  }
+
+  .country-select__option {
+    cursor: pointer;
+  }
+
+  .country-select__option--selected {
+    background-color: #f0f0f0;
+  }
+
+  .country-select__flag {
+    margin-right: 8px;
+    height: auto;
+    vertical-align: middle;
+  }
+</style>`;
+}
+
+module.exports = {
+  getSvelteCountryComponent
+};
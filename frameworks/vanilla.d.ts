@@ -0,0 +1,59 @@
+import type { ArrangeOptions, ComponentGeneratorOptions, CountryCodeInput, CountrySelectOptions, FlagSourceOptions } from '../index';
+
+export interface VanillaJsOptions extends Omit<CountrySelectOptions, 'id' | 'name' | 'className' | 'selectedLocale'>, ComponentGeneratorOptions {
+  /** ID of the container element (default: 'country-container') */
+  containerId?: string;
+  /** ID of the select element (default: 'country-select') */
+  selectId?: string;
+  /** Name of the select element (default: 'country') */
+  selectName?: string;
+  /** CSS class for the select element */
+  selectClass?: string;
+  /** Name of the function to call on change */
+  onChangeFunction?: string;
+  /** Compare function for the countries. It is copied into the generated code as source */
+  sort?: ArrangeOptions<any>['sort'];
+}
+
+export interface VanillaImplementationOptions extends VanillaJsOptions {
+  /** URL of the browser build (default: 'node_modules/country-flags-util/dist/country-flags-util.min.js') */
+  scriptSrc?: string;
+  /** With subdivisionSelect, URL of the subdivision data of the browser build (default: next to scriptSrc) */
+  subdivisionsScriptSrc?: string;
+}
+
+export interface VanillaDropdownOptions extends ComponentGeneratorOptions, Pick<FlagSourceOptions, 'flagWidth'> {
+  /** ID of the container element (default: 'country-container') */
+  containerId?: string;
+  /** ID of the dropdown element, also used for the listbox and option IDs (default: 'country-select') */
+  id?: string;
+  /** Name of the hidden input (default: 'country') */
+  name?: string;
+  className?: string;
+  /** Country code selected by default, or 'auto' to select the country of the user's timezone */
+  selectedCode?: CountryCodeInput | 'auto' | '';
+  /** With selectedCode 'auto', the country selected when the timezone matches no listed country */
+  fallbackCode?: CountryCodeInput;
+  /** Name of the function to call with the selected code */
+  onChangeFunction?: string;
+  /** Text shown while no country is selected (default: 'Select a country') */
+  placeholder?: string;
+  /** Accessible name of the combobox and the listbox (default: 'Country') */
+  ariaLabel?: string;
+  useImageFlags?: boolean;
+}
+
+/**
+ * Generates vanilla JavaScript code to create a country select dropdown
+ */
+export function getVanillaJsCode(options?: VanillaJsOptions): string;
+
+/**
+ * Generates vanilla JavaScript code for a custom country dropdown with a search-as-you-type filter
+ */
+export function getVanillaDropdownCode(options?: VanillaDropdownOptions): string;
+
+/**
+ * Generates complete HTML and JavaScript code for a country select dropdown, using the browser build
+ */
+export function getVanillaImplementation(options?: VanillaImplementationOptions): { html: string; js: string };
@@ -1,3 +1,176 @@
+const countries = require('../countries');
+const userAssignedCountries = require('../user-assigned');
+const {
+  assertFlagSource,
+  getFlagSources,
+  getAllCountriesCall,
+  getSubdivisionSelectOptions,
+  getFallbackCode,
+  toCodeLiteral
+} = require('../utils');
+const { escapeHtml, assertCodeReference, getExtraAttributes } = require('../escape');
+const { PRIORITY_SEPARATOR, arrangeCountries, getDisplayCountries } = require('../arrange');
+
+/**
+ * Default script URL of the browser build, which defines the CountryFlagsUtil global. It is
+ * relative, for pages next to node_modules
+ */
+const BROWSER_BUILD_URL = 'node_modules/country-flags-util/dist/country-flags-util.min.js';
+
+/**
+ * File name of the subdivision data of the browser build, which getSubdivisions needs
+ */
+const SUBDIVISIONS_BUILD_FILE = 'country-flags-util.subdivisions.min.js';
+
+/**
+ * Gets the package functions that getVanillaJsCode output calls
+ * @param {Object} options - Options passed to getVanillaJsCode
+ * @returns {Array<string>} Function names
+ */
+function getVanillaImports(options) {
+  const { priorityCodes, include, exclude, groupBy, sort, subdivisionSelect, selectedCode } = options;
+  const arranged = [priorityCodes, include, exclude, groupBy, sort].some(option => option !== undefined);
+  return ['getAllCountries', 'getFlagSrcSet']
+    .concat(arranged ? ['arrangeCountries'] : [])
+    .concat(subdivisionSelect ? ['getSubdivisions'] : [])
+    .concat(selectedCode === 'auto' ? ['detectCountryCode'] : []);
+}
+
+/**
+ * Builds the code that adds the subdivision select of the cascading mode after the country select,
+ * refilling it with getSubdivisions when the country changes
+ * @param {Object} options - Options from getSubdivisionSelectOptions
+ * @returns {string} Code that appends subdivisionSelect to the container
+ */
+function getSubdivisionSelectCode(options) {
+  const { id, name, className, placeholder, ariaLabel, selectedCode } = options;
+
+  return `
+
+  // Create the subdivision select, listing the subdivisions of the selected country
+  const subdivisionSelect = document.createElement('select');
+  subdivisionSelect.id = ${toCodeLiteral(id)};
+  subdivisionSelect.name = ${toCodeLiteral(name)};${className ? `\n  subdivisionSelect.className = ${toCodeLiteral(className)};` : ''}
+  subdivisionSelect.setAttribute('aria-label', ${toCodeLiteral(ariaLabel)});
+  function updateSubdivisions(selectedSubdivision) {
+    const subdivisions = getSubdivisions(countrySelect.value);
+    subdivisionSelect.textContent = '';
+    subdivisionSelect.appendChild(new Option(${toCodeLiteral(placeholder)}, ''));
+    subdivisions.forEach(subdivision => {
+      const option = new Option(subdivision.name, subdivision.code);
+      option.selected = subdivision.code === selectedSubdivision;
+      subdivisionSelect.appendChild(option);
+    });
+    subdivisionSelect.disabled = subdivisions.length === 0;
+  }
+  updateSubdivisions(${toCodeLiteral(selectedCode)});
+  countrySelect.addEventListener('change', () => updateSubdivisions(''));
+  container.appendChild(subdivisionSelect);`;
+}
+
+/**
+ * Builds the code that adds the country options to the select, pinning priority countries and
+ * grouping and filtering the list at runtime with arrangeCountries
+ * @param {Object} options - Arrangement options (see arrangeCountries)
+ * @returns {string} Code that appends the options to countrySelect using createOption(country)
+ */
+function getArrangeCode(options) {
+  const { priorityCodes, include, exclude, groupBy, sort } = options;
+  const arrangeOptions = { priorityCodes, include, exclude, groupBy };
+  const optionsCode = Object.keys(arrangeOptions)
+    .filter(key => arrangeOptions[key] !== undefined)
+    .map(key => `${key}: ${toCodeLiteral(arrangeOptions[key])}`)
+    // Compare functions are copied as source code, so they must not use outside variables
+    .concat(sort ? [`sort: ${sort.toString()}`] : [])
+    .join(', ');
+
+  return `// Pin the priority countries, then add the rest of the list
+  const { priority, groups } = arrangeCountries(countries, { ${optionsCode} });
+  priority.forEach(country => countrySelect.appendChild(createOption(country)));
+  if (priority.length > 0) {
+    const separator = document.createElement('option');
+    separator.value = '';
+    separator.disabled = true;
+    separator.textContent = ${toCodeLiteral(PRIORITY_SEPARATOR)};
+    countrySelect.appendChild(separator);
+  }
+  groups.forEach(group => {
+    let parent = countrySelect;
+    if (group.label !== null) {
+      parent = document.createElement('optgroup');
+      parent.label = group.label;
+      countrySelect.appendChild(parent);
+    }
+    group.countries.forEach(country => parent.appendChild(createOption(country)));
+  });`;
+}
+
+/**
+ * Builds the code that sets the flag image sources of the selected country
+ * @param {Object} options - Flag options
+ * @param {string} options.flagSource - 'cdn', 'svg' or 'local'
+ * @param {number} options.flagWidth - Width of flag images in pixels
+ * @param {string|Object|Function} [options.flagProvider] - Flag image provider when flagSource is 'cdn'
+ * @param {string} [options.flagFormat] - Image format when flagSource is 'cdn'
+ * @param {string} [options.flagPath='/flags'] - URL path of the flag SVGs when flagSource is 'local'
+ * @param {Array<Object>} options.listedCountries - Countries the select lists. Flag maps written
+ *   into the code only cover these
+ * @returns {{setupCode: string, imageCode: string}} Code to run once and code that sets the
+ *   attributes of flagImg for the country code in the code variable
+ */
+function getFlagImageCode(options) {
+  const { flagSource, flagWidth, flagProvider, flagFormat, flagPath = '/flags', listedCountries } = options;
+  const srcsetCode = sourcesCode => `const flagSources = ${sourcesCode};
+      flagImg.src = flagSources.src;
+      flagImg.srcset = flagSources.srcset;
+      flagImg.sizes = flagSources.sizes;`;
+
+  assertFlagSource(flagSource);
+
+  if (flagSource === 'svg') {
+    const entries = listedCountries
+      .map(({ code }) => `    ${code}: ${toCodeLiteral(getFlagSources(code, { flagSource }).src)}`)
+      .join(',\n');
+
+    return {
+      setupCode: `\n  // Bundled SVG flags as data URIs, so no network access is needed\n  const flagImages = {\n${entries}\n  };\n  `,
+      imageCode: 'flagImg.src = flagImages[code];'
+    };
+  }
+  if (flagSource === 'local') {
+    return {
+      setupCode: '',
+      imageCode: `flagImg.src = ${toCodeLiteral(`${flagPath.replace(/\/+$/, '')}/`)} + code.toLowerCase() + '.svg';`
+    };
+  }
+
+  if (flagProvider && typeof flagProvider !== 'string') {
+    // Provider functions cannot be serialized, so resolve every URL now
+    const entries = listedCountries
+      .map(({ code }) => {
+        const { src, srcset, sizes } = getFlagSources(code, { flagWidth, flagProvider, flagFormat });
+        return `    ${code}: { src: ${toCodeLiteral(src)}, srcset: ${toCodeLiteral(srcset)}, sizes: ${toCodeLiteral(sizes)} }`;
+      })
+      .join(',\n');
+
+    return {
+      setupCode: `\n  // Flag image sources from the configured provider\n  const flagImages = {\n${entries}\n  };\n  `,
+      imageCode: srcsetCode('flagImages[code]')
+    };
+  }
+
+  // Checks the provider and format now rather than in the browser
+  getFlagSources('US', { flagWidth, flagProvider, flagFormat });
+
+  const srcsetOptions = { width: flagWidth, format: flagFormat, provider: flagProvider };
+  const optionsCode = Object.keys(srcsetOptions)
+    .filter(key => srcsetOptions[key] !== undefined)
+    .map(key => `${key}: ${toCodeLiteral(srcsetOptions[key])}`)
+    .join(', ');
+
+  return { setupCode: '', imageCode: srcsetCode(`getFlagSrcSet(code, { ${optionsCode} })`) };
+}
+
 /**
  * Generates vanilla JavaScript code to create a country select dropdown
  * @param {Object} [options] - Configuration options
@@ -5,10 +178,36 @@
  * @param {string} [options.selectId='country-select'] - ID of the select element
  * @param {string} [options.selectName='country'] - Name of the select element
  * @param {string} [options.selectClass=''] - CSS class for the select element
- * @param {string} [options.selectedCode=''] - Country code to be selected by default
+ * @param {string} [options.selectedCode=''] - Country code to be selected by default, or 'auto' to select the
+ *   country of the user's timezone (see detectCountryCode)
+ * @param {string} [options.fallbackCode=''] - With selectedCode 'auto', the country selected when the timezone
+ *   matches no listed country
  * @param {string} [options.onChangeFunction=''] - Name of the function to call on change
- * @param {boolean} [options.useImageFlags=true] - Whether to use image flags instead of emoji flags
+ * @param {boolean} [options.useImageFlags=true] - Whether to show the flag image of the selected country next to
+ *   the select. The option labels use the emoji flag either way, as options can only contain text
  * @param {number} [options.flagWidth=40] - Width of flag images in pixels
+ * @param {string} [options.flagSource='cdn'] - 'cdn', 'svg' (inline data URIs) or 'local' (bundled SVGs under flagPath)
+ * @param {string|Object|Function} [options.flagProvider='flagcdn'] - Flag image provider when flagSource is 'cdn'
+ * @param {string} [options.flagFormat='png'] - Image format when flagSource is 'cdn'
+ * @param {string} [options.flagPath='/flags'] - URL path of the flag SVGs when flagSource is 'local'
+ * @param {Array<string>|string} [options.fields] - Country fields to load, or 'all' for the full record
+ * @param {boolean} [options.includeUserAssigned=false] - Include the widely used non-ISO entries (XK, EU)
+ * @param {Object<string, string|number|boolean>} [options.attributes] - Extra data-* and aria-* attributes for the select element
+ * @param {Array<string>} [options.priorityCodes] - Country codes to pin at the top, followed by a separator
+ * @param {Array<string>} [options.include] - Only list these country codes
+ * @param {Array<string>} [options.exclude] - Leave out these country codes
+ * @param {string} [options.countryGroup] - Only list the current members of this group, e.g. 'EU'. The
+ *   members are written into the generated code
+ * @param {string} [options.groupBy] - 'region' to put the countries in <optgroup> elements by region
+ * @param {Function} [options.sort] - Compare function for the countries. It is copied into the generated
+ *   code as source, so it must not use variables from the surrounding scope
+ * @param {string} [options.placeholder] - Text of an empty first option, selected when selectedCode is not set
+ * @param {boolean} [options.disabled=false] - Whether the select element is disabled
+ * @param {boolean} [options.required=false] - Whether the select element is required
+ * @param {string} [options.display='name'] - 'name' to show country names, or 'dialCode' to show calling
+ *   codes (e.g. "+91") for a phone prefix select. Option values are country codes either way
+ * @param {boolean|Object} [options.subdivisionSelect] - Cascading mode: true, or the options of a second
+ *   select listing the subdivisions of the selected country (see getSubdivisionSelectOptions)
  * @returns {string} JavaScript code to create a country select dropdown
  */
 function getVanillaJsCode(options = {}) {
@@ -20,84 +219,478 @@ function getVanillaJsCode(options = {}) {
     selectedCode = '',
     onChangeFunction = '',
     useImageFlags = true,
-    flagWidth = 40
+    flagWidth = 40,
+    flagSource = 'cdn',
+    flagProvider,
+    flagFormat,
+    flagPath,
+    fields,
+    includeUserAssigned,
+    attributes,
+    priorityCodes,
+    include,
+    exclude,
+    countryGroup,
+    groupBy,
+    sort,
+    placeholder,
+    disabled = false,
+    required = false,
+    display = 'name'
   } = options;
+  const subdivisionSelect = getSubdivisionSelectOptions(options.subdivisionSelect);
+  const autoSelect = selectedCode === 'auto';
+  const fallbackCode = autoSelect ? getFallbackCode(options.fallbackCode) : '';
+  const arrangeOptions = { priorityCodes, include, exclude, groupBy, sort };
+  const arranged = Object.keys(arrangeOptions).some(key => arrangeOptions[key] !== undefined);
+
+  // Checks the options now rather than in the browser
+  arrangeCountries([], arrangeOptions);
+  getDisplayCountries([], display);
 
   const onChangeCode = onChangeFunction 
-    ? `\n  countrySelect.addEventListener('change', ${onChangeFunction});` 
+    ? `\n  countrySelect.addEventListener('change', ${assertCodeReference(onChangeFunction, 'onChangeFunction')});` 
     : '';
+  const attributesCode = getExtraAttributes(attributes)
+    .map(([key, value]) => `\n  countrySelect.setAttribute(${toCodeLiteral(key)}, ${toCodeLiteral(value)});`)
+    .join('');
+  const stateCode = `${disabled ? '\n  countrySelect.disabled = true;' : ''}${required ? '\n  countrySelect.required = true;' : ''}`;
+  const placeholderCode = placeholder
+    ? `
+  // Add the placeholder option
+  const placeholderOption = document.createElement('option');
+  placeholderOption.value = '';
+  placeholderOption.disabled = true;${selectedCode && !autoSelect ? '' : '\n  placeholderOption.selected = true;'}
+  placeholderOption.textContent = ${toCodeLiteral(placeholder)};
+  countrySelect.appendChild(placeholderOption);
+  `
+    : '';
+  const extraFields = [groupBy, display === 'dialCode' ? 'dialCode' : undefined].filter(Boolean);
+  const countryFields = extraFields.length > 0 && fields !== 'all'
+    ? Array.from(new Set((fields || ['name', 'code', 'flag']).concat(extraFields)))
+    : fields;
+  const labelCode = display === 'dialCode' ? 'country.dialCode' : 'country.name';
+  // Countries without a calling code are left out of the dial code display
+  const filterCode = display === 'dialCode' ? '.filter(country => country.dialCode)' : '';
+  const imports = getVanillaImports(options).join(', ');
+  const autoSelectCode = autoSelect
+    ? `
 
-  const flagDisplayCode = useImageFlags ? 
-    `    // Create flag image
-    const flagImg = document.createElement('img');
-    flagImg.src = \`https://flagcdn.com/w\${${flagWidth}}/\${country.code.toLowerCase()}.png\`;
-    flagImg.alt = country.code;
-    flagImg.style.width = '${flagWidth}px';
-    flagImg.style.marginRight = '5px';
-    flagImg.style.verticalAlign = 'middle';
-    
-    option.innerHTML = '';
-    option.appendChild(flagImg);
-    option.appendChild(document.createTextNode(country.name));` :
-    `    option.textContent = \`\${country.flag} \${country.name}\`;`;
+  // Select the country of the user's timezone, or the fallback
+  const detectedCode = detectCountryCode({
+    include: Array.from(countrySelect.options, option => option.value).filter(Boolean),
+    fallback: ${toCodeLiteral(fallbackCode || null)}
+  });
+  if (detectedCode) {
+    countrySelect.value = detectedCode;
+  }`
+    : '';
+
+  const { setupCode, imageCode } = useImageFlags
+    ? getFlagImageCode({
+      flagSource,
+      flagWidth,
+      flagProvider,
+      flagFormat,
+      flagPath,
+      // The countries that the generated code lists, so the flag maps leave out filtered countries
+      listedCountries: arrangeCountries(includeUserAssigned ? countries.concat(userAssignedCountries) : countries,
+        { include, exclude, countryGroup }).groups[0].countries
+    })
+    : { setupCode: '', imageCode: '' };
+  const flagPreviewCode = useImageFlags
+    ? `
+
+  // Show the flag of the selected country next to the select
+  const flagImg = document.createElement('img');
+  flagImg.alt = '';
+  flagImg.style.width = ${toCodeLiteral(`${flagWidth}px`)};
+  flagImg.style.marginRight = '5px';
+  flagImg.style.verticalAlign = 'middle';
+  function updateFlag() {
+    const code = countrySelect.value;
+    flagImg.hidden = !code;
+    if (code) {
+      ${imageCode}
+    }
+  }
+  updateFlag();
+  countrySelect.addEventListener('change', updateFlag);
+  container.insertBefore(flagImg, countrySelect);`
+    : '';
 
   return `// Import the package in your project
-// const { getAllCountries, getFlagImageUrl } = require('country-flags-util'); // For Node.js
-// import { getAllCountries, getFlagImageUrl } from 'country-flags-util'; // For ES modules
+// const { ${imports} } = require('country-flags-util'); // For Node.js
+// import { ${imports} } from 'country-flags-util'; // For ES modules
+// const { ${imports} } = CountryFlagsUtil; // For the browser build (dist/country-flags-util.min.js)
 
 document.addEventListener('DOMContentLoaded', function() {
   // Get the container element
-  const container = document.getElementById('${containerId}');
+  const container = document.getElementById(${toCodeLiteral(containerId)});
   
   // Create select element
   const countrySelect = document.createElement('select');
-  countrySelect.id = '${selectId}';
-  countrySelect.name = '${selectName}';
-  ${selectClass ? `countrySelect.className = '${selectClass}';` : ''}
+  countrySelect.id = ${toCodeLiteral(selectId)};
+  countrySelect.name = ${toCodeLiteral(selectName)};
+  ${selectClass ? `countrySelect.className = ${toCodeLiteral(selectClass)};` : ''}${attributesCode}${stateCode}
   
   // Get all countries
-  const countries = getAllCountries();
-  
-  // Add options for each country
-  countries.forEach(country => {
+  const countries = ${getAllCountriesCall({ fields: countryFields, includeUserAssigned }, countryGroup)}${filterCode};
+  ${setupCode}${placeholderCode}
+  // Create the option for a country
+  function createOption(country) {
     const option = document.createElement('option');
     option.value = country.code;
-    ${useImageFlags ?
-      `// Create option with flag image
-    const optionContainer = document.createElement('div');
-    optionContainer.style.display = 'flex';
-    optionContainer.style.alignItems = 'center';
-    
+    option.textContent = \`\${country.flag} \${${labelCode}}\`;${display === 'dialCode' ? '\n    // The calling code alone does not identify shared codes such as +1\n    option.title = country.name;' : ''}${selectedCode && !autoSelect ? `\n    if(country.code === ${toCodeLiteral(selectedCode)}) option.selected = true;` : ''}
+    return option;
+  }
+  
+  ${arranged ? getArrangeCode(arrangeOptions) : `// Add options for each country
+  countries.forEach(country => countrySelect.appendChild(createOption(country)));`}${autoSelectCode}
+  
+  // Add the select to the container
+  container.appendChild(countrySelect);${flagPreviewCode}${subdivisionSelect ? getSubdivisionSelectCode(subdivisionSelect) : ''}${onChangeCode}
+});`;
+}
+
+/**
+ * Generates vanilla JavaScript code for a custom country dropdown with flags and a search-as-you-type
+ * filter. It follows the WAI-ARIA combobox pattern: arrow keys, Home and End move through the list,
+ * Enter selects and Escape closes it, and a hidden input submits the selected code with forms
+ * @param {Object} [options] - Configuration options
+ * @param {string} [options.containerId='country-container'] - ID of the container element
+ * @param {string} [options.id='country-select'] - ID of the dropdown element, also used for the listbox and option IDs
+ * @param {string} [options.name='country'] - Name of the hidden input
+ * @param {string} [options.className=''] - CSS class for the dropdown element
+ * @param {string} [options.selectedCode=''] - Country code to be selected by default, or 'auto' to select the
+ *   country of the user's timezone (see detectCountryCode)
+ * @param {string} [options.fallbackCode=''] - With selectedCode 'auto', the country selected when the timezone
+ *   matches no listed country
+ * @param {string} [options.onChangeFunction=''] - Name of the function to call with the selected code
+ * @param {string} [options.placeholder='Select a country'] - Text shown while no country is selected
+ * @param {string} [options.ariaLabel='Country'] - Accessible name of the combobox and the listbox
+ * @param {boolean} [options.useImageFlags=true] - Whether to use image flags instead of emoji flags
+ * @param {number} [options.flagWidth=40] - Width of flag images in pixels
+ * @param {Array<string>|string} [options.fields] - Country fields to load, or 'all' for the full record
+ * @param {boolean} [options.includeUserAssigned=false] - Include the widely used non-ISO entries (XK, EU)
+ * @param {string} [options.countryGroup] - Only list the current members of this group, e.g. 'EU'. The
+ *   members are written into the generated code
+ * @returns {string} JavaScript code to create a country dropdown
+ */
+function getVanillaDropdownCode(options = {}) {
+  const {
+    containerId = 'country-container',
+    id = 'country-select',
+    name = 'country',
+    className = '',
+    selectedCode = '',
+    onChangeFunction = '',
+    placeholder = 'Select a country',
+    ariaLabel = 'Country',
+    useImageFlags = true,
+    flagWidth = 40,
+    fields,
+    includeUserAssigned,
+    countryGroup
+  } = options;
+
+  const onChangeCode = onChangeFunction
+    ? `\n    ${assertCodeReference(onChangeFunction, 'onChangeFunction')}(code);`
+    : '';
+  const autoSelect = selectedCode === 'auto';
+  const imports = ['getAllCountries', 'getFlagSrcSet'].concat(autoSelect ? ['detectCountryCode'] : []).join(', ');
+  const selectedCodeCode = autoSelect
+    ? `// The country of the user's timezone, or the fallback
+  let selectedCode = detectCountryCode({
+    include: countries.map(country => country.code),
+    fallback: ${toCodeLiteral(getFallbackCode(options.fallbackCode) || null)}
+  }) || '';`
+    : `let selectedCode = ${toCodeLiteral(selectedCode ? String(selectedCode).toUpperCase() : '')};`;
+
+  return `// Import the package in your project
+// const { ${imports} } = require('country-flags-util'); // For Node.js
+// import { ${imports} } from 'country-flags-util'; // For ES modules
+// const { ${imports} } = CountryFlagsUtil; // For the browser build (dist/country-flags-util.min.js)
+
+document.addEventListener('DOMContentLoaded', function() {
+  // Get the container element
+  const container = document.getElementById(${toCodeLiteral(containerId)});
+
+  const id = ${toCodeLiteral(id)};
+  const useImageFlags = ${Boolean(useImageFlags)};
+  const flagWidth = ${toCodeLiteral(Number(flagWidth))};
+  const countries = ${getAllCountriesCall({ fields, includeUserAssigned }, countryGroup)};
+
+  // Lower-case text without diacritics, so "aland" finds "Åland Islands"
+  const normalize = (text) => text.normalize('NFD').replace(/[\\u0300-\\u036f]/g, '').toLowerCase();
+
+  ${selectedCodeCode}
+  let filteredCountries = countries;
+  let activeIndex = -1;
+  let isOpen = false;
+  // Create the dropdown elements
+  const dropdown = document.createElement('div');
+  dropdown.id = id;${className ? `\n  dropdown.className = ${toCodeLiteral(className)};` : ''}
+  dropdown.style.position = 'relative';
+  dropdown.style.width = '100%';
+  dropdown.style.maxWidth = '400px';
+
+  const field = document.createElement('div');
+  field.style.cssText = 'display: flex; align-items: center; padding: 10px 15px; font-size: 16px; border: 1px solid #ccc; border-radius: 4px; background-color: #fff;';
+
+  const selectedFlag = document.createElement('span');
+
+  const input = document.createElement('input');
+  input.type = 'text';
+  input.setAttribute('role', 'combobox');
+  input.setAttribute('aria-label', ${toCodeLiteral(ariaLabel)});
+  input.setAttribute('aria-autocomplete', 'list');
+  input.setAttribute('aria-expanded', 'false');
+  input.setAttribute('aria-controls', \`\${id}-listbox\`);
+  input.autocomplete = 'off';
+  input.placeholder = ${toCodeLiteral(placeholder)};
+  input.style.cssText = 'flex: 1; min-width: 0; border: none; outline: none; font: inherit; background: transparent;';
+
+  const toggle = document.createElement('button');
+  toggle.type = 'button';
+  toggle.tabIndex = -1;
+  toggle.setAttribute('aria-label', 'Show countries');
+  toggle.textContent = '▼';
+  toggle.style.cssText = 'margin-left: 8px; border: none; background: transparent; cursor: pointer;';
+
+  const listbox = document.createElement('ul');
+  listbox.id = \`\${id}-listbox\`;
+  listbox.setAttribute('role', 'listbox');
+  listbox.setAttribute('aria-label', ${toCodeLiteral(ariaLabel)});
+  listbox.hidden = true;
+  listbox.style.cssText = 'position: absolute; z-index: 10; width: 100%; max-height: 300px; overflow-y: auto; margin: 4px 0 0; padding: 0; list-style: none; background-color: #fff; border: 1px solid #ccc; border-radius: 4px; box-shadow: 0 2px 10px rgba(0, 0, 0, 0.1);';
+
+  // Hidden input for form submission
+  const hiddenInput = document.createElement('input');
+  hiddenInput.type = 'hidden';
+  hiddenInput.name = ${toCodeLiteral(name)};
+
+  // Create the flag of a country
+  function createFlag(country) {
+    if (!useImageFlags) {
+      const flag = document.createElement('span');
+      flag.setAttribute('aria-hidden', 'true');
+      flag.textContent = country.flag;
+      flag.style.marginRight = '8px';
+      return flag;
+    }
+    const { src, srcset, sizes } = getFlagSrcSet(country.code, { width: flagWidth });
     const flagImg = document.createElement('img');
-    flagImg.src = getFlagImageUrl(country.code, ${flagWidth});
-    flagImg.alt = country.code;
-    flagImg.style.width = '${flagWidth}px';
-    flagImg.style.marginRight = '5px';
+    flagImg.src = src;
+    if (srcset) flagImg.srcset = srcset;
+    if (sizes) flagImg.sizes = sizes;
+    flagImg.alt = '';
+    flagImg.style.width = \`\${flagWidth}px\`;
+    flagImg.style.marginRight = '8px';
     flagImg.style.verticalAlign = 'middle';
-    
-    optionContainer.appendChild(flagImg);
-    optionContainer.appendChild(document.createTextNode(country.name));
-    
-    option.appendChild(optionContainer);` :
-      `option.textContent = \`\${country.flag} \${country.name}\`;`}
-    
-    ${selectedCode ? `if(country.code === '${selectedCode}') option.selected = true;` : ''}
-    countrySelect.appendChild(option);
+    return flagImg;
+  }
+
+  // Show the selected country in the combobox
+  function renderValue() {
+    const country = countries.find(item => item.code === selectedCode);
+    hiddenInput.value = country ? country.code : '';
+    input.value = country ? country.name : '';
+    selectedFlag.replaceChildren(...(country ? [createFlag(country)] : []));
+  }
+
+  // Render the filtered options, marking the highlighted one
+  function renderOptions() {
+    listbox.replaceChildren();
+    filteredCountries.forEach((country, index) => {
+      const option = document.createElement('li');
+      option.id = \`\${id}-option-\${country.code}\`;
+      option.setAttribute('role', 'option');
+      option.setAttribute('aria-selected', String(country.code === selectedCode));
+      option.style.cssText = 'display: flex; align-items: center; padding: 10px 15px; cursor: pointer;';
+      option.appendChild(createFlag(country));
+      option.appendChild(document.createTextNode(country.name));
+      // Keep the focus in the combobox
+      option.addEventListener('mousedown', event => event.preventDefault());
+      option.addEventListener('mouseenter', () => setActive(index));
+      option.addEventListener('click', () => selectCountry(country.code));
+      listbox.appendChild(option);
+    });
+    if (filteredCountries.length === 0) {
+      const empty = document.createElement('li');
+      empty.setAttribute('role', 'option');
+      empty.setAttribute('aria-disabled', 'true');
+      empty.setAttribute('aria-selected', 'false');
+      empty.textContent = 'No countries found';
+      empty.style.padding = '10px 15px';
+      listbox.appendChild(empty);
+    }
+    setActive(activeIndex);
+  }
+
+  // Highlight an option and point aria-activedescendant at it
+  function setActive(index) {
+    activeIndex = index;
+    Array.from(listbox.children).forEach((option, optionIndex) => {
+      const country = filteredCountries[optionIndex];
+      option.style.backgroundColor = optionIndex === index ? '#e8f0fe' : (country && country.code === selectedCode ? '#f0f0f0' : 'transparent');
+    });
+    const activeCountry = isOpen ? filteredCountries[index] : undefined;
+    if (activeCountry) {
+      const option = document.getElementById(\`\${id}-option-\${activeCountry.code}\`);
+      input.setAttribute('aria-activedescendant', option.id);
+      if (option.scrollIntoView) option.scrollIntoView({ block: 'nearest' });
+    } else {
+      input.removeAttribute('aria-activedescendant');
+    }
+  }
+
+  // Open the list with the selected country highlighted
+  function openList() {
+    isOpen = true;
+    filteredCountries = countries;
+    input.value = '';
+    selectedFlag.hidden = true;
+    listbox.hidden = false;
+    input.setAttribute('aria-expanded', 'true');
+    toggle.setAttribute('aria-label', 'Close countries');
+    activeIndex = Math.max(0, countries.findIndex(country => country.code === selectedCode));
+    renderOptions();
+  }
+
+  // Close the list and show the selected country again
+  function closeList() {
+    isOpen = false;
+    listbox.hidden = true;
+    selectedFlag.hidden = false;
+    input.setAttribute('aria-expanded', 'false');
+    input.removeAttribute('aria-activedescendant');
+    toggle.setAttribute('aria-label', 'Show countries');
+    listbox.replaceChildren();
+    renderValue();
+  }
+
+  // Handle country selection
+  function selectCountry(code) {
+    selectedCode = code;
+    closeList();${onChangeCode}
+  }
+
+  // Filter the list while typing, highlighting the first match
+  input.addEventListener('input', () => {
+    const text = input.value.trim();
+    if (!isOpen) {
+      const typed = input.value;
+      openList();
+      input.value = typed;
+    }
+    filteredCountries = text
+      ? countries.filter(country =>
+        normalize(country.name).includes(normalize(text)) ||
+        country.code.toLowerCase() === text.toLowerCase())
+      : countries;
+    activeIndex = 0;
+    renderOptions();
   });
-  
-  // Add the select to the container
-  container.appendChild(countrySelect);${onChangeCode}
+
+  // Keyboard navigation following the WAI-ARIA combobox pattern
+  input.addEventListener('keydown', event => {
+    const lastIndex = filteredCountries.length - 1;
+
+    switch (event.key) {
+      case 'ArrowDown':
+        event.preventDefault();
+        if (!isOpen) {
+          openList();
+        } else {
+          setActive(Math.min(activeIndex + 1, lastIndex));
+        }
+        break;
+      case 'ArrowUp':
+        event.preventDefault();
+        if (!isOpen) {
+          openList();
+        } else {
+          setActive(Math.max(activeIndex - 1, 0));
+        }
+        break;
+      case 'Home':
+      case 'End':
+        if (isOpen) {
+          event.preventDefault();
+          setActive(event.key === 'Home' ? 0 : lastIndex);
+        }
+        break;
+      case 'Enter':
+        if (isOpen && filteredCountries[activeIndex]) {
+          event.preventDefault();
+          selectCountry(filteredCountries[activeIndex].code);
+        }
+        break;
+      case 'Escape':
+        if (isOpen) {
+          event.preventDefault();
+          closeList();
+        }
+        break;
+      case 'Tab':
+        if (isOpen) {
+          closeList();
+        }
+        break;
+      default:
+        break;
+    }
+  });
+
+  // Select the shown name, so typing replaces it
+  input.addEventListener('focus', () => input.select());
+  input.addEventListener('click', () => (isOpen ? closeList() : openList()));
+  toggle.addEventListener('click', () => {
+    if (isOpen) {
+      closeList();
+    } else {
+      openList();
+    }
+    input.focus();
+  });
+
+  // Close dropdown when clicking outside
+  document.addEventListener('mousedown', event => {
+    if (isOpen && !dropdown.contains(event.target)) {
+      closeList();
+    }
+  });
+
+  field.appendChild(selectedFlag);
+  field.appendChild(input);
+  field.appendChild(toggle);
+  dropdown.appendChild(field);
+  dropdown.appendChild(listbox);
+  dropdown.appendChild(hiddenInput);
+  renderValue();
+
+  // Add the dropdown to the container
+  container.appendChild(dropdown);
 });`;
 }
 
 /**
- * Generates complete HTML & JavaScript code for a country select dropdown
+ * Generates complete HTML & JavaScript code for a country select dropdown. The page loads the
+ * browser build of the package and takes the functions it needs from the CountryFlagsUtil global
  * @param {Object} [options] - Configuration options similar to getVanillaJsCode
+ * @param {string} [options.scriptSrc] - URL of the browser build (default:
+ *   'node_modules/country-flags-util/dist/country-flags-util.min.js', for a page next to node_modules)
+ * @param {string} [options.subdivisionsScriptSrc] - With subdivisionSelect, URL of the subdivision data
+ *   of the browser build (default: country-flags-util.subdivisions.min.js in the directory of scriptSrc)
  * @returns {Object} Object with html and js properties containing the respective code
  */
 function getVanillaImplementation(options = {}) {
-  const { useImageFlags = true, flagWidth = 40 } = options;
+  const { useImageFlags = true, flagWidth = 40, scriptSrc = BROWSER_BUILD_URL } = options;
+  const { subdivisionsScriptSrc = scriptSrc.replace(/[^/]*$/, SUBDIVISIONS_BUILD_FILE) } = options;
   const jsCode = getVanillaJsCode({...options, useImageFlags, flagWidth});
+  // The subdivision data has to be loaded before the build that reads it
+  const subdivisionsScript = options.subdivisionSelect ? `<script src="${escapeHtml(subdivisionsScriptSrc)}"></script>\n  ` : '';
   
   const htmlCode = `<!DOCTYPE html>
 <html lang="en">
@@ -105,21 +698,15 @@ function getVanillaImplementation(options = {}) {
   <meta charset="UTF-8">
   <meta name="viewport" content="width=device-width, initial-scale=1.0">
   <title>Country Select Example</title>
-  <script src="path/to/country-flags-util.min.js"></script>
+  ${subdivisionsScript}<script src="${escapeHtml(scriptSrc)}"></script>
   <script>
+    const { ${getVanillaImports(options).join(', ')} } = CountryFlagsUtil;
+
     ${jsCode}
   </script>
-  <style>
-    /* Custom styling for select option */
-    select option {
-      display: flex;
-      align-items: center;
-      padding: 3px;
-    }
-  </style>
 </head>
 <body>
-  <div id="${options.containerId || 'country-container'}"></div>
+  <div id="${escapeHtml(options.containerId || 'country-container')}"></div>
 </body>
 </html>`;
 
@@ -131,5 +718,6 @@ function getVanillaImplementation(options = {}) {
 
 module.exports = {
   getVanillaJsCode,
+  getVanillaDropdownCode,
   getVanillaImplementation
 };
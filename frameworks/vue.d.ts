@@ -0,0 +1,26 @@
+import type { AutoSelectOptions, ComponentGeneratorOptions, SelectCountry, SelectOptions } from '../index';
+
+export interface VueSelectProps extends SelectOptions {
+  id?: string;
+  name?: string;
+  className?: string;
+  /** Expression bound with v-model (default: 'selectedCountry') */
+  vModel?: string;
+  /** Other attributes, bindings and listeners, such as ':disabled' or '@change', are added to the select element */
+  [prop: string]: unknown;
+}
+
+export interface VueComponentOptions extends ComponentGeneratorOptions, AutoSelectOptions {
+  /** Generate a TypeScript script block with typed props */
+  typescript?: boolean;
+}
+
+/**
+ * Generates template code for a Vue country select
+ */
+export function getVueCountrySelect(countries: readonly SelectCountry[], props?: VueSelectProps): string;
+
+/**
+ * Generates a complete Vue 3 single-file component for country selection
+ */
+export function getVueCountryComponent(options?: VueComponentOptions): string;
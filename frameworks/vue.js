@@ -0,0 +1,353 @@
+const { getFlagDataAttributes, getAllCountriesCall, getCountryInterfaceCode, getDetectCountryCall, indentCode } = require('../utils');
+const { PRIORITY_SEPARATOR, arrangeCountries, getDisplayCountries } = require('../arrange');
+const { escapeHtml, escapeVue, assertCodeReference, getExtraAttributes } = require('../escape');
+
+/**
+ * Checks that a value can be used as an attribute name in a Vue template, including
+ * bindings and event listeners such as ":disabled", "@change" and "v-on:blur"
+ * @param {string} name - The attribute name
+ * @returns {boolean} Whether the name is a binding, directive or event listener
+ * @throws {Error} If the name is not a valid attribute or binding name
+ */
+function checkTemplateAttributeName(name) {
+  if (!/^[:@]?[A-Za-z_][\w.:-]*$/.test(name)) {
+    throw new Error(`Invalid attribute name: ${JSON.stringify(name)}`);
+  }
+  return /^([:@]|v-)/.test(name);
+}
+
+/**
+ * Generates template code for a Vue country select
+ * @param {Array<{name: string, code: string, flag: string}>} countries - Array of country objects
+ * @param {Object} [props] - Properties for the select element
+ * @param {string} [props.vModel='selectedCountry'] - Expression bound with v-model
+ * @param {boolean} [props.useImageFlags=true] - Whether to add the flag image URLs to the options as data-flag-src
+ *   and data-flag-srcset attributes. The option labels use the emoji flag, as options can only contain text
+ * @param {number} [props.flagWidth=40] - Width of flag images in pixels
+ * @param {string} [props.flagSource='cdn'] - 'cdn', 'svg' (inline data URI) or 'local' (bundled SVGs under flagPath)
+ * @param {string|Object|Function} [props.flagProvider='flagcdn'] - Flag image provider when flagSource is 'cdn'
+ * @param {string} [props.flagFormat='png'] - Image format when flagSource is 'cdn'
+ * @param {string} [props.flagPath='/flags'] - URL path of the flag SVGs when flagSource is 'local'
+ * @param {Object<string, string|number|boolean>} [props.attributes] - Extra data-* and aria-* attributes for the select element
+ * @param {Array<string>} [props.priorityCodes] - Country codes to pin at the top, followed by a separator
+ * @param {Array<string>} [props.include] - Only list these country codes
+ * @param {Array<string>} [props.exclude] - Leave out these country codes
+ * @param {string} [props.countryGroup] - Only list the current members of this group, e.g. 'EU'
+ * @param {string} [props.groupBy] - 'region' to render the countries in <optgroup> elements by region
+ * @param {Function} [props.sort] - Compare function for the countries (see arrangeCountries)
+ * @param {string} [props.placeholder] - Text of an empty first option, selected while the model is empty
+ * @param {boolean} [props.disabled=false] - Whether the select element is disabled
+ * @param {boolean} [props.required=false] - Whether the select element is required
+ * @param {string} [props.display='name'] - 'name' to show country names, or 'dialCode' to show calling
+ *   codes (e.g. "+91") for a phone prefix select. Option values are country codes either way
+ * @returns {string} Template code for the Vue country select
+ */
+function getVueCountrySelect(countries, props = {}) {
+  if (!Array.isArray(countries)) {
+    throw new Error('Countries must be an array');
+  }
+
+  const {
+    id = 'country-select',
+    name = 'country',
+    className = '',
+    vModel = 'selectedCountry',
+    useImageFlags = true,
+    flagWidth = 40,
+    flagSource = 'cdn',
+    flagProvider,
+    flagFormat,
+    flagPath,
+    attributes,
+    priorityCodes,
+    include,
+    exclude,
+    countryGroup,
+    groupBy,
+    sort,
+    placeholder,
+    disabled = false,
+    required = false,
+    display = 'name',
+    ...otherProps
+  } = props;
+  const { priority, groups } = arrangeCountries(getDisplayCountries(countries, display), { priorityCodes, include, exclude, countryGroup, groupBy, sort });
+
+  const propsString = Object.entries({
+    id,
+    name,
+    class: className,
+    ...otherProps
+  })
+    .filter(([_, value]) => value !== '')
+    .concat(getExtraAttributes(attributes))
+    .map(([key, value]) => {
+      // Binding values are template expressions, everything else is static text
+      return checkTemplateAttributeName(key)
+        ? `${key}="${escapeHtml(value)}"`
+        : `${key}="${escapeVue(value)}"`;
+    })
+    .concat(disabled ? ['disabled'] : [], required ? ['required'] : [])
+    .join(' ');
+
+  const renderOption = ({ code, name, flag, dialCode }) => {
+    // The calling code alone does not identify shared codes such as +1, so the name goes in the title
+    const label = display === 'dialCode' ? dialCode : name;
+    const title = display === 'dialCode' ? ` title="${escapeVue(name)}"` : '';
+
+    const flagAttributes = useImageFlags
+      ? getFlagDataAttributes(code, { flagSource, flagWidth, flagProvider, flagFormat, flagPath })
+        .map(([key, value]) => ` ${key}="${escapeVue(value)}"`)
+        .join('')
+      : '';
+
+    return `<option value="${escapeVue(code)}"${title}${flagAttributes}>${escapeVue(`${flag} ${label}`)}</option>`;
+  };
+
+  const optionBlocks = [];
+  if (placeholder) {
+    optionBlocks.push(`<option value="" disabled>${escapeVue(placeholder)}</option>`);
+  }
+  if (priority.length > 0) {
+    optionBlocks.push(...priority.map(renderOption), `<option value="" disabled>${PRIORITY_SEPARATOR}</option>`);
+  }
+  groups.forEach(group => {
+    if (group.label === null) {
+      optionBlocks.push(...group.countries.map(renderOption));
+    } else {
+      optionBlocks.push(`<optgroup label="${escapeVue(group.label)}">
+${indentCode(group.countries.map(renderOption).join('\n'), 2)}
+</optgroup>`);
+    }
+  });
+  const optionsCode = indentCode(optionBlocks.join('\n'), 2);
+
+  return `<select v-model="${assertCodeReference(vModel, 'v-model expression')}" ${propsString}>
+${optionsCode}
+</select>`;
+}
+
+/**
+ * Generates a complete Vue 3 single-file component for country selection. The component
+ * supports v-model and emits a change event with the selected country code
+ * @param {Object} [options] - Generation options
+ * @param {Array<string>|string} [options.fields] - Country fields to load, or 'all' for the full record
+ * @param {boolean} [options.includeUserAssigned=false] - Include the widely used non-ISO entries (XK, EU)
+ * @param {string} [options.countryGroup] - Only list the current members of this group, e.g. 'EU'. The
+ *   members are written into the generated code
+ * @param {boolean} [options.typescript=false] - Generate a TypeScript script block with typed props
+ * @param {string} [options.selectedCode] - 'auto' to select the country of the user's timezone (see
+ *   detectCountryCode) on mount when v-model is empty, emitting change with it
+ * @param {string} [options.fallbackCode] - With selectedCode 'auto', the country selected when the timezone
+ *   matches no listed country
+ * @returns {string} Vue single-file component code as a string
+ */
+function getVueCountryComponent(options = {}) {
+  const { fields, includeUserAssigned, countryGroup, typescript = false } = options;
+  const detectCall = getDetectCountryCall(options);
+  // Adds a type annotation when generating TypeScript
+  const ts = (code) => (typescript ? code : '');
+
+  const propsCode = typescript
+    ? `${getCountryInterfaceCode()}
+
+interface Props {
+  id?: string;
+  name?: string;
+  className?: string;
+  placeholder?: string;
+  useImageFlags?: boolean;
+  flagWidth?: number;
+}
+
+const props = withDefaults(defineProps<Props>(), {
+  id: 'country-select',
+  name: 'country',
+  className: '',
+  placeholder: 'Select a country',
+  useImageFlags: true,
+  flagWidth: 40
+});
+
+// Selected country code, bound with v-model
+const selectedCountry = defineModel<string>({ default: '' });
+const emit = defineEmits<{ change: [code: string] }>();`
+    : `const props = defineProps({
+  id: { type: String, default: 'country-select' },
+  name: { type: String, default: 'country' },
+  className: { type: String, default: '' },
+  placeholder: { type: String, default: 'Select a country' },
+  useImageFlags: { type: Boolean, default: true },
+  flagWidth: { type: Number, default: 40 }
+});
+
+// Selected country code, bound with v-model
+const selectedCountry = defineModel({ type: String, default: '' });
+const emit = defineEmits(['change']);`;
+
+  return `<script setup${ts(' lang="ts"')}>
+import { ref, computed, onMounted, onBeforeUnmount } from 'vue';
+import { getAllCountries, getFlagSrcSet${detectCall ? ', detectCountryCode' : ''} } from 'country-flags-util';
+
+${propsCode}
+
+const countries${ts(': readonly Country[]')} = ${getAllCountriesCall({ fields, includeUserAssigned }, countryGroup)};
+
+// Whether the dropdown is open
+const isOpen = ref(false);
+// Reference to the dropdown container for click outside detection
+const dropdownRef = ref${ts('<HTMLDivElement | null>')}(null);
+
+// Find the selected country object
+const selectedCountryObj = computed(() =>
+  countries.find(country => country.code === selectedCountry.value) || null
+);
+
+// Flag image styles
+const flagStyle = computed(() => ({ width: \`\${props.flagWidth}px\` }));
+
+// Flag image sources, with a srcset for high-density screens
+const getFlagImageProps = (code${ts(': string')}) => getFlagSrcSet(code, { width: props.flagWidth });
+
+// Handle country selection
+const handleCountrySelect = (code${ts(': string')}) => {
+  selectedCountry.value = code;
+  isOpen.value = false;
+  emit('change', code);
+};
+
+// Close dropdown when clicking outside
+const handleClickOutside = (event${ts(': MouseEvent')}) => {
+  if (dropdownRef.value && !dropdownRef.value.contains(event.target${ts(' as Node')})) {
+    isOpen.value = false;
+  }
+};
+
+onMounted(() => document.addEventListener('mousedown', handleClickOutside));
+onBeforeUnmount(() => document.removeEventListener('mousedown', handleClickOutside));${detectCall ? `
+
+// Select the country of the user's timezone, or the fallback, when v-model is empty
+onMounted(() => {
+  if (!selectedCountry.value) {
+    const code = ${detectCall};
+    if (code) {
+      handleCountrySelect(code);
+    }
+  }
+});` : ''}
+</script>
+
+<template>
+  <div :id="id" ref="dropdownRef" :class="['country-select', className]">
+    <button
+      type="button"
+      class="country-select__button"
+      aria-haspopup="listbox"
+      :aria-expanded="isOpen"
+      @click="isOpen = !isOpen"
+    >
+      <span v-if="selectedCountryObj" class="country-select__value">
+        <img
+          v-if="useImageFlags"
+          v-bind="getFlagImageProps(selectedCountryObj.code)"
+          :alt="\`\${selectedCountryObj.code} flag\`"
+          :style="flagStyle"
+          class="country-select__flag"
+        />
+        <span v-else class="country-select__flag">{{ selectedCountryObj.flag }}</span>
+        <span>{{ selectedCountryObj.name }}</span>
+      </span>
+      <span v-else>{{ placeholder }}</span>
+      <span class="country-select__arrow">▼</span>
+    </button>
+
+    <div v-if="isOpen" class="country-select__dropdown" role="listbox">
+      <div
+        v-for="country in countries"
+        :key="country.code"
+        role="option"
+        :aria-selected="country.code === selectedCountry"
+        :class="['country-select__option', { 'country-select__option--selected': country.code === selectedCountry }]"
+        @click="handleCountrySelect(country.code)"
+      >
+        <img
+          v-if="useImageFlags"
+          v-bind="getFlagImageProps(country.code)"
+          :alt="\`\${country.code} flag\`"
+          :style="flagStyle"
+          class="country-select__flag"
+        />
+        <span v-else class="country-select__flag">{{ country.flag }}</span>
+        <span>{{ country.name }}</span>
+      </div>
+    </div>
+
+    <!-- Hidden input for form submission if needed -->
+    <input type="hidden" :name="name" :value="selectedCountry || ''" />
+  </div>
+</template>
+
+<style scoped>
+.country-select {
+  position: relative;
+  width: 100%;
+  max-width: 400px;
+}
+
+.country-select__button {
+  display: flex;
+  justify-content: space-between;
+  align-items: center;
+  width: 100%;
+  padding: 10px 15px;
+  font-size: 16px;
+  border-radius: 4px;
+  border: 1px solid #ccc;
+  background-color: #fff;
+  cursor: pointer;
+}
+
+.country-select__value,
+.country-select__option {
+  display: flex;
+  align-items: center;
+}
+
+.country-select__arrow {
+  margin-left: 8px;
+}
+
+.country-select__dropdown {
+  position: absolute;
+  z-index: 10;
+  margin-top: 4px;
+  width: 100%;
+  max-height: 300px;
+  overflow-y: auto;
+  background-color: #fff;
+  border-radius: 4px;
+  box-shadow: 0 2px 10px rgba(0, 0, 0, 0.1);
+  border: 1px solid #ccc;
+}
+
+.country-select__option {
+  padding: 10px 15px;
+  cursor: pointer;
+}
+
+.country-select__option--selected {
+  background-color: #f0f0f0;
+}
+
+.country-select__flag {
+  margin-right: 8px;
+  height: auto;
+  vertical-align: middle;
+}
+</style>`;
+}
+
+module.exports = {
+  getVueCountrySelect,
+  getVueCountryComponent
+};
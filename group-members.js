@@ -0,0 +1,102 @@
+/**
+ * Members of the built-in country groups. Each entry is a membership period:
+ * [code, joined, left], where joined is the first day of membership and left, if set, the first
+ * day the country was no longer a member (ISO dates). Countries that left and rejoined have one
+ * period per membership.
+ * - EU: the European Union, including the European Communities before 1993. Greenland left
+ *   the Communities in 1985 and the United Kingdom left the EU on 31 January 2020
+ * - EEA: the European Economic Area (the EU members and Iceland, Liechtenstein and Norway)
+ * - SCHENGEN: countries applying the Schengen rules in full, from the day checks were lifted
+ * - EUROZONE: EU members that use the euro
+ * - G20: the country members and the European Union (EU). The African Union, a member since
+ *   2023, has no country code
+ * - COMMONWEALTH: the Commonwealth of Nations. The founding dominions are dated from the
+ *   Statute of Westminster
+ * version is the date the data was last checked
+ */
+module.exports = {
+  version: "2026-01-01",
+  groups: {
+    EU: {
+      name: "European Union",
+      members: [
+        ["AT", "1995-01-01"], ["BE", "1958-01-01"], ["BG", "2007-01-01"], ["CY", "2004-05-01"],
+        ["CZ", "2004-05-01"], ["DE", "1958-01-01"], ["DK", "1973-01-01"], ["EE", "2004-05-01"],
+        ["ES", "1986-01-01"], ["FI", "1995-01-01"], ["FR", "1958-01-01"], ["GB", "1973-01-01", "2020-02-01"],
+        ["GL", "1973-01-01", "1985-02-01"], ["GR", "1981-01-01"], ["HR", "2013-07-01"], ["HU", "2004-05-01"],
+        ["IE", "1973-01-01"], ["IT", "1958-01-01"], ["LT", "2004-05-01"], ["LU", "1958-01-01"],
+        ["LV", "2004-05-01"], ["MT", "2004-05-01"], ["NL", "1958-01-01"], ["PL", "2004-05-01"],
+        ["PT", "1986-01-01"], ["RO", "2007-01-01"], ["SE", "1995-01-01"], ["SI", "2004-05-01"],
+        ["SK", "2004-05-01"]
+      ]
+    },
+    EEA: {
+      name: "European Economic Area",
+      members: [
+        ["AT", "1994-01-01"], ["BE", "1994-01-01"], ["BG", "2007-08-01"], ["CY", "2004-05-01"],
+        ["CZ", "2004-05-01"], ["DE", "1994-01-01"], ["DK", "1994-01-01"], ["EE", "2004-05-01"],
+        ["ES", "1994-01-01"], ["FI", "1994-01-01"], ["FR", "1994-01-01"], ["GB", "1994-01-01", "2020-02-01"],
+        ["GR", "1994-01-01"], ["HR", "2014-04-12"], ["HU", "2004-05-01"], ["IE", "1994-01-01"],
+        ["IS", "1994-01-01"], ["IT", "1994-01-01"], ["LI", "1995-05-01"], ["LT", "2004-05-01"],
+        ["LU", "1994-01-01"], ["LV", "2004-05-01"], ["MT", "2004-05-01"], ["NL", "1994-01-01"],
+        ["NO", "1994-01-01"], ["PL", "2004-05-01"], ["PT", "1994-01-01"], ["RO", "2007-08-01"],
+        ["SE", "1994-01-01"], ["SI", "2004-05-01"], ["SK", "2004-05-01"]
+      ]
+    },
+    SCHENGEN: {
+      name: "Schengen Area",
+      members: [
+        ["AT", "1997-12-01"], ["BE", "1995-03-26"], ["BG", "2025-01-01"], ["CH", "2008-12-12"],
+        ["CZ", "2007-12-21"], ["DE", "1995-03-26"], ["DK", "2001-03-25"], ["EE", "2007-12-21"],
+        ["ES", "1995-03-26"], ["FI", "2001-03-25"], ["FR", "1995-03-26"], ["GR", "2000-03-26"],
+        ["HR", "2023-01-01"], ["HU", "2007-12-21"], ["IS", "2001-03-25"], ["IT", "1997-10-26"],
+        ["LI", "2011-12-19"], ["LT", "2007-12-21"], ["LU", "1995-03-26"], ["LV", "2007-12-21"],
+        ["MT", "2007-12-21"], ["NL", "1995-03-26"], ["NO", "2001-03-25"], ["PL", "2007-12-21"],
+        ["PT", "1995-03-26"], ["RO", "2025-01-01"], ["SE", "2001-03-25"], ["SI", "2007-12-21"],
+        ["SK", "2007-12-21"]
+      ]
+    },
+    EUROZONE: {
+      name: "Eurozone",
+      members: [
+        ["AT", "1999-01-01"], ["BE", "1999-01-01"], ["BG", "2026-01-01"], ["CY", "2008-01-01"],
+        ["DE", "1999-01-01"], ["EE", "2011-01-01"], ["ES", "1999-01-01"], ["FI", "1999-01-01"],
+        ["FR", "1999-01-01"], ["GR", "2001-01-01"], ["HR", "2023-01-01"], ["IE", "1999-01-01"],
+        ["IT", "1999-01-01"], ["LT", "2015-01-01"], ["LU", "1999-01-01"], ["LV", "2014-01-01"],
+        ["MT", "2008-01-01"], ["NL", "1999-01-01"], ["PT", "1999-01-01"], ["SI", "2007-01-01"],
+        ["SK", "2009-01-01"]
+      ]
+    },
+    G20: {
+      name: "G20",
+      members: [
+        ["AR", "1999-09-26"], ["AU", "1999-09-26"], ["BR", "1999-09-26"], ["CA", "1999-09-26"],
+        ["CN", "1999-09-26"], ["DE", "1999-09-26"], ["EU", "1999-09-26"], ["FR", "1999-09-26"],
+        ["GB", "1999-09-26"], ["ID", "1999-09-26"], ["IN", "1999-09-26"], ["IT", "1999-09-26"],
+        ["JP", "1999-09-26"], ["KR", "1999-09-26"], ["MX", "1999-09-26"], ["RU", "1999-09-26"],
+        ["SA", "1999-09-26"], ["TR", "1999-09-26"], ["US", "1999-09-26"], ["ZA", "1999-09-26"]
+      ]
+    },
+    COMMONWEALTH: {
+      name: "Commonwealth of Nations",
+      members: [
+        ["AG", "1981-11-01"], ["AU", "1931-12-11"], ["BB", "1966-11-30"], ["BD", "1972-04-18"],
+        ["BN", "1984-01-01"], ["BS", "1973-07-10"], ["BW", "1966-09-30"], ["BZ", "1981-09-21"],
+        ["CA", "1931-12-11"], ["CM", "1995-11-13"], ["CY", "1961-03-13"], ["DM", "1978-11-03"],
+        ["FJ", "1970-10-10", "1987-10-15"], ["FJ", "1997-10-01"], ["GA", "2022-06-25"], ["GB", "1931-12-11"],
+        ["GD", "1974-02-07"], ["GH", "1957-03-06"], ["GM", "1965-02-18", "2013-10-03"], ["GM", "2018-02-08"],
+        ["GY", "1966-05-26"], ["IE", "1931-12-11", "1949-04-18"], ["IN", "1947-08-15"], ["JM", "1962-08-06"],
+        ["KE", "1963-12-12"], ["KI", "1979-07-12"], ["KN", "1983-09-19"], ["LC", "1979-02-22"],
+        ["LK", "1948-02-04"], ["LS", "1966-10-04"], ["MT", "1964-09-21"], ["MU", "1968-03-12"],
+        ["MV", "1982-07-09", "2016-10-13"], ["MV", "2020-02-01"], ["MW", "1964-07-06"], ["MY", "1957-08-31"],
+        ["MZ", "1995-11-13"], ["NA", "1990-03-21"], ["NG", "1960-10-01"], ["NR", "1968-01-31"],
+        ["NZ", "1931-12-11"], ["PG", "1975-09-16"], ["PK", "1947-08-14", "1972-01-30"], ["PK", "1989-10-01"],
+        ["RW", "2009-11-29"], ["SB", "1978-07-07"], ["SC", "1976-06-29"], ["SG", "1965-10-15"],
+        ["SL", "1961-04-27"], ["SZ", "1968-09-06"], ["TG", "2022-06-25"], ["TO", "1970-06-04"],
+        ["TT", "1962-08-31"], ["TV", "1978-10-01"], ["TZ", "1961-12-09"], ["UG", "1962-10-09"],
+        ["VC", "1979-10-27"], ["VU", "1980-07-30"], ["WS", "1970-08-28"], ["ZA", "1931-12-11", "1961-05-31"],
+        ["ZA", "1994-06-01"], ["ZM", "1964-10-24"], ["ZW", "1980-04-18", "2003-12-07"]
+      ]
+    }
+  }
+};
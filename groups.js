@@ -0,0 +1,157 @@
+const groupMembers = require('./group-members');
+const { assertCountryCode } = require('./codes');
+
+/**
+ * Date the built-in group data was last checked
+ */
+const COUNTRY_GROUPS_VERSION = groupMembers.version;
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Converts a [code, joined, left] entry of group-members.js to a membership period
+ * @param {Array<string>} entry - Membership entry
+ * @returns {{code: string, joined: string|null, left: string|null}} Membership period
+ */
+function toPeriod([code, joined, left]) {
+  return { code, joined, left: left || null };
+}
+
+const groups = {};
+Object.keys(groupMembers.groups).forEach(id => {
+  const { name, members } = groupMembers.groups[id];
+  groups[id] = { id, name, builtIn: true, periods: members.map(toPeriod) };
+});
+
+/**
+ * Converts a date option to an ISO date string
+ * @param {Date|string} [date] - Date or ISO date string (e.g. "2019-06-30"); today (UTC) when omitted
+ * @returns {string} ISO date string
+ */
+function toDateString(date) {
+  if (date === undefined) {
+    return new Date().toISOString().slice(0, 10);
+  }
+  if (date instanceof Date && !isNaN(date.getTime())) {
+    return date.toISOString().slice(0, 10);
+  }
+  // Date.parse rolls over days such as "2019-02-30", so the date must come back unchanged
+  if (typeof date === 'string' && DATE_PATTERN.test(date) && !isNaN(Date.parse(date)) &&
+    new Date(date).toISOString().slice(0, 10) === date) {
+    return date;
+  }
+  throw new Error(`Invalid date: ${date}`);
+}
+
+/**
+ * Finds a group by ID, ignoring case
+ * @param {string} id - Group ID (e.g. "EU")
+ * @returns {Object} The group
+ */
+function getGroup(id) {
+  const group = typeof id === 'string' ? groups[id.toUpperCase()] : undefined;
+  if (!group) {
+    throw new Error(`Unknown country group: ${id}`);
+  }
+  return group;
+}
+
+/**
+ * Checks whether a membership period covers a date
+ * @param {Object} period - Membership period
+ * @param {string} date - ISO date string
+ * @returns {boolean} True if the country was a member on that date
+ */
+function coversDate(period, date) {
+  return (!period.joined || period.joined <= date) && (!period.left || date < period.left);
+}
+
+/**
+ * Gets the codes of the members of a group on a date
+ * @param {string} group - Group ID
+ * @param {Object} [options] - Membership options
+ * @param {Date|string} [options.date] - Date of the membership; today when omitted
+ * @returns {Set<string>} Member codes
+ */
+function getGroupMemberCodes(group, options = {}) {
+  const date = toDateString(options.date);
+  return new Set(getGroup(group).periods.filter(period => coversDate(period, date)).map(period => period.code));
+}
+
+/**
+ * Checks whether a country is a member of a group
+ * @param {string} code - The 2-letter country code (case-insensitive)
+ * @param {string} group - Group ID: 'EU', 'EEA', 'SCHENGEN', 'EUROZONE', 'G20', 'COMMONWEALTH'
+ *   or a registered custom group (case-insensitive)
+ * @param {Object} [options] - Membership options
+ * @param {Date|string} [options.date] - Date of the membership, e.g. "2019-06-30"; today when omitted
+ * @returns {boolean} True if the country was a member on that date
+ */
+function isInGroup(code, group, options = {}) {
+  const members = getGroupMemberCodes(group, options);
+  return typeof code === 'string' && members.has(code.toUpperCase());
+}
+
+/**
+ * Lists the groups a country is a member of
+ * @param {string} code - The 2-letter country code (case-insensitive)
+ * @param {Object} [options] - Membership options
+ * @param {Date|string} [options.date] - Date of the membership; today when omitted
+ * @returns {Array<string>} Group IDs, built-in groups first, then custom groups in the order
+ *   they were registered
+ */
+function getGroupsForCountry(code, options = {}) {
+  const date = toDateString(options.date);
+  if (typeof code !== 'string') {
+    return [];
+  }
+
+  const upperCode = code.toUpperCase();
+  return Object.keys(groups).filter(id =>
+    groups[id].periods.some(period => period.code === upperCode && coversDate(period, date)));
+}
+
+/**
+ * Registers a custom country group, e.g. the countries a shipping rate applies to. Registering
+ * an ID again replaces the group; the built-in groups cannot be replaced
+ * @param {string} id - Group ID: a letter followed by letters, digits, "_" or "-". IDs are case-insensitive
+ * @param {Array<string|Object>|Object} definition - Member codes, or an object with a name and
+ *   members. Members are codes, or objects with a code and optional joined and left dates
+ *   (ISO date strings, left being the first day the country is no longer a member)
+ * @returns {string} The upper-case group ID
+ * @throws {InvalidCountryCodeError} If a member code is not a country code
+ */
+function registerCountryGroup(id, definition) {
+  if (typeof id !== 'string' || !/^[A-Za-z][\w-]*$/.test(id)) {
+    throw new Error(`Invalid country group ID: ${JSON.stringify(id)}`);
+  }
+  const groupId = id.toUpperCase();
+  if (groups[groupId] && groups[groupId].builtIn) {
+    throw new Error(`Cannot replace the built-in country group ${groupId}`);
+  }
+
+  const { name = groupId, members } = Array.isArray(definition) ? { members: definition } : definition || {};
+  if (!Array.isArray(members)) {
+    throw new Error('Country group members must be an array');
+  }
+
+  const periods = members.map(member => {
+    const { code, joined = null, left = null } = typeof member === 'string' ? { code: member } : member || {};
+    return {
+      code: assertCountryCode(code, { includeUserAssigned: true }),
+      joined: joined === null ? null : toDateString(joined),
+      left: left === null ? null : toDateString(left)
+    };
+  });
+
+  groups[groupId] = { id: groupId, name: String(name), builtIn: false, periods };
+  return groupId;
+}
+
+module.exports = {
+  COUNTRY_GROUPS_VERSION,
+  getGroupMemberCodes,
+  isInGroup,
+  getGroupsForCountry,
+  registerCountryGroup
+};
@@ -0,0 +1,160 @@
+/**
+ * Bundled name tables, loaded on first use when Intl.DisplayNames
+ * is unavailable or does not support the requested locale
+ */
+const BUNDLED_LOCALES = {
+  ar: () => require('./locales/ar'),
+  de: () => require('./locales/de'),
+  es: () => require('./locales/es'),
+  fr: () => require('./locales/fr'),
+  hi: () => require('./locales/hi'),
+  it: () => require('./locales/it'),
+  ja: () => require('./locales/ja'),
+  ko: () => require('./locales/ko'),
+  nl: () => require('./locales/nl'),
+  pt: () => require('./locales/pt'),
+  ru: () => require('./locales/ru'),
+  zh: () => require('./locales/zh')
+};
+
+/**
+ * Most locale tags whose resolved locales are remembered; the map is cleared when it is full
+ */
+const RESOLVED_LOCALE_CACHE_SIZE = 100;
+
+const resolvedLocales = new Map();
+
+const displayNamesCache = new Map();
+
+/**
+ * Resolves a locale tag to the locales Intl uses for the country names and the sort order.
+ * Equivalent tags, such as 'de', 'DE' and 'de-DE', resolve to the same locales, so caches
+ * keyed by them stay bounded by the locales of the runtime
+ * @param {string} locale - BCP 47 locale tag
+ * @returns {{names: string|null, key: string}} The locale of Intl.DisplayNames, or null when it does
+ *   not support the tag, and a key made of the locales of the names and of Intl.Collator
+ */
+function resolveLocale(locale) {
+  if (resolvedLocales.has(locale)) {
+    return resolvedLocales.get(locale);
+  }
+
+  let names = null;
+  let collation = '';
+  if (typeof Intl !== 'undefined') {
+    try {
+      // Without data for the locale, Intl.DisplayNames silently falls back to the
+      // default locale, so only use it when the locale is actually supported
+      if (typeof Intl.DisplayNames === 'function' && Intl.DisplayNames.supportedLocalesOf([locale]).length > 0) {
+        names = minimizeLocale(new Intl.DisplayNames([locale], { type: 'region' }).resolvedOptions().locale);
+      }
+      collation = minimizeLocale(new Intl.Collator(locale).resolvedOptions().locale);
+    } catch (error) {
+      // Invalid tags get the English names in the default order, like any unsupported locale
+      names = null;
+    }
+  }
+
+  const resolved = { names, key: `${names || getBundledLanguage(locale) || ''}|${collation}` };
+  if (resolvedLocales.size >= RESOLVED_LOCALE_CACHE_SIZE) {
+    resolvedLocales.clear();
+  }
+  resolvedLocales.set(locale, resolved);
+  return resolved;
+}
+
+/**
+ * Removes the subtags that a locale implies, e.g. "de-DE" becomes "de" but "de-AT" is kept
+ * @param {string} locale - Locale resolved by Intl
+ * @returns {string} The shortest equivalent tag
+ */
+function minimizeLocale(locale) {
+  return typeof Intl.Locale === 'function' ? new Intl.Locale(locale).minimize().toString() : locale;
+}
+
+/**
+ * Gets the key under which lists localized for a locale are cached. Tags that give the same
+ * names and sort order, such as 'de' and 'DE', share a key
+ * @param {string} locale - BCP 47 locale tag
+ * @returns {string} Cache key
+ */
+function getLocaleKey(locale) {
+  return resolveLocale(locale).key;
+}
+
+/**
+ * Returns a cached Intl.DisplayNames instance for a locale
+ * @param {string} locale - BCP 47 locale tag
+ * @returns {Intl.DisplayNames|null} Display names instance, or null if the runtime cannot provide one
+ */
+function getDisplayNames(locale) {
+  const { names } = resolveLocale(locale);
+  if (!names) {
+    return null;
+  }
+  if (!displayNamesCache.has(names)) {
+    displayNamesCache.set(names, new Intl.DisplayNames([names], { type: 'region', fallback: 'none' }));
+  }
+  return displayNamesCache.get(names);
+}
+
+/**
+ * Gets the language of a locale if its names are bundled
+ * @param {string} locale - BCP 47 locale tag
+ * @returns {string|null} Language code, e.g. "de", or null if the language is not bundled
+ */
+function getBundledLanguage(locale) {
+  const language = String(locale).split('-')[0].toLowerCase();
+  return Object.prototype.hasOwnProperty.call(BUNDLED_LOCALES, language) ? language : null;
+}
+
+/**
+ * Returns the bundled name table for a locale's language
+ * @param {string} locale - BCP 47 locale tag
+ * @returns {Object|null} Map of country code to name, or null if the language is not bundled
+ */
+function getBundledNames(locale) {
+  const language = getBundledLanguage(locale);
+  return language ? BUNDLED_LOCALES[language]() : null;
+}
+
+/**
+ * Localizes a country name, falling back to the given name
+ * @param {string} code - The 2-letter ISO country code
+ * @param {string} locale - BCP 47 locale tag
+ * @param {string} fallbackName - Name to use when no localized name is available
+ * @returns {string} The localized country name
+ */
+function localizeName(code, locale, fallbackName) {
+  const displayNames = getDisplayNames(locale);
+  const localized = displayNames ? displayNames.of(code) : undefined;
+  if (localized && localized !== code) {
+    return localized;
+  }
+
+  const bundled = getBundledNames(locale);
+  return (bundled && bundled[code]) || fallbackName;
+}
+
+/**
+ * Sorts countries by name using the collation rules of a locale
+ * @param {Array<{name: string}>} list - Array of country objects
+ * @param {string} locale - BCP 47 locale tag
+ * @returns {Array<{name: string}>} A new, sorted array
+ */
+function sortCountriesByName(list, locale) {
+  let compare;
+  try {
+    compare = new Intl.Collator(locale).compare;
+  } catch (error) {
+    compare = (a, b) => a.localeCompare(b);
+  }
+
+  return list.slice().sort((a, b) => compare(a.name, b.name));
+}
+
+module.exports = {
+  getLocaleKey,
+  localizeName,
+  sortCountriesByName
+};
@@ -0,0 +1,600 @@
+import type { CountryCode, UserAssignedCountryCode } from './country-code';
+
+export type { CountryCode, UserAssignedCountryCode } from './country-code';
+export type { CountrySelectElement, CountrySelectElementConstructor, DefineCountrySelectOptions } from './web-component';
+
+/**
+ * Any code of a country the package lists, including XK and EU
+ */
+export type AnyCountryCode = CountryCode | UserAssignedCountryCode;
+
+/**
+ * A country code in upper or lower case, as accepted by the functions that take codes
+ */
+export type CountryCodeInput = AnyCountryCode | Lowercase<AnyCountryCode>;
+
+/**
+ * Type of a country code argument. String literals must be known codes, so typos such as 'UK'
+ * fail to compile, while values typed as string are accepted and checked at runtime
+ */
+export type CheckedCode<T extends string> = string extends T ? T : T extends CountryCodeInput ? T : CountryCodeInput;
+
+/**
+ * Full country record, as returned by getCountry and getAllCountries({ fields: 'all' })
+ */
+export interface CountryRecord {
+  /** English short name */
+  name: string;
+  /** ISO 3166-1 alpha-2 code */
+  code: CountryCode;
+  /** Flag emoji */
+  flag: string;
+  /** ISO 3166-1 alpha-3 code */
+  alpha3: string;
+  /** ISO 3166-1 numeric code (zero-padded, e.g. "004") */
+  numeric: string;
+  /** Continent name */
+  continent: string;
+  /** Region name (e.g. "Americas") */
+  region: string;
+  /** Subregion name (e.g. "Caribbean") */
+  subregion: string | null;
+  /** Capital city */
+  capital: string | null;
+  /** Country code top-level domain (e.g. ".in") */
+  tld: string | null;
+  /** International calling code (e.g. "+91") */
+  dialCode: string | null;
+}
+
+/**
+ * Record of XK (Kosovo) or EU (European Union), listed with the includeUserAssigned option
+ */
+export interface UserAssignedCountryRecord extends Omit<CountryRecord, 'code' | 'alpha3' | 'numeric'> {
+  code: UserAssignedCountryCode;
+  alpha3: string | null;
+  numeric: null;
+}
+
+/**
+ * Field that can be requested from getAllCountries()
+ */
+export type CountryField = keyof CountryRecord;
+
+/**
+ * Country with the fields getAllCountries() returns by default
+ */
+export type Country = Pick<CountryRecord, 'name' | 'code' | 'flag'>;
+
+export const COUNTRY_FIELDS: CountryField[];
+
+export interface GetAllCountriesOptions {
+  /** Fields to include in each country object, or 'all' for the full record (default: name, code and flag) */
+  fields?: CountryField[] | 'all';
+  /** Locale for country names (e.g. "de"); the list is then sorted using that locale's collation rules */
+  locale?: string;
+  /** Include the widely used non-ISO entries (XK for Kosovo, EU for the European Union) */
+  includeUserAssigned?: boolean;
+}
+
+type SelectedField<O> = O extends { fields: 'all' }
+  ? CountryField
+  : O extends { fields: Array<infer F> } ? F & CountryField : 'name' | 'code' | 'flag';
+
+type ListedRecord<O> = O extends { includeUserAssigned: true } ? CountryRecord | UserAssignedCountryRecord : CountryRecord;
+
+// Picks from each member of a union, so the code of a listed country stays a CountryCode or a UserAssignedCountryCode
+type PickEach<T, K extends PropertyKey> = T extends unknown ? Pick<T, K & keyof T> : never;
+
+/**
+ * Country object with the fields requested by getAllCountries() options
+ */
+export type ListedCountry<O extends GetAllCountriesOptions = {}> = PickEach<ListedRecord<O>, SelectedField<O>>;
+
+/**
+ * Returns an array of all countries, with the name, code and flag emoji unless other fields are requested.
+ * Lists are cached, so the array and its objects are frozen
+ */
+export function getAllCountries<O extends GetAllCountriesOptions = {}>(options?: O): ReadonlyArray<Readonly<ListedCountry<O>>>;
+
+export interface LookupOptions {
+  /** 'strict' for exact matches only, or 'lenient' to ignore surrounding whitespace, case and diacritics */
+  mode?: 'strict' | 'lenient';
+  /** Also match the widely used non-ISO entries (XK, EU) */
+  includeUserAssigned?: boolean;
+}
+
+/**
+ * Finds a country by alpha-2, alpha-3 or numeric code, or by name. Returns the full (frozen) record,
+ * or null if no country matches
+ */
+export function getCountry<C extends CountryCode>(input: C, options?: LookupOptions): Readonly<CountryRecord & { code: C }>;
+export function getCountry<C extends UserAssignedCountryCode>(
+  input: C,
+  options: LookupOptions & { includeUserAssigned: true }
+): Readonly<UserAssignedCountryRecord & { code: C }>;
+export function getCountry(input: string | number, options?: LookupOptions): Readonly<CountryRecord | UserAssignedCountryRecord> | null;
+
+/**
+ * Finds several countries at once, returning null where nothing matched
+ */
+export function getCountries(
+  inputs: Array<string | number>,
+  options?: LookupOptions
+): Array<Readonly<CountryRecord | UserAssignedCountryRecord> | null>;
+
+export interface SearchCountriesOptions {
+  /** Maximum number of results (default: 10) */
+  limit?: number;
+  /** Locale of the returned names (e.g. "de"), which are searched along with the English names */
+  locale?: string;
+  /** Also search the widely used non-ISO entries (XK, EU) */
+  includeUserAssigned?: boolean;
+}
+
+/**
+ * A searchCountries result: the country, and how the query matched it
+ */
+export type CountrySearchResult<O extends SearchCountriesOptions = {}> = ListedCountry<Pick<O, 'includeUserAssigned'>> & {
+  /** 'exact', 'prefix' (the text starts with the query), 'token' (every query word starts a word) or 'fuzzy' (typos) */
+  matchType: 'exact' | 'prefix' | 'token' | 'fuzzy';
+  /** Kind of text that matched */
+  field: 'name' | 'code' | 'alpha3' | 'alias' | 'native';
+  /** The text that matched, e.g. 'Holland' for the Netherlands */
+  matchedText: string;
+  /** [start, end) ranges of the matched characters in matchedText */
+  highlights: Array<[number, number]>;
+};
+
+/**
+ * Searches countries by name, common alias, code or native name, ranked by exact, prefix,
+ * word and fuzzy matches
+ */
+export function searchCountries<O extends SearchCountriesOptions = {}>(query: string, options?: O): Array<CountrySearchResult<O>>;
+
+/**
+ * Finds the country of a phone number or dialing prefix by its longest matching prefix
+ */
+export function getCountryByDialCode(
+  input: string | number,
+  options?: { includeUserAssigned?: boolean }
+): Readonly<CountryRecord | UserAssignedCountryRecord> | null;
+
+/**
+ * Gets the name of a country in the given locale, in English when no locale is given
+ */
+export function getCountryName<T extends string>(code: CheckedCode<T>, locale?: string): string;
+
+/**
+ * Built-in country groups: the European Union, the European Economic Area, the Schengen Area,
+ * the Eurozone, the G20 and the Commonwealth of Nations
+ */
+export type BuiltInCountryGroup = 'EU' | 'EEA' | 'SCHENGEN' | 'EUROZONE' | 'G20' | 'COMMONWEALTH';
+
+/**
+ * ID of a built-in group or of a group added with registerCountryGroup. IDs are case-insensitive
+ */
+export type CountryGroupId = BuiltInCountryGroup | Lowercase<BuiltInCountryGroup> | string;
+
+export interface GroupMembershipOptions {
+  /** Date of the membership, e.g. "2019-06-30" (default: today) */
+  date?: Date | string;
+}
+
+/**
+ * Date the built-in group data was last checked
+ */
+export const COUNTRY_GROUPS_VERSION: string;
+
+/**
+ * Returns the members of a group on a date, in the order of getAllCountries
+ */
+export function getCountriesInGroup<O extends GetAllCountriesOptions & GroupMembershipOptions = {}>(
+  group: CountryGroupId,
+  options?: O
+): Array<Readonly<ListedCountry<O>>>;
+
+/**
+ * Checks whether a country is a member of a group on a date
+ */
+export function isInGroup(code: string, group: CountryGroupId, options?: GroupMembershipOptions): boolean;
+
+/**
+ * Lists the IDs of the groups a country is a member of on a date
+ */
+export function getGroupsForCountry(code: string, options?: GroupMembershipOptions): string[];
+
+/**
+ * ISO 3166-2 subdivision of a country, such as a state or province
+ */
+export interface Subdivision {
+  /** ISO 3166-2 code, e.g. "US-CA" */
+  code: string;
+  /** ISO 3166-2 name, in the local language written in the Latin script */
+  name: string;
+  /** Kind of subdivision, e.g. 'State' or 'Province' */
+  type: string;
+  /** Code of the subdivision this one is part of, e.g. "GB-ENG" */
+  parent: string | null;
+}
+
+export interface SubdivisionOptions {
+  /** Only return subdivisions of these types, e.g. 'State' (case-insensitive) */
+  type?: string | string[];
+  /** Only return the subdivisions within this subdivision, or with null only the top-level subdivisions */
+  parent?: string | null;
+}
+
+/**
+ * Gets the ISO 3166-2 subdivisions of a country, sorted by name. The array and its objects are frozen
+ */
+export function getSubdivisions(countryCode: string, options?: SubdivisionOptions): ReadonlyArray<Readonly<Subdivision>>;
+
+/**
+ * tz database release of the timezone data
+ */
+export const TIMEZONES_VERSION: string;
+
+/**
+ * Finds the country of an IANA timezone or of an older name linked to it (e.g. "Asia/Calcutta").
+ * null for unknown names and zones of no country, such as "UTC"
+ */
+export function getCountryByTimezone(timeZone: string): Readonly<CountryRecord> | null;
+
+/**
+ * Gets the IANA timezones of a country, in the order of zone.tab. The array is frozen
+ */
+export function getTimezonesForCountry(code: string): ReadonlyArray<string>;
+
+export interface DetectCountryOptions {
+  /** IANA timezone to use instead of the one reported by Intl.DateTimeFormat */
+  timeZone?: string;
+  /** Only return these country codes */
+  include?: readonly string[];
+  /** Code returned when no listed country matches (default: null) */
+  fallback?: CountryCodeInput | null;
+}
+
+/**
+ * Guesses the user's country from the timezone reported by Intl.DateTimeFormat
+ */
+export function detectCountryCode(options?: DetectCountryOptions): string | null;
+
+/**
+ * Member of a custom group, with its membership dates. left is the first day the country is no longer a member
+ */
+export interface CountryGroupMember {
+  code: CountryCodeInput;
+  joined?: Date | string;
+  left?: Date | string;
+}
+
+export interface CountryGroupDefinition {
+  /** Name of the group (default: the ID) */
+  name?: string;
+  members: Array<CountryCodeInput | CountryGroupMember>;
+}
+
+/**
+ * Registers a custom country group, or replaces a custom group with the same ID. Returns the upper-case ID
+ */
+export function registerCountryGroup(
+  id: string,
+  definition: Array<CountryCodeInput | CountryGroupMember> | CountryGroupDefinition
+): string;
+
+export interface ValidationOptions {
+  /** Accept user-assigned codes (AA, QM-QZ, XA-XZ, ZZ) */
+  allowUserAssigned?: boolean;
+  /** Accept codes reserved by ISO 3166 (e.g. UK, EU, YU) */
+  allowReserved?: boolean;
+  /** Accept the widely used non-ISO entries (XK, EU) */
+  includeUserAssigned?: boolean;
+}
+
+export interface StrictModeOptions extends ValidationOptions {
+  /** Reject codes that are not assigned ISO 3166-1 countries */
+  strict?: boolean;
+  /** In strict mode, throw an InvalidCountryCodeError for rejected codes instead of returning null */
+  throwOnInvalid?: boolean;
+}
+
+// Strict mode options that return null for rejected codes
+type NullOnInvalid = { strict: true; throwOnInvalid: false };
+
+/**
+ * Converts a 2-letter ISO country code to an emoji flag. Invalid codes give an empty string,
+ * or null in strict mode with throwOnInvalid: false
+ */
+export function getFlagEmoji<T extends string>(code: CheckedCode<T>, options: StrictModeOptions & NullOnInvalid): string | null;
+export function getFlagEmoji<T extends string>(code: CheckedCode<T>, options?: StrictModeOptions): string;
+
+/**
+ * Converts a flag emoji back to its country code, or the subdivision code for flags such as England's
+ */
+export function getCodeFromFlagEmoji(emoji: string): string | null;
+
+export interface FlagInText {
+  emoji: string;
+  code: string;
+  type: 'country' | 'subdivision';
+  start: number;
+  end: number;
+  assigned: boolean;
+}
+
+/**
+ * Finds every flag emoji in a string
+ */
+export function findFlagsInText(text: string): FlagInText[];
+
+export type FlagFormat = 'png' | 'webp' | 'svg';
+
+/**
+ * Sizes and format passed to a provider's getUrl function
+ */
+export interface FlagUrlOptions {
+  width: number | undefined;
+  height: number | undefined;
+  format: string;
+}
+
+export interface FlagProvider {
+  name: string;
+  widths: number[] | undefined;
+  heights: number[] | undefined;
+  formats: string[];
+  getUrl(code: string, options: FlagUrlOptions): string;
+}
+
+export interface FlagProviderDefinition {
+  name?: string;
+  /** URL template with the {code}, {CODE}, {width}, {height}, {size} and {format} placeholders */
+  template?: string;
+  getUrl?: (code: string, options: FlagUrlOptions) => string;
+  widths?: number[];
+  heights?: number[];
+  formats?: string[];
+}
+
+/**
+ * Flag image provider option: 'flagcdn', a URL template, a getUrl function or a provider object
+ */
+export type FlagProviderOption = 'flagcdn' | string | FlagProvider | ((code: string, options: FlagUrlOptions) => string);
+
+/**
+ * Creates a flag image provider from a URL template, a getUrl function or a definition object
+ */
+export function createFlagProvider(
+  definition: string | ((code: string, options: FlagUrlOptions) => string) | FlagProviderDefinition
+): FlagProvider;
+
+export interface FlagImageOptions extends StrictModeOptions {
+  /** Width of the flag image in pixels, snapped to the nearest width the provider serves (default: 40) */
+  width?: number | `${number}`;
+  /** Height of the flag image in pixels, instead of a width */
+  height?: number | `${number}`;
+  format?: FlagFormat;
+  provider?: FlagProviderOption;
+}
+
+/**
+ * Gets the flag image URL for a country code, using flagcdn.com unless another provider is given
+ */
+export function getFlagImageUrl<T extends string>(code: CheckedCode<T>, options: FlagImageOptions & NullOnInvalid): string | null;
+export function getFlagImageUrl<T extends string>(code: CheckedCode<T>, options?: number | `${number}` | FlagImageOptions | null): string;
+
+export interface FlagSrcSet {
+  src: string;
+  srcset: string;
+  sizes: string;
+}
+
+export interface FlagSrcSetOptions extends FlagImageOptions {
+  /** Pixel densities to include in the srcset (default: [1, 2, 3]) */
+  densities?: number[];
+}
+
+/**
+ * Gets src, srcset and sizes values for a flag image that stays sharp on high-density screens
+ */
+export function getFlagSrcSet<T extends string>(code: CheckedCode<T>, options: FlagSrcSetOptions & NullOnInvalid): FlagSrcSet | null;
+export function getFlagSrcSet<T extends string>(code: CheckedCode<T>, options?: FlagSrcSetOptions | null): FlagSrcSet;
+
+/**
+ * Gets the bundled SVG flag for a country code, or an empty string if none is bundled. Needs Node.js:
+ * the browser build throws
+ */
+export function getFlagSvg<T extends string>(code: CheckedCode<T>, options?: { format?: 'markup' | 'dataUri' }): string;
+
+export type CountryCodeStatus = 'assigned' | 'user-assigned' | 'reserved' | 'unassigned';
+
+export type CountryCodeRejection = 'not-a-string' | 'invalid-length' | 'non-letter' | 'user-assigned' | 'reserved' | 'unassigned';
+
+export type CountryCodeValidation =
+  | { valid: true; code: string; status: CountryCodeStatus; reason: null; message: null }
+  | { valid: false; code: string | null; status: CountryCodeStatus | null; reason: CountryCodeRejection; message: string };
+
+/**
+ * Validates a 2-letter country code and explains why it was rejected
+ */
+export function validateCountryCode(code: unknown, options?: ValidationOptions): CountryCodeValidation;
+
+/**
+ * Checks whether a value is a valid 2-letter country code. Without options, a valid code is narrowed to
+ * a known country code
+ */
+export function isValidCountryCode(
+  code: unknown,
+  options?: { allowUserAssigned?: false; allowReserved?: false; includeUserAssigned?: false }
+): code is CountryCode | Lowercase<CountryCode>;
+export function isValidCountryCode(
+  code: unknown,
+  options: { allowUserAssigned?: false; allowReserved?: false; includeUserAssigned: true }
+): code is CountryCodeInput;
+export function isValidCountryCode(code: unknown, options?: ValidationOptions): code is string;
+
+export interface NormalizedCountryCode {
+  input: unknown;
+  code: AnyCountryCode | null;
+  status: 'assigned' | 'user-assigned' | 'alias' | 'replaced' | 'dissolved' | 'unknown';
+  name: string | null;
+  successors: CountryCode[];
+}
+
+/**
+ * Maps legacy, exceptional and formerly used codes (e.g. UK, EL, BU) to current alpha-2 codes
+ */
+export function normalizeCountryCode(code: unknown, options?: { includeUserAssigned?: boolean }): NormalizedCountryCode;
+
+/**
+ * Error thrown by the strict flag helpers for codes that fail validation
+ */
+export class InvalidCountryCodeError extends Error {
+  constructor(countryCode: unknown, reason: CountryCodeRejection, message: string);
+  name: 'InvalidCountryCodeError';
+  countryCode: unknown;
+  reason: CountryCodeRejection;
+}
+
+/**
+ * Options that filter, sort and group the countries of a select
+ */
+export interface ArrangeOptions<T extends { code: string } = ListedCountry> {
+  /** Country codes to pin at the top, in this order, followed by a separator */
+  priorityCodes?: CountryCodeInput[];
+  /** Only list these country codes */
+  include?: CountryCodeInput[];
+  /** Leave out these country codes */
+  exclude?: CountryCodeInput[];
+  /** Only list the current members of this group, e.g. 'EU' */
+  countryGroup?: CountryGroupId;
+  /** 'region' to group the countries by region */
+  groupBy?: 'region';
+  /** Compare function for the countries, as for Array.prototype.sort */
+  sort?: (a: T, b: T) => number;
+}
+
+export interface ArrangedCountries<T> {
+  priority: T[];
+  groups: Array<{ label: string | null; countries: T[] }>;
+}
+
+/**
+ * Filters, sorts and groups countries for a select dropdown
+ */
+export function arrangeCountries<T extends { code: string }>(countries: readonly T[], options?: ArrangeOptions<T>): ArrangedCountries<T>;
+
+/**
+ * Flag image options shared by the select generators
+ */
+export interface FlagSourceOptions {
+  /** Width of flag images in pixels (default: 40) */
+  flagWidth?: number;
+  /** 'cdn' for a flag image provider, 'svg' for inline data URIs or 'local' for the bundled SVGs under flagPath */
+  flagSource?: 'cdn' | 'svg' | 'local';
+  /** Flag image provider when flagSource is 'cdn' */
+  flagProvider?: FlagProviderOption;
+  /** Image format when flagSource is 'cdn' */
+  flagFormat?: FlagFormat;
+  /** URL path of the flag SVGs when flagSource is 'local' (default: '/flags') */
+  flagPath?: string;
+}
+
+/**
+ * Country listed by the select generators. The dial code display needs dialCode, and grouping
+ * by region needs region
+ */
+export interface SelectCountry {
+  name: string;
+  code: string;
+  flag: string;
+  dialCode?: string | null;
+  region?: string;
+}
+
+/**
+ * Options shared by getCountrySelect and the select generators of the frameworks
+ */
+export interface SelectOptions extends FlagSourceOptions, ArrangeOptions<any> {
+  /** Whether to add the flag image URLs to the options as data-flag-src and data-flag-srcset attributes (default: true) */
+  useImageFlags?: boolean;
+  /** Extra data-* and aria-* attributes for the select element */
+  attributes?: Record<string, string | number | boolean>;
+  /** Text of an empty first option */
+  placeholder?: string;
+  disabled?: boolean;
+  required?: boolean;
+  /** 'name' to show country names, or 'dialCode' to show calling codes for a phone prefix select */
+  display?: 'name' | 'dialCode';
+}
+
+/**
+ * Options of the subdivision select of the cascading mode
+ */
+export interface SubdivisionSelectOptions {
+  /** ID of the subdivision select (default: 'subdivision-select') */
+  id?: string;
+  /** Name of the subdivision select (default: 'subdivision') */
+  name?: string;
+  className?: string;
+  /** Text of the empty first option (default: 'Select a region') */
+  placeholder?: string;
+  /** Accessible name of the subdivision select (default: 'Region') */
+  ariaLabel?: string;
+  /** Subdivision code to be selected by default, e.g. "US-CA" */
+  selectedCode?: string;
+}
+
+export interface CountrySelectOptions extends SelectOptions {
+  id?: string;
+  name?: string;
+  className?: string;
+  /** Country code to be selected by default, or 'auto' to select the country of the user's timezone */
+  selectedCode?: CountryCodeInput | 'auto' | '';
+  /** With selectedCode 'auto', the country selected when the timezone matches no listed country */
+  fallbackCode?: CountryCodeInput;
+  /** Locale for country names and sort order (e.g. "de") */
+  selectedLocale?: string;
+  /** Include the widely used non-ISO entries (XK, EU) */
+  includeUserAssigned?: boolean;
+  /**
+   * Cascading mode: true, or the options of a second select listing the subdivisions of the selected country.
+   * The inline script holds the subdivisions of every listed country: about 5,000 (120 KB) without include
+   * or countryGroup
+   */
+  subdivisionSelect?: boolean | SubdivisionSelectOptions;
+}
+
+/**
+ * Generates HTML for a select dropdown with country flags and names
+ */
+export function getCountrySelect(options?: CountrySelectOptions): string;
+
+/**
+ * Options of the component generators
+ */
+export interface ComponentGeneratorOptions {
+  /** Country fields to load, or 'all' for the full record */
+  fields?: CountryField[] | 'all';
+  /** Include the widely used non-ISO entries (XK, EU) */
+  includeUserAssigned?: boolean;
+  /** Only list the current members of this group, e.g. 'EU'. The members are written into the generated code */
+  countryGroup?: CountryGroupId;
+}
+
+export interface AutoSelectOptions {
+  /** 'auto' to select the country of the user's timezone when the component mounts without a value */
+  selectedCode?: 'auto' | '';
+  /** With selectedCode 'auto', the country selected when the timezone matches no listed country */
+  fallbackCode?: CountryCodeInput;
+}
+
+export { defineCountrySelect } from './web-component';
+
+export const react: typeof import('./frameworks/react');
+export const angular: typeof import('./frameworks/angular');
+export const vanilla: typeof import('./frameworks/vanilla');
+export const vue: typeof import('./frameworks/vue');
+export const svelte: typeof import('./frameworks/svelte');
+export const solid: typeof import('./frameworks/solid');
@@ -1,45 +1,20 @@
-const countries = require('./countries');
-const { getFlagEmoji, getFlagImageUrl, getCountrySelectHTML } = require('./utils');
+const core = require('./core');
 const reactFramework = require('./frameworks/react');
 const angularFramework = require('./frameworks/angular');
 const vanillaFramework = require('./frameworks/vanilla');
+const vueFramework = require('./frameworks/vue');
+const svelteFramework = require('./frameworks/svelte');
+const solidFramework = require('./frameworks/solid');
 
-/**
- * Returns an array of all countries with name, code and flag emoji
- * @returns {Array<{name: string, code: string, flag: string}>} Array of country objects
- */
-function getAllCountries() {
-  return countries.map(country => ({
-    name: country.name,
-    code: country.code,
-    flag: getFlagEmoji(country.code)
-  }));
-}
-
-/**
- * Generates HTML for a select dropdown with country flags and names
- * @param {Object} [options] - Configuration options
- * @param {string} [options.id] - HTML id attribute for the select element
- * @param {string} [options.name] - HTML name attribute for the select element
- * @param {string} [options.className] - HTML class attribute for the select element
- * @param {string} [options.selectedCode] - Country code to be selected by default
- * @param {boolean} [options.useImageFlags=true] - Whether to use image flags instead of emoji flags
- * @param {number} [options.flagWidth=40] - Width of flag images in pixels
- * @returns {string} HTML string for the country select dropdown
- */
-function getCountrySelect(options = {}) {
-  return getCountrySelectHTML(getAllCountries(), options);
-}
-
-// Make sure all utilities are explicitly exported
+// The functions of core.js, and the code generators for each framework
 module.exports = {
-  getAllCountries,
-  getFlagEmoji,
-  getFlagImageUrl,
-  getCountrySelect,
-  
+  ...core,
+
   // Framework-specific utilities
   react: reactFramework,
   angular: angularFramework,
-  vanilla: vanillaFramework
+  vanilla: vanillaFramework,
+  vue: vueFramework,
+  svelte: svelteFramework,
+  solid: solidFramework
 };
@@ -0,0 +1,45 @@
+// ES module entry point. It re-exports the CommonJS build, so both module systems
+// share one copy of the package state (e.g. the registered custom element)
+import countryFlagsUtil from './index.js';
+
+export const {
+  COUNTRY_FIELDS,
+  getAllCountries,
+  getCountry,
+  getCountries,
+  searchCountries,
+  getCountryByDialCode,
+  getCountryName,
+  getCountriesInGroup,
+  isInGroup,
+  getGroupsForCountry,
+  registerCountryGroup,
+  COUNTRY_GROUPS_VERSION,
+  getSubdivisions,
+  getCountryByTimezone,
+  getTimezonesForCountry,
+  detectCountryCode,
+  TIMEZONES_VERSION,
+  getFlagEmoji,
+  getCodeFromFlagEmoji,
+  findFlagsInText,
+  getFlagImageUrl,
+  getFlagSrcSet,
+  createFlagProvider,
+  getFlagSvg,
+  isValidCountryCode,
+  validateCountryCode,
+  normalizeCountryCode,
+  InvalidCountryCodeError,
+  getCountrySelect,
+  arrangeCountries,
+  defineCountrySelect,
+  react,
+  angular,
+  vanilla,
+  vue,
+  svelte,
+  solid
+} = countryFlagsUtil;
+
+export default countryFlagsUtil;
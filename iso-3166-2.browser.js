@@ -0,0 +1,16 @@
+/**
+ * Stand-in for iso-3166-2.js in dist/country-flags-util.min.js, which leaves the subdivision data
+ * to dist/country-flags-util.subdivisions.min.js. That script defines the CountryFlagsUtilSubdivisions
+ * global, so it has to be loaded first
+ */
+const subdivisionData = typeof CountryFlagsUtilSubdivisions === 'object' ? CountryFlagsUtilSubdivisions : null;
+
+/**
+ * Throws when getSubdivisions looks up a country without the data, rather than returning no subdivisions
+ * @throws {Error} Always
+ */
+function throwMissingData() {
+  throw new Error('getSubdivisions needs the subdivision data in the browser. Load country-flags-util.subdivisions.min.js before country-flags-util.min.js');
+}
+
+module.exports = subdivisionData || new Proxy({}, { getOwnPropertyDescriptor: throwMissingData });
@@ -0,0 +1,112 @@
+const { normalizeText } = require('./utils');
+const { localizeName } = require('./i18n');
+const { findCountryRecord } = require('./store');
+
+/**
+ * Looks up a country by exact alpha-2, alpha-3 or numeric code or by exact name
+ * @param {string|number} input - Code or name to look up
+ * @param {boolean} includeUserAssigned - Whether to match XK and EU
+ * @returns {Object|undefined} Matching record
+ */
+function findStrict(input, includeUserAssigned) {
+  if (typeof input === 'number') {
+    input = String(input).padStart(3, '0');
+  }
+
+  if (/^\d{3}$/.test(input)) {
+    return findCountryRecord('numeric', input, includeUserAssigned);
+  }
+  if (/^[A-Z]{2}$/.test(input)) {
+    return findCountryRecord('code', input, includeUserAssigned);
+  }
+  if (/^[A-Z]{3}$/.test(input)) {
+    return findCountryRecord('alpha3', input, includeUserAssigned);
+  }
+  return findCountryRecord('name', input, includeUserAssigned);
+}
+
+/**
+ * Looks up a country ignoring surrounding whitespace, case and diacritics
+ * @param {string|number} input - Code or name to look up
+ * @param {boolean} includeUserAssigned - Whether to match XK and EU
+ * @returns {Object|undefined} Matching record
+ */
+function findLenient(input, includeUserAssigned) {
+  const value = String(input).trim();
+
+  if (/^\d{1,3}$/.test(value)) {
+    return findStrict(value.padStart(3, '0'), includeUserAssigned);
+  }
+  if (/^[a-z]{2,3}$/i.test(value)) {
+    const match = findStrict(value.toUpperCase(), includeUserAssigned);
+    if (match) {
+      return match;
+    }
+  }
+
+  return findCountryRecord('normalizedName', normalizeText(value), includeUserAssigned);
+}
+
+/**
+ * Finds a country by alpha-2, alpha-3 or numeric code, or by name
+ * @param {string|number} input - Country code (e.g. "IN", "IND", "356") or name (e.g. "India")
+ * @param {Object} [options] - Lookup options
+ * @param {string} [options.mode='strict'] - 'strict' for exact matches only, or 'lenient' to
+ *   ignore surrounding whitespace, case and diacritics
+ * @param {boolean} [options.includeUserAssigned=false] - Also match the widely used non-ISO entries (XK, EU)
+ * @returns {Object|null} The full country record or null if no country matches. Records are
+ *   shared between calls, so they are frozen
+ */
+function getCountry(input, options = {}) {
+  const { mode = 'strict', includeUserAssigned = false } = options;
+
+  if (mode !== 'strict' && mode !== 'lenient') {
+    throw new Error(`Unknown lookup mode: ${mode}`);
+  }
+  if ((typeof input !== 'string' && typeof input !== 'number') || input === '') {
+    return null;
+  }
+
+  const country = mode === 'lenient' ? findLenient(input, includeUserAssigned) : findStrict(input, includeUserAssigned);
+  return country || null;
+}
+
+/**
+ * Finds several countries at once
+ * @param {Array<string|number>} inputs - Country codes or names
+ * @param {Object} [options] - Lookup options (see getCountry)
+ * @returns {Array<Object|null>} Country records in the same order as the inputs, null where nothing matched
+ */
+function getCountries(inputs, options = {}) {
+  if (!Array.isArray(inputs)) {
+    throw new Error('Inputs must be an array');
+  }
+
+  return inputs.map(input => getCountry(input, options));
+}
+
+/**
+ * Gets the name of a country in the given locale
+ * @param {string} code - The 2-letter ISO country code
+ * @param {string} [locale] - BCP 47 locale tag (e.g. "de", "pt-BR"); English when omitted
+ * @returns {string} The localized name, the English name if no translation is available,
+ *   or an empty string if the code is unknown
+ */
+function getCountryName(code, locale) {
+  if (!code || typeof code !== 'string') {
+    return '';
+  }
+
+  const country = findCountryRecord('code', code.toUpperCase(), true);
+  if (!country) {
+    return '';
+  }
+
+  return locale ? localizeName(country.code, locale, country.name) : country.name;
+}
+
+module.exports = {
+  getCountry,
+  getCountries,
+  getCountryName
+};
@@ -0,0 +1,126 @@
+/**
+ * Names of countries in their own languages (endonyms), with common romanizations for names in
+ * other scripts. Used by searchCountries; names that only differ from the English name by
+ * accents (e.g. "México") are matched without being listed
+ * @type {Object<string, Array<string>>}
+ */
+module.exports = {
+  AE: ["الإمارات"],
+  AF: ["افغانستان"],
+  AL: ["Shqipëria"],
+  AM: ["Հայաստան", "Hayastan"],
+  AT: ["Österreich"],
+  AZ: ["Azərbaycan"],
+  BA: ["Bosna i Hercegovina", "Босна и Херцеговина"],
+  BD: ["বাংলাদেশ"],
+  BE: ["België", "Belgique", "Belgien"],
+  BG: ["България"],
+  BH: ["البحرين"],
+  BI: ["Uburundi"],
+  BR: ["Brasil"],
+  BT: ["འབྲུག་ཡུལ", "Druk Yul"],
+  BY: ["Беларусь", "Bielaruś"],
+  CD: ["République démocratique du Congo"],
+  CF: ["Centrafrique"],
+  CH: ["Schweiz", "Suisse", "Svizzera", "Svizra"],
+  CM: ["Cameroun"],
+  CN: ["中国", "Zhongguo"],
+  CY: ["Κύπρος", "Kıbrıs"],
+  CZ: ["Česko", "Česká republika"],
+  DE: ["Deutschland"],
+  DJ: ["جيبوتي"],
+  DK: ["Danmark"],
+  DZ: ["الجزائر", "Algérie"],
+  EE: ["Eesti"],
+  EG: ["مصر", "Misr"],
+  EH: ["الصحراء الغربية"],
+  ER: ["ኤርትራ"],
+  ES: ["España"],
+  ET: ["ኢትዮጵያ"],
+  FI: ["Suomi"],
+  FJ: ["Viti"],
+  FO: ["Føroyar"],
+  GE: ["საქართველო", "Sakartvelo"],
+  GF: ["Guyane"],
+  GL: ["Kalaallit Nunaat"],
+  GN: ["Guinée"],
+  GQ: ["Guinea Ecuatorial"],
+  GR: ["Ελλάδα", "Ellada", "Hellas"],
+  GW: ["Guiné-Bissau"],
+  HK: ["香港"],
+  HR: ["Hrvatska"],
+  HT: ["Ayiti"],
+  HU: ["Magyarország"],
+  IE: ["Éire"],
+  IL: ["ישראל"],
+  IM: ["Ellan Vannin"],
+  IN: ["भारत", "Bharat"],
+  IQ: ["العراق"],
+  IR: ["ایران"],
+  IS: ["Ísland"],
+  IT: ["Italia"],
+  JO: ["الأردن"],
+  JP: ["日本", "Nippon", "Nihon"],
+  KG: ["Кыргызстан"],
+  KH: ["កម្ពុជា", "Kampuchea"],
+  KM: ["Komori", "Comores"],
+  KP: ["조선", "Chosŏn"],
+  KR: ["대한민국", "한국", "Hanguk"],
+  KW: ["الكويت"],
+  KZ: ["Қазақстан", "Qazaqstan"],
+  LA: ["ລາວ"],
+  LB: ["لبنان", "Liban"],
+  LK: ["ශ්‍රී ලංකාව", "இலங்கை"],
+  LT: ["Lietuva"],
+  LU: ["Lëtzebuerg", "Luxemburg"],
+  LV: ["Latvija"],
+  LY: ["ليبيا"],
+  MA: ["المغرب", "Maroc"],
+  MG: ["Madagasikara"],
+  MK: ["Северна Македонија"],
+  MM: ["မြန်မာ"],
+  MN: ["Монгол Улс"],
+  MO: ["澳門"],
+  MR: ["موريتانيا", "Mauritanie"],
+  MV: ["ދިވެހިރާއްޖެ"],
+  MZ: ["Moçambique"],
+  NC: ["Nouvelle-Calédonie"],
+  NL: ["Nederland"],
+  NO: ["Norge", "Noreg"],
+  NP: ["नेपाल"],
+  NR: ["Naoero"],
+  NZ: ["Aotearoa"],
+  OM: ["عُمان"],
+  PF: ["Polynésie française"],
+  PG: ["Papua Niugini"],
+  PH: ["Pilipinas"],
+  PK: ["پاکستان"],
+  PL: ["Polska"],
+  PS: ["فلسطين"],
+  PW: ["Belau"],
+  QA: ["قطر"],
+  RS: ["Србија", "Srbija"],
+  RU: ["Россия", "Rossiya"],
+  SA: ["السعودية"],
+  SD: ["السودان"],
+  SE: ["Sverige"],
+  SI: ["Slovenija"],
+  SK: ["Slovensko"],
+  SO: ["Soomaaliya", "الصومال"],
+  ST: ["São Tomé e Príncipe"],
+  SY: ["سوريا"],
+  TD: ["Tchad", "تشاد"],
+  TH: ["ประเทศไทย", "Prathet Thai"],
+  TJ: ["Тоҷикистон"],
+  TL: ["Timor Lorosa'e"],
+  TM: ["Türkmenistan"],
+  TN: ["تونس", "Tunisie"],
+  TR: ["Türkiye"],
+  TW: ["臺灣", "台灣"],
+  UA: ["Україна", "Ukraina"],
+  UZ: ["Oʻzbekiston"],
+  VA: ["Città del Vaticano"],
+  VN: ["Việt Nam"],
+  XK: ["Kosova", "Косово"],
+  YE: ["اليمن"]
+};
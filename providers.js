@@ -0,0 +1,200 @@
+/**
+ * Built-in provider for https://flagcdn.com, which only serves a fixed set of sizes
+ */
+const flagcdnProvider = {
+  name: 'flagcdn',
+  widths: [20, 40, 80, 160, 320, 640, 1280, 2560],
+  heights: [20, 24, 40, 60, 80, 120, 240],
+  formats: ['png', 'webp', 'svg'],
+  getUrl(code, { width, height, format }) {
+    if (format === 'svg') {
+      return `https://flagcdn.com/${code.toLowerCase()}.svg`;
+    }
+    const size = height ? `h${height}` : `w${width}`;
+    return `https://flagcdn.com/${size}/${code.toLowerCase()}.${format}`;
+  }
+};
+
+const BUILT_IN_PROVIDERS = {
+  flagcdn: flagcdnProvider
+};
+
+/**
+ * Creates a flag image provider
+ * @param {Object|string|Function} definition - A URL template, a function, or an object with either
+ *   `template` or `getUrl` plus the optional fields below. Templates can use the placeholders
+ *   {code} (lower case), {CODE} (upper case), {width}, {height}, {size} ("w40" or "h40") and {format},
+ *   e.g. "https://cdn.example.com/flags/{size}/{code}.{format}". Functions receive
+ *   (code, { width, height, format }) and return the URL
+ * @param {string} [definition.name='custom'] - Provider name
+ * @param {Array<number>} [definition.widths] - Widths the provider serves; requested widths snap to these
+ * @param {Array<number>} [definition.heights] - Heights the provider serves; requested heights snap to these
+ * @param {Array<string>} [definition.formats=['png', 'webp', 'svg']] - Image formats the provider serves
+ * @returns {Object} Provider object for the provider option of getFlagImageUrl and getFlagSrcSet
+ */
+function createFlagProvider(definition) {
+  if (typeof definition === 'string' || typeof definition === 'function') {
+    definition = typeof definition === 'string' ? { template: definition } : { getUrl: definition };
+  }
+  if (!definition || (typeof definition.template !== 'string' && typeof definition.getUrl !== 'function')) {
+    throw new Error('A flag provider needs a URL template or a getUrl function');
+  }
+
+  const {
+    name = 'custom',
+    template,
+    widths,
+    heights,
+    formats = ['png', 'webp', 'svg']
+  } = definition;
+
+  const getUrl = template
+    ? (code, { width, height, format }) => template
+      .replace(/\{code\}/g, code.toLowerCase())
+      .replace(/\{CODE\}/g, code.toUpperCase())
+      .replace(/\{width\}/g, width || '')
+      .replace(/\{height\}/g, height || '')
+      .replace(/\{size\}/g, height ? `h${height}` : `w${width}`)
+      .replace(/\{format\}/g, format)
+    : definition.getUrl;
+
+  return { name, widths, heights, formats, getUrl };
+}
+
+/**
+ * Resolves the provider option to a provider object
+ * @param {string|Object|Function} [provider='flagcdn'] - Built-in provider name, provider object,
+ *   URL template or function (see createFlagProvider)
+ * @returns {Object} Provider object
+ */
+function resolveProvider(provider = 'flagcdn') {
+  if (typeof provider === 'string' && Object.prototype.hasOwnProperty.call(BUILT_IN_PROVIDERS, provider)) {
+    return BUILT_IN_PROVIDERS[provider];
+  }
+  if (provider && typeof provider.getUrl === 'function' && Array.isArray(provider.formats)) {
+    return provider;
+  }
+  if (typeof provider === 'string' && !provider.includes('{')) {
+    throw new Error(`Unknown flag provider: ${provider}`);
+  }
+  return createFlagProvider(provider);
+}
+
+/**
+ * Snaps a size to the nearest size a provider serves, preferring the next larger one so
+ * images are never scaled up
+ * @param {number} size - Requested size in pixels
+ * @param {Array<number>} [supported] - Sizes the provider serves; any size is allowed when omitted
+ * @returns {number} The size to request
+ */
+function snapSize(size, supported) {
+  if (!supported || supported.length === 0) {
+    return size;
+  }
+
+  const sorted = supported.slice().sort((a, b) => a - b);
+  const larger = sorted.find(value => value >= size);
+  return larger === undefined ? sorted[sorted.length - 1] : larger;
+}
+
+/**
+ * Checks a width or height option
+ * @param {number|string} size - Size in pixels; numeric strings such as "80" are accepted
+ * @param {string} name - 'width' or 'height', for the error message
+ * @returns {number} The size as a number
+ */
+function toImageSize(size, name) {
+  const value = typeof size === 'string' && size.trim() !== '' ? Number(size) : size;
+  if (typeof value !== 'number' || !Number.isFinite(value) || value <= 0) {
+    throw new Error(`Invalid flag ${name}: ${size}. Expected a positive number of pixels`);
+  }
+  return value;
+}
+
+/**
+ * Gets the requested image size, before snapping it to the sizes a provider serves
+ * @param {Object} options - Image options
+ * @param {number|string} [options.width=40] - Width in pixels (ignored when height is set)
+ * @param {number|string} [options.height] - Height in pixels
+ * @returns {{width: number|undefined, height: number|undefined}} Either the width or the height
+ */
+function getImageSize({ width = 40, height }) {
+  return height === undefined || height === null
+    ? { width: toImageSize(width, 'width'), height: undefined }
+    : { width: undefined, height: toImageSize(height, 'height') };
+}
+
+/**
+ * Resolves size and format options against a provider's capabilities
+ * @param {Object} provider - Provider object
+ * @param {Object} options - Image options
+ * @param {number|string} [options.width=40] - Width in pixels (ignored when height is set)
+ * @param {number|string} [options.height] - Height in pixels
+ * @param {string} [options.format='png'] - Image format
+ * @returns {{width: number|undefined, height: number|undefined, format: string}} Values to pass to the provider
+ */
+function resolveImageOptions(provider, options) {
+  const { format = 'png' } = options;
+  if (!provider.formats.includes(format)) {
+    throw new Error(`Flag provider "${provider.name}" does not support the ${format} format`);
+  }
+
+  const { width, height } = getImageSize(options);
+  return height
+    ? { width: undefined, height: snapSize(height, provider.heights), format }
+    : { width: snapSize(width, provider.widths), height: undefined, format };
+}
+
+/**
+ * Builds srcset and sizes strings for a flag image on high-density screens
+ * @param {string} code - The 2-letter ISO country code
+ * @param {Object} [options] - Image options
+ * @param {number} [options.width=40] - Display width in pixels (ignored when height is set)
+ * @param {number} [options.height] - Display height in pixels
+ * @param {string} [options.format='png'] - Image format ('png', 'webp' or 'svg')
+ * @param {string|Object|Function} [options.provider='flagcdn'] - Flag image provider (see createFlagProvider)
+ * @param {Array<number>} [options.densities=[1, 2, 3]] - Pixel densities to include
+ * @returns {{src: string, srcset: string, sizes: string}} Values for the src, srcset and sizes
+ *   attributes. Width-based images use width descriptors with a matching sizes value; height-based
+ *   images use density descriptors and an empty sizes value; SVG images need no srcset
+ */
+function buildFlagSrcSet(code, options = {}) {
+  const { densities = [1, 2, 3] } = options;
+  const provider = resolveProvider(options.provider);
+  const base = resolveImageOptions(provider, options);
+  const { width, height } = getImageSize(options);
+  const src = provider.getUrl(code, base);
+
+  if (base.format === 'svg') {
+    return { src, srcset: '', sizes: '' };
+  }
+
+  const seen = new Set();
+  const candidates = [];
+  densities.forEach(density => {
+    const scaled = base.height
+      ? { ...base, height: snapSize(height * density, provider.heights) }
+      : { ...base, width: snapSize(width * density, provider.widths) };
+    const url = provider.getUrl(code, scaled);
+
+    if (!seen.has(url)) {
+      seen.add(url);
+      candidates.push(base.height ? `${url} ${density}x` : `${url} ${scaled.width}w`);
+    }
+  });
+
+  return {
+    src,
+    srcset: candidates.join(', '),
+    sizes: base.height ? '' : `${width}px`
+  };
+}
+
+module.exports = {
+  flagcdnProvider,
+  createFlagProvider,
+  resolveProvider,
+  resolveImageOptions,
+  snapSize,
+  buildFlagSrcSet
+};
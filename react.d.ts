@@ -0,0 +1,50 @@
+import type { CSSProperties, ForwardRefExoticComponent, HTMLAttributes, RefAttributes } from 'react';
+import type { CountryCodeInput, SelectCountry } from './index';
+
+export interface FlagProps extends Omit<HTMLAttributes<HTMLElement>, 'children'> {
+  /** The 2-letter ISO country code */
+  code: CountryCodeInput;
+  /** Whether to render an image instead of an emoji (default: true) */
+  useImageFlags?: boolean;
+  /** Width of the flag image in pixels (default: 40) */
+  width?: number;
+  /** Alternative text of the image (default: "<code> flag") */
+  alt?: string;
+}
+
+export interface CountrySelectProps {
+  /** ID of the container element, also used for the listbox and option IDs (default: 'country-select') */
+  id?: string;
+  /** Name of the hidden input (default: 'country') */
+  name?: string;
+  className?: string;
+  /** Extra styles for the container element */
+  style?: CSSProperties;
+  /** Selected country code, for a controlled component */
+  value?: CountryCodeInput | '';
+  /** Initially selected country code, for an uncontrolled component, or 'auto' for the country of the user's timezone */
+  defaultValue?: CountryCodeInput | 'auto' | '';
+  /** With defaultValue 'auto', the country selected when the timezone matches no listed country */
+  fallbackValue?: CountryCodeInput;
+  /** Called with the country code when a country is selected */
+  onChange?: (code: string) => void;
+  placeholder?: string;
+  /** Accessible name of the combobox and the listbox (default: 'Country') */
+  ariaLabel?: string;
+  useImageFlags?: boolean;
+  flagWidth?: number;
+  /** Countries to list (default: getAllCountries() with the locale and includeUserAssigned props) */
+  countries?: readonly SelectCountry[];
+  locale?: string;
+  includeUserAssigned?: boolean;
+}
+
+/**
+ * Country flag as an emoji or an image with a srcset for high-density screens
+ */
+export const Flag: ForwardRefExoticComponent<FlagProps & RefAttributes<HTMLElement>>;
+
+/**
+ * Country select combobox with flags and a search-as-you-type filter. The ref is forwarded to the combobox input
+ */
+export const CountrySelect: ForwardRefExoticComponent<CountrySelectProps & RefAttributes<HTMLInputElement>>;
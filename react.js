@@ -0,0 +1,356 @@
+const React = require('react');
+const { getAllCountries, getFlagEmoji, getFlagSrcSet, detectCountryCode } = require('./core');
+
+const { createElement: h, forwardRef, useState, useRef, useEffect, useMemo, useImperativeHandle } = React;
+
+// Lower-case text without diacritics, so "aland" finds "Åland Islands"
+const normalize = (text) => text.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+
+// Container styles
+const containerStyle = {
+  position: 'relative',
+  width: '100%',
+  maxWidth: '400px'
+};
+
+// Combobox styles
+const fieldStyle = {
+  display: 'flex',
+  alignItems: 'center',
+  width: '100%',
+  padding: '10px 15px',
+  fontSize: '16px',
+  borderRadius: '4px',
+  border: '1px solid #ccc',
+  backgroundColor: '#fff',
+  boxSizing: 'border-box'
+};
+
+// Search input styles, inside the combobox border
+const inputStyle = {
+  flex: 1,
+  minWidth: 0,
+  border: 'none',
+  outline: 'none',
+  font: 'inherit',
+  background: 'transparent'
+};
+
+// Toggle button styles
+const toggleStyle = {
+  marginLeft: '8px',
+  border: 'none',
+  background: 'transparent',
+  cursor: 'pointer'
+};
+
+// Dropdown menu styles
+const dropdownStyle = {
+  position: 'absolute',
+  zIndex: 10,
+  margin: '4px 0 0',
+  padding: 0,
+  listStyle: 'none',
+  width: '100%',
+  maxHeight: '300px',
+  overflowY: 'auto',
+  backgroundColor: '#fff',
+  borderRadius: '4px',
+  boxShadow: '0 2px 10px rgba(0, 0, 0, 0.1)',
+  border: '1px solid #ccc'
+};
+
+/**
+ * Country flag as an emoji or an image with a srcset for high-density screens.
+ * The ref is forwarded to the <img> or <span> element
+ * @param {Object} props - Component props
+ * @param {string} props.code - The 2-letter ISO country code
+ * @param {boolean} [props.useImageFlags=true] - Whether to render an image instead of an emoji
+ * @param {number} [props.width=40] - Width of the flag image in pixels
+ * @param {string} [props.alt] - Alternative text of the image (default: "<code> flag")
+ * @returns {React.ReactElement|null} The flag element, or null if no flag exists for the code
+ */
+const Flag = forwardRef(function Flag({ code, useImageFlags = true, width = 40, alt, style, ...props }, ref) {
+  if (!useImageFlags) {
+    const flag = getFlagEmoji(code);
+    return flag ? h('span', { ...props, ref, style: { marginRight: '8px', ...style } }, flag) : null;
+  }
+
+  const { src, srcset, sizes } = getFlagSrcSet(code, { width });
+  if (!src) {
+    return null;
+  }
+  return h('img', {
+    src,
+    srcSet: srcset,
+    sizes,
+    alt: alt === undefined ? `${code} flag` : alt,
+    ...props,
+    ref,
+    style: { marginRight: '8px', width: `${width}px`, height: 'auto', verticalAlign: 'middle', ...style }
+  });
+});
+
+/**
+ * Country select combobox with flags and a search-as-you-type filter, following the WAI-ARIA
+ * combobox pattern: arrow keys, Home and End move through the list, Enter selects and Escape
+ * closes it. It is controlled when the value prop is set, and otherwise keeps its own state
+ * starting from defaultValue. The ref is forwarded to the combobox input, and a hidden input
+ * submits the value with forms
+ * @param {Object} props - Component props
+ * @param {string} [props.id='country-select'] - ID of the container element, also used for the listbox and option IDs
+ * @param {string} [props.name='country'] - Name of the hidden input
+ * @param {string} [props.className=''] - Class of the container element
+ * @param {Object} [props.style] - Extra styles for the container element
+ * @param {string} [props.value] - Selected country code, for a controlled component
+ * @param {string} [props.defaultValue=''] - Initially selected country code, for an uncontrolled component, or
+ *   'auto' to select the country of the user's timezone (see detectCountryCode) after the first render,
+ *   calling onChange with it
+ * @param {string} [props.fallbackValue] - With defaultValue 'auto', the country selected when the timezone
+ *   matches no listed country
+ * @param {Function} [props.onChange] - Called with the country code when a country is selected
+ * @param {string} [props.placeholder='Select a country'] - Text shown while no country is selected
+ * @param {string} [props.ariaLabel='Country'] - Accessible name of the combobox and the listbox
+ * @param {boolean} [props.useImageFlags=true] - Whether to use image flags instead of emoji flags
+ * @param {number} [props.flagWidth=40] - Width of flag images in pixels
+ * @param {Array<Object>} [props.countries] - Countries to list (default: getAllCountries with the locale
+ *   and includeUserAssigned props)
+ * @param {string} [props.locale] - Locale for country names, as for getAllCountries
+ * @param {boolean} [props.includeUserAssigned=false] - Include the widely used non-ISO entries (XK, EU)
+ * @returns {React.ReactElement} The country select element
+ */
+const CountrySelect = forwardRef(function CountrySelect({
+  id = 'country-select',
+  name = 'country',
+  className = '',
+  style,
+  value,
+  defaultValue = '',
+  fallbackValue,
+  onChange,
+  placeholder = 'Select a country',
+  ariaLabel = 'Country',
+  useImageFlags = true,
+  flagWidth = 40,
+  countries: countriesProp,
+  locale,
+  includeUserAssigned = false
+}, ref) {
+  const countries = useMemo(
+    () => countriesProp || getAllCountries({ locale, includeUserAssigned }),
+    [countriesProp, locale, includeUserAssigned]
+  );
+
+  // Selected country code, used when the value prop is not set
+  const [ownValue, setOwnValue] = useState(defaultValue === 'auto' ? '' : defaultValue);
+  const selectedCountry = value !== undefined ? value : ownValue;
+  // State to control dropdown open/closed
+  const [isOpen, setIsOpen] = useState(false);
+  // Text typed in the combobox to filter the list
+  const [query, setQuery] = useState('');
+  // Index of the highlighted option in the filtered list
+  const [activeIndex, setActiveIndex] = useState(-1);
+  // Reference to the dropdown container for click outside detection
+  const dropdownRef = useRef(null);
+  // Reference to the combobox input, which keeps the focus
+  const inputRef = useRef(null);
+  useImperativeHandle(ref, () => inputRef.current);
+
+  const listboxId = `${id}-listbox`;
+  const getOptionId = (code) => `${id}-option-${code}`;
+
+  // Find the selected country object
+  const selectedCountryObj = countries.find(country => country.code === selectedCountry) || null;
+  const filteredCountries = useMemo(() => {
+    const text = query.trim();
+    return text
+      ? countries.filter(country =>
+        normalize(country.name).includes(normalize(text)) ||
+        country.code.toLowerCase() === text.toLowerCase())
+      : countries;
+  }, [countries, query]);
+  const activeCountry = isOpen ? filteredCountries[activeIndex] : undefined;
+
+  // Open the list with the selected country highlighted
+  const openList = () => {
+    setIsOpen(true);
+    setActiveIndex(Math.max(0, countries.findIndex(country => country.code === selectedCountry)));
+  };
+
+  // Close the list and clear the search text
+  const closeList = () => {
+    setIsOpen(false);
+    setQuery('');
+    setActiveIndex(-1);
+  };
+
+  // Handle country selection
+  const handleCountrySelect = (code) => {
+    setOwnValue(code);
+    closeList();
+    if (onChange) {
+      onChange(code);
+    }
+  };
+
+  // Filter the list while typing, highlighting the first match
+  const handleInput = (event) => {
+    setQuery(event.target.value);
+    setIsOpen(true);
+    setActiveIndex(0);
+  };
+
+  // Keyboard navigation following the WAI-ARIA combobox pattern
+  const handleKeyDown = (event) => {
+    const lastIndex = filteredCountries.length - 1;
+
+    switch (event.key) {
+      case 'ArrowDown':
+        event.preventDefault();
+        if (!isOpen) {
+          openList();
+        } else {
+          setActiveIndex(Math.min(activeIndex + 1, lastIndex));
+        }
+        break;
+      case 'ArrowUp':
+        event.preventDefault();
+        if (!isOpen) {
+          openList();
+        } else {
+          setActiveIndex(Math.max(activeIndex - 1, 0));
+        }
+        break;
+      case 'Home':
+      case 'End':
+        if (isOpen) {
+          event.preventDefault();
+          setActiveIndex(event.key === 'Home' ? 0 : lastIndex);
+        }
+        break;
+      case 'Enter':
+        if (isOpen && activeCountry) {
+          event.preventDefault();
+          handleCountrySelect(activeCountry.code);
+        }
+        break;
+      case 'Escape':
+        if (isOpen) {
+          event.preventDefault();
+          closeList();
+        }
+        break;
+      case 'Tab':
+        closeList();
+        break;
+      default:
+        break;
+    }
+  };
+
+  // Keep the highlighted option visible
+  useEffect(() => {
+    const option = activeCountry && document.getElementById(getOptionId(activeCountry.code));
+    if (option && option.scrollIntoView) {
+      option.scrollIntoView({ block: 'nearest' });
+    }
+  }, [activeCountry]);
+
+  // Select the country of the user's timezone, or the fallback, for defaultValue 'auto'. This runs
+  // after the first render, so that server-rendered markup matches
+  useEffect(() => {
+    if (defaultValue === 'auto' && !selectedCountry) {
+      const code = detectCountryCode({ include: countries.map(country => country.code), fallback: fallbackValue || null });
+      if (code) {
+        handleCountrySelect(code);
+      }
+    }
+  }, []);
+
+  // Close dropdown when clicking outside
+  useEffect(() => {
+    const handleClickOutside = (event) => {
+      if (dropdownRef.current && !dropdownRef.current.contains(event.target)) {
+        closeList();
+      }
+    };
+
+    document.addEventListener('mousedown', handleClickOutside);
+    return () => {
+      document.removeEventListener('mousedown', handleClickOutside);
+    };
+  }, []);
+
+  const renderFlag = (code) => h(Flag, { code, useImageFlags, width: flagWidth, alt: '', 'aria-hidden': useImageFlags ? undefined : 'true' });
+
+  return h('div', { id, ref: dropdownRef, className, style: { ...containerStyle, ...style } },
+    h('div', { style: fieldStyle },
+      selectedCountryObj && !isOpen && renderFlag(selectedCountryObj.code),
+      h('input', {
+        ref: inputRef,
+        type: 'text',
+        role: 'combobox',
+        'aria-label': ariaLabel,
+        'aria-autocomplete': 'list',
+        'aria-expanded': isOpen,
+        'aria-controls': listboxId,
+        'aria-activedescendant': activeCountry ? getOptionId(activeCountry.code) : undefined,
+        autoComplete: 'off',
+        placeholder,
+        value: isOpen ? query : (selectedCountryObj ? selectedCountryObj.name : ''),
+        onChange: handleInput,
+        onKeyDown: handleKeyDown,
+        // Select the shown name, so typing replaces it
+        onFocus: (event) => event.target.select(),
+        onClick: () => (isOpen ? closeList() : openList()),
+        style: inputStyle
+      }),
+      h('button', {
+        type: 'button',
+        tabIndex: -1,
+        'aria-label': isOpen ? 'Close countries' : 'Show countries',
+        onClick: () => {
+          if (isOpen) {
+            closeList();
+          } else {
+            openList();
+          }
+          inputRef.current.focus();
+        },
+        style: toggleStyle
+      }, '▼')),
+
+    isOpen && h('ul', { id: listboxId, role: 'listbox', 'aria-label': ariaLabel, style: dropdownStyle },
+      filteredCountries.map(({ code, name: countryName }, index) => h('li', {
+        key: code,
+        id: getOptionId(code),
+        role: 'option',
+        'aria-selected': code === selectedCountry,
+        style: {
+          padding: '10px 15px',
+          cursor: 'pointer',
+          backgroundColor: index === activeIndex ? '#e8f0fe' : (code === selectedCountry ? '#f0f0f0' : 'transparent'),
+          display: 'flex',
+          alignItems: 'center'
+        },
+        // Keep the focus in the combobox
+        onMouseDown: (event) => event.preventDefault(),
+        onMouseEnter: () => setActiveIndex(index),
+        onClick: () => handleCountrySelect(code)
+      }, renderFlag(code), h('span', null, countryName))),
+      filteredCountries.length === 0 && h('li', {
+        role: 'option',
+        'aria-disabled': 'true',
+        'aria-selected': 'false',
+        style: { padding: '10px 15px' }
+      }, 'No countries found')),
+
+    // Hidden input for form submission
+    h('input', { type: 'hidden', name, value: selectedCountry || '' })
+  );
+});
+
+module.exports = {
+  CountrySelect,
+  Flag
+};
@@ -0,0 +1,6 @@
+// ES module entry point of the React components (see index.mjs)
+import reactComponents from './react.js';
+
+export const { CountrySelect, Flag } = reactComponents;
+
+export default reactComponents;
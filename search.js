@@ -0,0 +1,276 @@
+const aliases = require('./aliases');
+const nativeNames = require('./native-names');
+const { findCountryRecord, getCountryRecords } = require('./store');
+
+/**
+ * Kinds of indexed text, in the order they rank among equally good matches
+ */
+const SEARCH_FIELDS = ['name', 'code', 'alpha3', 'alias', 'native'];
+
+/**
+ * Match types, from the best to the weakest
+ */
+const MATCH_TYPES = ['exact', 'prefix', 'token', 'fuzzy'];
+
+const indexCache = new WeakMap();
+
+/**
+ * Normalizes text for matching: lower case and without diacritics, with dots, apostrophes and
+ * invisible formatting characters dropped and other punctuation turned into single spaces.
+ * "Virgin Islands, U.S." becomes "virgin islands us"
+ * @param {string} text - Text to normalize
+ * @returns {{text: string, starts: Array<number>, ends: Array<number>}} Normalized text, and for each
+ *   of its characters the start and end index of the original character it came from
+ */
+function normalizeForSearch(text) {
+  let normalized = '';
+  const starts = [];
+  const ends = [];
+  let index = 0;
+
+  for (const char of String(text)) {
+    const start = index;
+    index += char.length;
+
+    if (/^[.'ʼʻ’\p{Cf}]$/u.test(char)) {
+      continue;
+    }
+    if (!/^[\p{L}\p{M}\p{N}]$/u.test(char)) {
+      if (normalized !== '' && !normalized.endsWith(' ')) {
+        normalized += ' ';
+        starts.push(start);
+        ends.push(index);
+      }
+      continue;
+    }
+
+    const folded = char.toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+    for (const foldedChar of folded) {
+      normalized += foldedChar;
+      starts.push(start);
+      ends.push(index);
+    }
+  }
+
+  const length = normalized.endsWith(' ') ? normalized.length - 1 : normalized.length;
+  return { text: normalized.slice(0, length), starts: starts.slice(0, length), ends: ends.slice(0, length) };
+}
+
+/**
+ * Splits normalized text into words
+ * @param {string} text - Normalized text
+ * @returns {Array<{text: string, start: number}>} Words with their start index
+ */
+function tokenize(text) {
+  const tokens = [];
+  const pattern = /[^ ]+/g;
+  let match;
+  while ((match = pattern.exec(text)) !== null) {
+    tokens.push({ text: match[0], start: match.index });
+  }
+  return tokens;
+}
+
+/**
+ * Gets the search index for a locale, building it on first use. Each entry holds the names,
+ * codes, aliases and native names of a country, normalized and split into words. Indexes are
+ * cached per list of the country store, so locales that share a list share an index
+ * @param {string} [locale] - Locale of the display names
+ * @param {boolean} includeUserAssigned - Whether to index XK and EU
+ * @returns {Array<Object>} Index entries, sorted by display name
+ */
+function getSearchIndex(locale, includeUserAssigned) {
+  const records = getCountryRecords({ locale, includeUserAssigned });
+  if (indexCache.has(records)) {
+    return indexCache.get(records);
+  }
+
+  indexCache.set(records, records.map(({ name, code, alpha3, flag }) => {
+    const terms = [];
+    const addTerm = (field, text) => {
+      const normalized = normalizeForSearch(text);
+      if (normalized.text && !terms.some(term => term.normalized === normalized.text)) {
+        terms.push({
+          field,
+          text,
+          normalized: normalized.text,
+          starts: normalized.starts,
+          ends: normalized.ends,
+          tokens: tokenize(normalized.text)
+        });
+      }
+    };
+
+    addTerm('name', name);
+    addTerm('name', findCountryRecord('code', code, true).name);
+    addTerm('code', code);
+    if (alpha3) {
+      addTerm('alpha3', alpha3);
+    }
+    (aliases[code] || []).forEach(alias => addTerm('alias', alias));
+    (nativeNames[code] || []).forEach(nativeName => addTerm('native', nativeName));
+
+    return { name, code, flag, terms };
+  }));
+
+  return indexCache.get(records);
+}
+
+/**
+ * Computes the edit distance between two strings, counting swapped neighbours as one edit
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {number} Number of insertions, deletions, substitutions and transpositions
+ */
+function getEditDistance(a, b) {
+  const rows = [];
+  for (let i = 0; i <= a.length; i++) {
+    rows.push([i]);
+  }
+  for (let j = 1; j <= b.length; j++) {
+    rows[0][j] = j;
+  }
+
+  for (let i = 1; i <= a.length; i++) {
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      rows[i][j] = Math.min(rows[i - 1][j] + 1, rows[i][j - 1] + 1, rows[i - 1][j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        rows[i][j] = Math.min(rows[i][j], rows[i - 2][j - 2] + 1);
+      }
+    }
+  }
+
+  return rows[a.length][b.length];
+}
+
+/**
+ * Matches a query against an indexed term
+ * @param {Object} term - Index term
+ * @param {string} query - Normalized query
+ * @param {Array<{text: string}>} queryTokens - Words of the query
+ * @param {number} maxDistance - Highest edit distance of a fuzzy match
+ * @returns {{type: string, distance: number, ranges: Array<Array<number>>}|null} Match type, edit distance,
+ *   and the matched [start, end) ranges of the normalized term, or null if the term does not match
+ */
+function matchTerm(term, query, queryTokens, maxDistance) {
+  const { normalized, tokens } = term;
+
+  if (normalized === query) {
+    return { type: 'exact', distance: 0, ranges: [[0, query.length]] };
+  }
+  // Codes are short enough that anything but an exact match is noise
+  if (term.field === 'code' || term.field === 'alpha3') {
+    return null;
+  }
+  if (normalized.startsWith(query)) {
+    return { type: 'prefix', distance: 0, ranges: [[0, query.length]] };
+  }
+
+  const tokenRanges = [];
+  const allTokensMatch = queryTokens.every(queryToken => {
+    const token = tokens.find(({ text }) => text.startsWith(queryToken.text));
+    if (token) {
+      tokenRanges.push([token.start, token.start + queryToken.text.length]);
+    }
+    return Boolean(token);
+  });
+  if (allTokensMatch) {
+    return { type: 'token', distance: 0, ranges: tokenRanges.sort((a, b) => a[0] - b[0]) };
+  }
+
+  // Compare the query with the text from the start of each word, allowing for one character
+  // more or less, so that typos in a partly typed name still match
+  let best = null;
+  if (maxDistance > 0) {
+    tokens.forEach(({ start }) => {
+      for (let length = query.length - 1; length <= query.length + 1; length++) {
+        if (length < 1 || start + length > normalized.length) {
+          continue;
+        }
+        const distance = getEditDistance(query, normalized.slice(start, start + length));
+        if (distance <= maxDistance && (!best || distance < best.distance)) {
+          best = { type: 'fuzzy', distance, ranges: [[start, start + length]] };
+        }
+      }
+    });
+  }
+
+  return best;
+}
+
+/**
+ * Compares two matches, the better one first
+ * @param {Object} a - First match
+ * @param {Object} b - Second match
+ * @returns {number} Negative if a ranks higher, positive if b ranks higher
+ */
+function compareMatches(a, b) {
+  return MATCH_TYPES.indexOf(a.type) - MATCH_TYPES.indexOf(b.type) ||
+    a.distance - b.distance ||
+    SEARCH_FIELDS.indexOf(a.term.field) - SEARCH_FIELDS.indexOf(b.term.field);
+}
+
+/**
+ * Searches countries by name, common alias (e.g. "Holland"), alpha-2 or alpha-3 code or native
+ * name (e.g. "Deutschland"), ignoring case, accents and punctuation. Results are ranked by
+ * exact match, then prefix match, then word prefix match (so "s korea" finds "South Korea"),
+ * then edit distance for typos
+ * @param {string} query - Text typed by the user
+ * @param {Object} [options] - Search options
+ * @param {number} [options.limit=10] - Maximum number of results
+ * @param {string} [options.locale] - Locale of the returned names (e.g. "de"), which are searched
+ *   along with the English names
+ * @param {boolean} [options.includeUserAssigned=false] - Also search the widely used non-ISO entries (XK, EU)
+ * @returns {Array<Object>} Matches with the country name, code and flag, the matchType ('exact',
+ *   'prefix', 'token' or 'fuzzy'), the field that matched ('name', 'code', 'alpha3', 'alias' or
+ *   'native'), the matchedText, and highlights: [start, end) ranges of the matched characters in matchedText
+ */
+function searchCountries(query, options = {}) {
+  const { limit = 10, locale, includeUserAssigned = false } = options;
+
+  if (!Number.isInteger(limit) || limit < 1) {
+    throw new Error(`Invalid limit: ${limit}`);
+  }
+  if (typeof query !== 'string') {
+    return [];
+  }
+
+  const normalizedQuery = normalizeForSearch(query).text;
+  if (!normalizedQuery) {
+    return [];
+  }
+  const queryTokens = tokenize(normalizedQuery);
+  const maxDistance = normalizedQuery.length < 4 ? 0 : normalizedQuery.length < 8 ? 1 : 2;
+
+  const matches = [];
+  getSearchIndex(locale, includeUserAssigned).forEach((entry, position) => {
+    let best = null;
+    entry.terms.forEach(term => {
+      const match = matchTerm(term, normalizedQuery, queryTokens, maxDistance);
+      if (match && (!best || compareMatches({ ...match, term }, best) < 0)) {
+        best = { ...match, term };
+      }
+    });
+    if (best) {
+      matches.push({ entry, position, ...best });
+    }
+  });
+
+  return matches
+    .sort((a, b) => compareMatches(a, b) || a.position - b.position)
+    .slice(0, limit)
+    .map(({ entry, type, term, ranges }) => ({
+      name: entry.name,
+      code: entry.code,
+      flag: entry.flag,
+      matchType: type,
+      field: term.field,
+      matchedText: term.text,
+      highlights: ranges.map(([start, end]) => [term.starts[start], term.ends[end - 1]])
+    }));
+}
+
+module.exports = {
+  searchCountries
+};
@@ -0,0 +1,80 @@
+import { Component, EventEmitter, Input, Output, forwardRef } from '@angular/core';
+import { ControlValueAccessor, NG_VALUE_ACCESSOR } from '@angular/forms';
+import { getAllCountries, getFlagImageUrl, getFlagSrcSet } from 'country-flags-util';
+
+@Component({
+  selector: 'app-country-select',
+  // Components are standalone by default since Angular 19
+  standalone: false,
+  template: `<img *ngIf="useImageFlags && selectedCountry" [src]="getFlagImageUrl(selectedCountry)"
+         [attr.srcset]="getFlagSrcSet(selectedCountry)" [attr.sizes]="flagWidth + 'px'" alt=""
+         [style.width.px]="flagWidth" style="margin-right: 5px; vertical-align: middle;" />
+    <select
+      [id]="id"
+      [name]="name"
+      [ngClass]="className"
+      [disabled]="disabled"
+      (change)="selectCountry($any($event.target).value)"
+      (blur)="onTouched()"
+    >
+      <option value="" [selected]="!selectedCountry">{{ placeholder }}</option>
+      <option *ngFor="let country of countries" [value]="country.code" [selected]="country.code === selectedCountry">{{ country.flag }} {{ country.name }}</option>
+    </select>`,
+  providers: [
+    {
+      provide: NG_VALUE_ACCESSOR,
+      useExisting: forwardRef(() => CountrySelectComponent),
+      multi: true
+    }
+  ]
+})
+export class CountrySelectComponent implements ControlValueAccessor {
+  @Input() id = 'country-select';
+  @Input() name = 'country';
+  @Input() className = '';
+  @Input() placeholder = 'Select a country';
+  @Input() selectedCountry = '';
+  @Input() useImageFlags = true;
+  @Input() flagWidth = 40;
+  @Input() disabled = false;
+  
+  // Emitted with the selected code, for [(selectedCountry)] two-way binding
+  @Output() selectedCountryChange = new EventEmitter<string>();
+  @Output() countryChange = new EventEmitter<string>();
+  
+  countries = getAllCountries();
+  
+  private onChange: (value: string) => void = () => {};
+  onTouched: () => void = () => {};
+  
+  getFlagImageUrl(code: string): string {
+    return getFlagImageUrl(code, this.flagWidth);
+  }
+  
+  getFlagSrcSet(code: string): string {
+    return getFlagSrcSet(code, { width: this.flagWidth }).srcset;
+  }
+  
+  selectCountry(countryCode: string): void {
+    this.selectedCountry = countryCode;
+    this.onChange(countryCode);
+    this.selectedCountryChange.emit(countryCode);
+    this.countryChange.emit(countryCode);
+  }
+  
+  writeValue(value: string | null): void {
+    this.selectedCountry = value || '';
+  }
+  
+  registerOnChange(fn: (value: string) => void): void {
+    this.onChange = fn;
+  }
+  
+  registerOnTouched(fn: () => void): void {
+    this.onTouched = fn;
+  }
+  
+  setDisabledState(isDisabled: boolean): void {
+    this.disabled = isDisabled;
+  }
+}
\ No newline at end of file
@@ -0,0 +1,85 @@
+import { Component, computed, forwardRef, input, model, output, signal } from '@angular/core';
+import { ControlValueAccessor, NG_VALUE_ACCESSOR } from '@angular/forms';
+import { getAllCountries, getFlagImageUrl, getFlagSrcSet } from 'country-flags-util';
+
+@Component({
+  selector: 'app-country-select',
+  standalone: true,
+  template: `@if (useImageFlags() && selectedCountry()) {
+      <img [src]="getFlagImageUrl(selectedCountry())" [attr.srcset]="getFlagSrcSet(selectedCountry())"
+           [attr.sizes]="flagWidth() + 'px'" alt=""
+           [style.width.px]="flagWidth()" style="margin-right: 5px; vertical-align: middle;" />
+    }
+    <select
+      [id]="id()"
+      [name]="name()"
+      [class]="className()"
+      [disabled]="isDisabled()"
+      (change)="selectCountry($any($event.target).value)"
+      (blur)="onTouched()"
+    >
+      <option value="" [selected]="!selectedCountry()">{{ placeholder() }}</option>
+      @for (country of countries; track country.code) {
+        <option [value]="country.code" [selected]="country.code === selectedCountry()">{{ country.flag }} {{ country.name }}</option>
+      }
+    </select>`,
+  providers: [
+    {
+      provide: NG_VALUE_ACCESSOR,
+      useExisting: forwardRef(() => CountrySelectComponent),
+      multi: true
+    }
+  ]
+})
+export class CountrySelectComponent implements ControlValueAccessor {
+  readonly id = input('country-select');
+  readonly name = input('country');
+  readonly className = input('');
+  readonly placeholder = input('Select a country');
+  readonly useImageFlags = input(true);
+  readonly flagWidth = input(40);
+  readonly disabled = input(false);
+
+  // Selected country code, for [(selectedCountry)] two-way binding
+  readonly selectedCountry = model('');
+  readonly countryChange = output<string>();
+
+  readonly countries = getAllCountries();
+
+  // Disabled through the disabled input or by the form control
+  private readonly formDisabled = signal(false);
+  readonly isDisabled = computed(() => this.disabled() || this.formDisabled());
+
+  private onChange: (value: string) => void = () => {};
+  onTouched: () => void = () => {};
+
+  getFlagImageUrl(code: string): string {
+    return getFlagImageUrl(code, this.flagWidth());
+  }
+
+  getFlagSrcSet(code: string): string {
+    return getFlagSrcSet(code, { width: this.flagWidth() }).srcset;
+  }
+
+  selectCountry(countryCode: string): void {
+    this.selectedCountry.set(countryCode);
+    this.onChange(countryCode);
+    this.countryChange.emit(countryCode);
+  }
+
+  writeValue(value: string | null): void {
+    this.selectedCountry.set(value || '');
+  }
+
+  registerOnChange(fn: (value: string) => void): void {
+    this.onChange = fn;
+  }
+
+  registerOnTouched(fn: () => void): void {
+    this.onTouched = fn;
+  }
+
+  setDisabledState(isDisabled: boolean): void {
+    this.formDisabled.set(isDisabled);
+  }
+}
\ No newline at end of file
@@ -0,0 +1,306 @@
+import React, { useState, useRef, useEffect } from 'react';
+import { getAllCountries, getFlagSrcSet } from 'country-flags-util';
+
+interface Country {
+  name: string;
+  code: string;
+  flag: string;
+}
+
+export interface CountrySelectProps {
+  id?: string;
+  name?: string;
+  className?: string;
+  defaultValue?: string;
+  placeholder?: string;
+  ariaLabel?: string;
+  onChange?: (value: string) => void;
+  useImageFlags?: boolean;
+  flagWidth?: number;
+  style?: React.CSSProperties;
+}
+
+const countries: readonly Country[] = getAllCountries();
+
+// Lower-case text without diacritics, so "aland" finds "Åland Islands"
+const normalize = (text: string) => text.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+
+const CountrySelect = ({
+  id = 'country-select',
+  name = 'country',
+  className = '',
+  defaultValue = '',
+  placeholder = 'Select a country',
+  ariaLabel = 'Country',
+  onChange = (value) => console.log(value),
+  useImageFlags = true,
+  flagWidth = 40,
+  ...props
+}: CountrySelectProps) => {
+  // State to track selected country
+  const [selectedCountry, setSelectedCountry] = useState(defaultValue);
+  // State to control dropdown open/closed
+  const [isOpen, setIsOpen] = useState(false);
+  // Text typed in the combobox to filter the list
+  const [query, setQuery] = useState('');
+  // Index of the highlighted option in the filtered list
+  const [activeIndex, setActiveIndex] = useState(-1);
+  // Reference to the dropdown container for click outside detection
+  const dropdownRef = useRef<HTMLDivElement>(null);
+  // Reference to the combobox input, which keeps the focus
+  const inputRef = useRef<HTMLInputElement>(null);
+
+  const listboxId = `${id}-listbox`;
+  const getOptionId = (code: string) => `${id}-option-${code}`;
+
+  // Find the selected country object
+  const selectedCountryObj = countries.find(country => country.code === selectedCountry) || null;
+  const filteredCountries = query.trim()
+    ? countries.filter(country =>
+      normalize(country.name).includes(normalize(query.trim())) ||
+      country.code.toLowerCase() === query.trim().toLowerCase())
+    : countries;
+  const activeCountry = isOpen ? filteredCountries[activeIndex] : undefined;
+
+  // Open the list with the selected country highlighted
+  const openList = () => {
+    setIsOpen(true);
+    setActiveIndex(Math.max(0, countries.findIndex(country => country.code === selectedCountry)));
+  };
+
+  // Close the list and clear the search text
+  const closeList = () => {
+    setIsOpen(false);
+    setQuery('');
+    setActiveIndex(-1);
+  };
+
+  // Handle country selection
+  const handleCountrySelect = (code: string) => {
+    setSelectedCountry(code);
+    closeList();
+    onChange(code);
+  };
+
+  // Filter the list while typing, highlighting the first match
+  const handleInput = (event: React.ChangeEvent<HTMLInputElement>) => {
+    setQuery(event.target.value);
+    setIsOpen(true);
+    setActiveIndex(0);
+  };
+
+  // Keyboard navigation following the WAI-ARIA combobox pattern
+  const handleKeyDown = (event: React.KeyboardEvent<HTMLInputElement>) => {
+    const lastIndex = filteredCountries.length - 1;
+
+    switch (event.key) {
+      case 'ArrowDown':
+        event.preventDefault();
+        if (!isOpen) {
+          openList();
+        } else {
+          setActiveIndex(Math.min(activeIndex + 1, lastIndex));
+        }
+        break;
+      case 'ArrowUp':
+        event.preventDefault();
+        if (!isOpen) {
+          openList();
+        } else {
+          setActiveIndex(Math.max(activeIndex - 1, 0));
+        }
+        break;
+      case 'Home':
+      case 'End':
+        if (isOpen) {
+          event.preventDefault();
+          setActiveIndex(event.key === 'Home' ? 0 : lastIndex);
+        }
+        break;
+      case 'Enter':
+        if (isOpen && activeCountry) {
+          event.preventDefault();
+          handleCountrySelect(activeCountry.code);
+        }
+        break;
+      case 'Escape':
+        if (isOpen) {
+          event.preventDefault();
+          closeList();
+        }
+        break;
+      case 'Tab':
+        closeList();
+        break;
+      default:
+        break;
+    }
+  };
+
+  // Keep the highlighted option visible
+  useEffect(() => {
+    const option = activeCountry && document.getElementById(getOptionId(activeCountry.code));
+    if (option && option.scrollIntoView) {
+      option.scrollIntoView({ block: 'nearest' });
+    }
+  }, [activeCountry]);
+
+  // Close dropdown when clicking outside
+  useEffect(() => {
+    const handleClickOutside = (event: MouseEvent) => {
+      if (dropdownRef.current && !dropdownRef.current.contains(event.target as Node)) {
+        closeList();
+      }
+    };
+
+    document.addEventListener('mousedown', handleClickOutside);
+    return () => {
+      document.removeEventListener('mousedown', handleClickOutside);
+    };
+  }, []);
+
+  // Container styles
+  const containerStyle: React.CSSProperties = {
+    position: 'relative',
+    width: '100%',
+    maxWidth: '400px',
+    ...(props.style || {})
+  };
+
+  // Combobox styles
+  const fieldStyle: React.CSSProperties = {
+    display: 'flex',
+    alignItems: 'center',
+    width: '100%',
+    padding: '10px 15px',
+    fontSize: '16px',
+    borderRadius: '4px',
+    border: '1px solid #ccc',
+    backgroundColor: '#fff',
+    boxSizing: 'border-box'
+  };
+
+  // Dropdown menu styles
+  const dropdownStyle: React.CSSProperties = {
+    position: 'absolute',
+    zIndex: 10,
+    margin: '4px 0 0',
+    padding: 0,
+    listStyle: 'none',
+    width: '100%',
+    maxHeight: '300px',
+    overflowY: 'auto',
+    backgroundColor: '#fff',
+    borderRadius: '4px',
+    boxShadow: '0 2px 10px rgba(0, 0, 0, 0.1)',
+    border: '1px solid #ccc'
+  };
+
+  // Flag image sources, with a srcset for high-density screens
+  const getFlagImageProps = (code: string) => {
+    const { src, srcset, sizes } = getFlagSrcSet(code, { width: flagWidth });
+    return { src, srcSet: srcset, sizes };
+  };
+
+  // Flag image styles
+  const flagStyle: React.CSSProperties = {
+    marginRight: '8px',
+    width: `${flagWidth}px`,
+    height: 'auto',
+    verticalAlign: 'middle'
+  };
+
+  return (
+    <div id={id} ref={dropdownRef} className={className} style={containerStyle}>
+      <div style={fieldStyle}>
+        {selectedCountryObj && !isOpen && (useImageFlags ? (
+          <img
+            {...getFlagImageProps(selectedCountryObj.code)}
+            alt=""
+            style={flagStyle}
+          />
+        ) : (
+          <span style={{ marginRight: '8px' }} aria-hidden="true">{selectedCountryObj.flag}</span>
+        ))}
+        <input
+          ref={inputRef}
+          type="text"
+          role="combobox"
+          aria-label={ariaLabel}
+          aria-autocomplete="list"
+          aria-expanded={isOpen}
+          aria-controls={listboxId}
+          aria-activedescendant={activeCountry ? getOptionId(activeCountry.code) : undefined}
+          autoComplete="off"
+          placeholder={placeholder}
+          value={isOpen ? query : (selectedCountryObj ? selectedCountryObj.name : '')}
+          onChange={handleInput}
+          onKeyDown={handleKeyDown}
+          // Select the shown name, so typing replaces it
+          onFocus={(event) => event.target.select()}
+          onClick={() => (isOpen ? closeList() : openList())}
+          style={{ flex: 1, minWidth: 0, border: 'none', outline: 'none', font: 'inherit', background: 'transparent' }}
+        />
+        <button
+          type="button"
+          tabIndex={-1}
+          aria-label={isOpen ? 'Close countries' : 'Show countries'}
+          onClick={() => {
+            if (isOpen) {
+              closeList();
+            } else {
+              openList();
+            }
+            inputRef.current?.focus();
+          }}
+          style={{ marginLeft: '8px', border: 'none', background: 'transparent', cursor: 'pointer' }}
+        >
+          ▼
+        </button>
+      </div>
+
+      {isOpen && (
+        <ul id={listboxId} role="listbox" aria-label={ariaLabel} style={dropdownStyle}>
+          {filteredCountries.map(({ code, name, flag }, index) => (
+            <li
+              key={code}
+              id={getOptionId(code)}
+              role="option"
+              aria-selected={code === selectedCountry}
+              style={{
+                padding: '10px 15px',
+                cursor: 'pointer',
+                backgroundColor: index === activeIndex ? '#e8f0fe' : (code === selectedCountry ? '#f0f0f0' : 'transparent'),
+                display: 'flex',
+                alignItems: 'center'
+              }}
+              // Keep the focus in the combobox
+              onMouseDown={(event) => event.preventDefault()}
+              onMouseEnter={() => setActiveIndex(index)}
+              onClick={() => handleCountrySelect(code)}
+            >
+              {useImageFlags ? (
+                <img
+                  {...getFlagImageProps(code)}
+                  alt=""
+                  style={flagStyle}
+                />
+              ) : (
+                <span style={{ marginRight: '8px' }} aria-hidden="true">{flag}</span>
+              )}
+              <span>{name}</span>
+            </li>
+          ))}
+          {filteredCountries.length === 0 && (
+            <li role="option" aria-disabled="true" aria-selected="false" style={{ padding: '10px 15px' }}>No countries found</li>
+          )}
+        </ul>
+      )}
+
+      {/* Hidden input for form submission */}
+      <input type="hidden" name={name} value={selectedCountry || ''} />
+    </div>
+  );
+};
+
+export default CountrySelect;
\ No newline at end of file
@@ -0,0 +1,4 @@
+<select id="country-select" name="country" onChange={handleChange} style={{ padding: '8px' }}>
+  <option key="DE" value="DE" data-flag-src="https://flagcdn.com/w40/de.png" data-flag-srcset="https://flagcdn.com/w40/de.png 40w, https://flagcdn.com/w80/de.png 80w, https://flagcdn.com/w160/de.png 160w">🇩🇪 Germany</option>
+  <option key="IN" value="IN" data-flag-src="https://flagcdn.com/w40/in.png" data-flag-srcset="https://flagcdn.com/w40/in.png 40w, https://flagcdn.com/w80/in.png 80w, https://flagcdn.com/w160/in.png 160w">🇮🇳 India</option>
+</select>
\ No newline at end of file
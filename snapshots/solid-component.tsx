@@ -0,0 +1,196 @@
+import { createSignal, createMemo, For, Show, onMount, onCleanup, mergeProps } from 'solid-js';
+import type { Component } from 'solid-js';
+import { getAllCountries, getFlagSrcSet } from 'country-flags-util';
+
+interface Country {
+  name: string;
+  code: string;
+  flag: string;
+}
+
+export interface CountrySelectProps {
+  id?: string;
+  name?: string;
+  className?: string;
+  value?: string;
+  defaultValue?: string;
+  placeholder?: string;
+  searchPlaceholder?: string;
+  onChange?: (value: string) => void;
+  useImageFlags?: boolean;
+  flagWidth?: number;
+}
+
+const countries: readonly Country[] = getAllCountries();
+
+// Lower-case text without diacritics, so "aland" finds "Åland Islands"
+const normalize = (text: string) => text.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+
+const CountrySelect: Component<CountrySelectProps> = (rawProps) => {
+  const props = mergeProps({
+    id: 'country-select',
+    name: 'country',
+    className: '',
+    defaultValue: '',
+    placeholder: 'Select a country',
+    searchPlaceholder: 'Search countries',
+    onChange: (value: string) => console.log(value),
+    useImageFlags: true,
+    flagWidth: 40
+  }, rawProps);
+
+  // Selected country code, used when the value prop is not set
+  const [ownValue, setOwnValue] = createSignal(props.defaultValue);
+  const value = () => (props.value !== undefined ? props.value : ownValue());
+  // Whether the dropdown is open
+  const [isOpen, setIsOpen] = createSignal(false);
+  // Text typed in the search box
+  const [query, setQuery] = createSignal('');
+  // Reference to the dropdown container for click outside detection
+  let dropdownRef: HTMLDivElement | undefined;
+
+  // Find the selected country object
+  const selectedCountry = createMemo(() => countries.find(country => country.code === value()) || null);
+  const filteredCountries = createMemo(() => {
+    const text = query().trim();
+    return text
+      ? countries.filter(country =>
+        normalize(country.name).includes(normalize(text)) ||
+        country.code.toLowerCase() === text.toLowerCase())
+      : countries;
+  });
+
+  // Handle country selection
+  const selectCountry = (code: string) => {
+    setOwnValue(code);
+    setIsOpen(false);
+    setQuery('');
+    props.onChange(code);
+  };
+
+  // Close dropdown when clicking outside
+  const handleClickOutside = (event: MouseEvent) => {
+    if (dropdownRef && !dropdownRef.contains(event.target as Node)) {
+      setIsOpen(false);
+    }
+  };
+  onMount(() => document.addEventListener('mousedown', handleClickOutside));
+  onCleanup(() => document.removeEventListener('mousedown', handleClickOutside));
+
+  // Flag image with a srcset for high-density screens
+  const FlagImage = (flagProps: { code: string }) => {
+    const sources = () => getFlagSrcSet(flagProps.code, { width: props.flagWidth });
+    return (
+      <img
+        src={sources().src}
+        srcset={sources().srcset}
+        sizes={sources().sizes}
+        alt={`${flagProps.code} flag`}
+        style={{ 'margin-right': '8px', width: `${props.flagWidth}px`, height: 'auto', 'vertical-align': 'middle' }}
+      />
+    );
+  };
+
+  return (
+    <div
+      id={props.id}
+      ref={dropdownRef}
+      class={props.className}
+      style={{ position: 'relative', width: '100%', 'max-width': '400px' }}
+    >
+      <button
+        type="button"
+        onClick={() => setIsOpen(!isOpen())}
+        aria-haspopup="listbox"
+        aria-expanded={isOpen()}
+        style={{
+          display: 'flex',
+          'justify-content': 'space-between',
+          'align-items': 'center',
+          width: '100%',
+          padding: '10px 15px',
+          'font-size': '16px',
+          'border-radius': '4px',
+          border: '1px solid #ccc',
+          'background-color': '#fff',
+          cursor: 'pointer'
+        }}
+      >
+        <Show when={selectedCountry()} fallback={<span>{props.placeholder}</span>}>
+          {(country) => (
+            <span style={{ display: 'flex', 'align-items': 'center' }}>
+              <Show
+                when={props.useImageFlags}
+                fallback={<span style={{ 'margin-right': '8px' }}>{country().flag}</span>}
+              >
+                <FlagImage code={country().code} />
+              </Show>
+              <span>{country().name}</span>
+            </span>
+          )}
+        </Show>
+        <span style={{ 'margin-left': '8px' }}>▼</span>
+      </button>
+
+      <Show when={isOpen()}>
+        <div
+          style={{
+            position: 'absolute',
+            'z-index': 10,
+            'margin-top': '4px',
+            width: '100%',
+            'max-height': '300px',
+            'overflow-y': 'auto',
+            'background-color': '#fff',
+            'border-radius': '4px',
+            'box-shadow': '0 2px 10px rgba(0, 0, 0, 0.1)',
+            border: '1px solid #ccc'
+          }}
+        >
+          <input
+            type="search"
+            placeholder={props.searchPlaceholder}
+            aria-label={props.searchPlaceholder}
+            value={query()}
+            onInput={(event) => setQuery(event.currentTarget.value)}
+            style={{ 'box-sizing': 'border-box', width: '100%', padding: '8px 15px', border: 'none', 'border-bottom': '1px solid #eee' }}
+          />
+          <div role="listbox">
+            <For
+              each={filteredCountries()}
+              fallback={<div style={{ padding: '10px 15px' }}>No countries found</div>}
+            >
+              {(country) => (
+                <div
+                  role="option"
+                  aria-selected={country.code === value()}
+                  onClick={() => selectCountry(country.code)}
+                  style={{
+                    padding: '10px 15px',
+                    cursor: 'pointer',
+                    'background-color': country.code === value() ? '#f0f0f0' : 'transparent',
+                    display: 'flex',
+                    'align-items': 'center'
+                  }}
+                >
+                  <Show
+                    when={props.useImageFlags}
+                    fallback={<span style={{ 'margin-right': '8px' }}>{country.flag}</span>}
+                  >
+                    <FlagImage code={country.code} />
+                  </Show>
+                  <span>{country.name}</span>
+                </div>
+              )}
+            </For>
+          </div>
+        </div>
+      </Show>
+
+      {/* Hidden input for form submission if needed */}
+      <input type="hidden" name={props.name} value={value() || ''} />
+    </div>
+  );
+};
+
+export default CountrySelect;
\ No newline at end of file
@@ -0,0 +1,49 @@
+// Import the package in your project
+// const { getAllCountries, getFlagSrcSet } = require('country-flags-util'); // For Node.js
+// import { getAllCountries, getFlagSrcSet } from 'country-flags-util'; // For ES modules
+// const { getAllCountries, getFlagSrcSet } = CountryFlagsUtil; // For the browser build (dist/country-flags-util.min.js)
+
+document.addEventListener('DOMContentLoaded', function() {
+  // Get the container element
+  const container = document.getElementById('country-container');
+  
+  // Create select element
+  const countrySelect = document.createElement('select');
+  countrySelect.id = 'country-select';
+  countrySelect.name = 'country';
+  
+  
+  // Get all countries
+  const countries = getAllCountries();
+  
+  // Create the option for a country
+  function createOption(country) {
+    const option = document.createElement('option');
+    option.value = country.code;
+    option.textContent = `${country.flag} ${country.name}`;
+    return option;
+  }
+  
+  // Add options for each country
+  countries.forEach(country => countrySelect.appendChild(createOption(country)));
+  
+  // Add the select to the container
+  container.appendChild(countrySelect);
+
+  // Show the flag of the selected country next to the select
+  const flagImg = document.createElement('img');
+  flagImg.alt = '';
+  flagImg.style.width = '40px';
+  flagImg.style.marginRight = '5px';
+  flagImg.style.verticalAlign = 'middle';
+  function updateFlag() {
+    const code = countrySelect.value;
+    flagImg.hidden = !code;
+    if (code) {
+      flagImg.src = '/flags/' + code.toLowerCase() + '.svg';
+    }
+  }
+  updateFlag();
+  countrySelect.addEventListener('change', updateFlag);
+  container.insertBefore(flagImg, countrySelect);
+});
\ No newline at end of file
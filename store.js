@@ -0,0 +1,120 @@
+const countries = require('./countries');
+const userAssignedCountries = require('./user-assigned');
+const { getFlagEmoji, normalizeText } = require('./utils');
+const { getLocaleKey, localizeName, sortCountriesByName } = require('./i18n');
+
+let store = null;
+
+const recordListCache = {};
+
+const countryListCache = {};
+
+/**
+ * Builds the full country record, including the flag emoji
+ * @param {Object} country - Entry from countries.js or user-assigned.js
+ * @returns {Object} Frozen country record
+ */
+function toCountryRecord(country) {
+  const { name, code, ...rest } = country;
+  return Object.freeze({ name, code, flag: getFlagEmoji(code), ...rest });
+}
+
+/**
+ * Gets the country store, building it on first use. It holds frozen full records with the flag
+ * emoji computed once, and maps from alpha-2, alpha-3 and numeric codes and names to records
+ * @returns {Object} The store
+ */
+function getStore() {
+  if (store) {
+    return store;
+  }
+
+  const records = countries.map(toCountryRecord);
+  const userAssignedRecords = userAssignedCountries.map(toCountryRecord);
+  const maps = { code: new Map(), alpha3: new Map(), numeric: new Map(), name: new Map(), normalizedName: new Map() };
+  records.concat(userAssignedRecords).forEach(record => {
+    maps.code.set(record.code, record);
+    maps.name.set(record.name, record);
+    maps.normalizedName.set(normalizeText(record.name), record);
+    if (record.alpha3) {
+      maps.alpha3.set(record.alpha3, record);
+    }
+    if (record.numeric) {
+      maps.numeric.set(record.numeric, record);
+    }
+  });
+
+  store = {
+    records: Object.freeze(records),
+    recordsWithUserAssigned: Object.freeze(sortCountriesByName(records.concat(userAssignedRecords), 'en')),
+    userAssignedCodes: new Set(userAssignedRecords.map(record => record.code)),
+    maps
+  };
+  return store;
+}
+
+/**
+ * Finds a country record in O(1) by an exact key
+ * @param {string} key - 'code', 'alpha3', 'numeric', 'name' or 'normalizedName' (a name passed
+ *   through normalizeText)
+ * @param {string} value - Value to look up
+ * @param {boolean} [includeUserAssigned=false] - Also find the widely used non-ISO entries (XK, EU)
+ * @returns {Object|undefined} The frozen full record
+ */
+function findCountryRecord(key, value, includeUserAssigned = false) {
+  const { maps, userAssignedCodes } = getStore();
+  const record = maps[key].get(value);
+  return record && (includeUserAssigned || !userAssignedCodes.has(record.code)) ? record : undefined;
+}
+
+/**
+ * Gets the full country records, sorted by name. Lists with localized names are built the first
+ * time a locale is used and then reused, also for tags that give the same names and order (e.g. 'DE')
+ * @param {Object} [options] - List options
+ * @param {string} [options.locale] - Locale for the names and sort order; English when omitted
+ * @param {boolean} [options.includeUserAssigned=false] - Include the widely used non-ISO entries (XK, EU)
+ * @returns {Array<Object>} Frozen array of frozen records
+ */
+function getCountryRecords(options = {}) {
+  const { locale, includeUserAssigned = false } = options;
+  const { records, recordsWithUserAssigned } = getStore();
+  const source = includeUserAssigned ? recordsWithUserAssigned : records;
+  if (!locale) {
+    return source;
+  }
+
+  const key = `${getLocaleKey(locale)}|${includeUserAssigned}`;
+  if (!recordListCache[key]) {
+    const localized = source.map(record => Object.freeze({ ...record, name: localizeName(record.code, locale, record.name) }));
+    recordListCache[key] = Object.freeze(sortCountriesByName(localized, locale));
+  }
+  return recordListCache[key];
+}
+
+/**
+ * Gets the countries with the given fields, building each list once
+ * @param {Array<string>} fields - Validated field names
+ * @param {Object} [options] - List options (see getCountryRecords)
+ * @returns {Array<Object>} Frozen array of frozen country objects
+ */
+function getCountryList(fields, options = {}) {
+  const { locale, includeUserAssigned = false } = options;
+  const key = `${fields.join(',')}|${locale ? getLocaleKey(locale) : ''}|${includeUserAssigned}`;
+
+  if (!countryListCache[key]) {
+    countryListCache[key] = Object.freeze(getCountryRecords({ locale, includeUserAssigned }).map(record => {
+      const country = {};
+      fields.forEach(field => {
+        country[field] = record[field];
+      });
+      return Object.freeze(country);
+    }));
+  }
+  return countryListCache[key];
+}
+
+module.exports = {
+  findCountryRecord,
+  getCountryRecords,
+  getCountryList
+};
@@ -0,0 +1,51 @@
+const subdivisionData = require('./iso-3166-2');
+const { sortCountriesByName } = require('./i18n');
+
+const subdivisionCache = {};
+
+/**
+ * Converts a [code, name, type, parent] entry of iso-3166-2.js to a subdivision object
+ * @param {Array<string>} entry - Subdivision entry
+ * @returns {{code: string, name: string, type: string, parent: string|null}} Frozen subdivision
+ */
+function toSubdivision([code, name, type, parent]) {
+  return Object.freeze({ code, name, type, parent: parent || null });
+}
+
+/**
+ * Gets the ISO 3166-2 subdivisions of a country, such as the states of the United States or the
+ * provinces of Canada
+ * @param {string} countryCode - The 2-letter country code (case-insensitive)
+ * @param {Object} [options] - Filter options
+ * @param {string|Array<string>} [options.type] - Only return subdivisions of these types, e.g. 'State'
+ *   (case-insensitive)
+ * @param {string|null} [options.parent] - Only return the subdivisions within this subdivision, e.g.
+ *   'GB-ENG', or with null only the top-level subdivisions
+ * @returns {Array<{code: string, name: string, type: string, parent: string|null}>} Subdivisions sorted
+ *   by name, with their ISO 3166-2 code (e.g. "US-CA"), name, type and the code of the subdivision they
+ *   are part of. Empty for codes without subdivisions. The objects are frozen
+ */
+function getSubdivisions(countryCode, options = {}) {
+  const { type, parent } = options;
+  const code = typeof countryCode === 'string' ? countryCode.toUpperCase() : '';
+  if (!Object.prototype.hasOwnProperty.call(subdivisionData, code)) {
+    return [];
+  }
+
+  if (!subdivisionCache[code]) {
+    subdivisionCache[code] = Object.freeze(sortCountriesByName(subdivisionData[code].map(toSubdivision), 'en'));
+  }
+  if (type === undefined && parent === undefined) {
+    return subdivisionCache[code];
+  }
+
+  const types = type === undefined ? undefined : [].concat(type).map(value => String(value).toLowerCase());
+  const parentCode = typeof parent === 'string' ? parent.toUpperCase() : parent;
+  return subdivisionCache[code].filter(subdivision =>
+    (!types || types.includes(subdivision.type.toLowerCase())) &&
+    (parentCode === undefined || subdivision.parent === parentCode));
+}
+
+module.exports = {
+  getSubdivisions
+};
@@ -0,0 +1,19 @@
+/**
+ * Browser replacement for svg.js, used by bundlers through the "browser" field of package.json.
+ * The flag SVGs are files in the package, so they cannot be read without Node.js
+ */
+const FLAGS_DIR = null;
+
+/**
+ * Throws, as the bundled SVG flags need Node.js. In the browser, serve the flags/ directory and
+ * use flagSource 'local', or use the image providers
+ * @throws {Error} Always
+ */
+function getFlagSvg() {
+  throw new Error("getFlagSvg needs Node.js to read the bundled flags. In the browser, use flagSource 'local' with a copy of the flags/ directory, or flagSource 'cdn'");
+}
+
+module.exports = {
+  FLAGS_DIR,
+  getFlagSvg
+};
@@ -0,0 +1,59 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Directory holding the bundled flag SVGs, named by lower-case country code (e.g. "in.svg")
+ */
+const FLAGS_DIR = path.join(__dirname, 'flags');
+
+const svgCache = {};
+
+/**
+ * Encodes SVG markup as a data URI. Percent-encoding keeps the URI shorter than base64,
+ * and quotes and parentheses are encoded so it is safe inside HTML attributes and CSS url()
+ * @param {string} svg - SVG markup
+ * @returns {string} data: URI
+ */
+function toSvgDataUri(svg) {
+  const encoded = encodeURIComponent(svg)
+    .replace(/'/g, '%27')
+    .replace(/\(/g, '%28')
+    .replace(/\)/g, '%29');
+
+  return `data:image/svg+xml;charset=utf-8,${encoded}`;
+}
+
+/**
+ * Gets the bundled SVG flag for a country code, without any network access
+ * @param {string} code - The 2-letter ISO country code
+ * @param {Object} [options] - Configuration options
+ * @param {string} [options.format='markup'] - 'markup' for the SVG source or 'dataUri' for a data: URI
+ * @returns {string} The SVG markup or data URI, or an empty string if no flag is bundled for the code
+ */
+function getFlagSvg(code, options = {}) {
+  const { format = 'markup' } = options;
+
+  if (format !== 'markup' && format !== 'dataUri') {
+    throw new Error(`Unknown SVG format: ${format}`);
+  }
+  if (!code || typeof code !== 'string' || !/^[A-Za-z]{2}$/.test(code)) {
+    return '';
+  }
+
+  const key = code.toLowerCase();
+  if (!(key in svgCache)) {
+    try {
+      svgCache[key] = fs.readFileSync(path.join(FLAGS_DIR, `${key}.svg`), 'utf8').trim();
+    } catch (error) {
+      svgCache[key] = '';
+    }
+  }
+
+  const svg = svgCache[key];
+  return format === 'dataUri' && svg ? toSvgDataUri(svg) : svg;
+}
+
+module.exports = {
+  FLAGS_DIR,
+  getFlagSvg
+};
@@ -1,4 +1,29 @@
-const { getAllCountries, getFlagEmoji, getCountrySelect } = require('./index');
+const assert = require('assert');
+const {
+  getAllCountries,
+  getCountry,
+  getCountries,
+  searchCountries,
+  getCountryByDialCode,
+  getCountryName,
+  getFlagEmoji,
+  getCodeFromFlagEmoji,
+  findFlagsInText,
+  getFlagImageUrl,
+  getFlagSrcSet,
+  createFlagProvider,
+  getFlagSvg,
+  isValidCountryCode,
+  validateCountryCode,
+  normalizeCountryCode,
+  InvalidCountryCodeError,
+  getCountrySelect,
+  arrangeCountries
+} = require('./index');
+const { getReactCountrySelect, getReactCountryComponent } = require('./frameworks/react');
+const { getAngularCountrySelect, getAngularCountryComponent } = require('./frameworks/angular');
+const { getVanillaJsCode, getVanillaDropdownCode, getVanillaImplementation } = require('./frameworks/vanilla');
+const { getCountrySelectHTML } = require('./utils');
 
 // Test getAllCountries function
 console.log('Testing getAllCountries():');
@@ -23,3 +48,1224 @@ console.log(getCountrySelect({
   className: 'country-dropdown',
   selectedCode: 'IN'
 }));
+
+// Test getAllCountries field selection
+console.log('\nTesting getAllCountries() with fields:');
+const india = getAllCountries({ fields: 'all' }).find(country => country.code === 'IN');
+console.log('Full record:', india);
+assert.deepStrictEqual(india, {
+  name: 'India',
+  code: 'IN',
+  flag: getFlagEmoji('IN'),
+  alpha3: 'IND',
+  numeric: '356',
+  continent: 'Asia',
+  region: 'Asia',
+  subregion: 'Southern Asia',
+  capital: 'New Delhi',
+  tld: '.in',
+  dialCode: '+91'
+});
+assert.deepStrictEqual(Object.keys(countries[0]), ['name', 'code', 'flag']);
+assert.deepStrictEqual(getAllCountries({ fields: ['code', 'alpha3'] })[0], { code: 'AF', alpha3: 'AFG' });
+assert.throws(() => getAllCountries({ fields: ['population'] }), /Unknown country field/);
+assert.ok(getReactCountryComponent('CountrySelect', { fields: ['name', 'code', 'flag', 'capital'] })
+  .includes("getAllCountries({ fields: ['name', 'code', 'flag', 'capital'] })"));
+console.log('Selected fields:', getAllCountries({ fields: ['code', 'alpha3', 'numeric'] }).slice(0, 3));
+
+// Test country lookup
+console.log('\nTesting getCountry():');
+console.log('By alpha-3 "IND":', getCountry('IND'));
+assert.strictEqual(getCountry('IN').alpha3, 'IND');
+assert.strictEqual(getCountry('IND').code, 'IN');
+assert.strictEqual(getCountry('356').code, 'IN');
+assert.strictEqual(getCountry(4).code, 'AF');
+assert.strictEqual(getCountry('India').code, 'IN');
+assert.strictEqual(getCountry('in'), null);
+assert.strictEqual(getCountry('Aland Islands'), null);
+assert.strictEqual(getCountry('  aland islands ', { mode: 'lenient' }).code, 'AX');
+assert.strictEqual(getCountry('ind', { mode: 'lenient' }).code, 'IN');
+assert.strictEqual(getCountry('4', { mode: 'lenient' }).code, 'AF');
+assert.strictEqual(getCountry('Atlantis', { mode: 'lenient' }), null);
+assert.deepStrictEqual(
+  getCountries(['DE', 'FRA', 'XX']).map(country => country && country.name),
+  ['Germany', 'France', null]
+);
+console.log('Batch lookup:', getCountries(['DE', 'FRA', 'XX']).map(country => country && country.name));
+
+// Lists and records come from the country store, built once and frozen
+assert.strictEqual(getAllCountries(), countries);
+assert.strictEqual(getAllCountries({ locale: 'de', fields: ['code', 'name'] }), getAllCountries({ locale: 'de', fields: ['code', 'name'] }));
+assert.notStrictEqual(getAllCountries({ fields: ['code', 'name'] }), getAllCountries({ fields: ['name', 'code'] }));
+assert.ok(Object.isFrozen(countries) && Object.isFrozen(countries[0]));
+assert.throws(() => { 'use strict'; countries[0].name = 'Atlantis'; }, TypeError);
+assert.strictEqual(getCountry('DEU'), getCountry('276'));
+assert.strictEqual(getCountry('Germany').flag, '🇩🇪');
+assert.strictEqual(getCountry('EU'), null);
+assert.strictEqual(getCountry('European Union', { includeUserAssigned: true }).code, 'EU');
+assert.strictEqual(getCountryName('eu'), 'European Union');
+
+// Test localized country names
+console.log('\nTesting localized names:');
+const germanCountries = getAllCountries({ locale: 'de' });
+const germanNames = germanCountries.map(country => country.name);
+console.log('German names:', germanNames.slice(0, 5));
+assert.strictEqual(getCountryName('AT', 'de'), 'Österreich');
+assert.strictEqual(getCountryName('at'), 'Austria');
+assert.strictEqual(getCountryName('XX', 'de'), '');
+assert.ok(germanNames.indexOf('Oman') < germanNames.indexOf('Österreich'));
+assert.ok(germanNames.indexOf('Österreich') < germanNames.indexOf('Pakistan'));
+assert.ok(getCountrySelect({ selectedLocale: 'fr', useImageFlags: false }).includes('Allemagne</option>'));
+// Locales named like Object.prototype members get the English names
+['toString', 'constructor', '__proto__'].forEach(locale => {
+  assert.strictEqual(getCountryName('AT', locale), 'Austria');
+  assert.ok(getCountrySelect({ selectedLocale: locale, useImageFlags: false }).includes('Austria</option>'));
+});
+// Tags that give the same names and order share one cached list
+assert.strictEqual(getAllCountries({ locale: 'DE' }), germanCountries);
+assert.strictEqual(getAllCountries({ locale: 'de-DE' }), germanCountries);
+assert.strictEqual(getAllCountries({ locale: 'de-x-private', fields: 'all' }), getAllCountries({ locale: 'de', fields: 'all' }));
+assert.notStrictEqual(getAllCountries({ locale: 'de-CH' }), germanCountries);
+assert.strictEqual(getAllCountries({ locale: 'xx' }).find(country => country.code === 'AT').name, 'Austria');
+
+// Bundled tables are used when the runtime has no Intl.DisplayNames
+const { DisplayNames } = Intl;
+Intl.DisplayNames = undefined;
+try {
+  assert.strictEqual(getCountryName('AT', 'de-CH'), 'Österreich');
+  assert.strictEqual(getCountryName('AT', 'sv'), 'Austria');
+  assert.strictEqual(getCountryName('AT', '__proto__'), 'Austria');
+} finally {
+  Intl.DisplayNames = DisplayNames;
+}
+
+// Test fuzzy country search
+console.log('\nTesting searchCountries():');
+const searchCodes = (query, options) => searchCountries(query, options).map(result => result.code);
+console.log('Search "holland":', searchCountries('holland')[0]);
+assert.strictEqual(searchCodes('usa')[0], 'US');
+assert.strictEqual(searchCodes('holland')[0], 'NL');
+assert.strictEqual(searchCodes('ivory coast')[0], 'CI');
+assert.strictEqual(searchCodes('s korea')[0], 'KR');
+assert.strictEqual(searchCodes('Virgin Islands US')[0], 'VI');
+assert.strictEqual(searchCodes('deutschland')[0], 'DE');
+assert.strictEqual(searchCodes('日本')[0], 'JP');
+assert.strictEqual(searchCodes('germny')[0], 'DE');
+assert.deepStrictEqual(searchCodes('de', { limit: 2 }), ['DE', 'DK']);
+assert.deepStrictEqual(searchCodes('korea').slice(0, 2), ['KR', 'KP']);
+assert.deepStrictEqual(searchCountries('s korea')[0], {
+  name: 'Korea, Republic of',
+  code: 'KR',
+  flag: '🇰🇷',
+  matchType: 'token',
+  field: 'alias',
+  matchedText: 'South Korea',
+  highlights: [[0, 1], [6, 11]]
+});
+const accentedMatch = searchCountries('cote d ivo')[0];
+assert.strictEqual(accentedMatch.matchedText, "Côte d'Ivoire");
+assert.deepStrictEqual(accentedMatch.highlights, [[0, 10]]);
+assert.deepStrictEqual(searchCountries('zealand')[0].highlights, [[4, 11]]);
+assert.deepStrictEqual(searchCountries('untied states').map(result => result.matchType), ['fuzzy', 'fuzzy']);
+assert.strictEqual(searchCountries('öster', { locale: 'de' })[0].name, 'Österreich');
+assert.strictEqual(searchCodes('austria', { locale: 'de' })[0], 'AT');
+assert.deepStrictEqual(searchCountries('öster', { locale: 'DE-de' }), searchCountries('öster', { locale: 'de' }));
+assert.deepStrictEqual(searchCodes('kosovo'), []);
+assert.deepStrictEqual(searchCodes('kosovo', { includeUserAssigned: true }), ['XK']);
+assert.deepStrictEqual(searchCountries(' ,. '), []);
+assert.deepStrictEqual(searchCountries(null), []);
+assert.throws(() => searchCountries('in', { limit: 0 }), /Invalid limit/);
+assert.strictEqual(searchCountries('a', { limit: 3 }).length, 3);
+const searchDataCodes = Object.keys(require('./aliases')).concat(Object.keys(require('./native-names')));
+assert.ok(searchDataCodes.every(code => getCountry(code, { includeUserAssigned: true })), 'Unknown code in the search data');
+
+// Test country groups
+console.log('\nTesting country groups:');
+const {
+  getCountriesInGroup,
+  isInGroup,
+  getGroupsForCountry,
+  registerCountryGroup,
+  COUNTRY_GROUPS_VERSION
+} = require('./index');
+const groupCodes = (group, options) => getCountriesInGroup(group, options).map(country => country.code);
+console.log('EU members:', groupCodes('EU').join(' '));
+assert.strictEqual(groupCodes('EU').length, 27);
+assert.strictEqual(groupCodes('eu', { date: '2019-06-30' }).length, 28);
+assert.ok(isInGroup('GB', 'EU', { date: '2020-01-31' }));
+assert.ok(!isInGroup('GB', 'EU', { date: '2020-02-01' }));
+assert.ok(!isInGroup('gb', 'EU'));
+assert.ok(isInGroup('GR', 'EU', { date: new Date('1981-01-01') }) && !isInGroup('GR', 'EU', { date: '1980-12-31' }));
+assert.ok(isInGroup('no', 'schengen') && !isInGroup('IE', 'SCHENGEN'));
+// Bulgaria and Romania joined in full when the land border checks were lifted
+assert.ok(isInGroup('RO', 'SCHENGEN', { date: '2025-01-01' }) && !isInGroup('RO', 'SCHENGEN', { date: '2024-06-30' }));
+assert.ok(isInGroup('BG', 'EUROZONE', { date: '2026-01-01' }) && !isInGroup('BG', 'EUROZONE', { date: '2025-12-31' }));
+assert.ok(!isInGroup('GM', 'COMMONWEALTH', { date: '2015-01-01' }) && isInGroup('GM', 'COMMONWEALTH', { date: '2019-01-01' }));
+assert.ok(!isInGroup('XX', 'EU') && !isInGroup(null, 'EU'));
+assert.deepStrictEqual(getGroupsForCountry('DE'), ['EU', 'EEA', 'SCHENGEN', 'EUROZONE', 'G20']);
+assert.deepStrictEqual(getGroupsForCountry('gb', { date: '2015-01-01' }), ['EU', 'EEA', 'G20', 'COMMONWEALTH']);
+assert.deepStrictEqual(getGroupsForCountry('AQ'), []);
+assert.strictEqual(groupCodes('G20').length, 19);
+assert.ok(groupCodes('G20', { includeUserAssigned: true }).includes('EU'));
+assert.deepStrictEqual(getCountriesInGroup('EUROZONE', { locale: 'de', fields: ['name'] }).slice(0, 2), [{ name: 'Belgien' }, { name: 'Bulgarien' }]);
+assert.throws(() => getCountriesInGroup('NATO'), /Unknown country group: NATO/);
+assert.throws(() => isInGroup('DE', 'EU', { date: '2019-02-30' }), /Invalid date/);
+assert.ok(/^\d{4}-\d{2}-\d{2}$/.test(COUNTRY_GROUPS_VERSION));
+const groupData = require('./group-members').groups;
+Object.keys(groupData).forEach(group => groupData[group].members.forEach(([code, joined, left]) => {
+  assert.ok(getCountry(code, { includeUserAssigned: true }), `Unknown code ${code} in ${group}`);
+  assert.ok(!left || joined < left, `${code} left ${group} before joining`);
+}));
+
+assert.strictEqual(registerCountryGroup('nordics', { name: 'Nordic countries', members: ['DK', 'fi', 'IS', 'NO', 'SE'] }), 'NORDICS');
+assert.ok(isInGroup('SE', 'Nordics'));
+assert.deepStrictEqual(getGroupsForCountry('NO'), ['EEA', 'SCHENGEN', 'NORDICS']);
+registerCountryGroup('shipping-zone-1', ['US', { code: 'CA', joined: '2030-01-01' }, { code: 'MX', left: new Date('2020-01-01') }]);
+assert.deepStrictEqual(groupCodes('SHIPPING-ZONE-1'), ['US']);
+assert.deepStrictEqual(groupCodes('shipping-zone-1', { date: '2019-06-30' }), ['MX', 'US']);
+registerCountryGroup('shipping-zone-1', ['FR']);
+assert.deepStrictEqual(groupCodes('shipping-zone-1'), ['FR']);
+assert.throws(() => registerCountryGroup('eu', ['DE']), /Cannot replace the built-in country group EU/);
+assert.throws(() => registerCountryGroup('1zone', ['DE']), /Invalid country group ID/);
+assert.throws(() => registerCountryGroup('zone', ['UK']), InvalidCountryCodeError);
+assert.throws(() => registerCountryGroup('zone', { name: 'Zone' }), /members must be an array/);
+
+// The group filter of the select and the generators
+const nordicSelect = getCountrySelect({ countryGroup: 'nordics', priorityCodes: ['SE'], exclude: ['IS'], useImageFlags: false });
+assert.deepStrictEqual(nordicSelect.match(/value="[A-Z]{2}"/g), ['value="SE"', 'value="DK"', 'value="FI"', 'value="NO"']);
+assert.deepStrictEqual(arrangeCountries(getAllCountries(), { countryGroup: 'EEA', include: ['NO', 'CH'] }).groups[0].countries.map(country => country.code), ['NO']);
+assert.ok(getReactCountrySelect(getAllCountries(), { countryGroup: 'nordics' }).includes('<option key="IS" value="IS"'));
+assert.ok(!getReactCountrySelect(getAllCountries(), { countryGroup: 'nordics' }).includes('value="DE"'));
+const nordicCall = "getAllCountries().filter(country => ['DK', 'FI', 'IS', 'NO', 'SE'].includes(country.code))";
+assert.ok(getReactCountryComponent('CountrySelect', { countryGroup: 'nordics' }).includes(`const countries = ${nordicCall};`));
+assert.ok(getVanillaDropdownCode({ countryGroup: 'nordics' }).includes(`const countries = ${nordicCall};`));
+const vanillaGroup = getVanillaJsCode({ countryGroup: 'nordics', priorityCodes: ['SE'] });
+assert.ok(vanillaGroup.includes(`const countries = ${nordicCall};`));
+assert.ok(vanillaGroup.includes("arrangeCountries(countries, { priorityCodes: ['SE'] })"));
+assert.ok(getVanillaJsCode({ countryGroup: 'EU', display: 'dialCode' }).includes(".includes(country.code)).filter(country => country.dialCode);"));
+assert.throws(() => getVanillaJsCode({ countryGroup: 'NATO' }), /Unknown country group/);
+
+// Test ISO 3166-2 subdivisions
+console.log('\nTesting getSubdivisions():');
+const { getSubdivisions } = require('./index');
+console.log('First US subdivisions:', getSubdivisions('US').slice(0, 3));
+assert.deepStrictEqual(getSubdivisions('us')[0], { code: 'US-AL', name: 'Alabama', type: 'State', parent: null });
+assert.strictEqual(getSubdivisions('US', { type: 'state' }).length, 50);
+assert.strictEqual(getSubdivisions('US', { type: ['State', 'District'] }).length, 51);
+assert.deepStrictEqual(getSubdivisions('GB', { parent: null }).map(subdivision => subdivision.code), ['GB-ENG', 'GB-NIR', 'GB-SCT', 'GB-WLS']);
+assert.ok(getSubdivisions('GB', { parent: 'gb-sct' }).some(subdivision => subdivision.name === 'Edinburgh, City of'));
+assert.strictEqual(getSubdivisions('CA').find(subdivision => subdivision.code === 'CA-QC').type, 'Province');
+assert.strictEqual(getSubdivisions('DE').find(subdivision => subdivision.code === 'DE-BY').name, 'Bayern');
+assert.strictEqual(getSubdivisions('US'), getSubdivisions('US'));
+assert.ok(Object.isFrozen(getSubdivisions('US')) && Object.isFrozen(getSubdivisions('US')[0]));
+assert.deepStrictEqual(getSubdivisions('AQ'), []);
+assert.deepStrictEqual(getSubdivisions('XX'), []);
+assert.deepStrictEqual(getSubdivisions('constructor'), []);
+assert.deepStrictEqual(getSubdivisions(null), []);
+const subdivisionData = require('./iso-3166-2');
+Object.keys(subdivisionData).forEach(country => {
+  assert.ok(getCountry(country), `Unknown country ${country} in the subdivision data`);
+  const codes = subdivisionData[country].map(([code]) => code);
+  subdivisionData[country].forEach(([code, name, type, parent]) => {
+    assert.ok(code.startsWith(`${country}-`) && name && type, `Invalid subdivision ${code}`);
+    assert.ok(!parent || codes.includes(parent), `Unknown parent ${parent} of ${code}`);
+  });
+});
+
+// Cascading mode of the select generators
+const cascadingSelect = getCountrySelect({
+  include: ['US', 'CA', 'AQ'],
+  selectedCode: 'US',
+  useImageFlags: false,
+  subdivisionSelect: { selectedCode: 'us-ca', placeholder: 'State / Province', className: 'form-select' }
+});
+assert.ok(cascadingSelect.includes(`</select>
+<select id="subdivision-select" name="subdivision" class="form-select" aria-label="Region">
+  <option value="">State / Province</option>
+  <option value="US-AL">Alabama</option>`));
+assert.ok(cascadingSelect.includes('<option value="US-CA" selected>California</option>'));
+assert.ok(cascadingSelect.includes("'CA': [['CA-AB', 'Alberta'], "));
+assert.ok(!cascadingSelect.includes("'AQ':") && !cascadingSelect.includes("'DE':"));
+assert.ok(getCountrySelect({ include: ['AQ'], subdivisionSelect: true }).includes('aria-label="Region" disabled>'));
+assert.ok(!getCountrySelect({ include: ['US'], subdivisionSelect: { placeholder: '</script><b>' } }).includes('</script><b>'));
+assert.throws(() => getCountrySelect({ subdivisionSelect: 'US' }), /subdivisionSelect must be true or an options object/);
+const vanillaCascading = getVanillaJsCode({ selectedCode: 'US', subdivisionSelect: { selectedCode: 'US-CA' } });
+assert.ok(vanillaCascading.includes('const { getAllCountries, getFlagSrcSet, getSubdivisions } = CountryFlagsUtil;'));
+assert.ok(vanillaCascading.includes("updateSubdivisions('US-CA');"));
+assert.ok(!getVanillaJsCode().includes('getSubdivisions'));
+assert.ok(getReactCountryComponent('AddressSelect', { subdivisionSelect: true }).includes('  onSubdivisionChange = () => {},\n'));
+
+// Test the timezone mapping
+console.log('\nTesting timezones:');
+const { getCountryByTimezone, getTimezonesForCountry, detectCountryCode, TIMEZONES_VERSION } = require('./index');
+console.log('Asia/Kolkata:', getCountryByTimezone('Asia/Kolkata').name);
+assert.ok(/^\d{4}[a-z]$/.test(TIMEZONES_VERSION));
+assert.strictEqual(getCountryByTimezone('Asia/Kolkata').code, 'IN');
+assert.strictEqual(getCountryByTimezone('Asia/Calcutta').code, 'IN');
+assert.strictEqual(getCountryByTimezone(' america/new_york ').code, 'US');
+assert.strictEqual(getCountryByTimezone('US/Eastern').code, 'US');
+assert.strictEqual(getCountryByTimezone('Europe/Kiev').code, 'UA');
+assert.strictEqual(getCountryByTimezone('Europe/Vaduz').code, 'LI');
+assert.strictEqual(getCountryByTimezone('Pacific/Truk').code, 'FM');
+assert.strictEqual(getCountryByTimezone('Iceland').code, 'IS');
+assert.strictEqual(getCountryByTimezone('UTC'), null);
+assert.strictEqual(getCountryByTimezone('Etc/GMT+5'), null);
+assert.strictEqual(getCountryByTimezone('CET'), null);
+assert.strictEqual(getCountryByTimezone('constructor'), null);
+assert.strictEqual(getCountryByTimezone(undefined), null);
+assert.deepStrictEqual(getTimezonesForCountry('in'), ['Asia/Kolkata']);
+assert.strictEqual(getTimezonesForCountry('US')[0], 'America/New_York');
+assert.ok(Object.isFrozen(getTimezonesForCountry('US')));
+assert.deepStrictEqual(getTimezonesForCountry('BV'), []);
+assert.deepStrictEqual(getTimezonesForCountry('hasOwnProperty'), []);
+const countryZones = require('./country-zones');
+const zoneOwners = {};
+Object.keys(countryZones.zones).forEach(code => {
+  assert.ok(getCountry(code), `Unknown country ${code} in the timezone data`);
+  countryZones.zones[code].forEach(zone => {
+    assert.ok(!zoneOwners[zone], `${zone} is listed for ${zoneOwners[zone]} and ${code}`);
+    zoneOwners[zone] = code;
+    // Engines may report another name for the zone, which must map to the same country
+    const reported = new Intl.DateTimeFormat('en', { timeZone: zone }).resolvedOptions().timeZone;
+    assert.strictEqual(getCountryByTimezone(reported).code, code, `${zone} is reported as ${reported}`);
+  });
+});
+Object.keys(countryZones.links).forEach(link => {
+  assert.ok(!zoneOwners[link] && zoneOwners[countryZones.links[link]], `Invalid link ${link}`);
+});
+assert.strictEqual(detectCountryCode({ timeZone: 'Asia/Calcutta' }), 'IN');
+assert.strictEqual(detectCountryCode({ timeZone: 'Europe/Berlin', include: ['fr', 'de'] }), 'DE');
+assert.strictEqual(detectCountryCode({ timeZone: 'Europe/Berlin', include: ['US', 'CA'], fallback: 'us' }), 'US');
+assert.strictEqual(detectCountryCode({ timeZone: 'UTC' }), null);
+assert.strictEqual(detectCountryCode(), getCountryByTimezone(Intl.DateTimeFormat().resolvedOptions().timeZone)?.code || null);
+
+// Timezone detection in the select generators
+const autoSelect = getCountrySelect({ include: ['IN', 'US', 'CA'], selectedCode: 'auto', fallbackCode: 'ca', useImageFlags: false });
+assert.ok(autoSelect.includes('<option value="CA" selected>'));
+assert.ok(/'IN': '[^']*\bAsia\/Kolkata\b[^']*'/.test(autoSelect));
+assert.ok(/'IN': '[^']*\bAsia\/Calcutta\b[^']*'/.test(autoSelect));
+// The zones are written once per country, so all of them stay small
+assert.ok(getCountrySelect({ selectedCode: 'auto' }).match(/<script>[\s\S]*<\/script>/)[0].length < 14000);
+assert.ok(!autoSelect.includes("'Europe/Berlin'"));
+assert.ok(!getCountrySelect({ selectedCode: 'auto', placeholder: 'Country' }).includes('selected>🇦'));
+assert.ok(getCountrySelect({ selectedCode: 'auto', placeholder: 'Country' }).includes('<option value="" disabled selected>Country</option>'));
+assert.throws(() => getCountrySelect({ selectedCode: 'auto', fallbackCode: 'ZZ' }), InvalidCountryCodeError);
+const vanillaAutoSelect = getVanillaJsCode({ selectedCode: 'auto', fallbackCode: 'ca', include: ['US', 'CA'], useImageFlags: false });
+assert.ok(vanillaAutoSelect.includes('const { getAllCountries, getFlagSrcSet, arrangeCountries, detectCountryCode } = CountryFlagsUtil;'));
+assert.ok(vanillaAutoSelect.includes("fallback: 'CA'"));
+assert.ok(!vanillaAutoSelect.includes('option.selected = true'));
+const dropdownAutoSelect = getVanillaDropdownCode({ selectedCode: 'auto', countryGroup: 'EU' });
+assert.ok(dropdownAutoSelect.includes('const { getAllCountries, getFlagSrcSet, detectCountryCode } = CountryFlagsUtil;'));
+assert.ok(dropdownAutoSelect.includes('fallback: null'));
+
+// Test reverse flag parsing
+console.log('\nTesting getCodeFromFlagEmoji() and findFlagsInText():');
+const englandFlag = '\u{1F3F4}\u{E0067}\u{E0062}\u{E0065}\u{E006E}\u{E0067}\u{E007F}';
+assert.strictEqual(getCodeFromFlagEmoji('🇮🇳'), 'IN');
+assert.strictEqual(getCodeFromFlagEmoji(englandFlag), 'GB-ENG');
+assert.strictEqual(getCodeFromFlagEmoji('🇮🇳🇺🇸'), null);
+assert.strictEqual(getCodeFromFlagEmoji('IN'), null);
+const flagText = `Trip: 🇮🇳 → 🇿🇿 → ${englandFlag}!`;
+const foundFlags = findFlagsInText(flagText);
+console.log('Flags in text:', foundFlags);
+assert.deepStrictEqual(foundFlags.map(flag => [flag.code, flag.type, flag.assigned]), [
+  ['IN', 'country', true],
+  ['ZZ', 'country', false],
+  ['GB-ENG', 'subdivision', true]
+]);
+foundFlags.forEach(flag => assert.strictEqual(flagText.slice(flag.start, flag.end), flag.emoji));
+
+// Test code validation and strict mode
+console.log('\nTesting validateCountryCode() and strict mode:');
+console.log('validateCountryCode("ZZ"):', validateCountryCode('ZZ'));
+assert.strictEqual(isValidCountryCode('in'), true);
+assert.strictEqual(isValidCountryCode('ZZ'), false);
+assert.strictEqual(isValidCountryCode('ZZ', { allowUserAssigned: true }), true);
+assert.strictEqual(isValidCountryCode('UK'), false);
+assert.strictEqual(isValidCountryCode('UK', { allowReserved: true }), true);
+assert.deepStrictEqual(
+  ['12', 'IND', 'ZZ', 'UK', 'QQ', 'JQ', 7].map(code => validateCountryCode(code).reason),
+  ['non-letter', 'invalid-length', 'user-assigned', 'reserved', 'user-assigned', 'unassigned', 'not-a-string']
+);
+// Validation and normalization agree on aliases and surrounding whitespace
+assert.strictEqual(validateCountryCode('EL').reason, 'reserved');
+assert.strictEqual(validateCountryCode(' de ').code, 'DE');
+assert.strictEqual(normalizeCountryCode(' de ').code, 'DE');
+assert.strictEqual(validateCountryCode(' d ').reason, 'invalid-length');
+assert.strictEqual(getFlagEmoji(' in', { strict: true }), '🇮🇳');
+assert.strictEqual(getFlagEmoji('12'), String.fromCodePoint(127446, 127447));
+assert.strictEqual(getFlagEmoji('in', { strict: true }), '🇮🇳');
+assert.strictEqual(getFlagEmoji('ZZ', { strict: true, throwOnInvalid: false }), null);
+assert.throws(() => getFlagEmoji('12', { strict: true }), error =>
+  error instanceof InvalidCountryCodeError && error.reason === 'non-letter' && error.countryCode === '12');
+assert.strictEqual(getFlagImageUrl('zz'), 'https://flagcdn.com/w40/zz.png');
+assert.strictEqual(getFlagImageUrl('de', { width: 80, strict: true }), 'https://flagcdn.com/w80/de.png');
+assert.throws(() => getFlagImageUrl('zz', { strict: true }), InvalidCountryCodeError);
+
+// Test legacy code normalization and user-assigned entries
+console.log('\nTesting normalizeCountryCode():');
+console.log('normalizeCountryCode("YU"):', normalizeCountryCode('YU'));
+assert.strictEqual(normalizeCountryCode('uk').code, 'GB');
+assert.strictEqual(normalizeCountryCode('EL').status, 'alias');
+assert.strictEqual(normalizeCountryCode('EL').code, 'GR');
+assert.deepStrictEqual(normalizeCountryCode('BU'), { input: 'BU', code: 'MM', status: 'replaced', name: 'Burma', successors: ['MM'] });
+assert.deepStrictEqual(normalizeCountryCode('AN').successors, ['BQ', 'CW', 'SX']);
+assert.strictEqual(normalizeCountryCode('AN').code, null);
+assert.strictEqual(normalizeCountryCode('XK').status, 'unknown');
+assert.strictEqual(normalizeCountryCode('XK', { includeUserAssigned: true }).code, 'XK');
+
+const withUserAssigned = getAllCountries({ includeUserAssigned: true });
+assert.strictEqual(withUserAssigned.length, countries.length + 2);
+assert.deepStrictEqual(withUserAssigned.find(country => country.code === 'XK'), { name: 'Kosovo', code: 'XK', flag: '🇽🇰' });
+assert.ok(withUserAssigned.findIndex(country => country.code === 'XK') > withUserAssigned.findIndex(country => country.code === 'KI'));
+assert.strictEqual(getFlagEmoji('XK', { strict: true, throwOnInvalid: false }), null);
+assert.strictEqual(getFlagEmoji('XK', { strict: true, includeUserAssigned: true }), '🇽🇰');
+assert.strictEqual(getFlagEmoji('EU', { strict: true, includeUserAssigned: true }), '🇪🇺');
+assert.strictEqual(getCountry('XK'), null);
+assert.strictEqual(getCountry('XKX', { includeUserAssigned: true }).name, 'Kosovo');
+assert.strictEqual(getCountryName('XK', 'de'), 'Kosovo');
+assert.ok(getCountrySelect({ includeUserAssigned: true }).includes('value="XK"'));
+assert.ok(!getCountrySelect().includes('value="XK"'));
+assert.ok(getReactCountryComponent('CountrySelect', { includeUserAssigned: true })
+  .includes('getAllCountries({ includeUserAssigned: true })'));
+
+// Test bundled SVG flags and flag sources
+console.log('\nTesting getFlagSvg() and flag sources:');
+const indiaSvg = getFlagSvg('in');
+console.log('India SVG:', indiaSvg.slice(0, 80) + '...');
+assert.ok(indiaSvg.startsWith('<svg') && indiaSvg.endsWith('</svg>'));
+assert.ok(getFlagSvg('XK').startsWith('<svg'));
+assert.ok(getFlagSvg('IN', { format: 'dataUri' }).startsWith('data:image/svg+xml;charset=utf-8,%3Csvg'));
+assert.strictEqual(getFlagSvg('ZZ'), '');
+assert.strictEqual(getFlagSvg('../x'), '');
+const offlineCountries = getAllCountries().filter(country => ['DE', 'IN'].includes(country.code));
+const svgSelect = getCountrySelect({ flagSource: 'svg' });
+assert.ok(!svgSelect.includes('flagcdn.com'));
+assert.ok(svgSelect.includes(`data-flag-src="${getFlagSvg('IN', { format: 'dataUri' })}"`));
+assert.ok(getCountrySelect({ flagSource: 'local', flagPath: '/static/flags/' }).includes('data-flag-src="/static/flags/in.svg"'));
+assert.throws(() => getCountrySelect({ flagSource: 'ftp' }), /Unknown flag source/);
+assert.ok(getReactCountrySelect(offlineCountries, { flagSource: 'local' }).includes('data-flag-src="/flags/de.svg"'));
+assert.ok(!getReactCountrySelect(offlineCountries, { flagSource: 'svg' }).includes('getFlagImageUrl'));
+assert.ok(getAngularCountrySelect(offlineCountries, { flagSource: 'local' }).includes('data-flag-src="/flags/in.svg"'));
+assert.ok(getVanillaJsCode({ flagSource: 'svg' }).includes('flagImg.src = flagImages[code];'));
+assert.ok(!getVanillaJsCode({ flagSource: 'svg' }).includes('flagcdn.com'));
+// The inline flag maps only cover the listed countries
+const svgVanillaIndia = getVanillaJsCode({ flagSource: 'svg', include: ['in'] });
+assert.ok(svgVanillaIndia.includes('    IN: \'data:image/svg+xml'));
+assert.ok(!svgVanillaIndia.includes('    DE: '));
+assert.ok(svgVanillaIndia.length < 10000);
+const svgVanillaEu = getVanillaJsCode({ flagSource: 'svg', countryGroup: 'EU', exclude: ['DE'], includeUserAssigned: true });
+assert.ok(svgVanillaEu.includes('    FR: ') && !svgVanillaEu.includes('    DE: ') && !svgVanillaEu.includes('    US: '));
+assert.ok(getVanillaJsCode({ flagSource: 'local' }).includes("flagImg.src = '/flags/' + code.toLowerCase() + '.svg';"));
+
+// Test flag image providers
+console.log('\nTesting flag image providers:');
+console.log('getFlagSrcSet("DE", { width: 37 }):', getFlagSrcSet('DE', { width: 37 }));
+assert.strictEqual(getFlagImageUrl('GB', 37), 'https://flagcdn.com/w40/gb.png');
+assert.strictEqual(getFlagImageUrl('GB', 5000), 'https://flagcdn.com/w2560/gb.png');
+assert.strictEqual(getFlagImageUrl('GB', { height: 30, format: 'webp' }), 'https://flagcdn.com/h40/gb.webp');
+assert.strictEqual(getFlagImageUrl('GB', { format: 'svg' }), 'https://flagcdn.com/gb.svg');
+assert.throws(() => getFlagImageUrl('GB', { format: 'gif' }), /does not support the gif format/);
+assert.throws(() => getFlagImageUrl('GB', { provider: 'nope' }), /Unknown flag provider/);
+assert.throws(() => getFlagImageUrl('GB', { provider: 'constructor' }), /Unknown flag provider: constructor/);
+assert.throws(() => getCountrySelect({ flagProvider: 'toString' }), /Unknown flag provider: toString/);
+// Sizes may be numeric strings, but must be positive numbers; null is the same as no options
+assert.strictEqual(getFlagImageUrl('GB', '80'), 'https://flagcdn.com/w80/gb.png');
+assert.strictEqual(getFlagImageUrl('GB', { height: '60' }), 'https://flagcdn.com/h60/gb.png');
+assert.strictEqual(getFlagImageUrl('GB', null), 'https://flagcdn.com/w40/gb.png');
+assert.strictEqual(getFlagSrcSet('GB', null).src, 'https://flagcdn.com/w40/gb.png');
+assert.strictEqual(getFlagSrcSet('GB', { width: '20' }).sizes, '20px');
+[NaN, Infinity, -40, 0, 'wide', ''].forEach(width => {
+  assert.throws(() => getFlagImageUrl('GB', { width }), /Invalid flag width/);
+  assert.throws(() => getFlagSrcSet('GB', { width }), /Invalid flag width/);
+});
+assert.throws(() => getFlagImageUrl('GB', { height: -20 }), /Invalid flag height/);
+assert.deepStrictEqual(getFlagSrcSet('DE', { width: 37 }), {
+  src: 'https://flagcdn.com/w40/de.png',
+  srcset: 'https://flagcdn.com/w40/de.png 40w, https://flagcdn.com/w80/de.png 80w, https://flagcdn.com/w160/de.png 160w',
+  sizes: '37px'
+});
+assert.deepStrictEqual(getFlagSrcSet('DE', { height: 20 }), {
+  src: 'https://flagcdn.com/h20/de.png',
+  srcset: 'https://flagcdn.com/h20/de.png 1x, https://flagcdn.com/h40/de.png 2x, https://flagcdn.com/h60/de.png 3x',
+  sizes: ''
+});
+
+const selfHosted = createFlagProvider({
+  template: 'https://cdn.example.com/flags/{size}/{CODE}.{format}',
+  widths: [32, 64, 128],
+  formats: ['png']
+});
+assert.strictEqual(getFlagImageUrl('de', { width: 40, provider: selfHosted }), 'https://cdn.example.com/flags/w64/DE.png');
+assert.strictEqual(getFlagImageUrl('de', { width: 41, provider: 'https://img.test/{code}-{width}.png' }), 'https://img.test/de-41.png');
+assert.strictEqual(getFlagImageUrl('de', { provider: (code, { width }) => `/flags/${code}@${width}.png` }), '/flags/de@40.png');
+assert.ok(getCountrySelect({ flagWidth: 20 }).includes(
+  'data-flag-src="https://flagcdn.com/w20/in.png" data-flag-srcset="https://flagcdn.com/w20/in.png 20w, https://flagcdn.com/w40/in.png 40w, https://flagcdn.com/w80/in.png 80w"'
+));
+assert.ok(getCountrySelect({ flagProvider: selfHosted }).includes('data-flag-src="https://cdn.example.com/flags/w64/IN.png"'));
+assert.ok(getReactCountrySelect(offlineCountries).includes('data-flag-srcset="https://flagcdn.com/w40/de.png 40w'));
+assert.ok(getAngularCountrySelect(offlineCountries, { flagFormat: 'webp' }).includes('data-flag-srcset="https://flagcdn.com/w40/de.webp 40w'));
+assert.ok(getVanillaJsCode({ flagWidth: 30 }).includes('getFlagSrcSet(code, { width: 30 })'));
+assert.ok(getVanillaJsCode({ flagProvider: selfHosted }).includes("DE: { src: 'https://cdn.example.com/flags/w64/DE.png'"));
+assert.ok(!getVanillaJsCode({ flagProvider: selfHosted, exclude: ['DE'] }).includes('    DE: '));
+
+// Test escaping in the generators
+console.log('\nTesting escaping:');
+const trickyCountries = [{ name: 'Côte "d\'Ivoire" <b>{{x}}</b> @if', code: 'CI', flag: '🇨🇮' }];
+const escapedHTML = getCountrySelectHTML(trickyCountries, {
+  id: 'a"><script>alert(1)</script>',
+  className: "x' onmouseover='alert(1)",
+  useImageFlags: false,
+  attributes: { 'data-testid': 'country"', 'aria-label': 'Country <select>' }
+});
+console.log(escapedHTML);
+assert.ok(escapedHTML.includes('id="a&quot;&gt;&lt;script&gt;alert(1)&lt;/script&gt;"'));
+assert.ok(escapedHTML.includes('class="x&#39; onmouseover=&#39;alert(1)"'));
+assert.ok(escapedHTML.includes('data-testid="country&quot;" aria-label="Country &lt;select&gt;"'));
+assert.ok(escapedHTML.includes('Côte &quot;d&#39;Ivoire&quot; &lt;b&gt;{{x}}&lt;/b&gt; @if</option>'));
+assert.throws(() => getCountrySelectHTML(trickyCountries, { attributes: { onclick: 'alert(1)' } }), /Only data-\* and aria-\* attributes/);
+
+const escapedReact = getReactCountrySelect(trickyCountries, { title: 'a"b', attributes: { 'data-x': '{y}' } });
+assert.ok(escapedReact.includes('title="a&quot;b" data-x="{y}"'));
+assert.ok(escapedReact.includes('data-flag-src="https://flagcdn.com/w40/ci.png"'));
+assert.ok(getReactCountrySelect(trickyCountries, { useImageFlags: false })
+  .includes('🇨🇮 Côte &quot;d&#39;Ivoire&quot; &lt;b&gt;&#123;&#123;x&#125;&#125;&lt;/b&gt; @if</option>'));
+assert.throws(() => getReactCountrySelect(trickyCountries, { onChange: 'alert(1)' }), /Invalid onChange handler/);
+assert.throws(() => getReactCountrySelect(trickyCountries, { 'a b': 'c' }), /Invalid attribute name/);
+assert.throws(() => getReactCountryComponent('Select; alert(1)'), /Invalid component name/);
+const comboboxComponent = getReactCountryComponent();
+assert.ok(comboboxComponent.includes('role="combobox"'));
+assert.ok(comboboxComponent.includes('aria-activedescendant={activeCountry ? getOptionId(activeCountry.code) : undefined}'));
+assert.ok(comboboxComponent.includes("case 'Escape':"));
+
+const escapedAngular = getAngularCountrySelect(trickyCountries, { '(change)': 'onChange($event)', title: '{{evil}}' });
+assert.ok(escapedAngular.includes('(change)="onChange($event)" title="&#123;&#123;evil&#125;&#125;"'));
+assert.ok(escapedAngular.includes('&lt;b&gt;&#123;&#123;x&#125;&#125;&lt;/b&gt; &#64;if'));
+assert.ok(escapedAngular.includes('<option value="CI" data-flag-src="https://flagcdn.com/w40/ci.png"'));
+assert.throws(() => getAngularCountrySelect(trickyCountries, { ngModel: 'a; b' }), /Invalid ngModel expression/);
+const angularComponent = getAngularCountryComponent(true);
+assert.ok(angularComponent.component.includes('export class CountrySelectComponent implements ControlValueAccessor {'));
+assert.ok(angularComponent.component.includes('useExisting: forwardRef(() => CountrySelectComponent)'));
+assert.ok(angularComponent.component.includes('@Output() selectedCountryChange = new EventEmitter<string>();'));
+assert.ok(angularComponent.module.includes('declarations: [CountrySelectComponent]'));
+assert.ok(angularComponent.usage.includes('formControlName="country"'));
+const standaloneComponent = getAngularCountryComponent(false, { standalone: true, includeUserAssigned: true });
+assert.strictEqual(standaloneComponent.module, null);
+assert.ok(standaloneComponent.component.includes('standalone: true'));
+assert.ok(standaloneComponent.component.includes("readonly selectedCountry = model('');"));
+assert.ok(standaloneComponent.component.includes('@for (country of countries; track country.code) {'));
+assert.ok(standaloneComponent.component.includes('getAllCountries({ includeUserAssigned: true })'));
+assert.ok(!standaloneComponent.component.includes('<img'));
+
+const escapedVanilla = getVanillaJsCode({ selectId: "a'</script>", attributes: { 'aria-label': 'Country' } });
+assert.ok(escapedVanilla.includes("countrySelect.id = 'a\\'\\x3C/script>';"));
+assert.ok(escapedVanilla.includes("countrySelect.setAttribute('aria-label', 'Country');"));
+assert.throws(() => getVanillaJsCode({ onChangeFunction: 'alert(1)' }), /Invalid onChangeFunction/);
+
+// Test priority countries, filtering and grouping
+console.log('\nTesting priority countries, filtering and grouping:');
+const checkoutSelect = getCountrySelect({
+  useImageFlags: false,
+  priorityCodes: ['us', 'GB'],
+  include: ['US', 'GB', 'DE', 'IN', 'FR', 'JP'],
+  exclude: ['FR'],
+  groupBy: 'region',
+  placeholder: 'Select a country',
+  required: true
+});
+console.log(checkoutSelect);
+assert.ok(checkoutSelect.startsWith('<select id="country-select" name="country" class="" required>'));
+assert.ok(checkoutSelect.includes(`<option value="" disabled selected>Select a country</option>
+  <option value="US">🇺🇸 United States</option>
+  <option value="GB">🇬🇧 United Kingdom</option>
+  <option value="" disabled>──────────</option>
+  <optgroup label="Asia">
+    <option value="IN">🇮🇳 India</option>
+    <option value="JP">🇯🇵 Japan</option>
+  </optgroup>
+  <optgroup label="Europe">
+    <option value="DE">🇩🇪 Germany</option>
+  </optgroup>`));
+assert.ok(!checkoutSelect.includes('France'));
+assert.ok(getCountrySelect({ placeholder: 'Pick one', selectedCode: 'IN' }).includes('<option value="" disabled>Pick one</option>'));
+assert.ok(getCountrySelect({ disabled: true }).includes('class="" disabled>'));
+
+const byCode = (a, b) => b.code.localeCompare(a.code);
+const arranged = arrangeCountries(getAllCountries(), { include: ['DE', 'IN', 'US'], priorityCodes: ['IN', 'ZZ'], sort: byCode });
+assert.deepStrictEqual(arranged.priority.map(country => country.code), ['IN']);
+assert.deepStrictEqual(arranged.groups, [{ label: null, countries: arranged.groups[0].countries }]);
+assert.deepStrictEqual(arranged.groups[0].countries.map(country => country.code), ['US', 'DE']);
+assert.throws(() => arrangeCountries(getAllCountries(), { groupBy: 'region' }), /needs the region field/);
+assert.throws(() => arrangeCountries([], { groupBy: 'language' }), /Unknown groupBy value/);
+assert.throws(() => arrangeCountries([], { include: 'US' }), /include must be an array/);
+
+const regionCountries = getAllCountries({ fields: ['name', 'code', 'flag', 'region'] });
+const reactGrouped = getReactCountrySelect(regionCountries, {
+  useImageFlags: false,
+  include: ['DE', 'IN'],
+  groupBy: 'region',
+  placeholder: 'Select a country',
+  disabled: true
+});
+assert.ok(reactGrouped.includes('defaultValue="" onChange={handleChange} disabled'));
+assert.ok(reactGrouped.includes('<optgroup key="Asia" label="Asia">\n    <option key="IN" value="IN">🇮🇳 India</option>\n  </optgroup>'));
+const angularPinned = getAngularCountrySelect(regionCountries, { useImageFlags: false, priorityCodes: ['DE'], include: ['DE', 'IN'], required: true });
+assert.ok(angularPinned.includes('name="country" required>\n  <option value="DE">🇩🇪 Germany</option>\n  <option value="" disabled>──────────</option>\n  <option value="IN">'));
+
+const vanillaArranged = getVanillaJsCode({ priorityCodes: ['US'], groupBy: 'region', sort: byCode, placeholder: 'Select a country' });
+assert.ok(vanillaArranged.includes("getAllCountries({ fields: ['name', 'code', 'flag', 'region'] })"));
+assert.ok(vanillaArranged.includes("arrangeCountries(countries, { priorityCodes: ['US'], groupBy: 'region', sort: (a, b) => b.code.localeCompare(a.code) })"));
+assert.ok(vanillaArranged.includes("placeholderOption.textContent = 'Select a country';"));
+new Function(vanillaArranged);
+new Function(getVanillaJsCode({ selectedCode: 'IN', disabled: true, required: true }));
+
+// Test calling codes
+console.log('\nTesting calling codes:');
+console.log('getCountryByDialCode("+1 (684) 633-1234"):', getCountryByDialCode('+1 (684) 633-1234').name);
+assert.strictEqual(getCountry('IN').dialCode, '+91');
+assert.strictEqual(getCountry('CA').dialCode, '+1');
+assert.strictEqual(getCountry('AQ').dialCode, null);
+assert.strictEqual(getCountryByDialCode('+442079460000').code, 'GB');
+assert.strictEqual(getCountryByDialCode('+44 1481 712345').code, 'GG');
+assert.strictEqual(getCountryByDialCode('+1 416 555 0100').code, 'CA');
+assert.strictEqual(getCountryByDialCode('+1-787-555-0100').code, 'PR');
+assert.strictEqual(getCountryByDialCode('+1 800 555 0100').code, 'US');
+assert.strictEqual(getCountryByDialCode('+7 701 123 4567').code, 'KZ');
+assert.strictEqual(getCountryByDialCode('+7 495 123 4567').code, 'RU');
+assert.strictEqual(getCountryByDialCode('+590 590 27 63 63').code, 'BL');
+assert.strictEqual(getCountryByDialCode('+590 590 87 64 00').code, 'MF');
+assert.strictEqual(getCountryByDialCode('+590 590 82 00 00').code, 'GP');
+assert.strictEqual(getCountryByDialCode('+590 690 12 34 56').code, 'GP');
+// Every country with a calling code is reachable through it or a longer prefix, except those
+// that share a code without a numbering range of their own
+const dialPrefixes = require('./dial-prefixes');
+const unreachableCodes = getAllCountries({ fields: ['code', 'dialCode'] })
+  .filter(({ dialCode }) => dialCode)
+  .filter(({ code, dialCode }) => ![dialCode].concat(dialPrefixes[code] || [])
+    .some(prefix => getCountryByDialCode(`+${prefix.replace('+', '')}`).code === code))
+  .map(({ code }) => code);
+assert.deepStrictEqual(unreachableCodes.sort(), ['BV', 'GS', 'PN', 'TF', 'UM']);
+assert.strictEqual(getCountryByDialCode('0049 30 123456').code, 'DE');
+assert.strictEqual(getCountryByDialCode(91).code, 'IN');
+assert.strictEqual(getCountryByDialCode('+383 44 123 456'), null);
+assert.strictEqual(getCountryByDialCode('+383 44 123 456', { includeUserAssigned: true }).code, 'XK');
+assert.strictEqual(getCountryByDialCode('+999'), null);
+assert.strictEqual(getCountryByDialCode(null), null);
+
+const dialSelect = getCountrySelect({ display: 'dialCode', useImageFlags: false });
+assert.ok(dialSelect.includes('<option value="IN" title="India">🇮🇳 +91</option>'));
+assert.ok(!dialSelect.includes('value="AQ"'));
+assert.throws(() => getCountrySelect({ display: 'phone' }), /Unknown display mode/);
+const dialCountries = getAllCountries({ fields: ['name', 'code', 'flag', 'dialCode'] });
+assert.ok(getReactCountrySelect(dialCountries, { display: 'dialCode', useImageFlags: false })
+  .includes('<option key="CA" value="CA" title="Canada">🇨🇦 +1</option>'));
+assert.throws(() => getReactCountrySelect(getAllCountries(), { display: 'dialCode' }), /needs the dialCode field/);
+assert.ok(getAngularCountrySelect(dialCountries, { display: 'dialCode' }).includes('160w">🇬🇧 +44</option>'));
+const vanillaDial = getVanillaJsCode({ display: 'dialCode' });
+assert.ok(vanillaDial.includes("getAllCountries({ fields: ['name', 'code', 'flag', 'dialCode'] }).filter(country => country.dialCode)"));
+assert.ok(vanillaDial.includes('option.textContent = `${country.flag} ${country.dialCode}`;'));
+new Function(vanillaDial);
+
+// Test the Vue generators
+console.log('\nTesting Vue generators:');
+const { vue } = require('./index');
+const vueSelect = vue.getVueCountrySelect(offlineCountries, { useImageFlags: false, vModel: 'form.country', '@change': 'onCountryChange', title: '{{ evil }}' });
+console.log(vueSelect);
+assert.ok(vueSelect.startsWith('<select v-model="form.country" id="country-select" name="country" @change="onCountryChange" title="&#123;&#123; evil &#125;&#125;">'));
+assert.ok(vueSelect.includes('<option value="IN">🇮🇳 India</option>'));
+assert.ok(vue.getVueCountrySelect(offlineCountries, { flagSource: 'local' }).includes('data-flag-src="/flags/de.svg"'));
+assert.throws(() => vue.getVueCountrySelect(offlineCountries, { vModel: 'a; b' }), /Invalid v-model expression/);
+assert.throws(() => vue.getVueCountrySelect(offlineCountries, { '(change)': 'x' }), /Invalid attribute name/);
+const vueComponent = vue.getVueCountryComponent({ includeUserAssigned: true });
+assert.ok(vueComponent.startsWith('<script setup>'));
+assert.ok(vueComponent.includes("const selectedCountry = defineModel({ type: String, default: '' });"));
+assert.ok(vueComponent.includes('getAllCountries({ includeUserAssigned: true })'));
+assert.ok(vueComponent.includes('v-bind="getFlagImageProps(country.code)"'));
+assert.ok(vueComponent.includes('<style scoped>'));
+
+// Test the Svelte and SolidJS generators
+console.log('\nTesting Svelte and SolidJS generators:');
+const { svelte, solid } = require('./index');
+const svelteComponent = svelte.getSvelteCountryComponent({ fields: ['name', 'code', 'flag'] });
+assert.ok(svelteComponent.includes("value = $bindable('')"));
+assert.ok(svelteComponent.includes("getAllCountries({ fields: ['name', 'code', 'flag'] })"));
+assert.ok(svelteComponent.includes('bind:value={query}'));
+assert.ok(svelteComponent.includes('{#if useImageFlags}'));
+const solidComponent = solid.getSolidCountryComponent('CountryPicker', { includeUserAssigned: true });
+assert.ok(solidComponent.includes('const CountryPicker = (rawProps) => {'));
+assert.ok(solidComponent.includes('export default CountryPicker;'));
+assert.ok(solidComponent.includes('getAllCountries({ includeUserAssigned: true })'));
+assert.ok(solidComponent.includes('const [query, setQuery] = createSignal(\'\');'));
+assert.ok(solidComponent.includes('<Show\n                    when={props.useImageFlags}'));
+assert.throws(() => solid.getSolidCountryComponent('countrySelect'), /Invalid component name/);
+
+// Timezone detection in the component generators, after mounting
+const autoDetectCall = "detectCountryCode({ include: countries.map(country => country.code), fallback: 'DE' })";
+const autoComponents = {
+  react: getReactCountryComponent('CountrySelect', { selectedCode: 'auto', fallbackCode: 'de' }),
+  vue: vue.getVueCountryComponent({ selectedCode: 'auto', fallbackCode: 'de' }),
+  svelte: svelte.getSvelteCountryComponent({ selectedCode: 'auto', fallbackCode: 'de' }),
+  solid: solid.getSolidCountryComponent('CountrySelect', { selectedCode: 'auto', fallbackCode: 'de' }),
+  angular: getAngularCountryComponent(true, { selectedCode: 'auto', fallbackCode: 'de' }).component,
+  angularStandalone: getAngularCountryComponent(true, { standalone: true, selectedCode: 'auto', fallbackCode: 'de' }).component
+};
+Object.keys(autoComponents).forEach(name => {
+  assert.ok(autoComponents[name].includes(", detectCountryCode } from 'country-flags-util';"), name);
+  assert.ok(autoComponents[name].includes(name.startsWith('angular') ? autoDetectCall.replace('countries', 'this.countries') : autoDetectCall), name);
+});
+assert.ok(autoComponents.react.includes('    if (!defaultValue) {\n'));
+assert.ok(autoComponents.react.includes('        handleCountrySelect(code);\n      }\n    }\n  }, []);'));
+assert.ok(autoComponents.vue.includes('  if (!selectedCountry.value) {\n'));
+assert.ok(autoComponents.svelte.includes("import { onMount } from 'svelte';"));
+assert.ok(autoComponents.solid.includes('    if (!value()) {\n'));
+assert.ok(autoComponents.angular.includes('export class CountrySelectComponent implements ControlValueAccessor, AfterViewInit {'));
+assert.ok(autoComponents.angular.includes('      if (!this.selectedCountry) {\n'));
+assert.ok(autoComponents.angularStandalone.includes('      if (!this.selectedCountry()) {\n'));
+assert.ok(!getReactCountryComponent().includes('detectCountryCode'));
+assert.ok(!svelte.getSvelteCountryComponent().includes("from 'svelte'"));
+assert.ok(!getAngularCountryComponent(true).component.includes('AfterViewInit'));
+assert.ok(vue.getVueCountryComponent({ selectedCode: 'auto' }).includes('fallback: null'));
+assert.throws(() => getReactCountryComponent('CountrySelect', { selectedCode: 'IN' }), /Invalid selectedCode: "IN"/);
+assert.throws(() => solid.getSolidCountryComponent('CountrySelect', { selectedCode: 'auto', fallbackCode: 'ZZ' }), InvalidCountryCodeError);
+
+// Test the <country-select> web component under jsdom
+console.log('\nTesting the country-select web component:');
+const { JSDOM } = require('jsdom');
+const { defineCountrySelect } = require('./index');
+assert.throws(() => defineCountrySelect({ window: {} }), /custom elements support/);
+// Outside a browser there is no default window, and Node 10 and 11 have no globalThis
+assert.throws(() => defineCountrySelect(), /custom elements support/);
+const dom = new JSDOM('<form><country-select name="country" value="in" priority="IN, US" exclude="AQ" required></country-select></form>');
+const CountrySelectElement = defineCountrySelect({ window: dom.window });
+assert.strictEqual(defineCountrySelect({ window: dom.window }), CountrySelectElement);
+const countrySelect = dom.window.document.querySelector('country-select');
+const innerSelect = countrySelect.shadowRoot.querySelector('select');
+assert.ok(countrySelect instanceof CountrySelectElement);
+assert.strictEqual(countrySelect.value, 'IN');
+assert.strictEqual(countrySelect.selectedCountry.name, 'India');
+assert.strictEqual(innerSelect.value, 'IN');
+assert.strictEqual(innerSelect.options[1].textContent, '🇮🇳 India');
+assert.strictEqual(innerSelect.options[3].disabled, true);
+assert.ok(!Array.from(innerSelect.options).some(option => option.value === 'AQ'));
+let changeDetail = null;
+countrySelect.addEventListener('change', event => { changeDetail = event.detail; });
+innerSelect.value = 'DE';
+innerSelect.dispatchEvent(new dom.window.Event('change'));
+assert.strictEqual(countrySelect.getAttribute('value'), 'DE');
+assert.strictEqual(changeDetail.value, 'DE');
+assert.strictEqual(changeDetail.country.name, 'Germany');
+countrySelect.setAttribute('flag-mode', 'image');
+const flagImage = countrySelect.shadowRoot.querySelector('img');
+assert.strictEqual(flagImage.hidden, false);
+assert.strictEqual(flagImage.getAttribute('src'), 'https://flagcdn.com/w40/de.png');
+assert.strictEqual(innerSelect.options[1].textContent, 'India');
+countrySelect.setAttribute('locale', 'de');
+assert.strictEqual(countrySelect.selectedCountry.name, 'Deutschland');
+countrySelect.value = 'AQ';
+assert.strictEqual(countrySelect.value, '');
+assert.strictEqual(flagImage.hidden, true);
+assert.strictEqual(countrySelect.checkValidity(), false);
+countrySelect.formResetCallback();
+assert.strictEqual(countrySelect.value, 'IN');
+countrySelect.setAttribute('country-group', 'EU');
+assert.strictEqual(countrySelect.value, '');
+assert.strictEqual(innerSelect.options.length, 28);
+// Unknown groups are ignored rather than throwing in the page
+countrySelect.setAttribute('country-group', 'NATO');
+assert.strictEqual(innerSelect.options.length, getAllCountries().length + 1);
+const unknownGroupSelect = dom.window.document.createElement('country-select');
+unknownGroupSelect.setAttribute('country-group', 'nordics-typo');
+dom.window.document.body.appendChild(unknownGroupSelect);
+assert.strictEqual(unknownGroupSelect.shadowRoot.querySelector('select').options.length, getAllCountries().length + 1);
+countrySelect.setAttribute('country-group', 'EU');
+countrySelect.disabled = true;
+assert.strictEqual(innerSelect.disabled, true);
+
+// value="auto" selects the country of the timezone, or the fallback attribute, when connected
+const withTimezone = (timeZone, callback) => {
+  const { DateTimeFormat } = Intl;
+  Intl.DateTimeFormat = () => ({ resolvedOptions: () => ({ timeZone }) });
+  try {
+    return callback();
+  } finally {
+    Intl.DateTimeFormat = DateTimeFormat;
+  }
+};
+const connectAutoSelect = (timeZone, attributes) => withTimezone(timeZone, () => {
+  const element = dom.window.document.createElement('country-select');
+  Object.keys(attributes).forEach(name => element.setAttribute(name, attributes[name]));
+  dom.window.document.body.appendChild(element);
+  return element;
+});
+const autoElement = connectAutoSelect('Asia/Calcutta', { value: 'auto', fallback: 'de' });
+assert.strictEqual(autoElement.value, 'IN');
+assert.strictEqual(autoElement.shadowRoot.querySelector('select').value, 'IN');
+autoElement.formResetCallback();
+assert.strictEqual(autoElement.value, 'IN');
+assert.strictEqual(connectAutoSelect('Asia/Calcutta', { value: 'AUTO', include: 'US, DE', fallback: 'de' }).value, 'DE');
+assert.strictEqual(connectAutoSelect('UTC', { value: 'auto' }).value, '');
+dom.window.close();
+
+// Test the React components
+console.log('\nTesting the React components:');
+const React = require('react');
+const { renderToStaticMarkup } = require('react-dom/server');
+const { CountrySelect, Flag } = require('./react');
+const staticSelect = renderToStaticMarkup(React.createElement(CountrySelect, { value: 'IN', name: 'home', useImageFlags: false }));
+assert.ok(staticSelect.includes('<span aria-hidden="true" style="margin-right:8px">🇮🇳</span>'));
+assert.ok(staticSelect.includes('role="combobox" aria-label="Country" aria-autocomplete="list" aria-expanded="false" aria-controls="country-select-listbox"'));
+assert.ok(staticSelect.includes('value="India"'));
+assert.ok(staticSelect.includes('<input type="hidden" name="home" value="IN"/>'));
+assert.ok(renderToStaticMarkup(React.createElement(Flag, { code: 'de', width: 20 })).includes('<img src="https://flagcdn.com/w20/de.png" srcSet="https://flagcdn.com/w20/de.png 20w'));
+assert.strictEqual(renderToStaticMarkup(React.createElement(Flag, { code: '123' })), '');
+
+// react-dom checks for a DOM when it is loaded, so the globals are set first
+const reactDom = new JSDOM('<div id="root"></div><p id="outside"></p>');
+Object.assign(globalThis, { window: reactDom.window, document: reactDom.window.document, navigator: reactDom.window.navigator, IS_REACT_ACT_ENVIRONMENT: true });
+const { createRoot } = require('react-dom/client');
+const { act } = React;
+const reactRoot = createRoot(reactDom.window.document.getElementById('root'));
+const comboboxRef = React.createRef();
+const reactChanges = [];
+const renderCountrySelect = props => act(() => {
+  reactRoot.render(React.createElement(CountrySelect, { ref: comboboxRef, onChange: code => reactChanges.push(code), ...props }));
+});
+const clickOn = element => act(() => {
+  element.dispatchEvent(new reactDom.window.MouseEvent('mousedown', { bubbles: true }));
+  element.dispatchEvent(new reactDom.window.MouseEvent('click', { bubbles: true }));
+});
+const getOption = code => Array.from(reactDom.window.document.querySelectorAll('[role="option"]'))
+  .find(option => option.textContent === getCountry(code).name);
+const hiddenInput = () => reactDom.window.document.querySelector('input[type="hidden"]');
+
+// Uncontrolled
+renderCountrySelect({ defaultValue: 'IN', countries: offlineCountries });
+assert.strictEqual(comboboxRef.current.getAttribute('role'), 'combobox');
+assert.strictEqual(hiddenInput().value, 'IN');
+clickOn(comboboxRef.current);
+clickOn(getOption('DE'));
+assert.deepStrictEqual(reactChanges, ['DE']);
+assert.strictEqual(hiddenInput().value, 'DE');
+assert.strictEqual(reactDom.window.document.querySelector('[role="listbox"]'), null);
+clickOn(comboboxRef.current);
+clickOn(reactDom.window.document.getElementById('outside'));
+assert.strictEqual(reactDom.window.document.querySelector('[role="listbox"]'), null);
+
+// Controlled: the value only changes through the value prop
+renderCountrySelect({ value: 'IN', countries: offlineCountries });
+clickOn(comboboxRef.current);
+clickOn(getOption('DE'));
+assert.deepStrictEqual(reactChanges, ['DE', 'DE']);
+assert.strictEqual(hiddenInput().value, 'IN');
+
+// Keyboard navigation and search
+const pressKey = key => act(() => {
+  comboboxRef.current.dispatchEvent(new reactDom.window.KeyboardEvent('keydown', { key, bubbles: true }));
+});
+const typeText = text => act(() => {
+  Object.getOwnPropertyDescriptor(reactDom.window.HTMLInputElement.prototype, 'value').set.call(comboboxRef.current, text);
+  comboboxRef.current.dispatchEvent(new reactDom.window.Event('input', { bubbles: true }));
+});
+renderCountrySelect({ defaultValue: 'IN', key: 'keyboard' });
+pressKey('ArrowDown');
+assert.strictEqual(comboboxRef.current.getAttribute('aria-expanded'), 'true');
+assert.strictEqual(comboboxRef.current.getAttribute('aria-activedescendant'), 'country-select-option-IN');
+pressKey('End');
+assert.strictEqual(comboboxRef.current.getAttribute('aria-activedescendant'), 'country-select-option-ZW');
+pressKey('Home');
+pressKey('ArrowDown');
+assert.strictEqual(comboboxRef.current.getAttribute('aria-activedescendant'), 'country-select-option-AX');
+pressKey('Escape');
+assert.strictEqual(comboboxRef.current.getAttribute('aria-expanded'), 'false');
+typeText('aland isl');
+assert.strictEqual(reactDom.window.document.querySelectorAll('[role="option"]').length, 1);
+pressKey('Enter');
+assert.deepStrictEqual(reactChanges, ['DE', 'DE', 'AX']);
+assert.strictEqual(comboboxRef.current.value, 'Åland Islands');
+
+// defaultValue 'auto' selects the country of the timezone after the first render
+withTimezone('Europe/Berlin', () => renderCountrySelect({ defaultValue: 'auto', countries: offlineCountries, key: 'auto' }));
+assert.strictEqual(hiddenInput().value, 'DE');
+assert.deepStrictEqual(reactChanges, ['DE', 'DE', 'AX', 'DE']);
+withTimezone('Asia/Tokyo', () => renderCountrySelect({ defaultValue: 'auto', fallbackValue: 'IN', countries: offlineCountries, key: 'fallback' }));
+assert.strictEqual(hiddenInput().value, 'IN');
+withTimezone('Asia/Tokyo', () => renderCountrySelect({ defaultValue: 'auto', countries: offlineCountries, key: 'none' }));
+assert.strictEqual(hiddenInput().value, '');
+assert.deepStrictEqual(reactChanges, ['DE', 'DE', 'AX', 'DE', 'IN']);
+act(() => reactRoot.unmount());
+reactDom.window.close();
+
+// Test the vanilla combobox dropdown
+console.log('\nTesting the vanilla dropdown:');
+const dropdownCode = getVanillaDropdownCode({ selectedCode: 'in', onChangeFunction: 'onCountryPicked', useImageFlags: false });
+assert.ok(dropdownCode.includes("let selectedCode = 'IN';"));
+assert.throws(() => getVanillaDropdownCode({ onChangeFunction: 'alert(1)' }), /Invalid onChangeFunction/);
+const dropdownDom = new JSDOM('<div id="country-container"></div><p id="outside"></p>', { runScripts: 'outside-only' });
+const dropdownChanges = [];
+Object.assign(dropdownDom.window, { getAllCountries, getFlagSrcSet, onCountryPicked: code => dropdownChanges.push(code) });
+dropdownDom.window.eval(dropdownCode);
+dropdownDom.window.document.dispatchEvent(new dropdownDom.window.Event('DOMContentLoaded'));
+const dropdownInput = dropdownDom.window.document.querySelector('[role="combobox"]');
+const dropdownKey = key => dropdownInput.dispatchEvent(new dropdownDom.window.KeyboardEvent('keydown', { key, bubbles: true }));
+assert.strictEqual(dropdownInput.value, 'India');
+dropdownKey('ArrowDown');
+assert.strictEqual(dropdownInput.getAttribute('aria-expanded'), 'true');
+assert.strictEqual(dropdownInput.getAttribute('aria-activedescendant'), 'country-select-option-IN');
+dropdownKey('ArrowUp');
+assert.strictEqual(dropdownInput.getAttribute('aria-activedescendant'), 'country-select-option-IS');
+dropdownKey('End');
+assert.strictEqual(dropdownInput.getAttribute('aria-activedescendant'), 'country-select-option-ZW');
+dropdownKey('Escape');
+assert.strictEqual(dropdownInput.getAttribute('aria-expanded'), 'false');
+assert.strictEqual(dropdownInput.value, 'India');
+dropdownInput.value = 'germ';
+dropdownInput.dispatchEvent(new dropdownDom.window.Event('input', { bubbles: true }));
+assert.strictEqual(dropdownDom.window.document.querySelectorAll('[role="option"]').length, 1);
+dropdownKey('Enter');
+assert.deepStrictEqual(dropdownChanges, ['DE']);
+assert.strictEqual(dropdownDom.window.document.querySelector('input[type="hidden"]').value, 'DE');
+dropdownKey('ArrowDown');
+dropdownDom.window.document.getElementById('outside').dispatchEvent(new dropdownDom.window.MouseEvent('mousedown', { bubbles: true }));
+assert.strictEqual(dropdownDom.window.document.getElementById('country-select-listbox').hidden, true);
+dropdownDom.window.close();
+
+// Test the cascading country and subdivision selects
+console.log('\nTesting the cascading subdivision selects:');
+const cascadingDom = new JSDOM(`<div id="country-container">${cascadingSelect}</div>`, { runScripts: 'dangerously' });
+const cascadingCountry = cascadingDom.window.document.getElementById('country-select');
+const cascadingSubdivision = cascadingDom.window.document.getElementById('subdivision-select');
+assert.strictEqual(cascadingSubdivision.value, 'US-CA');
+cascadingCountry.value = 'CA';
+cascadingCountry.dispatchEvent(new cascadingDom.window.Event('change'));
+assert.strictEqual(cascadingSubdivision.value, '');
+assert.strictEqual(cascadingSubdivision.options[0].textContent, 'State / Province');
+assert.strictEqual(cascadingSubdivision.options[1].value, 'CA-AB');
+assert.strictEqual(cascadingSubdivision.options.length, getSubdivisions('CA').length + 1);
+cascadingCountry.value = 'AQ';
+cascadingCountry.dispatchEvent(new cascadingDom.window.Event('change'));
+assert.strictEqual(cascadingSubdivision.options.length, 1);
+assert.strictEqual(cascadingSubdivision.disabled, true);
+cascadingDom.window.close();
+
+// Test the timezone detection of the generated selects
+console.log('\nTesting the timezone detection of the selects:');
+// Replaces Intl in the page, so the tests do not depend on the machine's timezone
+const mockTimezone = timeZone => window => {
+  window.Intl = { DateTimeFormat: () => ({ resolvedOptions: () => ({ timeZone }) }) };
+};
+const autoDom = new JSDOM(`<div>${autoSelect}</div>`, { runScripts: 'dangerously', beforeParse: mockTimezone('Asia/Calcutta') });
+assert.strictEqual(autoDom.window.document.getElementById('country-select').value, 'IN');
+autoDom.window.close();
+const autoFallbackDom = new JSDOM(`<div>${autoSelect}</div>`, { runScripts: 'dangerously', beforeParse: mockTimezone('Europe/Berlin') });
+assert.strictEqual(autoFallbackDom.window.document.getElementById('country-select').value, 'CA');
+autoFallbackDom.window.close();
+// The detected country refills the subdivisions
+const autoCascadingSelect = getCountrySelect({ include: ['US', 'CA'], selectedCode: 'auto', fallbackCode: 'US', subdivisionSelect: true });
+const autoCascadingDom = new JSDOM(`<div>${autoCascadingSelect}</div>`, { runScripts: 'dangerously', beforeParse: mockTimezone('America/Toronto') });
+assert.strictEqual(autoCascadingDom.window.document.getElementById('country-select').value, 'CA');
+assert.strictEqual(autoCascadingDom.window.document.getElementById('subdivision-select').options[1].value, 'CA-AB');
+autoCascadingDom.window.close();
+
+const runWithTimezone = (code, timeZone) => {
+  const dom = new JSDOM('<div id="country-container"></div>', { runScripts: 'outside-only' });
+  Object.assign(dom.window, {
+    getAllCountries,
+    getFlagSrcSet,
+    arrangeCountries,
+    detectCountryCode: options => detectCountryCode({ ...options, timeZone })
+  });
+  dom.window.eval(code);
+  dom.window.document.dispatchEvent(new dom.window.Event('DOMContentLoaded'));
+  return dom;
+};
+const vanillaAutoDom = runWithTimezone(vanillaAutoSelect, 'America/Chicago');
+assert.strictEqual(vanillaAutoDom.window.document.getElementById('country-select').value, 'US');
+vanillaAutoDom.window.close();
+// India is not listed, so the fallback is selected
+const vanillaFallbackDom = runWithTimezone(vanillaAutoSelect, 'Asia/Kolkata');
+assert.strictEqual(vanillaFallbackDom.window.document.getElementById('country-select').value, 'CA');
+vanillaFallbackDom.window.close();
+const dropdownAutoDom = runWithTimezone(dropdownAutoSelect, 'Europe/Vienna');
+assert.strictEqual(dropdownAutoDom.window.document.querySelector('input[type="hidden"]').value, 'AT');
+dropdownAutoDom.window.close();
+
+const vanillaCascadingDom = new JSDOM('<div id="country-container"></div>', { runScripts: 'outside-only' });
+Object.assign(vanillaCascadingDom.window, { getAllCountries, getFlagSrcSet, getSubdivisions });
+vanillaCascadingDom.window.eval(vanillaCascading);
+vanillaCascadingDom.window.document.dispatchEvent(new vanillaCascadingDom.window.Event('DOMContentLoaded'));
+const vanillaCountry = vanillaCascadingDom.window.document.getElementById('country-select');
+const vanillaSubdivision = vanillaCascadingDom.window.document.getElementById('subdivision-select');
+assert.strictEqual(vanillaSubdivision.value, 'US-CA');
+assert.strictEqual(vanillaSubdivision.getAttribute('aria-label'), 'Region');
+vanillaCountry.value = 'DE';
+vanillaCountry.dispatchEvent(new vanillaCascadingDom.window.Event('change'));
+assert.strictEqual(vanillaSubdivision.value, '');
+assert.strictEqual(vanillaSubdivision.options[1].textContent, 'Baden-Württemberg');
+assert.strictEqual(vanillaSubdivision.disabled, false);
+vanillaCascadingDom.window.close();
+
+// Test that the generated code parses, and compare it with the stored snapshots
+console.log('\nTesting generated code parsing and snapshots:');
+const fs = require('fs');
+const path = require('path');
+const babelParser = require('@babel/parser');
+
+// Compares generated code with its snapshot; run UPDATE_SNAPSHOTS=1 npm test to rewrite them
+function matchSnapshot(name, code) {
+  const file = path.join(__dirname, 'snapshots', name);
+  // Snapshots are only written on request, so a missing one fails rather than passing unchecked
+  if (process.env.UPDATE_SNAPSHOTS === '1') {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, code);
+  }
+  assert.ok(fs.existsSync(file), `snapshots/${name} is missing; run UPDATE_SNAPSHOTS=1 npm test to write it`);
+  assert.strictEqual(code, fs.readFileSync(file, 'utf8'), `Generated code differs from snapshots/${name}`);
+}
+
+// Options can only contain text, so every <option> must close before another tag opens
+function assertTextOptions(markup) {
+  const options = markup.match(/<option[\s\S]*?<\/option>/g) || [];
+  assert.ok(options.length > 0);
+  options.forEach(option => assert.ok(/^<option[^<]*<\/option>$/.test(option), option));
+}
+
+const parseModule = (code, plugins) => babelParser.parse(code, { sourceType: 'module', plugins });
+const getScript = sfc => sfc.match(/<script[^>]*>([\s\S]*?)<\/script>/)[1];
+
+const snapshotSelects = {
+  'country-select.html': getCountrySelectHTML(offlineCountries),
+  'react-select.jsx': getReactCountrySelect(offlineCountries),
+  'angular-select.html': getAngularCountrySelect(offlineCountries),
+  'vue-select.html': vue.getVueCountrySelect(offlineCountries)
+};
+Object.keys(snapshotSelects).forEach(name => {
+  assertTextOptions(snapshotSelects[name]);
+  matchSnapshot(name, snapshotSelects[name]);
+});
+assert.strictEqual(babelParser.parseExpression(snapshotSelects['react-select.jsx'], { plugins: ['jsx'] }).type, 'JSXElement');
+assertTextOptions(getCountrySelect({ flagSource: 'svg', placeholder: 'Pick', priorityCodes: ['DE'] }));
+assertTextOptions(getReactCountrySelect(getAllCountries(), { flagSource: 'local', priorityCodes: ['DE'] }));
+
+const snapshotComponents = {
+  'react-component.jsx': [getReactCountryComponent(), ['jsx']],
+  'react-component.tsx': [getReactCountryComponent('CountrySelect', { typescript: true }), ['jsx', 'typescript']],
+  'react-component-subdivisions.tsx': [
+    getReactCountryComponent('AddressCountrySelect', { typescript: true, subdivisionSelect: { selectedCode: 'US-CA' } }),
+    ['jsx', 'typescript']
+  ],
+  'solid-component.jsx': [solid.getSolidCountryComponent(), ['jsx']],
+  'solid-component.tsx': [solid.getSolidCountryComponent('CountrySelect', { typescript: true }), ['jsx', 'typescript']],
+  'angular-component.ts': [getAngularCountryComponent(true).component, ['typescript', 'decorators']],
+  'angular-module.ts': [getAngularCountryComponent(true).module, ['typescript', 'decorators']],
+  'angular-standalone-component.ts': [getAngularCountryComponent(true, { standalone: true }).component, ['typescript', 'decorators']],
+  'vue-component.vue': [vue.getVueCountryComponent(), []],
+  'vue-component-ts.vue': [vue.getVueCountryComponent({ typescript: true }), ['typescript']],
+  'svelte-component.svelte': [svelte.getSvelteCountryComponent(), []],
+  'svelte-component-ts.svelte': [svelte.getSvelteCountryComponent({ typescript: true }), ['typescript']]
+};
+Object.keys(autoComponents).forEach(name => {
+  parseModule(/^(vue|svelte)$/.test(name) ? getScript(autoComponents[name]) : autoComponents[name], name.startsWith('angular') ? ['typescript', 'decorators'] : ['jsx']);
+});
+Object.keys(snapshotComponents).forEach(name => {
+  const [code, plugins] = snapshotComponents[name];
+  parseModule(/\.(vue|svelte)$/.test(name) ? getScript(code) : code, plugins);
+  matchSnapshot(name, code);
+});
+assert.ok(snapshotComponents['react-component.tsx'][0].includes('export interface CountrySelectProps {'));
+assert.ok(snapshotComponents['vue-component-ts.vue'][0].includes('const props = withDefaults(defineProps<Props>(), {'));
+assert.ok(snapshotComponents['svelte-component-ts.svelte'][0].includes('}: Props = $props();'));
+assert.ok(snapshotComponents['solid-component.tsx'][0].includes('const CountrySelect: Component<CountrySelectProps> = (rawProps) => {'));
+assert.ok(!snapshotComponents['react-component.jsx'][0].includes('interface'));
+
+const vanillaSnapshot = getVanillaJsCode({ flagSource: 'local' });
+matchSnapshot('vanilla.js', vanillaSnapshot);
+[vanillaSnapshot, getVanillaJsCode(), getVanillaJsCode({ flagSource: 'svg' }), getVanillaJsCode({ useImageFlags: false }), getVanillaDropdownCode()]
+  .forEach(code => babelParser.parse(code, { sourceType: 'script' }));
+assert.ok(!vanillaSnapshot.includes("createElement('div')"));
+
+// Test the TypeScript declarations
+console.log('\nTesting the TypeScript declarations:');
+const ts = require('typescript');
+
+// country-code.d.ts must match the country lists
+const { COUNTRY_CODE_TYPES_FILE, getCountryCodeTypes } = require('./types');
+assert.strictEqual(fs.readFileSync(COUNTRY_CODE_TYPES_FILE, 'utf8'), getCountryCodeTypes(), 'country-code.d.ts is out of date; run npm run types');
+
+// Type-checks a file that uses the declarations, with the errors it expects marked by @ts-expect-error
+const typeTestFile = path.join(__dirname, 'type-test.ts');
+const typeTestCode = `
+import {
+  getAllCountries, getCountry, getFlagEmoji, getFlagSrcSet, isValidCountryCode, getCountrySelect, searchCountries,
+  getCountriesInGroup, isInGroup, getGroupsForCountry, registerCountryGroup, getSubdivisions,
+  getCountryByTimezone, getTimezonesForCountry, detectCountryCode, vanilla, react, solid
+} from './index';
+import type { CountryCode } from './index';
+import { CountrySelect } from './react';
+
+const india = getCountry('IN');
+const inCode: 'IN' = india.code;
+// @ts-expect-error a lookup by name can fail
+getCountry('India').name;
+const kosovoCode: 'XK' = getCountry('XK', { includeUserAssigned: true }).code;
+const code: CountryCode = getAllCountries()[0].code;
+const dialCode: string | null = getAllCountries({ fields: ['name', 'dialCode'] })[0].dialCode;
+// @ts-expect-error the code field was not requested
+getAllCountries({ fields: ['name', 'dialCode'] })[0].code;
+// @ts-expect-error XK and EU are listed with includeUserAssigned
+const isoCode: CountryCode = getAllCountries({ includeUserAssigned: true })[0].code;
+const searchHighlights: Array<[number, number]> = searchCountries('holland', { limit: 1 })[0].highlights;
+const searchCode: CountryCode = searchCountries('usa')[0].code;
+// @ts-expect-error XK and EU are searched with includeUserAssigned
+const searchIsoCode: CountryCode = searchCountries('kosovo', { includeUserAssigned: true })[0].code;
+getFlagEmoji('in');
+// @ts-expect-error UK is not a country code
+getFlagEmoji('UK');
+const input: string = 'de';
+const emoji: string = getFlagEmoji(input);
+const strictEmoji: string | null = getFlagEmoji(input, { strict: true, throwOnInvalid: false });
+// @ts-expect-error gif is not a flag format
+getFlagSrcSet('DE', { format: 'gif' });
+getFlagSrcSet('DE', { width: '80' });
+getFlagSrcSet('DE', null);
+// @ts-expect-error sizes are numbers or numeric strings
+getFlagSrcSet('DE', { width: 'wide' });
+const value: unknown = 'fr';
+const checked: CountryCode | Lowercase<CountryCode> | undefined = isValidCountryCode(value) ? value : undefined;
+getCountrySelect({ priorityCodes: ['US', 'gb'], display: 'dialCode', groupBy: 'region' });
+// @ts-expect-error UK is not a country code
+getCountrySelect({ selectedCode: 'UK' });
+vanilla.getVanillaJsCode({ selectedCode: 'IN', sort: (a, b) => a.name.localeCompare(b.name) });
+const euCode: CountryCode = getCountriesInGroup('EU', { date: new Date() })[0].code;
+// @ts-expect-error the code field was not requested
+getCountriesInGroup('EU', { fields: ['name'] })[0].code;
+const groupIds: string[] = getGroupsForCountry('DE', { date: '2019-06-30' });
+const inEu: boolean = isInGroup(input, 'eu');
+registerCountryGroup('nordics', { name: 'Nordic countries', members: ['DK', { code: 'fi', joined: '1995-01-01' }] });
+// @ts-expect-error UK is not a country code
+registerCountryGroup('zone', ['UK']);
+getCountrySelect({ countryGroup: 'SCHENGEN' });
+const subdivisionParent: string | null = getSubdivisions('GB', { type: ['Country', 'Province'], parent: null })[0].parent;
+// @ts-expect-error the subdivisions are frozen
+getSubdivisions('US')[0].name = 'Atlantis';
+getCountrySelect({ subdivisionSelect: { selectedCode: 'US-CA', ariaLabel: 'State' } });
+const timezoneCountry: string | undefined = getCountryByTimezone('Asia/Kolkata')?.alpha3;
+const zones: readonly string[] = getTimezonesForCountry('IN');
+const detectedCode: string | null = detectCountryCode({ include: ['US', 'CA'], fallback: 'us' });
+getCountrySelect({ selectedCode: 'auto', fallbackCode: 'US' });
+vanilla.getVanillaDropdownCode({ selectedCode: 'auto', fallbackCode: 'de' });
+// @ts-expect-error fallbackCode must be a known code
+getCountrySelect({ selectedCode: 'auto', fallbackCode: 'ZZ' });
+vanilla.getVanillaJsCode({ subdivisionSelect: true });
+CountrySelect({ defaultValue: 'IN', onChange: (selected: string) => selected });
+CountrySelect({ defaultValue: 'auto', fallbackValue: 'de' });
+react.getReactCountryComponent('CountrySelect', { selectedCode: 'auto', fallbackCode: 'DE' });
+// @ts-expect-error generated components take the initial code from their value
+solid.getSolidCountryComponent('CountrySelect', { selectedCode: 'IN' });
+`;
+const typeTestHost = ts.createCompilerHost({});
+const getSourceFile = typeTestHost.getSourceFile;
+typeTestHost.getSourceFile = (fileName, languageVersion) => (path.resolve(fileName) === typeTestFile
+  ? ts.createSourceFile(fileName, typeTestCode, languageVersion)
+  : getSourceFile(fileName, languageVersion));
+const fileExists = typeTestHost.fileExists;
+typeTestHost.fileExists = fileName => path.resolve(fileName) === typeTestFile || fileExists(fileName);
+const declarationModules = ['index', 'utils', 'react', 'web-component', 'frameworks/react', 'frameworks/angular',
+  'frameworks/vanilla', 'frameworks/vue', 'frameworks/svelte', 'frameworks/solid'];
+const typeTestProgram = ts.createProgram([typeTestFile].concat(declarationModules.map(name => path.join(__dirname, `${name}.d.ts`))), {
+  strict: true,
+  noEmit: true,
+  target: ts.ScriptTarget.ES2020,
+  module: ts.ModuleKind.CommonJS,
+  lib: ['lib.es2020.d.ts', 'lib.dom.d.ts'],
+  types: []
+}, typeTestHost);
+const typeErrors = ts.getPreEmitDiagnostics(typeTestProgram)
+  .map(diagnostic => ts.flattenDiagnosticMessageText(diagnostic.messageText, '\n'));
+assert.deepStrictEqual(typeErrors, []);
+
+// Every runtime export needs a declaration
+const typeChecker = typeTestProgram.getTypeChecker();
+declarationModules.forEach(name => {
+  const sourceFile = typeTestProgram.getSourceFile(path.join(__dirname, `${name}.d.ts`));
+  const declared = typeChecker.getExportsOfModule(typeChecker.getSymbolAtLocation(sourceFile)).map(symbol => symbol.name);
+  Object.keys(require(`./${name}`)).forEach(key => assert.ok(declared.includes(key), `${name}.d.ts does not declare ${key}`));
+});
+
+// Test the ES module entry points, and the browser build in a page opened from disk
+console.log('\nTesting the ES module entry points and the browser build:');
+const os = require('os');
+const { buildBrowserBundle } = require('./build');
+// The "exports" field keeps the deep imports of the public modules working, with and without .js
+assert.strictEqual(require('country-flags-util/countries'), require('./countries'));
+assert.strictEqual(require('country-flags-util/utils.js'), require('./utils'));
+assert.strictEqual(require('country-flags-util/index.js'), require('./index'));
+assert.strictEqual(require('country-flags-util/frameworks/react.js'), require('./frameworks/react'));
+assert.strictEqual(require('country-flags-util/frameworks/vue'), require('./frameworks/vue'));
+assert.strictEqual(require('country-flags-util/react'), require('./react'));
+assert.strictEqual(require('country-flags-util/web-component.js'), require('./web-component'));
+// Internal modules are not part of the public API
+['store', 'i18n.js', 'svg', 'build', 'locales/de', 'dial-prefixes.js'].forEach(name => {
+  assert.throws(() => require(`country-flags-util/${name}`), { code: 'ERR_PACKAGE_PATH_NOT_EXPORTED' });
+});
+assert.ok(getVanillaImplementation().html.includes('<script src="node_modules/country-flags-util/dist/country-flags-util.min.js"></script>'));
+assert.ok(getVanillaImplementation({ subdivisionSelect: true, scriptSrc: 'js/build.js' }).html
+  .includes('<script src="js/country-flags-util.subdivisions.min.js"></script>\n  <script src="js/build.js"></script>'));
+assert.ok(!getVanillaImplementation().html.includes('subdivisions.min.js'));
+const buildDir = fs.mkdtempSync(path.join(os.tmpdir(), 'country-flags-util-'));
+const pageFile = path.join(buildDir, 'index.html');
+const cascadingPageFile = path.join(buildDir, 'cascading.html');
+
+/**
+ * Opens a page from disk in jsdom and waits for its scripts
+ * @param {string} file - Path of the page
+ * @returns {Promise<JSDOM>} The loaded page
+ */
+function loadPage(file) {
+  return JSDOM.fromFile(file, { runScripts: 'dangerously', resources: 'usable' })
+    .then(pageDom => new Promise(resolve => pageDom.window.addEventListener('load', () => resolve(pageDom))));
+}
+
+Promise.all([import('./index.mjs'), import('./react.mjs'), buildBrowserBundle(buildDir)])
+  .then(([esm, esmReact, bundleFile]) => {
+    assert.deepStrictEqual(Object.keys(esm).filter(key => key !== 'default').sort(), Object.keys(require('./index')).sort());
+    assert.strictEqual(esm.getAllCountries, getAllCountries);
+    assert.strictEqual(esmReact.CountrySelect, CountrySelect);
+
+    // The code generators and the subdivision data are left out of the main build
+    assert.ok(fs.statSync(bundleFile).size < 250000, `${path.basename(bundleFile)} is ${fs.statSync(bundleFile).size} bytes`);
+    const page = getVanillaImplementation({ selectedCode: 'IN', priorityCodes: ['US'], scriptSrc: path.basename(bundleFile) });
+    assert.ok(page.html.includes('const { getAllCountries, getFlagSrcSet, arrangeCountries } = CountryFlagsUtil;'));
+    fs.writeFileSync(pageFile, page.html);
+    fs.writeFileSync(cascadingPageFile, getVanillaImplementation({
+      selectedCode: 'IN',
+      subdivisionSelect: { selectedCode: 'IN-KA' },
+      scriptSrc: path.basename(bundleFile)
+    }).html);
+    return loadPage(pageFile);
+  })
+  .then(pageDom => {
+    const { document, CountryFlagsUtil } = pageDom.window;
+    const pageSelect = document.getElementById('country-select');
+    assert.strictEqual(pageSelect.value, 'IN');
+    assert.strictEqual(pageSelect.options[0].textContent, '🇺🇸 United States');
+    assert.strictEqual(document.querySelector('#country-container img').getAttribute('src'), 'https://flagcdn.com/w40/in.png');
+    assert.strictEqual(CountryFlagsUtil.getCountry('DE').name, 'Germany');
+    assert.strictEqual(CountryFlagsUtil.react, undefined);
+    assert.strictEqual(typeof CountryFlagsUtil.defineCountrySelect, 'function');
+    assert.throws(() => CountryFlagsUtil.getFlagSvg('DE'), /needs Node\.js/);
+    assert.throws(() => CountryFlagsUtil.getSubdivisions('IN'), /Load country-flags-util\.subdivisions\.min\.js before/);
+    assert.strictEqual(CountryFlagsUtil.detectCountryCode({ timeZone: 'Asia/Calcutta' }), 'IN');
+    pageDom.window.close();
+    return loadPage(cascadingPageFile);
+  })
+  .then(pageDom => {
+    const { document, CountryFlagsUtil } = pageDom.window;
+    assert.strictEqual(CountryFlagsUtil.getSubdivisions('IN').length, getSubdivisions('IN').length);
+    assert.strictEqual(document.getElementById('subdivision-select').value, 'IN-KA');
+    pageDom.window.close();
+  })
+  .catch(error => {
+    console.error(error);
+    process.exitCode = 1;
+  })
+  .finally(() => fs.rmSync(buildDir, { recursive: true }));
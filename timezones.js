@@ -0,0 +1,112 @@
+const countryZones = require('./country-zones');
+
+/**
+ * tz database release of the timezone data
+ */
+const TIMEZONES_VERSION = countryZones.version;
+
+Object.keys(countryZones.zones).forEach(code => Object.freeze(countryZones.zones[code]));
+
+let zoneIndex = null;
+
+/**
+ * Builds the map from lower-case zone and link names to country code on first use
+ * @returns {Map<string, string>} Country code for each zone and link name
+ */
+function getZoneIndex() {
+  if (!zoneIndex) {
+    zoneIndex = new Map();
+    Object.keys(countryZones.zones).forEach(code => {
+      countryZones.zones[code].forEach(zone => zoneIndex.set(zone.toLowerCase(), code));
+    });
+    Object.keys(countryZones.links).forEach(link => {
+      zoneIndex.set(link.toLowerCase(), zoneIndex.get(countryZones.links[link].toLowerCase()));
+    });
+  }
+  return zoneIndex;
+}
+
+/**
+ * Finds the country code of an IANA timezone
+ * @param {string} timeZone - Zone or link name, e.g. "Asia/Kolkata" or "Asia/Calcutta" (case-insensitive)
+ * @returns {string|null} The country code, or null for unknown names and zones of no country (e.g. "UTC")
+ */
+function getCountryCodeByTimezone(timeZone) {
+  if (typeof timeZone !== 'string') {
+    return null;
+  }
+  return getZoneIndex().get(timeZone.trim().toLowerCase()) || null;
+}
+
+/**
+ * Gets the IANA timezones of a country
+ * @param {string} code - The 2-letter country code (case-insensitive)
+ * @returns {Array<string>} Zone names in the order of zone.tab, which usually puts the main zone first
+ *   (e.g. "America/New_York" for the United States). Empty for codes without zones. The array is frozen
+ */
+function getTimezonesForCountry(code) {
+  const upperCode = typeof code === 'string' ? code.toUpperCase() : '';
+  return Object.prototype.hasOwnProperty.call(countryZones.zones, upperCode) ? countryZones.zones[upperCode] : [];
+}
+
+/**
+ * Maps the zone and link names of some countries to their codes, for detection scripts that
+ * run without the package
+ * @param {Array<string>} codes - Country codes
+ * @returns {Object<string, string>} Country code for each zone and link name
+ */
+function getTimezoneCountryMap(codes) {
+  const map = {};
+  codes.forEach(code => {
+    getTimezonesForCountry(code).forEach(zone => {
+      map[zone] = code;
+    });
+  });
+  Object.keys(countryZones.links).forEach(link => {
+    const code = map[countryZones.links[link]];
+    if (code) {
+      map[link] = code;
+    }
+  });
+  return map;
+}
+
+/**
+ * Gets the timezone of the browser or Node.js process
+ * @returns {string} The IANA timezone, or '' where Intl does not report one
+ */
+function getCurrentTimezone() {
+  try {
+    return Intl.DateTimeFormat().resolvedOptions().timeZone || '';
+  } catch (error) {
+    return '';
+  }
+}
+
+/**
+ * Guesses the user's country from the timezone reported by Intl.DateTimeFormat. This works offline
+ * and without permissions, but is a guess: travellers, VPNs and timezones set by hand give another
+ * country, and zones such as "UTC" give none
+ * @param {Object} [options] - Detection options
+ * @param {string} [options.timeZone] - IANA timezone to use instead of the current one
+ * @param {Array<string>} [options.include] - Only return these country codes, e.g. the countries of a select
+ * @param {string|null} [options.fallback=null] - Code returned when no listed country matches
+ * @returns {string|null} The upper-case country code, or the fallback
+ */
+function detectCountryCode(options = {}) {
+  const { timeZone = getCurrentTimezone(), include, fallback = null } = options;
+  const code = getCountryCodeByTimezone(timeZone);
+  const allowed = !include || include.some(item => String(item).toUpperCase() === code);
+  if (code && allowed) {
+    return code;
+  }
+  return typeof fallback === 'string' && fallback ? fallback.toUpperCase() : fallback;
+}
+
+module.exports = {
+  TIMEZONES_VERSION,
+  getCountryCodeByTimezone,
+  getTimezonesForCountry,
+  getTimezoneCountryMap,
+  detectCountryCode
+};
@@ -0,0 +1,65 @@
+const fs = require('fs');
+const path = require('path');
+const countries = require('./countries');
+const userAssignedCountries = require('./user-assigned');
+
+/**
+ * Path of the generated declarations of the country code unions
+ */
+const COUNTRY_CODE_TYPES_FILE = path.join(__dirname, 'country-code.d.ts');
+
+/**
+ * Sorts codes and quotes them as string literal types
+ * @param {Array<string>} codes - Country codes
+ * @returns {Array<string>} Quoted codes, e.g. "'AD'"
+ */
+function quoteCodes(codes) {
+  return codes.slice().sort().map(code => `'${code}'`);
+}
+
+/**
+ * Builds the content of country-code.d.ts from the country lists
+ * @returns {string} Declarations of the CountryCode and UserAssignedCountryCode unions
+ */
+function getCountryCodeTypes() {
+  const codeLines = [];
+  quoteCodes(countries.map(country => country.code)).forEach((code, index) => {
+    if (index % 14 === 0) {
+      codeLines.push([]);
+    }
+    codeLines[codeLines.length - 1].push(code);
+  });
+
+  return `// Generated from countries.js and user-assigned.js by types.js; run npm run types to update it
+
+/**
+ * ISO 3166-1 alpha-2 code of an assigned country
+ */
+export type CountryCode =
+${codeLines.map(line => `  | ${line.join(' | ')}`).join('\n')};
+
+/**
+ * Code of a widely used entry outside the ISO 3166-1 assigned list (XK for Kosovo, EU for the European Union)
+ */
+export type UserAssignedCountryCode = ${quoteCodes(userAssignedCountries.map(country => country.code)).join(' | ')};
+`;
+}
+
+/**
+ * Writes country-code.d.ts
+ * @returns {string} Path of the written file
+ */
+function writeCountryCodeTypes() {
+  fs.writeFileSync(COUNTRY_CODE_TYPES_FILE, getCountryCodeTypes());
+  return COUNTRY_CODE_TYPES_FILE;
+}
+
+if (require.main === module) {
+  console.log(`Wrote ${path.relative(process.cwd(), writeCountryCodeTypes())}`);
+}
+
+module.exports = {
+  COUNTRY_CODE_TYPES_FILE,
+  getCountryCodeTypes,
+  writeCountryCodeTypes
+};
@@ -0,0 +1,13 @@
+/**
+ * Widely used entries outside the ISO 3166-1 assigned list. They are only
+ * included when the includeUserAssigned option is set.
+ * XK is a user-assigned code used for Kosovo; EU is exceptionally reserved
+ * by ISO 3166 for the European Union.
+ * @type {Array<Object>}
+ */
+const userAssignedCountries = [
+  { name: "European Union", code: "EU", alpha3: null, numeric: null, continent: "Europe", region: "Europe", subregion: null, capital: "Brussels", tld: ".eu", dialCode: null },
+  { name: "Kosovo", code: "XK", alpha3: "XKX", numeric: null, continent: "Europe", region: "Europe", subregion: "Southeast Europe", capital: "Pristina", tld: null, dialCode: "+383" }
+];
+
+module.exports = userAssignedCountries;
@@ -0,0 +1,69 @@
+import type { AutoSelectOptions, CountrySelectOptions, FlagSourceOptions, FlagSrcSet, SelectCountry, SubdivisionSelectOptions } from './index';
+
+export { getFlagEmoji, getFlagImageUrl, getFlagSrcSet } from './index';
+
+/**
+ * Throws if a flag source option is not 'cdn', 'svg' or 'local'
+ */
+export function assertFlagSource(flagSource: string): void;
+
+/**
+ * Gets the image sources for a flag according to the flag source option
+ */
+export function getFlagSources(code: string, options?: FlagSourceOptions): FlagSrcSet;
+
+/**
+ * Gets the [name, value] pairs of the data-flag-src and data-flag-srcset attributes of a select option
+ */
+export function getFlagDataAttributes(code: string, options?: FlagSourceOptions): Array<[string, string]>;
+
+/**
+ * Generates HTML for a select dropdown with country flags and names
+ */
+export function getCountrySelectHTML(
+  countries: readonly SelectCountry[],
+  options?: Omit<CountrySelectOptions, 'selectedLocale' | 'includeUserAssigned'>
+): string;
+
+/**
+ * Normalizes text for comparison by trimming, lowercasing and removing diacritics
+ */
+export function normalizeText(text: unknown): string;
+
+export type CodeLiteralValue = string | number | boolean | Array<string | number | boolean>;
+
+/**
+ * Converts a simple value to JavaScript source code
+ */
+export function toCodeLiteral(value: CodeLiteralValue): string;
+
+/**
+ * Indents every line of a block of generated code
+ */
+export function indentCode(code: string, spaces: number): string;
+
+/**
+ * Checks the subdivisionSelect option of the cascading mode and fills in the defaults; null when it is off
+ */
+export function getSubdivisionSelectOptions(option?: boolean | SubdivisionSelectOptions): Required<SubdivisionSelectOptions> | null;
+
+/**
+ * Checks the fallbackCode option of the selectedCode 'auto' mode; '' when it is not set
+ */
+export function getFallbackCode(fallbackCode?: string): string;
+
+/**
+ * Checks the selectedCode 'auto' and fallbackCode options of the component generators and builds their
+ * detectCountryCode call; null without selectedCode
+ */
+export function getDetectCountryCall(options: AutoSelectOptions, countriesCode?: string): string | null;
+
+/**
+ * Builds the getAllCountries() call used inside generated framework code
+ */
+export function getAllCountriesCall(options?: Record<string, CodeLiteralValue | undefined>, countryGroup?: string): string;
+
+/**
+ * Builds the Country interface declared by the generated TypeScript components
+ */
+export function getCountryInterfaceCode(): string;
@@ -1,10 +1,39 @@
+const { assertCountryCode } = require('./codes');
+const { getFlagSvg } = require('./svg');
+const { escapeHtml, escapeJsString, getExtraAttributes } = require('./escape');
+const { PRIORITY_SEPARATOR, arrangeCountries, getDisplayCountries } = require('./arrange');
+const { getGroupMemberCodes } = require('./groups');
+const { getSubdivisions } = require('./subdivisions');
+const { getTimezoneCountryMap } = require('./timezones');
+const { resolveProvider, resolveImageOptions, buildFlagSrcSet } = require('./providers');
+
+/**
+ * Where flag images come from: flagcdn.com, bundled SVGs inlined as data URIs,
+ * or bundled SVGs served from a local path
+ */
+const FLAG_SOURCES = ['cdn', 'svg', 'local'];
+
 /**
  * Converts a 2-letter ISO country code to an emoji flag
  * @param {string} code - The 2-letter ISO country code
- * @returns {string} The emoji flag
+ * @param {Object} [options] - Conversion options
+ * @param {boolean} [options.strict=false] - Reject codes that are not assigned ISO 3166-1 countries
+ * @param {boolean} [options.throwOnInvalid=true] - In strict mode, throw an InvalidCountryCodeError
+ *   for rejected codes instead of returning null
+ * @param {boolean} [options.allowUserAssigned=false] - In strict mode, accept user-assigned codes
+ * @param {boolean} [options.allowReserved=false] - In strict mode, accept ISO reserved codes
+ * @param {boolean} [options.includeUserAssigned=false] - In strict mode, accept the widely used
+ *   non-ISO entries (XK, EU)
+ * @returns {string|null} The emoji flag, an empty string for invalid codes in the default mode,
+ *   or null for rejected codes in strict mode when throwOnInvalid is false
  */
-function getFlagEmoji(code) {
-  if (!code || typeof code !== 'string' || code.length !== 2) {
+function getFlagEmoji(code, options = {}) {
+  if (options && options.strict) {
+    code = assertCountryCode(code, options);
+    if (code === null) {
+      return null;
+    }
+  } else if (!code || typeof code !== 'string' || code.length !== 2) {
     return '';
   }
   
@@ -20,17 +49,127 @@ function getFlagEmoji(code) {
 }
 
 /**
- * Gets the flag image URL for a country code using flagcdn.com
+ * Checks a code for the flag image helpers
  * @param {string} code - The 2-letter ISO country code
- * @param {number} [width=40] - The width of the flag image in pixels
- * @returns {string} URL to the flag image
+ * @param {Object} options - Options of the calling helper, including the strict mode options
+ * @returns {string|null} The code to use, an empty string for invalid codes in the default mode,
+ *   or null for rejected codes in strict mode when throwOnInvalid is false
  */
-function getFlagImageUrl(code, width = 40) {
-  if (!code || typeof code !== 'string' || code.length !== 2) {
-    return '';
+function checkImageCode(code, options) {
+  if (options.strict) {
+    return assertCountryCode(code, options);
   }
-  
-  return `https://flagcdn.com/w${width}/${code.toLowerCase()}.png`;
+  return !code || typeof code !== 'string' || code.length !== 2 ? '' : code;
+}
+
+/**
+ * Gets the flag image URL for a country code, using flagcdn.com unless another provider is given
+ * @param {string} code - The 2-letter ISO country code
+ * @param {number|string|Object} [options=40] - The width of the flag image in pixels, or an options object.
+ *   null is the same as no options
+ * @param {number|string} [options.width=40] - The width of the flag image in pixels; snapped to the
+ *   nearest width the provider serves. Numeric strings such as "80" are accepted
+ * @param {number|string} [options.height] - The height of the flag image in pixels, instead of a width
+ * @param {string} [options.format='png'] - Image format: 'png', 'webp' or 'svg'
+ * @param {string|Object|Function} [options.provider='flagcdn'] - Flag image provider: 'flagcdn',
+ *   a URL template, a function or an object from createFlagProvider
+ * @param {boolean} [options.strict=false] - Reject codes that are not assigned ISO 3166-1 countries
+ *   (see getFlagEmoji for the other strict mode options)
+ * @returns {string|null} URL to the flag image, an empty string for invalid codes in the default
+ *   mode, or null for rejected codes in strict mode when throwOnInvalid is false
+ * @throws {Error} If the width or height is not a positive number
+ */
+function getFlagImageUrl(code, options = 40) {
+  if (typeof options === 'number' || typeof options === 'string') {
+    options = { width: options };
+  } else if (options === null) {
+    options = {};
+  }
+
+  const checked = checkImageCode(code, options);
+  if (!checked) {
+    return checked;
+  }
+
+  const provider = resolveProvider(options.provider);
+  return provider.getUrl(checked, resolveImageOptions(provider, options));
+}
+
+/**
+ * Gets src, srcset and sizes values for a flag image that stays sharp on high-density screens
+ * @param {string} code - The 2-letter ISO country code
+ * @param {Object} [options] - The getFlagImageUrl options, plus:
+ * @param {Array<number>} [options.densities=[1, 2, 3]] - Pixel densities to include in the srcset
+ * @returns {{src: string, srcset: string, sizes: string}|null} Attribute values (empty strings for
+ *   invalid codes in the default mode), or null for rejected codes in strict mode when
+ *   throwOnInvalid is false
+ */
+function getFlagSrcSet(code, options = {}) {
+  if (options === null) {
+    options = {};
+  }
+  const checked = checkImageCode(code, options);
+  if (!checked) {
+    return checked === null ? null : { src: '', srcset: '', sizes: '' };
+  }
+
+  return buildFlagSrcSet(checked, options);
+}
+
+/**
+ * Throws if a flag source option is not one of FLAG_SOURCES
+ * @param {string} flagSource - The flag source option
+ */
+function assertFlagSource(flagSource) {
+  if (!FLAG_SOURCES.includes(flagSource)) {
+    throw new Error(`Unknown flag source: ${flagSource}. Expected one of: ${FLAG_SOURCES.join(', ')}`);
+  }
+}
+
+/**
+ * Gets the image sources for a flag according to the flag source option
+ * @param {string} code - The 2-letter ISO country code
+ * @param {Object} [options] - Configuration options
+ * @param {string} [options.flagSource='cdn'] - 'cdn' for a flag image provider, 'svg' for an inline
+ *   data URI of the bundled SVG, or 'local' for the bundled SVG served from flagPath
+ * @param {number} [options.flagWidth=40] - Width of flag images in pixels (provider only)
+ * @param {string|Object|Function} [options.flagProvider='flagcdn'] - Flag image provider (see getFlagImageUrl)
+ * @param {string} [options.flagFormat='png'] - Image format: 'png', 'webp' or 'svg' (provider only)
+ * @param {string} [options.flagPath='/flags'] - URL path where the package's flags/ directory is served
+ * @returns {{src: string, srcset: string, sizes: string}} Values for the img attributes; srcset and
+ *   sizes are empty for the bundled SVGs
+ */
+function getFlagSources(code, options = {}) {
+  const {
+    flagSource = 'cdn',
+    flagWidth = 40,
+    flagProvider,
+    flagFormat,
+    flagPath = '/flags'
+  } = options;
+
+  assertFlagSource(flagSource);
+
+  if (flagSource === 'svg') {
+    return { src: getFlagSvg(code, { format: 'dataUri' }), srcset: '', sizes: '' };
+  }
+  if (flagSource === 'local') {
+    return { src: `${flagPath.replace(/\/+$/, '')}/${code.toLowerCase()}.svg`, srcset: '', sizes: '' };
+  }
+  return getFlagSrcSet(code, { width: flagWidth, provider: flagProvider, format: flagFormat });
+}
+
+/**
+ * Gets the data attributes that carry the flag image of a select option. Browsers only render
+ * text inside <option>, so the option labels use the emoji flag and the image is left to select
+ * widgets that read these attributes
+ * @param {string} code - The 2-letter ISO country code
+ * @param {Object} [options] - The getFlagSources options
+ * @returns {Array<Array<string>>} [name, value] pairs for data-flag-src and, if there is one, data-flag-srcset
+ */
+function getFlagDataAttributes(code, options = {}) {
+  const { src, srcset } = getFlagSources(code, options);
+  return [['data-flag-src', src]].concat(srcset ? [['data-flag-srcset', srcset]] : []);
 }
 
 /**
@@ -40,9 +179,33 @@ function getFlagImageUrl(code, width = 40) {
  * @param {string} [options.id] - HTML id attribute for the select element
  * @param {string} [options.name] - HTML name attribute for the select element
  * @param {string} [options.className] - HTML class attribute for the select element
- * @param {string} [options.selectedCode] - Country code to be selected by default
- * @param {boolean} [options.useImageFlags=true] - Whether to use image flags instead of emoji flags
+ * @param {string} [options.selectedCode] - Country code to be selected by default, or 'auto' to select the
+ *   country of the user's timezone with a script (see detectCountryCode)
+ * @param {string} [options.fallbackCode] - With selectedCode 'auto', the country selected until the script
+ *   runs and when the timezone matches no listed country
+ * @param {boolean} [options.useImageFlags=true] - Whether to add the flag image URLs to the options as data-flag-src
+ *   and data-flag-srcset attributes. The option labels use the emoji flag, as options can only contain text
  * @param {number} [options.flagWidth=40] - Width of flag images in pixels
+ * @param {string} [options.flagSource='cdn'] - 'cdn', 'svg' (inline data URI) or 'local' (see getFlagSources)
+ * @param {string|Object|Function} [options.flagProvider='flagcdn'] - Flag image provider when flagSource is 'cdn'
+ * @param {string} [options.flagFormat='png'] - Image format when flagSource is 'cdn'
+ * @param {string} [options.flagPath='/flags'] - URL path of the flag SVGs when flagSource is 'local'
+ * @param {Object<string, string|number|boolean>} [options.attributes] - Extra data-* and aria-* attributes for the select element
+ * @param {Array<string>} [options.priorityCodes] - Country codes to pin at the top, followed by a separator
+ * @param {Array<string>} [options.include] - Only list these country codes
+ * @param {Array<string>} [options.exclude] - Leave out these country codes
+ * @param {string} [options.countryGroup] - Only list the current members of this group, e.g. 'EU' (see getCountriesInGroup)
+ * @param {string} [options.groupBy] - 'region' to render the countries in <optgroup> elements by region
+ * @param {Function} [options.sort] - Compare function for the countries (see arrangeCountries)
+ * @param {string} [options.placeholder] - Text of an empty first option, selected when selectedCode is not set
+ * @param {boolean} [options.disabled=false] - Whether the select element is disabled
+ * @param {boolean} [options.required=false] - Whether the select element is required
+ * @param {string} [options.display='name'] - 'name' to show country names, or 'dialCode' to show calling
+ *   codes (e.g. "+91") for a phone prefix select. Option values are country codes either way
+ * @param {boolean|Object} [options.subdivisionSelect] - Cascading mode: true, or the options of a second
+ *   select listing the subdivisions of the selected country (see getSubdivisionSelectOptions). A script
+ *   with the subdivisions of the listed countries refills it when the country changes. Without include or
+ *   countryGroup, that is about 5,000 subdivisions (120 KB) in every generated select
  * @returns {string} HTML string for the country select dropdown
  */
 function getCountrySelectHTML(countries, options = {}) {
@@ -56,32 +219,301 @@ function getCountrySelectHTML(countries, options = {}) {
     className = '', 
     selectedCode = '',
     useImageFlags = true,
-    flagWidth = 40
+    flagWidth = 40,
+    flagSource = 'cdn',
+    flagProvider,
+    flagFormat,
+    flagPath,
+    attributes,
+    placeholder,
+    disabled = false,
+    required = false,
+    display = 'name'
   } = options;
+  const { priority, groups } = arrangeCountries(getDisplayCountries(countries, display), options);
+  const listedCountries = priority.concat(...groups.map(group => group.countries));
+  const subdivisionSelect = getSubdivisionSelectOptions(options.subdivisionSelect);
+  const autoSelect = selectedCode === 'auto';
+  const initialCode = autoSelect ? getFallbackCode(options.fallbackCode) : selectedCode;
   
-  const optionsHTML = countries.map(({ code, name, flag }) => {
-    const selected = code === selectedCode ? ' selected' : '';
-    let flagDisplay;
-    
-    if (useImageFlags) {
-      // Use image flag with consistent width
-      const flagUrl = getFlagImageUrl(code, flagWidth);
-      flagDisplay = `<img src="${flagUrl}" alt="${code}" style="vertical-align: middle; margin-right: 5px; width: ${flagWidth}px;">`;
+  const renderOption = ({ code, name, flag, dialCode }) => {
+    const selected = code === initialCode ? ' selected' : '';
+    // The calling code alone does not identify shared codes such as +1, so the name goes in the title
+    const label = display === 'dialCode' ? dialCode : name;
+    const title = display === 'dialCode' ? ` title="${escapeHtml(name)}"` : '';
+    const flagAttributes = useImageFlags
+      ? getFlagDataAttributes(code, { flagSource, flagWidth, flagProvider, flagFormat, flagPath })
+        .map(([key, value]) => ` ${key}="${escapeHtml(value)}"`)
+        .join('')
+      : '';
+
+    return `<option value="${escapeHtml(code)}"${title}${flagAttributes}${selected}>${escapeHtml(`${flag} ${label}`)}</option>`;
+  };
+
+  const optionLines = [];
+  if (placeholder) {
+    optionLines.push(`<option value="" disabled${initialCode ? '' : ' selected'}>${escapeHtml(placeholder)}</option>`);
+  }
+  if (priority.length > 0) {
+    optionLines.push(...priority.map(renderOption), `<option value="" disabled>${PRIORITY_SEPARATOR}</option>`);
+  }
+  groups.forEach(group => {
+    if (group.label === null) {
+      optionLines.push(...group.countries.map(renderOption));
     } else {
-      // Use emoji flag
-      flagDisplay = `${flag} `;
+      optionLines.push(`<optgroup label="${escapeHtml(group.label)}">
+    ${group.countries.map(renderOption).join('\n    ')}
+  </optgroup>`);
     }
-    
-    return `<option value="${code}"${selected}>${flagDisplay}${name}</option>`;
-  }).join('\n  ');
+  });
+  const optionsHTML = optionLines.join('\n  ');
+
+  const extraAttributes = getExtraAttributes(attributes)
+    .map(([key, value]) => ` ${key}="${escapeHtml(value)}"`)
+    .join('');
+  const booleanAttributes = `${disabled ? ' disabled' : ''}${required ? ' required' : ''}`;
   
-  return `<select id="${id}" name="${name}" class="${className}">
+  const subdivisionHTML = subdivisionSelect
+    ? `\n${getSubdivisionSelectHTML(listedCountries, id, initialCode, subdivisionSelect)}`
+    : '';
+  // After the subdivision script, so its change listener refills the subdivisions
+  const autoSelectHTML = autoSelect ? `\n${getAutoSelectScript(listedCountries, id)}` : '';
+  
+  return `<select id="${escapeHtml(id)}" name="${escapeHtml(name)}" class="${escapeHtml(className)}"${booleanAttributes}${extraAttributes}>
   ${optionsHTML}
-</select>`;
+</select>${subdivisionHTML}${autoSelectHTML}`;
+}
+
+/**
+ * Checks the fallbackCode option of the selectedCode 'auto' mode
+ * @param {string} [fallbackCode] - Country code selected when the timezone matches no listed country
+ * @returns {string} The upper-case code, or '' for none
+ * @throws {InvalidCountryCodeError} If the code is not a country code
+ */
+function getFallbackCode(fallbackCode) {
+  return fallbackCode ? assertCountryCode(fallbackCode, { includeUserAssigned: true }) : '';
+}
+
+/**
+ * Checks the selectedCode and fallbackCode options of the component generators. Their only
+ * selectedCode is 'auto', as the components take the initial country from their value
+ * @param {Object} options - Generation options
+ * @param {string} [options.selectedCode] - 'auto' to select the country of the user's timezone when the
+ *   component mounts without a value
+ * @param {string} [options.fallbackCode] - With selectedCode 'auto', the country selected when the timezone
+ *   matches no listed country
+ * @param {string} [countriesCode='countries'] - Expression of the generated country list
+ * @returns {string|null} Code of the detectCountryCode call over the listed countries, or null without selectedCode
+ * @throws {Error} If selectedCode is not 'auto'
+ */
+function getDetectCountryCall(options, countriesCode = 'countries') {
+  const { selectedCode, fallbackCode } = options;
+  if (selectedCode === undefined || selectedCode === '') {
+    return null;
+  }
+  if (selectedCode !== 'auto') {
+    throw new Error(`Invalid selectedCode: ${JSON.stringify(selectedCode)}. Generated components take 'auto'; pass other codes as their value`);
+  }
+  return `detectCountryCode({ include: ${countriesCode}.map(country => country.code), fallback: ${toCodeLiteral(getFallbackCode(fallbackCode) || null)} })`;
+}
+
+/**
+ * Generates the script of the selectedCode 'auto' mode of getCountrySelectHTML, which selects the
+ * country of the browser's timezone and fires a change event. The zone names are written once per
+ * country, which is about 13 KB for all countries
+ * @param {Array<Object>} countries - Listed countries; their timezones are written into the script
+ * @param {string} countrySelectId - ID of the country select
+ * @returns {string} HTML of the script
+ */
+function getAutoSelectScript(countries, countrySelectId) {
+  const timezones = getTimezoneCountryMap(countries.map(country => country.code));
+  const dataLines = countries
+    .map(country => [country.code, Object.keys(timezones).filter(zone => timezones[zone] === country.code)])
+    .filter(([, zones]) => zones.length > 0)
+    .map(([code, zones]) => `${toCodeLiteral(code)}: ${toCodeLiteral(zones.join(' '))}`);
+
+  return `<script>
+  (() => {
+    // Space-separated IANA timezones of each listed country
+    const timezones = {
+      ${dataLines.join(',\n      ')}
+    };
+    const countrySelect = document.getElementById(${toCodeLiteral(countrySelectId)});
+    let timeZone = '';
+    try {
+      timeZone = Intl.DateTimeFormat().resolvedOptions().timeZone;
+    } catch (error) {
+      // Keep the fallback where Intl is not available
+    }
+
+    const code = Object.keys(timezones).find(key => timezones[key].split(' ').includes(timeZone));
+    if (code && code !== countrySelect.value) {
+      countrySelect.value = code;
+      countrySelect.dispatchEvent(new Event('change'));
+    }
+  })();
+</script>`;
+}
+
+/**
+ * Checks the subdivisionSelect option of the cascading country and subdivision selects
+ * @param {boolean|Object} [option] - true for the defaults, or the options of the subdivision select
+ * @param {string} [option.id='subdivision-select'] - ID of the subdivision select
+ * @param {string} [option.name='subdivision'] - Name of the subdivision select
+ * @param {string} [option.className=''] - CSS class for the subdivision select
+ * @param {string} [option.placeholder='Select a region'] - Text of the empty first option
+ * @param {string} [option.ariaLabel='Region'] - Accessible name of the subdivision select
+ * @param {string} [option.selectedCode=''] - Subdivision code to be selected by default (e.g. "US-CA")
+ * @returns {Object|null} The options with their defaults, or null if the cascading mode is off
+ */
+function getSubdivisionSelectOptions(option) {
+  if (option === undefined || option === false) {
+    return null;
+  }
+  if (option !== true && (option === null || typeof option !== 'object')) {
+    throw new Error('subdivisionSelect must be true or an options object');
+  }
+
+  const {
+    id = 'subdivision-select',
+    name = 'subdivision',
+    className = '',
+    placeholder = 'Select a region',
+    ariaLabel = 'Region',
+    selectedCode = ''
+  } = option === true ? {} : option;
+  return { id, name, className, placeholder, ariaLabel, selectedCode: String(selectedCode).toUpperCase() };
+}
+
+/**
+ * Generates the subdivision select of the cascading mode of getCountrySelectHTML, with a script that
+ * refills it when the country changes
+ * @param {Array<Object>} countries - Listed countries; their subdivisions are written into the script
+ * @param {string} countrySelectId - ID of the country select
+ * @param {string} selectedCountryCode - Code of the initially selected country
+ * @param {Object} options - Options from getSubdivisionSelectOptions
+ * @returns {string} HTML of the select and the script
+ */
+function getSubdivisionSelectHTML(countries, countrySelectId, selectedCountryCode, options) {
+  const { id, name, className, placeholder, ariaLabel, selectedCode } = options;
+  const selectedSubdivisions = getSubdivisions(selectedCountryCode);
+  const optionLines = [`<option value="">${escapeHtml(placeholder)}</option>`].concat(selectedSubdivisions.map(subdivision =>
+    `<option value="${escapeHtml(subdivision.code)}"${subdivision.code === selectedCode ? ' selected' : ''}>${escapeHtml(subdivision.name)}</option>`));
+  const dataLines = countries
+    .map(country => [country.code, getSubdivisions(country.code).map(subdivision => [subdivision.code, subdivision.name])])
+    .filter(([, subdivisions]) => subdivisions.length > 0)
+    .map(([code, subdivisions]) => `${toCodeLiteral(code)}: ${toCodeLiteral(subdivisions)}`);
+
+  return `<select id="${escapeHtml(id)}" name="${escapeHtml(name)}" class="${escapeHtml(className)}" aria-label="${escapeHtml(ariaLabel)}"${selectedSubdivisions.length > 0 ? '' : ' disabled'}>
+  ${optionLines.join('\n  ')}
+</select>
+<script>
+  (() => {
+    // [code, name] pairs of the subdivisions of each listed country
+    const subdivisions = {
+      ${dataLines.join(',\n      ')}
+    };
+    const countrySelect = document.getElementById(${toCodeLiteral(countrySelectId)});
+    const subdivisionSelect = document.getElementById(${toCodeLiteral(id)});
+
+    // Refill the subdivisions when the country changes, keeping the empty first option
+    countrySelect.addEventListener('change', () => {
+      const list = subdivisions[countrySelect.value] || [];
+      subdivisionSelect.length = 1;
+      list.forEach(([code, name]) => subdivisionSelect.add(new Option(name, code)));
+      subdivisionSelect.disabled = list.length === 0;
+    });
+  })();
+</script>`;
+}
+
+/**
+ * Normalizes text for comparison by trimming, lowercasing and removing diacritics
+ * @param {string} text - The text to normalize
+ * @returns {string} Normalized text (e.g. "Åland Islands" becomes "aland islands")
+ */
+function normalizeText(text) {
+  return String(text)
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .toLowerCase();
+}
+
+/**
+ * Converts a simple value (string, number, boolean or array of those) to JavaScript source code
+ * @param {*} value - The value to convert
+ * @returns {string} Source code for the value
+ */
+function toCodeLiteral(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(toCodeLiteral).join(', ')}]`;
+  }
+  if (typeof value === 'string') {
+    return `'${escapeJsString(value)}'`;
+  }
+  return String(value);
+}
+
+/**
+ * Indents every line of a block of generated code
+ * @param {string} code - The code to indent
+ * @param {number} spaces - Number of spaces to add before each line
+ * @returns {string} Indented code
+ */
+function indentCode(code, spaces) {
+  return code.replace(/^/gm, ' '.repeat(spaces));
+}
+
+/**
+ * Builds the getAllCountries() call used inside generated framework code
+ * @param {Object} [options] - getAllCountries() options to pass; undefined and false values are left out
+ * @param {string} [countryGroup] - Group to filter the list by. Its current members are written into
+ *   the code, so custom groups work without registering them again in the browser
+ * @returns {string} Source code for the call, e.g. "getAllCountries({ fields: 'all' })"
+ */
+function getAllCountriesCall(options = {}, countryGroup) {
+  const entries = Object.keys(options)
+    .filter(key => options[key] !== undefined && options[key] !== false)
+    .map(key => `${key}: ${toCodeLiteral(options[key])}`);
+  const call = entries.length > 0
+    ? `getAllCountries({ ${entries.join(', ')} })`
+    : 'getAllCountries()';
+
+  if (countryGroup === undefined) {
+    return call;
+  }
+  const codes = Array.from(getGroupMemberCodes(countryGroup));
+  return `${call}.filter(country => ${toCodeLiteral(codes)}.includes(country.code))`;
+}
+
+/**
+ * Builds the Country interface declared by the generated TypeScript components
+ * @returns {string} TypeScript interface declaration
+ */
+function getCountryInterfaceCode() {
+  return `interface Country {
+  name: string;
+  code: string;
+  flag: string;
+}`;
 }
 
 module.exports = {
   getFlagEmoji,
   getFlagImageUrl,
-  getCountrySelectHTML
+  getFlagSrcSet,
+  assertFlagSource,
+  getFlagSources,
+  getFlagDataAttributes,
+  getCountrySelectHTML,
+  getSubdivisionSelectOptions,
+  getFallbackCode,
+  getDetectCountryCall,
+  normalizeText,
+  toCodeLiteral,
+  indentCode,
+  getAllCountriesCall,
+  getCountryInterfaceCode
 };
@@ -0,0 +1,45 @@
+import type { AnyCountryCode, ListedCountry } from './index';
+
+/**
+ * The <country-select> element. Its value is the selected country code ('' for none), submitted
+ * with forms under the element's name
+ */
+export interface CountrySelectElement extends HTMLElement {
+  get value(): AnyCountryCode | '';
+  set value(code: string);
+  readonly selectedCountry: ListedCountry<{ includeUserAssigned: true }> | null;
+  /** Flag display: 'emoji' in the option labels, 'image' next to the select, or 'none' */
+  flagMode: 'emoji' | 'image' | 'none';
+  name: string;
+  disabled: boolean;
+  required: boolean;
+  readonly form: HTMLFormElement | null;
+  readonly validity: ValidityState;
+  readonly validationMessage: string;
+  checkValidity(): boolean;
+  reportValidity(): boolean;
+}
+
+export interface CountrySelectElementConstructor {
+  new (): CountrySelectElement;
+  prototype: CountrySelectElement;
+  readonly formAssociated: true;
+  readonly observedAttributes: string[];
+}
+
+export interface DefineCountrySelectOptions {
+  /** Tag name to register (default: 'country-select') */
+  tagName?: string;
+  /** Window to register the element in, e.g. a jsdom window (default: window) */
+  window?: Window | typeof globalThis;
+}
+
+/**
+ * Gets the country select element class for a window, without registering it
+ */
+export function getCountrySelectElement(win?: Window | typeof globalThis): CountrySelectElementConstructor;
+
+/**
+ * Registers the <country-select> element and returns its class
+ */
+export function defineCountrySelect(options?: DefineCountrySelectOptions): CountrySelectElementConstructor;
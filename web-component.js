@@ -0,0 +1,371 @@
+const { PRIORITY_SEPARATOR, arrangeCountries } = require('./arrange');
+const { getGroupMemberCodes } = require('./groups');
+const { detectCountryCode } = require('./timezones');
+
+const DEFAULT_TAG_NAME = 'country-select';
+
+const FLAG_MODES = ['emoji', 'image', 'none'];
+
+/**
+ * Attributes that change the listed countries or their labels
+ */
+const LIST_ATTRIBUTES = ['locale', 'flag-mode', 'include', 'exclude', 'country-group', 'priority', 'placeholder', 'include-user-assigned'];
+
+const OBSERVED_ATTRIBUTES = LIST_ATTRIBUTES.concat(['value', 'flag-width', 'disabled', 'required', 'aria-label']);
+
+const STYLES = `:host {
+  display: inline-flex;
+  align-items: center;
+  gap: 8px;
+}
+:host([hidden]) {
+  display: none;
+}
+img[hidden] {
+  display: none;
+}
+select {
+  font: inherit;
+}`;
+
+/**
+ * Gets the window of the page, read when called rather than when loaded. Node 10 and 11 have no
+ * globalThis, so this checks for window instead
+ * @returns {Window|undefined} The global window, or undefined outside a browser
+ */
+function getGlobalWindow() {
+  return typeof window !== 'undefined' ? window : undefined;
+}
+
+/**
+ * Element classes by window, so each window (or jsdom instance) gets a class based on its own HTMLElement
+ */
+const elementClasses = new WeakMap();
+
+/**
+ * Parses a list of country codes from an attribute value
+ * @param {string|null} value - Codes separated by commas or spaces (e.g. "IN, US")
+ * @returns {Array<string>|undefined} Upper-case codes, or undefined if the attribute is not set
+ */
+function parseCodeList(value) {
+  if (value === null) {
+    return undefined;
+  }
+  return value.split(/[\s,]+/).filter(Boolean).map(code => code.toUpperCase());
+}
+
+/**
+ * Returns the <country-select> element class for a window, without registering it
+ * @param {Window} [win=window] - Window providing HTMLElement (e.g. a jsdom window)
+ * @returns {Function} The CountrySelectElement class
+ * @throws {Error} If the window has no HTMLElement
+ */
+function getCountrySelectElement(win = getGlobalWindow()) {
+  if (!win || typeof win.HTMLElement !== 'function') {
+    throw new Error('The country-select element needs a DOM with HTMLElement');
+  }
+  if (elementClasses.has(win)) {
+    return elementClasses.get(win);
+  }
+
+  // Required here rather than at the top, as core.js requires this module
+  const { getAllCountries, getFlagImageUrl } = require('./core');
+
+  /**
+   * Country select custom element. The value is the selected country code ('' for none),
+   * submitted with forms under the element's name through ElementInternals
+   */
+  class CountrySelectElement extends win.HTMLElement {
+    static get formAssociated() {
+      return true;
+    }
+
+    static get observedAttributes() {
+      return OBSERVED_ATTRIBUTES;
+    }
+
+    constructor() {
+      super();
+      // Older browsers and jsdom lack attachInternals or parts of it, see updateFormState()
+      this._internals = typeof this.attachInternals === 'function' ? this.attachInternals() : null;
+      this._formDisabled = false;
+      this._defaultValue = null;
+
+      const root = this.attachShadow({ mode: 'open', delegatesFocus: true });
+      root.innerHTML = `<style>${STYLES}</style><img part="flag" alt="" hidden><select part="select"></select>`;
+      this._flag = root.querySelector('img');
+      this._select = root.querySelector('select');
+
+      this._select.addEventListener('change', () => {
+        this.value = this._select.value;
+        this.dispatchEvent(new win.CustomEvent('change', {
+          bubbles: true,
+          detail: { value: this.value, country: this.selectedCountry }
+        }));
+      });
+    }
+
+    connectedCallback() {
+      this._renderOptions();
+      if (this._defaultValue === null) {
+        if ((this.getAttribute('value') || '').toLowerCase() === 'auto') {
+          // Select the country of the user's timezone, or the fallback attribute, on first connection
+          this.value = detectCountryCode({
+            include: this._countries.map(country => country.code),
+            fallback: this.getAttribute('fallback') || null
+          });
+        }
+        this._defaultValue = this.getAttribute('value') || '';
+      }
+    }
+
+    attributeChangedCallback(name, oldValue, newValue) {
+      if (oldValue === newValue || !this.isConnected) {
+        return;
+      }
+      if (LIST_ATTRIBUTES.includes(name)) {
+        this._renderOptions();
+      } else {
+        this._update();
+      }
+    }
+
+    /**
+     * Selected country code, or '' when no country is selected
+     * @type {string}
+     */
+    get value() {
+      const code = (this.getAttribute('value') || '').toUpperCase();
+      return this._countries && !this._countries.some(country => country.code === code) ? '' : code;
+    }
+
+    set value(code) {
+      this.setAttribute('value', code ? String(code).toUpperCase() : '');
+    }
+
+    /**
+     * Selected country object, or null when no country is selected
+     * @type {Object|null}
+     */
+    get selectedCountry() {
+      const code = this.value;
+      return (this._countries || []).find(country => country.code === code) || null;
+    }
+
+    /**
+     * Flag display: 'emoji' in the option labels, 'image' next to the select, or 'none'
+     * @type {string}
+     */
+    get flagMode() {
+      const mode = this.getAttribute('flag-mode');
+      return FLAG_MODES.includes(mode) ? mode : 'emoji';
+    }
+
+    set flagMode(mode) {
+      if (!FLAG_MODES.includes(mode)) {
+        throw new Error(`Unknown flag mode: ${mode}`);
+      }
+      this.setAttribute('flag-mode', mode);
+    }
+
+    get name() {
+      return this.getAttribute('name') || '';
+    }
+
+    set name(name) {
+      this.setAttribute('name', name);
+    }
+
+    get disabled() {
+      return this.hasAttribute('disabled');
+    }
+
+    set disabled(disabled) {
+      this.toggleAttribute('disabled', Boolean(disabled));
+    }
+
+    get required() {
+      return this.hasAttribute('required');
+    }
+
+    set required(required) {
+      this.toggleAttribute('required', Boolean(required));
+    }
+
+    get form() {
+      return this._internals && 'form' in this._internals ? this._internals.form : null;
+    }
+
+    get validity() {
+      return this._internals && this._internals.validity ? this._internals.validity : this._select.validity;
+    }
+
+    get validationMessage() {
+      return this._internals && 'validationMessage' in this._internals
+        ? this._internals.validationMessage
+        : this._select.validationMessage;
+    }
+
+    checkValidity() {
+      return this._internals && typeof this._internals.checkValidity === 'function'
+        ? this._internals.checkValidity()
+        : this._select.checkValidity();
+    }
+
+    reportValidity() {
+      return this._internals && typeof this._internals.reportValidity === 'function'
+        ? this._internals.reportValidity()
+        : this._select.reportValidity();
+    }
+
+    formResetCallback() {
+      this.value = this._defaultValue || '';
+    }
+
+    formDisabledCallback(disabled) {
+      this._formDisabled = disabled;
+      this._update();
+    }
+
+    formStateRestoreCallback(state) {
+      this.value = typeof state === 'string' ? state : '';
+    }
+
+    /**
+     * Rebuilds the options from the list attributes, then updates the selection
+     */
+    _renderOptions() {
+      const doc = this.ownerDocument;
+      const flagMode = this.flagMode;
+      this._countries = getAllCountries({
+        locale: this.getAttribute('locale') || undefined,
+        includeUserAssigned: this.hasAttribute('include-user-assigned')
+      });
+      const { priority, groups } = arrangeCountries(this._countries, {
+        priorityCodes: parseCodeList(this.getAttribute('priority')),
+        include: parseCodeList(this.getAttribute('include')),
+        exclude: parseCodeList(this.getAttribute('exclude')),
+        countryGroup: this._getCountryGroup()
+      });
+      // Countries that are filtered out cannot be selected
+      this._countries = priority.concat(groups[0].countries);
+
+      const createOption = (value, label) => {
+        const option = doc.createElement('option');
+        option.value = value;
+        option.textContent = label;
+        return option;
+      };
+
+      // The empty option keeps the select in step with an empty value
+      const placeholder = createOption('', this.getAttribute('placeholder') || 'Select a country');
+      const options = [placeholder];
+      priority.concat(priority.length > 0 ? [null] : [], groups[0].countries).forEach(country => {
+        if (country === null) {
+          const separator = createOption('', PRIORITY_SEPARATOR);
+          separator.disabled = true;
+          options.push(separator);
+        } else {
+          options.push(createOption(country.code, flagMode === 'emoji' ? `${country.flag} ${country.name}` : country.name));
+        }
+      });
+
+      this._select.replaceChildren(...options);
+      this._update();
+    }
+
+    /**
+     * Gets the country-group attribute, if it names a known group
+     * @returns {string|undefined} Group ID; undefined when the attribute is missing or the group is
+     *   unknown, so an attribute typo lists all countries instead of throwing in the page
+     */
+    _getCountryGroup() {
+      const group = this.getAttribute('country-group') || undefined;
+      try {
+        getGroupMemberCodes(group);
+        return group;
+      } catch (error) {
+        return undefined;
+      }
+    }
+
+    /**
+     * Syncs the select, flag image and form state with the attributes
+     */
+    _update() {
+      const country = this.selectedCountry;
+      const select = this._select;
+
+      select.value = country ? country.code : '';
+      select.disabled = this.disabled || this._formDisabled;
+      select.required = this.required;
+      select.setAttribute('aria-label', this.getAttribute('aria-label') || 'Country');
+
+      if (country && this.flagMode === 'image') {
+        const width = Number(this.getAttribute('flag-width')) || 40;
+        this._flag.src = getFlagImageUrl(country.code, { width });
+        this._flag.style.width = `${width}px`;
+        this._flag.hidden = false;
+      } else {
+        this._flag.removeAttribute('src');
+        this._flag.hidden = true;
+      }
+
+      this._updateFormState();
+    }
+
+    /**
+     * Passes the value and validity to the form. Where ElementInternals is incomplete (as in jsdom)
+     * the inner select still validates itself, but the value is not submitted with the form
+     */
+    _updateFormState() {
+      const internals = this._internals;
+      if (!internals || typeof internals.setFormValue !== 'function') {
+        return;
+      }
+
+      const value = this.value;
+      internals.setFormValue(value || null, value);
+      if (this.required && !value) {
+        internals.setValidity({ valueMissing: true }, 'Please select a country.', this._select);
+      } else {
+        internals.setValidity({});
+      }
+    }
+  }
+
+  elementClasses.set(win, CountrySelectElement);
+  return CountrySelectElement;
+}
+
+/**
+ * Registers the <country-select> custom element. Does nothing if the tag name is already defined
+ * @param {Object} [options] - Registration options
+ * @param {string} [options.tagName='country-select'] - Tag name to register
+ * @param {Window} [options.window=window] - Window to register the element in (e.g. a jsdom window)
+ * @returns {Function} The registered element class
+ * @throws {Error} If the window has no custom elements support
+ */
+function defineCountrySelect(options = {}) {
+  const { tagName = DEFAULT_TAG_NAME, window: win = getGlobalWindow() } = options;
+
+  if (!win || !win.customElements) {
+    throw new Error('The country-select element needs a DOM with custom elements support');
+  }
+
+  const existing = win.customElements.get(tagName);
+  if (existing) {
+    return existing;
+  }
+
+  const CountrySelectElement = getCountrySelectElement(win);
+  // A class can only be registered once per window, so other tag names get a subclass
+  const elementClass = tagName === DEFAULT_TAG_NAME ? CountrySelectElement : class extends CountrySelectElement {};
+  win.customElements.define(tagName, elementClass);
+  return elementClass;
+}
+
+module.exports = {
+  getCountrySelectElement,
+  defineCountrySelect
+};